@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * answers.js — Maintain defaultAnswers.json from the unfilled_fields table.
+ *
+ * Usage:
+ *   node answers.js review                     # Walk through unanswered labels
+ *   node answers.js review --platform indeed   # Only labels seen on one platform
+ *   node answers.js review --min 3             # Only labels seen at least 3 times
+ *   node answers.js --help                     # Show usage
+ *
+ * Labels are grouped with normalizeLabel() and string-similarity so
+ * "Desired salary?" and "What is your desired salary" are reviewed once.
+ * Every answer is written to defaultAnswers.json immediately and the group's
+ * rows are marked resolved, so they drop out of the "Unmatched Fields" counts
+ * in the run summary and benchmark.js.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const stringSimilarity = require('string-similarity');
+
+const HELP = `
+Usage: node answers.js review [options]
+
+Options:
+  --platform <name>  Only review labels recorded on one platform
+  --min <n>          Only review labels seen at least n times (default: 1)
+  --help             Show this help message
+
+For each group you can:
+  <text>   save <text> as the answer
+  =<n>     map the label to suggested key <n> (reuses that key's answer)
+  Enter    skip for now
+  !ignore  mark resolved without saving an answer
+  !quit    stop reviewing
+`.trim();
+
+// ── CLI parsing ──
+const args = process.argv.slice(2);
+if (args.includes('--help') || args[0] !== 'review') {
+  console.log(HELP);
+  process.exit(args.includes('--help') ? 0 : 2);
+}
+
+const platformIdx = args.indexOf('--platform');
+const platformArg = platformIdx !== -1 ? args[platformIdx + 1]?.toLowerCase() : null;
+let minCount = 1;
+if (args.includes('--min')) {
+  minCount = parseInt(args[args.indexOf('--min') + 1], 10);
+  if (isNaN(minCount) || minCount < 1) { console.error('Error: --min requires a positive integer'); process.exit(2); }
+}
+
+const answersPath = path.join(__dirname, 'defaultAnswers.json');
+if (!fs.existsSync(answersPath)) {
+  console.error('Error: missing defaultAnswers.json. Copy from defaultAnswers.json.example first.');
+  process.exit(2);
+}
+
+const state = require('./lib/state');
+const { normalizeLabel, flatAnswers, FUZZY_THRESHOLD } = require('./lib/answers');
+
+/**
+ * Group unfilled field rows by normalized label, then merge groups whose
+ * labels are similar. The most frequent label names the group.
+ *
+ * @param {Array<object>} rows - unfilled_fields rows
+ * @returns {Array<{ key: string, labels: Map, types: Set, platforms: Set, ids: number[] }>}
+ */
+function groupFields(rows) {
+  const byLabel = new Map();
+  for (const row of rows) {
+    const key = normalizeLabel(row.fieldLabel);
+    if (!key) continue;
+    if (!byLabel.has(key)) {
+      byLabel.set(key, { key, labels: new Map(), types: new Set(), platforms: new Set(), ids: [] });
+    }
+    const g = byLabel.get(key);
+    g.labels.set(row.fieldLabel, (g.labels.get(row.fieldLabel) || 0) + 1);
+    if (row.fieldType) g.types.add(row.fieldType);
+    g.platforms.add(row.platform);
+    g.ids.push(row.id);
+  }
+
+  // Most frequent first, so it absorbs the rarer near-duplicates
+  const exact = [...byLabel.values()].sort((a, b) => b.ids.length - a.ids.length);
+  const groups = [];
+  for (const g of exact) {
+    const target = groups.find((h) => stringSimilarity.compareTwoStrings(h.key, g.key) >= FUZZY_THRESHOLD);
+    if (!target) { groups.push(g); continue; }
+    for (const [label, n] of g.labels) target.labels.set(label, (target.labels.get(label) || 0) + n);
+    g.types.forEach((t) => target.types.add(t));
+    g.platforms.forEach((p) => target.platforms.add(p));
+    target.ids.push(...g.ids);
+  }
+  return groups;
+}
+
+function saveAnswers(raw) {
+  fs.writeFileSync(answersPath, JSON.stringify(raw, null, 2) + '\n');
+}
+
+async function review() {
+  const rows = state.getUnresolvedFields(platformArg);
+  const groups = groupFields(rows).filter((g) => g.ids.length >= minCount);
+
+  if (groups.length === 0) {
+    console.log('No unresolved fields to review.');
+    return;
+  }
+
+  const raw = JSON.parse(fs.readFileSync(answersPath, 'utf8'));
+  const answers = flatAnswers(raw);
+
+  // Read answers through the line iterator so piped input is not dropped
+  // between prompts
+  const rl = readline.createInterface({ input: process.stdin });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? '!quit' : value.trim();
+  };
+  let saved = 0;
+
+  try {
+    for (let i = 0; i < groups.length; i++) {
+      const g = groups[i];
+      const variants = [...g.labels.entries()].sort((a, b) => b[1] - a[1]);
+
+      console.log(`\n${'─'.repeat(55)}`);
+      console.log(`  [${i + 1}/${groups.length}] "${variants[0][0]}"  — ${g.ids.length}x`);
+      console.log(`  Type: ${[...g.types].join(', ') || 'unknown'} | Platforms: ${[...g.platforms].join(', ')}`);
+      for (const [label, n] of variants.slice(1, 4)) console.log(`    also seen as "${label}" (${n}x)`);
+
+      const keys = Object.keys(answers);
+      const suggestions = keys.length > 0
+        ? stringSimilarity.findBestMatch(g.key, keys).ratings
+          .sort((a, b) => b.rating - a.rating)
+          .slice(0, 3)
+        : [];
+      suggestions.forEach((s, n) => {
+        console.log(`  =${n + 1}  "${s.target}" → "${answers[s.target]}"  (${Math.round(s.rating * 100)}% similar)`);
+      });
+
+      const input = await ask('  Answer: ');
+
+      if (input === '') continue;
+      if (input === '!quit') break;
+      if (input === '!ignore') {
+        state.resolveUnfilledFields(g.ids);
+        console.log('  Marked resolved (no answer saved).');
+        continue;
+      }
+
+      let value = input;
+      const mapTo = /^=(\d)$/.exec(input);
+      if (mapTo) {
+        const pick = suggestions[Number(mapTo[1]) - 1];
+        if (!pick) { console.log('  No such suggestion — skipped.'); continue; }
+        value = answers[pick.target];
+      }
+
+      answers[g.key] = value;
+      saveAnswers(raw);
+      state.resolveUnfilledFields(g.ids);
+      saved++;
+      console.log(`  Saved "${g.key}" → "${value}"`);
+    }
+  } finally {
+    rl.close();
+  }
+
+  console.log(`\n✓ ${saved} answer(s) written to defaultAnswers.json`);
+}
+
+review().catch((err) => {
+  console.error('Review failed:', err.message);
+  process.exit(1);
+});
@@ -10,6 +10,7 @@
  *   node benchmark.js --run latest # Most recent run only
  *   node benchmark.js --run <uuid> # Specific run by ID
  *   node benchmark.js --all        # All time
+ *   node benchmark.js --answers Acme  # What was sent to a company
  *   node benchmark.js --help       # Show usage
  *
  * This script is read-only — it never modifies application data.
@@ -27,6 +28,9 @@ Options:
   --run latest   Show most recent run only
   --run <uuid>   Show a specific run by ID
   --all          Show all-time data
+  --answers <company>
+                 Print every field filled in applications to a company
+                 (all time unless --days or --run is given)
   --help         Show this help message
 `.trim();
 
@@ -37,6 +41,12 @@ if (args.includes('--help')) { console.log(HELP); process.exit(0); }
 let mode = 'days'; // 'days' | 'run' | 'all'
 let days = 7;
 let runId = null;
+let answersCompany = null;
+
+if (args.includes('--answers')) {
+  answersCompany = args[args.indexOf('--answers') + 1];
+  if (!answersCompany || answersCompany.startsWith('--')) { console.error('Error: --answers requires a company name'); process.exit(2); }
+}
 
 if (args.includes('--all')) {
   mode = 'all';
@@ -65,6 +75,31 @@ const db = new Database(dbPath, { readonly: true });
 const columns = db.pragma('table_info(applications)').map(c => c.name);
 const hasSkipReason = columns.includes('skipReason');
 
+// searchName only exists once a run has recorded saved searches
+const hasSearchName = columns.includes('searchName');
+
+// Fields resolved through `node answers.js review` no longer count as unmatched
+const fieldColumns = db.pragma('table_info(unfilled_fields)').map(c => c.name);
+const unresolved = fieldColumns.includes('resolvedAt') ? 'resolvedAt IS NULL' : '1=1';
+
+// review_fields only exists once a run has used behavior.lowConfidencePolicy
+const hasReviewFields = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'review_fields'").get();
+
+// status_history only exists once `node track.js` or `node import-email.js` has run
+const hasStatusHistory = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'status_history'").get();
+
+// validation_errors only exists once a run has hit a rejected form step
+const hasValidationErrors = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'validation_errors'").get();
+
+// Mirrors RESPONSE_STATUSES in lib/status-tracker.js (no lib/ imports here)
+const RESPONSE_STATUSES = ['viewed', 'in_review', 'assessment', 'interview', 'offer', 'rejected'];
+
+// Search keywords for the per-keyword breakdown; config.json is optional
+const configPath = path.join(__dirname, 'config.json');
+const searchKeywords = fs.existsSync(configPath)
+  ? (JSON.parse(fs.readFileSync(configPath, 'utf8')).search?.keywords || [])
+  : [];
+
 // ── Resolve run ID for --run mode ──
 if (mode === 'run') {
   if (runId === 'latest') {
@@ -91,6 +126,55 @@ function runsFilter() {
   return { sql: `startedAt >= date('now', '-' || ? || ' days')`, params: [days] };
 }
 
+// ── Answer audit (--answers) ──
+function printAnswers(company) {
+  const hasAnswers = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'application_answers'").get();
+  if (!hasAnswers) {
+    console.log('No answers recorded yet. They are stored from the next run on.');
+    return;
+  }
+
+  const explicitPeriod = args.includes('--days') || args.includes('--run');
+  const f = explicitPeriod ? dateFilter('appliedAt') : { sql: '1=1', params: [] };
+  const attempts = db.prepare(`
+    SELECT *
+    FROM applications
+    WHERE company LIKE ? AND id IN (SELECT applicationId FROM application_answers) AND ${f.sql}
+    ORDER BY id
+  `).all(`%${company}%`, ...f.params);
+
+  if (attempts.length === 0) {
+    console.log(`No recorded answers for companies matching "${company}".`);
+    return;
+  }
+
+  const answersStmt = db.prepare('SELECT * FROM application_answers WHERE applicationId = ? ORDER BY id');
+  const hasCoverLetters = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'cover_letters'").get();
+  const letterStmt = hasCoverLetters ? db.prepare('SELECT * FROM cover_letters WHERE applicationId = ?') : null;
+  const lines = ['═'.repeat(55), `  ANSWERS SENT — "${company}"`, '═'.repeat(55)];
+  for (const a of attempts) {
+    lines.push('');
+    lines.push(`  ${a.appliedAt.slice(0, 16).replace('T', ' ')}  [${a.status}] ${a.platform}: ${a.jobTitle || 'Unknown title'} — ${a.company}`);
+    if (a.jobUrl) lines.push(`    ${a.jobUrl}`);
+    if (a.resumeVariant) lines.push(`    Resume: ${a.resumeVariant}`);
+    for (const row of answersStmt.all(a.id)) {
+      const score = row.score === null ? '' : `  ${Math.round(row.score * 100)}%`;
+      const key = row.answerKey ? `  ← ${row.answerKey}` : '';
+      // Cover letter text is printed in full below the fields
+      const value = row.fieldType !== 'file' && row.answerKey?.startsWith('coverLetter:') ? '(cover letter below)' : `"${row.value ?? ''}"`;
+      lines.push(`    ${String(row.stepNum ?? '-').padStart(2)}. ${padRight(`"${row.fieldLabel}"`, 36)} ${padRight(row.fieldType, 15)} ${value}${score}${key}`);
+    }
+    const letter = letterStmt?.get(a.id);
+    if (letter) {
+      lines.push(`    Cover letter (template "${letter.template}", sent as ${letter.sentAs}${letter.filePath ? `: ${letter.filePath}` : ''}):`);
+      for (const line of letter.text.split('\n')) lines.push(`      ${line}`);
+    }
+  }
+  lines.push('');
+  lines.push('═'.repeat(55));
+  console.log(lines.join('\n'));
+}
+
 // ── Queries ──
 function coreMetrics() {
   const f = dateFilter('appliedAt');
@@ -146,6 +230,24 @@ function skipAnalysis() {
   `).all(...f.params);
 }
 
+// Attempts per saved search (platforms.<name>.searches), so searches that
+// only produce skips or errors stand out
+function searchBreakdown() {
+  if (!hasSearchName) return [];
+  const f = dateFilter('appliedAt');
+  return db.prepare(`
+    SELECT platform, searchName,
+      COUNT(CASE WHEN status = 'submitted' THEN 1 END) as submitted,
+      COUNT(CASE WHEN status = 'dry_run' THEN 1 END) as dry_run,
+      COUNT(CASE WHEN status IN ('skipped', 'already_applied') THEN 1 END) as skipped,
+      COUNT(CASE WHEN status = 'error' THEN 1 END) as errors
+    FROM applications
+    WHERE searchName IS NOT NULL AND ${f.sql}
+    GROUP BY platform, searchName
+    ORDER BY submitted + dry_run DESC
+  `).all(...f.params);
+}
+
 function fieldCoverage() {
   // unfilled_fields has no runId column — for --run mode, filter by
   // the run's start/end timestamps instead.
@@ -153,7 +255,8 @@ function fieldCoverage() {
     return db.prepare(`
       SELECT fieldLabel, COUNT(*) as cnt
       FROM unfilled_fields
-      WHERE timestamp >= (SELECT startedAt FROM runs WHERE id = ?)
+      WHERE ${unresolved}
+        AND timestamp >= (SELECT startedAt FROM runs WHERE id = ?)
         AND timestamp <= COALESCE((SELECT completedAt FROM runs WHERE id = ?), datetime('now'))
       GROUP BY fieldLabel ORDER BY cnt DESC LIMIT 10
     `).all(runId, runId);
@@ -162,13 +265,93 @@ function fieldCoverage() {
   return db.prepare(`
     SELECT fieldLabel, COUNT(*) as cnt
     FROM unfilled_fields
-    WHERE ${f.sql}
+    WHERE ${unresolved} AND ${f.sql}
     GROUP BY fieldLabel
     ORDER BY cnt DESC
     LIMIT 10
   `).all(...f.params);
 }
 
+// Fields that failed validation after a step was submitted, most frequent
+// first, with how often retrying other values got past them
+function blockingQuestions() {
+  if (!hasValidationErrors) return [];
+  const f = dateFilter('timestamp');
+  return db.prepare(`
+    SELECT platform, fieldLabel, COUNT(*) as cnt, SUM(resolved) as resolved,
+      (SELECT v2.message FROM validation_errors v2
+        WHERE v2.platform = v.platform AND v2.fieldLabel = v.fieldLabel AND v2.message IS NOT NULL
+        ORDER BY v2.id DESC LIMIT 1) as message
+    FROM validation_errors v
+    WHERE ${f.sql}
+    GROUP BY platform, fieldLabel
+    ORDER BY cnt - SUM(resolved) DESC, cnt DESC
+    LIMIT 10
+  `).all(...f.params);
+}
+
+function reviewQueue() {
+  if (!hasReviewFields) return [];
+  const f = dateFilter('appliedAt');
+  // Each job's latest held row, until it is submitted again or the board
+  // reports it as applied to (same rule as state.getReviewQueue)
+  const rows = db.prepare(`
+    SELECT r.id, r.platform, r.jobTitle, r.company, r.jobUrl, r.status
+    FROM applications r
+    WHERE r.id IN (
+      SELECT MAX(f.applicationId) FROM review_fields f JOIN applications a ON a.id = f.applicationId GROUP BY a.platform, a.jobId
+    ) AND NOT EXISTS (
+      SELECT 1 FROM applications l
+      WHERE l.platform = r.platform AND l.jobId = r.jobId AND l.id > r.id
+        AND (l.status = 'submitted' OR (l.status = 'already_applied' AND l.skipReason IS NOT 'already_applied_db'))
+    ) AND ${f.sql}
+    ORDER BY r.id DESC
+    LIMIT 20
+  `).all(...f.params);
+  const fieldsStmt = db.prepare('SELECT fieldLabel, answer, confidence FROM review_fields WHERE applicationId = ? ORDER BY id');
+  for (const row of rows) row.fields = fieldsStmt.all(row.id);
+  return rows;
+}
+
+// Submitted applications with their latest status (from track.js or
+// import-email.js), grouped by platform, by saved search and by the search
+// keyword found in the job title. Interviews count even if a rejection followed.
+// Each job's latest submitted row is used, so a job seen again after it was
+// submitted still counts.
+function outcomes() {
+  if (!hasStatusHistory) return null;
+  const f = dateFilter('appliedAt');
+  const rows = db.prepare(`
+    SELECT a.platform, a.jobTitle, ${hasSearchName ? 'a.searchName' : 'NULL as searchName'}, (
+      SELECT h.status FROM status_history h WHERE h.applicationId = a.id ORDER BY h.observedAt DESC, h.id DESC LIMIT 1
+    ) as latestStatus, EXISTS (
+      SELECT 1 FROM status_history h WHERE h.applicationId = a.id AND h.status IN ('interview', 'offer')
+    ) as interviewed
+    FROM applications a
+    WHERE a.id IN (SELECT MAX(id) FROM applications WHERE status = 'submitted' GROUP BY platform, jobId) AND ${f.sql}
+  `).all(...f.params);
+
+  const tally = (groups, key, row) => {
+    const g = groups.get(key) || { submitted: 0, responded: 0, interviewed: 0, rejected: 0 };
+    g.submitted++;
+    if (RESPONSE_STATUSES.includes(row.latestStatus) || row.interviewed) g.responded++;
+    if (row.interviewed) g.interviewed++;
+    if (row.latestStatus === 'rejected') g.rejected++;
+    groups.set(key, g);
+  };
+  const byPlatform = new Map();
+  const bySearch = new Map();
+  const byKeyword = new Map();
+  for (const row of rows) {
+    const title = (row.jobTitle || '').toLowerCase();
+    const keyword = searchKeywords.find((k) => title.includes(k.toLowerCase())) || 'other';
+    tally(byPlatform, row.platform, row);
+    if (row.searchName) tally(bySearch, `${row.platform}/${row.searchName}`, row);
+    tally(byKeyword, keyword, row);
+  }
+  return { byPlatform, bySearch, byKeyword };
+}
+
 function dailyTrend() {
   const f = dateFilter('appliedAt');
   return db.prepare(`
@@ -192,10 +375,20 @@ function pct(num, den) {
 
 function padRight(str, len) { return (str || '').padEnd(len); }
 
+if (answersCompany) {
+  printAnswers(answersCompany);
+  db.close();
+  process.exit(0);
+}
+
 // ── Generate report ──
 const metrics = coreMetrics();
 const skips = skipAnalysis();
+const searches = searchBreakdown();
 const fields = fieldCoverage();
+const review = reviewQueue();
+const blocking = blockingQuestions();
+const outcome = outcomes();
 const trend = dailyTrend();
 
 if (metrics.attempted === 0 && skips.length === 0 && trend.length === 0) {
@@ -251,6 +444,16 @@ if (skips.length > 0) {
   }
 }
 
+if (searches.length > 0) {
+  lines.push('');
+  lines.push('  SEARCHES (platforms.<name>.searches)');
+  lines.push('  ' + '─'.repeat(50));
+  lines.push(`  ${padRight('Search', 26)} Applied  Skipped  Errors`);
+  for (const row of searches) {
+    lines.push(`  ${padRight(`${row.platform}/${row.searchName}`, 26)} ${String(row.submitted + row.dry_run).padStart(7)}  ${String(row.skipped).padStart(7)}  ${String(row.errors).padStart(6)}`);
+  }
+}
+
 if (fields.length > 0) {
   const totalOccurrences = fields.reduce((s, r) => s + r.cnt, 0);
   lines.push('');
@@ -263,6 +466,43 @@ if (fields.length > 0) {
   }
 }
 
+if (blocking.length > 0) {
+  lines.push('');
+  lines.push('  BLOCKING QUESTIONS (validation errors after submitting a step)');
+  lines.push('  ' + '─'.repeat(50));
+  for (const row of blocking) {
+    lines.push(`  ${padRight(`${row.platform}: "${row.fieldLabel}"`, 50)} ${row.cnt}x, ${row.cnt - row.resolved} still blocking`);
+    if (row.message) lines.push(`    ${row.message}`);
+  }
+}
+
+if (review.length > 0) {
+  lines.push('');
+  lines.push('  NEEDS REVIEW (low-confidence answers)');
+  lines.push('  ' + '─'.repeat(50));
+  for (const row of review) {
+    lines.push(`  [${row.status}] ${row.platform}: ${row.jobTitle || 'Unknown title'} — ${row.company || 'Unknown company'}`);
+    if (row.jobUrl) lines.push(`    ${row.jobUrl}`);
+    for (const f of row.fields) {
+      const confidence = f.confidence === null ? '?' : Math.round(f.confidence * 100) + '%';
+      lines.push(`    ${padRight(`"${f.fieldLabel}"`, 42)} → "${f.answer ?? ''}" (${confidence})`);
+    }
+  }
+}
+
+if (outcome && outcome.byPlatform.size > 0) {
+  lines.push('');
+  lines.push('  OUTCOMES (latest status from track.js / import-email.js)');
+  lines.push('  ' + '─'.repeat(50));
+  for (const [title, groups] of [['Platform', outcome.byPlatform], ['Search', outcome.bySearch], ['Keyword', outcome.byKeyword]]) {
+    if (groups.size === 0) continue;
+    lines.push(`  ${padRight(title, 26)} Submitted  Response  Interview  Rejection`);
+    for (const [name, g] of groups) {
+      lines.push(`  ${padRight(name, 26)} ${String(g.submitted).padStart(9)}  ${pct(g.responded, g.submitted).padStart(8)}  ${pct(g.interviewed, g.submitted).padStart(9)}  ${pct(g.rejected, g.submitted).padStart(9)}`);
+    }
+  }
+}
+
 if (trend.length > 0) {
   lines.push('');
   lines.push('  DAILY TREND');
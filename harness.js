@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * harness.js — Offline fixture run for the platform modules.
+ *
+ * Usage:
+ *   node harness.js                       # Run every platform with fixtures
+ *   node harness.js --platform indeed     # Run one platform
+ *   node harness.js --dry-run             # Exercise the dry-run path instead of submit
+ *   node harness.js --headed              # Watch the run in a visible browser
+ *   node harness.js --verbose             # Stream module logs to stdout
+ *   node harness.js --keep                # Keep the temporary db/ and logs/ for inspection
+ *   node harness.js --llm                 # Answer free-text questions through a local LLM stub
+ *
+ * Each platform module is driven against recorded HTML snapshots from
+ * fixtures/<platform>/ (served by lib/fixture-server.js). Every request the
+ * browser makes is answered from the fixtures or aborted, so no live site is
+ * ever contacted. The rows written through state.recordApplication are then
+ * compared against the `expect` list in the platform's manifest.json.
+ *
+ * Runtime data (SQLite, logs) goes to a throwaway directory so a harness run
+ * never touches the real db/applications.db.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const HELP = `
+Usage: node harness.js [options]
+
+Options:
+  --platform <name>  Run one platform only
+  --dry-run          Run modules in dry-run mode (expects dry_run instead of submitted)
+  --headed           Show the browser
+  --verbose          Print module logs to stdout
+  --keep             Keep the temporary working directory
+  --llm              Enable the answer provider against a local stub server
+  --help             Show this help message
+`.trim();
+
+// ── CLI parsing ──
+const args = process.argv.slice(2);
+if (args.includes('--help')) { console.log(HELP); process.exit(0); }
+
+const dryRun = args.includes('--dry-run');
+const headed = args.includes('--headed');
+const verbose = args.includes('--verbose');
+const keep = args.includes('--keep');
+const llm = args.includes('--llm');
+const platformIdx = args.indexOf('--platform');
+const platformArg = platformIdx !== -1 ? args[platformIdx + 1]?.toLowerCase() : null;
+
+// lib/state and lib/logger resolve db/ and logs/ from the cwd when first
+// required — switch to a scratch directory before loading them.
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-apply-harness-'));
+process.chdir(workDir);
+if (!verbose) process.env.NODE_ENV = 'test';
+
+const { chromium } = require('playwright');
+const logger = require('./lib/logger');
+const state = require('./lib/state');
+const { FIXTURES_DIR, loadManifest, listFixturePlatforms, startFixtureServer, routeToFixtures } = require('./lib/fixture-server');
+const { startLlmStub } = require('./lib/llm-stub');
+
+const { loadAdapters } = require('./lib/adapters');
+
+const ADAPTERS = loadAdapters();
+
+const config = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'config.json'), 'utf8'));
+const defaultAnswers = JSON.parse(fs.readFileSync(path.join(__dirname, 'defaultAnswers.json.example'), 'utf8'));
+
+/**
+ * Compare the rows a run wrote against the manifest expectations.
+ * The latest row per jobId wins (matches the latest_applications view).
+ *
+ * @returns {{ passed: number, failures: string[] }}
+ */
+function checkExpectations(manifest, rows) {
+  const latest = new Map();
+  for (const row of rows) latest.set(row.jobId, row);
+
+  let passed = 0;
+  const failures = [];
+
+  for (const exp of manifest.expect) {
+    const wantStatus = dryRun && exp.status === 'submitted' ? 'dry_run' : exp.status;
+    const row = latest.get(exp.jobId);
+    if (!row) {
+      failures.push(`${exp.jobId}: expected ${wantStatus}, but no row was recorded`);
+      continue;
+    }
+    if (row.status !== wantStatus) {
+      const detail = row.errorMessage ? ` ("${row.errorMessage}")` : '';
+      failures.push(`${exp.jobId}: expected ${wantStatus}, got ${row.status}${detail}`);
+      continue;
+    }
+    if (exp.skipReason !== undefined && row.skipReason !== exp.skipReason) {
+      failures.push(`${exp.jobId}: expected skipReason ${exp.skipReason}, got ${row.skipReason || 'none'}`);
+      continue;
+    }
+    passed++;
+  }
+
+  // Rows for jobs the manifest does not know about are always a regression
+  const expectedIds = new Set(manifest.expect.map((e) => e.jobId));
+  for (const [jobId, row] of latest) {
+    if (!expectedIds.has(jobId)) {
+      failures.push(`${jobId}: unexpected ${row.status} row${row.errorMessage ? ` ("${row.errorMessage}")` : ''}`);
+    }
+  }
+
+  return { passed, failures };
+}
+
+/**
+ * Drive one platform module against its fixtures.
+ */
+async function runPlatform(browser, server, platform) {
+  const manifest = loadManifest(platform);
+  const platformLogger = logger.child({ platform, harness: true });
+
+  const context = await browser.newContext({ viewport: { width: 1280, height: 800 }, locale: 'en-US' });
+  const unmatched = await routeToFixtures(context, server, manifest);
+  const page = await context.newPage();
+
+  const runId = state.createRun();
+  let stats = null;
+  let crash = null;
+
+  try {
+    stats = await ADAPTERS.get(platform).apply(page, config, defaultAnswers, state, runId, platformLogger, dryRun);
+  } catch (err) {
+    crash = err;
+  } finally {
+    await context.close().catch(() => {});
+  }
+
+  state.completeRun(runId, { [platform]: stats });
+  const rows = state.getRunApplications(runId);
+  const { passed, failures } = checkExpectations(manifest, rows);
+  if (crash) failures.unshift(`module threw: ${crash.message}`);
+
+  return { platform, stats, passed, total: manifest.expect.length, failures, unmatched };
+}
+
+async function main() {
+  const available = listFixturePlatforms().filter((p) => ADAPTERS.has(p));
+  if (platformArg && !available.includes(platformArg)) {
+    console.error(`Error: no fixtures for platform "${platformArg}". Available: ${available.join(', ')}`);
+    process.exit(2);
+  }
+  const platforms = platformArg ? [platformArg] : available;
+
+  const server = await startFixtureServer();
+  const llmStub = llm ? await startLlmStub() : null;
+  if (llmStub) config.answerProvider = { enabled: true, baseUrl: llmStub.url, model: 'stub', confidence: 1 };
+  const browser = await chromium.launch({ headless: !headed });
+
+  const results = [];
+  try {
+    for (const platform of platforms) {
+      results.push(await runPlatform(browser, server, platform));
+    }
+  } finally {
+    await browser.close().catch(() => {});
+    await server.close();
+    if (llmStub) await llmStub.close();
+  }
+
+  const lines = [
+    '═'.repeat(55),
+    `  FIXTURE HARNESS${dryRun ? ' [DRY RUN]' : ''}`,
+    '═'.repeat(55),
+  ];
+
+  let failed = 0;
+  for (const r of results) {
+    const ok = r.failures.length === 0;
+    if (!ok) failed++;
+    const s = r.stats || { applied: 0, skipped: 0, errors: 0 };
+    lines.push(`  ${r.platform.padEnd(10)} ${ok ? 'PASS' : 'FAIL'}  ${r.passed}/${r.total} expectations  (${s.applied} applied | ${s.skipped} skipped | ${s.errors} errors)`);
+    for (const f of r.failures) lines.push(`    ✗ ${f}`);
+    if (verbose && r.unmatched.length > 0) {
+      lines.push(`    Requests with no fixture (aborted): ${r.unmatched.length}`);
+      for (const url of [...new Set(r.unmatched)].slice(0, 10)) lines.push(`      ${url}`);
+    }
+  }
+
+  lines.push('─'.repeat(55));
+  if (llmStub) lines.push(`  Answer provider requests: ${llmStub.requests.length}`);
+  lines.push(`  ${results.length - failed}/${results.length} platforms passed`);
+  lines.push('═'.repeat(55));
+  console.log(lines.join('\n'));
+
+  cleanup();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Remove the scratch working directory unless --keep was given.
+ */
+function cleanup() {
+  if (keep) {
+    console.log(`Working directory kept at: ${workDir}`);
+    return;
+  }
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+main().catch((err) => {
+  console.error('Harness failed:', err.message);
+  cleanup();
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * import-email.js — Link recruiter emails to submitted applications.
+ *
+ * Usage:
+ *   node import-email.js ~/Mail/jobs.mbox          # mbox file
+ *   node import-email.js ~/Maildir/.Jobs           # Maildir (cur/ and new/)
+ *   node import-email.js ./exported                # folder of .eml files
+ *   node import-email.js fixtures/email --dry-run  # classify and match without writing
+ *   node import-email.js --help                    # Show usage
+ *
+ * Each message is classified as a rejection, interview request, assessment
+ * or auto-acknowledgement and matched to an application by company and job
+ * title. Matches are appended to status_history (source 'email') and every
+ * imported message is remembered, so the same mailbox can be imported again
+ * after new mail arrives. Outcomes are reported by benchmark.js.
+ */
+
+const fs = require('fs');
+
+const HELP = `
+Usage: node import-email.js <mbox|Maildir|folder|file.eml>... [options]
+
+Options:
+  --dry-run      Classify and match without writing to the database
+  --help         Show this help message
+`.trim();
+
+const args = process.argv.slice(2);
+if (args.includes('--help')) { console.log(HELP); process.exit(0); }
+
+const dryRun = args.includes('--dry-run');
+const sources = args.filter((a) => !a.startsWith('--'));
+if (sources.length === 0) { console.error(HELP); process.exit(2); }
+for (const source of sources) {
+  if (!fs.existsSync(source)) { console.error(`Error: ${source} does not exist`); process.exit(2); }
+}
+
+const logger = require('./lib/logger');
+const state = require('./lib/state');
+const { readMessages, importMessages } = require('./lib/email-import');
+
+const messages = sources.flatMap((source) => readMessages(source));
+const result = importMessages(messages, state, logger, dryRun);
+
+const lines = [
+  '',
+  `  EMAIL IMPORT${dryRun ? ' [DRY RUN]' : ''}`,
+  `  Messages read ......... ${result.read}${result.known ? ` (${result.known} already imported)` : ''}`,
+  `  Recruiter responses ... ${result.classified}`,
+  `  Matched ............... ${result.matched}`,
+  `  Statuses recorded ..... ${dryRun ? '-' : result.recorded}`,
+];
+if (result.unmatched.length > 0) {
+  lines.push('', '  Not matched to an application:');
+  for (const m of result.unmatched) {
+    lines.push(`    [${m.category}] ${m.from} — ${m.subject}`);
+  }
+}
+console.log(lines.join('\n') + '\n');
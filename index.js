@@ -9,6 +9,11 @@
  *   node index.js --dry-run                  # Simulate without submitting
  *   node index.js --platform linkedin        # Run only LinkedIn
  *   node index.js --max 5                    # Override max applications
+ *   node index.js --urls jobs.txt            # Apply to the job URLs in a file
+ *   node index.js --url <job url>            # Apply to one job URL
+ *   node index.js --mode discover            # Queue jobs for review instead of applying
+ *   node index.js --mode apply               # Apply to the jobs approved with queue.js
+ *   node index.js --assist                   # Headed; ask in the terminal for unknown fields
  *   node index.js --help                     # Show usage
  *
  * Configuration priority: CLI flags > .env > config.json
@@ -30,26 +35,40 @@ if (!fs.existsSync(configPath) || !fs.existsSync(answersPath)) {
 const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 const defaultAnswers = JSON.parse(fs.readFileSync(answersPath, 'utf8'));
 
+// Compile answer rules now so a malformed rule fails before any browser opens
+try {
+  require('./lib/answers').loadAnswers(defaultAnswers);
+} catch (err) {
+  console.error(`Error: invalid defaultAnswers.json — ${err.message}`);
+  process.exit(2);
+}
+try {
+  require('./lib/apply-engine').lowConfidencePolicy(config);
+  const { searchCriteria, platformSearches } = require('./lib/search-criteria');
+  searchCriteria(config);
+  for (const platform of Object.keys(config.platforms || {})) platformSearches(config, platform);
+  require('./lib/companies').loadCompanyRules(config);
+  require('./lib/resumes').loadResumes(config);
+  require('./lib/cover-letter').loadCoverLetter(config);
+  require('./lib/answer-provider').createAnswerProvider(config);
+} catch (err) {
+  console.error(`Error: invalid config.json — ${err.message}`);
+  process.exit(2);
+}
+
 // Core libraries
 const logger = require('./lib/logger');
 const state = require('./lib/state');
 const { launchForPlatform, checkLoginStatus } = require('./lib/browser');
+const { loadAdapters, matchJobUrl } = require('./lib/adapters');
+const { applyToJobs } = require('./lib/apply-engine');
 
-// Platform modules
-const { applyLinkedIn } = require('./modules/linkedin');
-const { applyDice } = require('./modules/dice');
-const { applyIndeed } = require('./modules/indeed');
-const { applyJobright } = require('./modules/jobright');
+// Platform adapters: built-ins from modules/ plus any packages in config.adapters
+const ADAPTERS = loadAdapters(config);
 
-// Platform module map
-const PLATFORM_MODULES = {
-  linkedin: applyLinkedIn,
-  dice: applyDice,
-  indeed: applyIndeed,
-  jobright: applyJobright,
-};
+const KNOWN_PLATFORMS = new Set(ADAPTERS.keys());
 
-const KNOWN_PLATFORMS = new Set(Object.keys(PLATFORM_MODULES));
+const MODES = ['auto', 'discover', 'apply'];
 
 const HELP_TEXT = `
 Usage: node index.js [options]
@@ -59,6 +78,12 @@ Options:
   --platform <name> Run specific platform only (overrides .env PLATFORMS)
   --max <number>    Max applications this run (overrides .env MAX_APPLICATIONS)
   --headless        Run in headless mode (overrides .env HEADLESS)
+  --assist          Run headed and ask in the terminal for fields with no confident
+                    answer, offering to save each answer to defaultAnswers.json
+  --url <url>       Apply to this job posting instead of searching (repeatable)
+  --urls <file>     Apply to the job postings listed in a file, one URL per line
+  --mode <mode>     auto (search and apply), discover (queue jobs for review with
+                    queue.js) or apply (apply to approved jobs) (overrides .env MODE)
   --help            Show this help message
 
 Configuration priority: CLI flags > .env > config.json
@@ -79,8 +104,11 @@ function parseArgs(argv) {
   const parsed = {
     dryRun: args.includes('--dry-run') ? true : undefined,
     headless: args.includes('--headless') ? true : undefined,
+    assist: args.includes('--assist'),
     platform: undefined,
     max: undefined,
+    mode: undefined,
+    urls: [],
   };
 
   const platformIdx = args.indexOf('--platform');
@@ -102,9 +130,70 @@ function parseArgs(argv) {
     parsed.max = val;
   }
 
+  const modeIdx = args.indexOf('--mode');
+  if (modeIdx !== -1) {
+    parsed.mode = args[modeIdx + 1];
+    if (!MODES.includes(parsed.mode)) {
+      console.error(`Error: --mode must be one of ${MODES.join(', ')}`);
+      process.exit(2);
+    }
+  }
+
+  args.forEach((arg, i) => {
+    if (arg !== '--url') return;
+    if (!args[i + 1] || args[i + 1].startsWith('--')) {
+      console.error('Error: --url requires a job URL');
+      process.exit(2);
+    }
+    parsed.urls.push(args[i + 1]);
+  });
+
+  const urlsIdx = args.indexOf('--urls');
+  if (urlsIdx !== -1) {
+    const file = args[urlsIdx + 1];
+    if (!file || !fs.existsSync(file)) {
+      console.error(`Error: --urls requires a file of job URLs${file ? ` ("${file}" not found)` : ''}`);
+      process.exit(2);
+    }
+    // One URL per line; blank lines and # comments are ignored
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'));
+    if (lines.length === 0) {
+      console.error(`Error: no job URLs in "${file}"`);
+      process.exit(2);
+    }
+    parsed.urls.push(...lines);
+  }
+
+  if (parsed.assist && parsed.headless) {
+    console.error('Error: --assist runs headed and cannot be combined with --headless');
+    process.exit(2);
+  }
+
+  if (parsed.urls.length > 0 && parsed.mode && parsed.mode !== 'auto') {
+    console.error('Error: --url and --urls cannot be combined with --mode discover or apply');
+    process.exit(2);
+  }
+
   return parsed;
 }
 
+/**
+ * Match each --url / --urls entry to a platform adapter. Entries that cannot
+ * be applied to keep their reason for the summary.
+ * @returns {Array<{ url: string, platform?: string, jobId?: string, reason?: string }>}
+ */
+function resolveJobUrls(urls) {
+  const seen = new Set();
+  return urls.map((url) => {
+    const match = matchJobUrl(ADAPTERS, url);
+    if (!match.adapter) return { url, reason: match.reason };
+    const key = `${match.adapter.name}:${match.jobId}`;
+    if (seen.has(key)) return { url, reason: 'listed twice' };
+    seen.add(key);
+    return { url, platform: match.adapter.name, jobId: match.jobId };
+  });
+}
+
 /**
  * Build the resolved runtime configuration from CLI > .env > config.json.
  */
@@ -119,9 +208,9 @@ function resolveRuntime(cli) {
     ? cli.dryRun
     : (process.env.DRY_RUN !== undefined ? process.env.DRY_RUN === 'true' : false);
 
-  // Headless
-  const headless = cli.headless !== undefined
-    ? cli.headless
+  // Headless (--assist always runs headed so fields can be seen)
+  const headless = cli.assist ? false
+    : cli.headless !== undefined ? cli.headless
     : (process.env.HEADLESS !== undefined ? process.env.HEADLESS === 'true' : (config.behavior?.headless ?? true));
 
   // Max applications (per platform)
@@ -140,7 +229,14 @@ function resolveRuntime(cli) {
     ? process.env.SCREENSHOT_ON_ERROR !== 'false'
     : (config.behavior?.screenshotOnError !== false);
 
-  return { platformFilter, dryRun, headless, maxApplications, delayMin, delayMax, screenshotOnError };
+  // Mode (CLI > .env > config.json); job URLs are always applied to directly
+  const mode = cli.urls.length > 0 ? 'auto' : (cli.mode || process.env.MODE || config.behavior?.mode || 'auto');
+  if (!MODES.includes(mode)) {
+    console.error(`Error: MODE / behavior.mode must be one of ${MODES.join(', ')} (got "${mode}")`);
+    process.exit(2);
+  }
+
+  return { platformFilter, dryRun, headless, maxApplications, delayMin, delayMax, screenshotOnError, mode, assist: cli.assist };
 }
 
 /**
@@ -148,12 +244,13 @@ function resolveRuntime(cli) {
  * Uses DB-accurate counts (via state.getRunStats) so dry_run vs submitted
  * are correctly distinguished regardless of what in-memory stats return.
  */
-async function printSummaryReport(runId, startTime, sessionStats) {
+async function printSummaryReport(runId, startTime, sessionStats, urlEntries = [], mode = 'auto') {
   const duration = Math.round((Date.now() - startTime) / 1000 / 60);
   const today = new Date().toISOString().slice(0, 10);
 
   // Pull accurate per-status counts from the database
   const dbStats = state.getRunStats(runId);
+  const queueStats = mode === 'discover' ? state.getQueueRunCounts(runId) : {};
 
   const lines = [
     '═'.repeat(55),
@@ -167,6 +264,9 @@ async function printSummaryReport(runId, startTime, sessionStats) {
   let totalApplied = 0;
   let totalSkipped = 0;
   let totalErrors = 0;
+  let totalReview = 0;
+  let totalQueued = 0;
+  let totalIneligible = 0;
   const sessionStatus = [];
 
   for (const [platform, sessionStat] of Object.entries(sessionStats)) {
@@ -175,30 +275,67 @@ async function printSummaryReport(runId, startTime, sessionStats) {
       sessionStatus.push(`${platform} ✗ (expired)`);
       continue;
     }
+    // Discover runs record nothing in applications; count the queue instead
+    if (mode === 'discover') {
+      const { eligible = 0, ineligible = 0 } = queueStats[platform] || {};
+      totalQueued += eligible;
+      totalIneligible += ineligible;
+      totalErrors += sessionStat.errors || 0;
+      lines.push(`  ${platform.padEnd(10)}: ${eligible} queued | ${ineligible} ineligible | ${sessionStat.errors || 0} errors`);
+      sessionStatus.push(`${platform} ✓`);
+      continue;
+    }
     const platformStats = dbStats[platform] || { applied: 0, skipped: 0, errors: 0, dry_run: 0 };
-    const { applied = 0, skipped = 0, errors = 0, dry_run = 0 } = platformStats;
+    const { applied = 0, skipped = 0, errors = 0, dry_run = 0, needs_review = 0 } = platformStats;
     totalApplied += applied + dry_run;
     totalSkipped += skipped;
     totalErrors += errors;
+    totalReview += needs_review;
 
-    const statusLine = dry_run > 0
+    let statusLine = dry_run > 0
       ? `  ${platform.padEnd(10)}: ${dry_run} dry_run | ${skipped} skipped | ${errors} errors`
       : `  ${platform.padEnd(10)}: ${applied} applied | ${skipped} skipped | ${errors} errors`;
+    if (needs_review > 0) statusLine += ` | ${needs_review} needs review`;
     lines.push(statusLine);
     sessionStatus.push(`${platform} ✓`);
   }
 
+  // --urls: the latest outcome of every listed URL, or why it was not run
+  if (urlEntries.length > 0) {
+    const rows = state.getRunApplications(runId);
+    lines.push('─'.repeat(55));
+    lines.push('  URLS');
+    for (const entry of urlEntries) {
+      const row = entry.platform && rows.filter((r) => r.platform === entry.platform && r.jobId === entry.jobId).pop();
+      let result;
+      if (entry.reason) result = `unsupported: ${entry.reason}`;
+      else if (!row) result = sessionStats[entry.platform] === null ? 'not run (session expired)' : 'not run';
+      else if (row.status === 'error') result = `error: ${row.errorMessage}`;
+      else result = row.skipReason ? `${row.status} (${row.skipReason})` : row.status;
+      lines.push(`  ${entry.url}`);
+      lines.push(`    → ${entry.platform ? `${entry.platform}: ` : ''}${result}`);
+    }
+  }
+
   const unmatchedCount = state.getUnfilledFieldsCount(runId);
 
   lines.push('─'.repeat(55));
-  lines.push(`  TOTAL:      ${totalApplied} applied | ${totalSkipped} skipped | ${totalErrors} errors`);
+  lines.push(mode === 'discover'
+    ? `  TOTAL:      ${totalQueued} queued | ${totalIneligible} ineligible | ${totalErrors} errors`
+    : `  TOTAL:      ${totalApplied} applied | ${totalSkipped} skipped | ${totalErrors} errors`);
   lines.push(`  Sessions:  ${sessionStatus.join(' | ')}`);
   lines.push(`  Unmatched Fields: ${unmatchedCount} new (see unfilled_fields table)`);
+  if (totalReview > 0) {
+    lines.push(`  Needs Review: ${totalReview} held for low-confidence answers (node benchmark.js --run ${runId})`);
+  }
+  if (mode === 'discover') {
+    lines.push(`  Queue:     review with node queue.js list, then node index.js --mode apply`);
+  }
   lines.push('═'.repeat(55));
 
   const report = lines.join('\n');
   console.log('\n' + report + '\n');
-  logger.info({ runId, totalApplied, totalSkipped, totalErrors }, 'Run complete');
+  logger.info({ runId, totalApplied, totalSkipped, totalErrors, totalReview }, 'Run complete');
 
   return report;
 }
@@ -235,10 +372,10 @@ async function main() {
   const runId = state.createRun();
 
   // Log resolved runtime config so the user always knows what's active
-  console.log(`Runtime config: max=${runtime.maxApplications || 'per-platform default'}, headless=${runtime.headless}, dryRun=${runtime.dryRun}, platforms=${runtime.platformFilter || 'all enabled'}, delays=${runtime.delayMin}-${runtime.delayMax}ms`);
+  console.log(`Runtime config: mode=${runtime.mode}${runtime.assist ? ' (assist)' : ''}, max=${runtime.maxApplications || 'per-platform default'}, headless=${runtime.headless}, dryRun=${runtime.dryRun}, platforms=${runtime.platformFilter || 'all enabled'}, delays=${runtime.delayMin}-${runtime.delayMax}ms`);
 
   logger.info(
-    { runId, dryRun: runtime.dryRun, platformFilter: runtime.platformFilter || 'all' },
+    { runId, mode: runtime.mode, dryRun: runtime.dryRun, platformFilter: runtime.platformFilter || 'all' },
     `Starting job application run${runtime.dryRun ? ' [DRY RUN]' : ''}`
   );
 
@@ -252,37 +389,20 @@ async function main() {
   config.behavior.maxDelayBetweenApplications = runtime.delayMax;
   config.behavior.screenshotOnError = runtime.screenshotOnError;
   config.behavior.headless = runtime.headless;
+  config.behavior.mode = runtime.mode;
+  config.behavior.assist = runtime.assist;
 
   const runStats = {};
-  const enabledPlatforms = Object.entries(config.platforms)
-    .filter(([name, cfg]) => {
-      if (!cfg.enabled) return false;
-      if (runtime.platformFilter && name !== runtime.platformFilter) return false;
-      return true;
-    })
-    .map(([name]) => name);
-
-  if (enabledPlatforms.length === 0) {
-    const msg = runtime.platformFilter
-      ? `Platform "${runtime.platformFilter}" is disabled in config.json (set enabled: true to use it).`
-      : 'No platforms are enabled in config.json.';
-    logger.error({ platformFilter: runtime.platformFilter }, msg);
-    console.error('Error:', msg);
-    process.exit(2);
-  }
-
-  logger.info({ platforms: enabledPlatforms }, 'Will process platforms');
 
-  // Process each platform sequentially
-  for (const platform of enabledPlatforms) {
+  /**
+   * Launch the platform's persistent context, check the session and run
+   * `run(page, platformLogger)`, recording its stats in runStats.
+   */
+  async function runPlatform(platform, run) {
+    const adapter = ADAPTERS.get(platform);
     const platformLogger = logger.child({ platform });
     platformLogger.info('Processing platform');
 
-    // Apply global max override if set, otherwise use per-platform default
-    if (runtime.maxApplications) {
-      config.platforms[platform].maxApplicationsPerRun = runtime.maxApplications;
-    }
-
     let context = null;
     let page = null;
 
@@ -293,20 +413,18 @@ async function main() {
       page = launched.page;
 
       // Check if user is still logged in
-      const loggedIn = await checkLoginStatus(page, platform);
+      const loggedIn = await checkLoginStatus(page, adapter);
       if (!loggedIn) {
         platformLogger.warn(
           `Session expired for ${platform}. Skipping. Run: node setup.js --platform ${platform}`
         );
         runStats[platform] = null; // Mark as skipped due to session
-        continue;
+        return;
       }
 
       platformLogger.info('Session valid — starting application loop');
 
-      // Run the platform-specific apply module
-      const applyFn = PLATFORM_MODULES[platform];
-      const platformStats = await applyFn(page, config, defaultAnswers, state, runId, platformLogger, runtime.dryRun);
+      const platformStats = await run(page, platformLogger);
 
       runStats[platform] = platformStats;
       platformLogger.info(platformStats, 'Platform complete');
@@ -325,6 +443,89 @@ async function main() {
     }
   }
 
+  // --url / --urls: apply to the listed postings only, on whichever
+  // platforms they belong to (enabled or not), without searching
+  const urlEntries = resolveJobUrls(cli.urls);
+  if (urlEntries.length > 0) {
+    const byPlatform = new Map();
+    for (const entry of urlEntries) {
+      if (entry.reason) {
+        logger.warn({ url: entry.url, reason: entry.reason }, 'Cannot apply to URL');
+        continue;
+      }
+      if (!byPlatform.has(entry.platform)) byPlatform.set(entry.platform, []);
+      byPlatform.get(entry.platform).push({ jobId: entry.jobId, jobUrl: entry.url });
+    }
+    logger.info({ urls: urlEntries.length, platforms: [...byPlatform.keys()] }, 'Applying to job URLs');
+
+    for (const [platform, jobs] of byPlatform) {
+      await runPlatform(platform, (page, platformLogger) =>
+        applyToJobs(ADAPTERS.get(platform), page, jobs, config, defaultAnswers, state, runId, platformLogger, runtime.dryRun));
+    }
+  } else if (runtime.mode === 'apply') {
+    // --mode apply: the queue entries approved with queue.js, oldest first,
+    // on whichever platforms they belong to
+    const approved = state.getQueuedJobs({ status: 'approved', platform: runtime.platformFilter || undefined });
+    const byPlatform = new Map();
+    for (const entry of approved) {
+      const adapter = ADAPTERS.get(entry.platform);
+      if (!adapter || !adapter.openJobUrl || !entry.jobUrl) {
+        const reason = entry.jobUrl ? `no ${entry.platform} adapter with openJobUrl()` : 'no job URL was found';
+        logger.warn({ platform: entry.platform, jobId: entry.jobId, queueId: entry.id }, `Cannot apply to queued job — ${reason}`);
+        continue;
+      }
+      if (!byPlatform.has(entry.platform)) byPlatform.set(entry.platform, []);
+      const jobs = byPlatform.get(entry.platform);
+      if (runtime.maxApplications && jobs.length >= runtime.maxApplications) continue;
+      const { jobId, jobUrl, searchName, jobTitle, company, location } = entry;
+      jobs.push({ jobId, jobUrl, queueId: entry.id, searchName, jobTitle, company, location });
+    }
+    if (byPlatform.size === 0) {
+      console.log('No approved jobs in the queue. Run with --mode discover, then approve jobs with node queue.js approve.');
+    }
+    logger.info({ approved: approved.length, platforms: [...byPlatform.keys()] }, 'Applying to approved queue entries');
+
+    for (const [platform, jobs] of byPlatform) {
+      await runPlatform(platform, (page, platformLogger) =>
+        applyToJobs(ADAPTERS.get(platform), page, jobs, config, defaultAnswers, state, runId, platformLogger, runtime.dryRun));
+    }
+  } else {
+    const enabledPlatforms = Object.entries(config.platforms)
+      .filter(([name, cfg]) => {
+        if (!cfg.enabled) return false;
+        if (runtime.platformFilter && name !== runtime.platformFilter) return false;
+        if (!ADAPTERS.has(name)) {
+          logger.warn({ platform: name }, `No adapter found for "${name}" — add it to modules/ or config.adapters`);
+          return false;
+        }
+        return true;
+      })
+      .map(([name]) => name);
+
+    if (enabledPlatforms.length === 0) {
+      const msg = runtime.platformFilter
+        ? `Platform "${runtime.platformFilter}" is disabled in config.json (set enabled: true to use it).`
+        : 'No platforms are enabled in config.json.';
+      logger.error({ platformFilter: runtime.platformFilter }, msg);
+      console.error('Error:', msg);
+      process.exit(2);
+    }
+
+    logger.info({ platforms: enabledPlatforms }, 'Will process platforms');
+
+    // Process each platform sequentially
+    for (const platform of enabledPlatforms) {
+      // Apply global max override if set, otherwise use per-platform default
+      if (runtime.maxApplications) {
+        config.platforms[platform].maxApplicationsPerRun = runtime.maxApplications;
+      }
+
+      // Run the platform-specific apply flow
+      await runPlatform(platform, (page, platformLogger) =>
+        ADAPTERS.get(platform).apply(page, config, defaultAnswers, state, runId, platformLogger, runtime.dryRun));
+    }
+  }
+
   // Save run stats and print summary
   const aggregatedStats = {};
   for (const [platform, stats] of Object.entries(runStats)) {
@@ -334,7 +535,7 @@ async function main() {
   }
 
   state.completeRun(runId, aggregatedStats);
-  await printSummaryReport(runId, startTime, runStats);
+  await printSummaryReport(runId, startTime, runStats, urlEntries, runtime.mode);
 
   process.exit(0);
 }
@@ -0,0 +1,171 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
+
+/**
+ * Platform adapter contract.
+ *
+ * Every job board is described by one adapter object. The orchestrator,
+ * setup.js and the login check discover boards from these objects instead of
+ * hard-coded tables, so adding a board means adding one file to modules/
+ * (or installing an npm package and listing it in config.adapters).
+ *
+ * Required members:
+ *   name          {string}   platform key used in config.platforms, the DB and CLI flags
+ *   displayName   {string}   human-readable name for logs and setup output
+ *   setup         {{ url: string, instructions: string[] }}  manual login page for setup.js
+ *   login         {{ url: string, isExpired: (page) => Promise<boolean> }}
+ *                            authenticated page to visit, and how to tell the session is gone
+ *   buildSearchUrl(config)         → string
+ *   listCards(page)                → Promise<ElementHandle[]>  job cards on the current results page
+ *   extractJobId(card)             → Promise<string|null>
+ *   isBlocked(page)                → Promise<boolean>  CAPTCHA / bot-check / challenge page
+ *   apply(page, config, defaultAnswers, state, runId, logger, dryRun)
+ *                                  → Promise<{ applied, skipped, errors }>
+ *
+ * Built-in adapters implement apply() by handing themselves to
+ * runApplyLoop() in lib/apply-engine.js, which owns pagination, dedup,
+ * retries, recording and pacing. Such adapters also provide the engine hooks
+ * documented there: waitForResults, readCard, openJob, applyToJob and
+ * nextPage, plus the optional filterCard, readDetails, checkSession,
+ * recover, returnToResults and blockedMessage.
+ *
+ * Optional members:
+ *   tracker       {{ url, cards, status?, next? }}  applied-jobs dashboard read by
+ *                            track.js; see lib/status-tracker.js
+ *   translateSearch(criteria)      → { url, unsupported }  search URL for the
+ *                            normalized config.search, and the criteria the engine
+ *                            must post-filter; see lib/search-criteria.js
+ *   parseJobUrl(url)               → string|null  job id when the URL is one of the
+ *                            board's postings
+ *   openJobUrl(page, job, ctx)     → Promise<outcome|null>  open a posting from its
+ *                            URL; both are needed for index.js --urls and --mode
+ *                            apply (applyToJobs in lib/apply-engine.js)
+ */
+const REQUIRED_FUNCTIONS = ['buildSearchUrl', 'listCards', 'extractJobId', 'isBlocked', 'apply'];
+
+/**
+ * Throw if an object does not satisfy the adapter contract.
+ * @param {object} adapter
+ * @param {string} source - where the adapter came from (for the error message)
+ */
+function validateAdapter(adapter, source) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error(`Adapter from ${source} does not export an adapter object`);
+  }
+  if (typeof adapter.name !== 'string' || !/^[a-z0-9_-]+$/.test(adapter.name)) {
+    throw new Error(`Adapter from ${source} has an invalid name (lowercase letters, digits, "-" and "_" only)`);
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[fn] !== 'function') {
+      throw new Error(`Adapter "${adapter.name}" (${source}) is missing ${fn}()`);
+    }
+  }
+  if (!adapter.login?.url || typeof adapter.login.isExpired !== 'function') {
+    throw new Error(`Adapter "${adapter.name}" (${source}) is missing login.url / login.isExpired()`);
+  }
+  if (!adapter.setup?.url) {
+    throw new Error(`Adapter "${adapter.name}" (${source}) is missing setup.url`);
+  }
+}
+
+/**
+ * Pull the adapter out of a required module. Accepts `module.exports = adapter`
+ * as well as `module.exports = { adapter }`.
+ */
+function unwrapAdapter(mod) {
+  return mod && mod.adapter ? mod.adapter : mod;
+}
+
+/**
+ * Discover all platform adapters.
+ *
+ * Built-in adapters are the .js files in modules/ (files starting with "_"
+ * are ignored). Extra adapters can be installed as npm packages and listed by
+ * package name in config.adapters; a package adapter may not reuse the name
+ * of an existing one.
+ *
+ * @param {object} [config] - full config.json (only `adapters` is read)
+ * @returns {Map<string, object>} platform name → adapter
+ */
+function loadAdapters(config = {}) {
+  const adapters = new Map();
+
+  const register = (adapter, source) => {
+    validateAdapter(adapter, source);
+    if (adapters.has(adapter.name)) {
+      throw new Error(`Duplicate adapter name "${adapter.name}" (${source})`);
+    }
+    adapters.set(adapter.name, { displayName: adapter.name, ...adapter });
+  };
+
+  const files = fs.readdirSync(MODULES_DIR)
+    .filter((f) => f.endsWith('.js') && !f.startsWith('_'))
+    .sort();
+  for (const file of files) {
+    register(unwrapAdapter(require(path.join(MODULES_DIR, file))), `modules/${file}`);
+  }
+
+  for (const pkg of config.adapters || []) {
+    let resolved;
+    try {
+      resolved = require.resolve(pkg, { paths: [process.cwd(), path.join(__dirname, '..')] });
+    } catch (_) {
+      throw new Error(`Adapter package "${pkg}" is listed in config.adapters but is not installed (npm install ${pkg})`);
+    }
+    register(unwrapAdapter(require(resolved)), `package ${pkg}`);
+  }
+
+  return adapters;
+}
+
+// Second-level labels country domains register under: co.uk, com.au, ac.jp
+const SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or']);
+
+/**
+ * The registrable part of a host name: jobs.example.co → example.co,
+ * careers.example.co.uk → example.co.uk.
+ */
+function siteOf(host) {
+  const labels = host.toLowerCase().replace(/\.$/, '').split('.');
+  const suffix = labels.length > 2 && labels.at(-1).length === 2 && SECOND_LEVEL.has(labels.at(-2)) ? 3 : 2;
+  return labels.slice(-suffix).join('.');
+}
+
+/**
+ * Find the adapter and job id for a posting URL (index.js --urls).
+ *
+ * @param {Map<string, object>} adapters - from loadAdapters()
+ * @param {string} url
+ * @returns {{ adapter: object, jobId: string }|{ reason: string }} reason says why
+ *   the URL cannot be applied to
+ */
+function matchJobUrl(adapters, url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (_) {
+    return { reason: 'not a URL' };
+  }
+
+  for (const adapter of adapters.values()) {
+    if (typeof adapter.parseJobUrl !== 'function' || typeof adapter.openJobUrl !== 'function') continue;
+    const jobId = adapter.parseJobUrl(url);
+    if (jobId) return { adapter, jobId };
+  }
+
+  const board = [...adapters.values()].find((a) => siteOf(new URL(a.login.url).hostname) === siteOf(host));
+  if (!board) return { reason: 'external or unsupported site' };
+  return typeof board.openJobUrl === 'function'
+    ? { reason: `not a ${board.displayName} job posting URL` }
+    : { reason: `${board.displayName} adapter cannot open job URLs` };
+}
+
+module.exports = {
+  loadAdapters,
+  validateAdapter,
+  matchJobUrl,
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Generated answers for free-text screening questions ("Why do you want to
+ * work here?", "Describe a project using Spark") that no answer rule covers.
+ *
+ * An answer provider has the shape
+ *
+ *   { name, confidence, answer(question, job) → Promise<string|null> }
+ *
+ * fillForm() asks it for textareas it could not answer and leaves the field
+ * unfilled when it returns null. The built-in provider calls an
+ * OpenAI-compatible chat completions endpoint (llama.cpp server, Ollama,
+ * vLLM, ...), configured in config.answerProvider:
+ *
+ *   "answerProvider": {
+ *     "enabled": true,
+ *     "baseUrl": "http://127.0.0.1:11434/v1",
+ *     "model": "llama3.1:8b",
+ *     "apiKeyEnv": "LLM_API_KEY",
+ *     "profilePath": "./profile.md",
+ *     "maxChars": 600,
+ *     "timeoutMs": 30000,
+ *     "confidence": 0.5
+ *   }
+ *
+ * The prompt holds the question, the job title, company and description, and
+ * the profile file (a plain-text summary of experience to draw on). Answers
+ * are cached by normalized question, so each question costs one request;
+ * questions about the employer ("why here", "our mission") are cached per
+ * company. `confidence` is the score the answer gets against
+ * behavior.minAnswerConfidence — by default below it, so the 'flag' and
+ * 'abort' low-confidence policies hold generated text for review.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeLabel } = require('./answers');
+
+const DEFAULT_MAX_CHARS = 600;
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Characters of job description sent with the question
+const DESCRIPTION_SAMPLE = 4000;
+
+// Questions whose answer depends on the employer are cached per company
+const COMPANY_SPECIFIC = /\b(here|us|our|this (company|organization|team|role|position|job)|why (do you want|are you interested))\b/i;
+
+/**
+ * Cache key for a question: its normalized text, plus the company when the
+ * question is about the employer.
+ */
+function cacheKey(question, job) {
+  const key = normalizeLabel(question);
+  return COMPANY_SPECIFIC.test(question) && job.company ? `${key} @${normalizeLabel(job.company)}` : key;
+}
+
+/**
+ * Tidy model output and cut it to maxChars, at a sentence end when one is
+ * close enough, else at a word boundary.
+ */
+function clampAnswer(text, maxChars) {
+  let answer = String(text || '')
+    .replace(/^\s*(answer|response)\s*:\s*/i, '')
+    .replace(/^["']|["']$/g, '')
+    .trim();
+  if (answer.length <= maxChars) return answer;
+
+  answer = answer.slice(0, maxChars);
+  const sentenceEnd = Math.max(answer.lastIndexOf('. '), answer.lastIndexOf('! '), answer.lastIndexOf('? '));
+  if (sentenceEnd > maxChars * 0.5) return answer.slice(0, sentenceEnd + 1);
+  return answer.replace(/\s+\S*$/, '');
+}
+
+function buildMessages(question, job, profile, maxChars) {
+  const description = String(job.details?.description || '').slice(0, DESCRIPTION_SAMPLE);
+  return [
+    {
+      role: 'system',
+      content: [
+        'You answer job application screening questions on behalf of the candidate described below.',
+        `Write in the first person, plainly and specifically, in at most ${maxChars} characters.`,
+        'Use only facts from the profile; never invent employers, degrees, dates or numbers.',
+        'Reply with the answer text only.',
+        '',
+        'Candidate profile:',
+        profile,
+      ].join('\n'),
+    },
+    {
+      role: 'user',
+      content: [
+        `Job: ${job.jobTitle || 'Unknown title'} at ${job.company || 'Unknown company'}`,
+        description ? `Job description:\n${description}` : '',
+        `Question: ${question}`,
+      ].filter(Boolean).join('\n\n'),
+    },
+  ];
+}
+
+/**
+ * POST to {baseUrl}/chat/completions and return the reply text.
+ */
+async function requestCompletion(options, messages) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+
+  const res = await fetch(`${options.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: options.model, messages, temperature: 0.3 }),
+    signal: AbortSignal.timeout(options.timeoutMs),
+  });
+  if (!res.ok) throw new Error(`answer provider returned HTTP ${res.status}`);
+  const data = await res.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') throw new Error('answer provider returned no message content');
+  return content;
+}
+
+/**
+ * Build the configured answer provider.
+ *
+ * @param {object} config - full config.json
+ * @param {{ get: (key: string) => string|undefined, set: (key: string, question: string, answer: string, model: string) => void }} [cache]
+ *   persistent cache (the engine passes one backed by the generated_answers table)
+ * @param {object} [logger]
+ * @returns {object|null} null when config.answerProvider is missing or disabled
+ */
+function createAnswerProvider(config, cache = null, logger = null) {
+  const raw = config.answerProvider;
+  if (!raw || !raw.enabled) return null;
+
+  if (typeof raw.baseUrl !== 'string' || typeof raw.model !== 'string') {
+    throw new Error('answerProvider needs "baseUrl" and "model"');
+  }
+  let profile = '';
+  if (raw.profilePath) {
+    const file = path.resolve(process.cwd(), raw.profilePath);
+    if (!fs.existsSync(file)) throw new Error(`answerProvider.profilePath not found: ${raw.profilePath}`);
+    profile = fs.readFileSync(file, 'utf8').trim();
+  }
+
+  const options = {
+    baseUrl: raw.baseUrl,
+    model: raw.model,
+    apiKey: raw.apiKeyEnv ? process.env[raw.apiKeyEnv] : undefined,
+    maxChars: raw.maxChars ?? DEFAULT_MAX_CHARS,
+    timeoutMs: raw.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+  };
+  const memory = new Map();
+
+  return {
+    name: `llm:${options.model}`,
+    confidence: raw.confidence ?? DEFAULT_CONFIDENCE,
+
+    async answer(question, job) {
+      const key = cacheKey(question, job);
+      const cached = memory.get(key) ?? cache?.get(key);
+      if (cached) return cached;
+
+      try {
+        const text = clampAnswer(await requestCompletion(options, buildMessages(question, job, profile, options.maxChars)), options.maxChars);
+        if (!text) return null;
+        memory.set(key, text);
+        cache?.set(key, question, text, options.model);
+        return text;
+      } catch (err) {
+        logger?.warn({ question, error: err.message }, 'Answer provider failed — leaving field empty');
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  cacheKey,
+  clampAnswer,
+  createAnswerProvider,
+};
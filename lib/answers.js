@@ -0,0 +1,417 @@
+'use strict';
+
+/**
+ * Answer rules for screener questions.
+ *
+ * defaultAnswers.json accepts two shapes, and both may appear in one file:
+ *
+ *   1. The original flat map, matched fuzzily against the field label:
+ *        { "defaultAnswers": { "desired salary": "120000", ... } }
+ *
+ *   2. Rules with matchers, conditions and typed values:
+ *        {
+ *          "skills": { "python": 5, "sql": 4, "kubernetes": 1 },
+ *          "rules": [
+ *            { "match": { "keywords": ["sponsorship"] }, "value": false, "type": "boolean" },
+ *            { "match": { "regex": "salary|compensation" }, "value": 150000, "type": "number",
+ *              "when": { "platform": "dice" } },
+ *            { "match": { "label": "earliest start date" }, "value": "+14d", "type": "date" },
+ *            { "match": { "label": "education level" }, "value": "Master's Degree", "type": "enum",
+ *              "aliases": ["Masters", "MS", "Graduate degree"] }
+ *          ]
+ *        }
+ *
+ * Matchers (all given matchers must pass; labels are normalized first):
+ *   label     fuzzy match, same threshold as the flat map
+ *   keywords  every keyword appears in the label as a whole word
+ *   exclude   none of these keywords appear in the label
+ *   regex     case-insensitive regular expression
+ *
+ * Conditions in `when` restrict a rule to a platform and/or company (string
+ * or array, compared case-insensitively). When several rules match, a
+ * company-specific rule beats a platform-specific one, which beats a general
+ * one; ties go to the rule listed first. Rules are tried before the flat map.
+ *
+ * `skills` is shorthand for per-skill rules: "years ... experience ... <skill>"
+ * answers the number, "experience with <skill>" answers Yes when it is > 0.
+ *
+ * Types: string (default), number, boolean, date, enum. Dates are ISO
+ * (2026-01-15), "today", "immediately", relative ("+14d", "+2w") or a notice
+ * period ("2 weeks notice"), see lib/dates.js; `format` sets the text shape
+ * (default MM/DD/YYYY) where the field does not show one. A number may be a [low, high] pair for range
+ * questions ("value": [120000, 140000]); lib/numeric.js shapes numbers for the
+ * field (pay period, thousands, min/max), and salaries are given per year.
+ */
+
+const stringSimilarity = require('string-similarity');
+const { parseNumber } = require('./numeric');
+const { toDate, formatDate, dateFormat } = require('./dates');
+
+const FUZZY_THRESHOLD = 0.6;
+
+// Answers below this confidence are "low confidence" for
+// behavior.lowConfidencePolicy unless behavior.minAnswerConfidence overrides it
+const MIN_CONFIDENCE = 0.75;
+
+// Confidence given to a rule label that only matched as a substring
+const SUBSTRING_CONFIDENCE = 0.8;
+
+const VALUE_TYPES = new Set(['string', 'number', 'boolean', 'date', 'enum']);
+
+// Keywords that also match their plural ("year" matches "5 years")
+const PLURAL_KEYWORDS = new Set(['year']);
+
+// Cache compiled answer sets per defaultAnswers object so fillForm can call
+// loadAnswers() on every step without recompiling regexes.
+const compiled = new WeakMap();
+
+// Whole-word patterns per keyword, built on first use
+const keywordPatterns = new Map();
+
+/**
+ * Normalize a label string for fuzzy matching:
+ * - lowercase
+ * - strip punctuation
+ * - trim whitespace
+ * - collapse multiple spaces
+ */
+function normalizeLabel(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the best matching flat answer for a label, with how sure the match is:
+ * the string-similarity rating, or for a substring hit the share of the
+ * longer string that the shorter one covers.
+ *
+ * @param {string} label - the normalized field label
+ * @param {object} defaultAnswers - key/value map from defaultAnswers.json
+ * @returns {{ key: string, value: string, confidence: number }|null}
+ */
+function matchFlat(label, defaultAnswers) {
+  const keys = Object.keys(defaultAnswers);
+  if (keys.length === 0) return null;
+
+  const { bestMatch } = stringSimilarity.findBestMatch(label, keys);
+  if (bestMatch.rating >= FUZZY_THRESHOLD) {
+    return { key: bestMatch.target, value: defaultAnswers[bestMatch.target], confidence: bestMatch.rating };
+  }
+
+  // Also try direct substring inclusion as a fallback
+  for (const key of keys) {
+    if (label.includes(key) || key.includes(label)) {
+      const confidence = Math.min(key.length, label.length) / Math.max(key.length, label.length);
+      return { key, value: defaultAnswers[key], confidence };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the best matching answer from defaultAnswers for a given label.
+ * Uses string-similarity for fuzzy matching with a configurable threshold.
+ *
+ * @param {string} label - the normalized field label
+ * @param {object} defaultAnswers - key/value map from defaultAnswers.json
+ * @returns {string|null} - the matched answer, or null if no match
+ */
+function findAnswer(label, defaultAnswers) {
+  const match = matchFlat(label, defaultAnswers);
+  return match ? match.value : null;
+}
+
+/**
+ * Turn a string-or-array condition into a lowercase array.
+ */
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).toLowerCase());
+}
+
+/**
+ * Validate and compile one rule.
+ * @param {object} rule
+ * @param {string} where - position for error messages
+ */
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+  const match = rule.match;
+  if (!match || typeof match !== 'object' || !(match.label || match.keywords || match.regex)) {
+    throw new Error(`${where}: "match" needs at least one of label, keywords or regex`);
+  }
+  if (!('value' in rule)) throw new Error(`${where}: missing "value"`);
+
+  const type = rule.type || 'string';
+  if (!VALUE_TYPES.has(type)) {
+    throw new Error(`${where}: unknown type "${type}" (expected ${[...VALUE_TYPES].join(', ')})`);
+  }
+  const isRange = Array.isArray(rule.value);
+  if (type === 'number' && isRange
+    && (rule.value.length !== 2 || !rule.value.every((v) => Number.isFinite(Number(v))))) {
+    throw new Error(`${where}: a number range must be [low, high]`);
+  }
+  if (type === 'number' && !isRange && !Number.isFinite(Number(rule.value))) {
+    throw new Error(`${where}: value ${JSON.stringify(rule.value)} is not a number`);
+  }
+  if (type === 'boolean' && typeof rule.value !== 'boolean') {
+    throw new Error(`${where}: boolean rules need true or false as the value`);
+  }
+
+  let regex = null;
+  if (match.regex) {
+    try {
+      regex = new RegExp(match.regex, 'i');
+    } catch (err) {
+      throw new Error(`${where}: invalid regex (${err.message})`);
+    }
+  }
+
+  const platforms = toList(rule.when?.platform);
+  const companies = toList(rule.when?.company);
+
+  return {
+    label: match.label ? normalizeLabel(match.label) : null,
+    keywords: match.keywords ? match.keywords.map(normalizeLabel) : null,
+    exclude: match.exclude ? match.exclude.map(normalizeLabel) : null,
+    regex,
+    platforms,
+    companies,
+    specificity: (companies ? 2 : 0) + (platforms ? 1 : 0),
+    value: type === 'number' ? (isRange ? rule.value.map(Number).sort((a, b) => a - b) : Number(rule.value)) : rule.value,
+    type,
+    format: rule.format || null,
+    aliases: rule.aliases || [],
+    source: where,
+  };
+}
+
+/**
+ * Expand the `skills` shorthand into rules.
+ */
+function skillRules(skills) {
+  const rules = [];
+  for (const [skill, years] of Object.entries(skills)) {
+    const where = `skills.${skill}`;
+    if (!Number.isFinite(Number(years))) throw new Error(`${where}: years must be a number`);
+    const keyword = normalizeLabel(skill);
+    rules.push({
+      label: null, keywords: ['year', keyword], exclude: null, regex: null,
+      platforms: null, companies: null, specificity: 0,
+      value: Number(years), type: 'number', format: null, aliases: [], source: where,
+    });
+    rules.push({
+      label: null, keywords: ['experience', keyword], exclude: null, regex: null,
+      platforms: null, companies: null, specificity: 0,
+      value: Number(years) > 0, type: 'boolean', format: null, aliases: [], source: where,
+    });
+  }
+  return rules;
+}
+
+/**
+ * Load a defaultAnswers.json object into an answer set. Accepts the original
+ * flat map (wrapped in `defaultAnswers` or bare) as well as the rules format.
+ * Throws on malformed rules so bad configs fail at startup.
+ *
+ * @param {object} raw - parsed defaultAnswers.json
+ * @returns {{ rules: object[], flat: object }}
+ */
+function loadAnswers(raw) {
+  if (compiled.has(raw)) return compiled.get(raw);
+
+  const hasRules = Array.isArray(raw.rules) || (raw.skills && typeof raw.skills === 'object');
+  const flat = raw.defaultAnswers || (hasRules ? {} : raw);
+
+  const rules = [
+    ...(raw.rules || []).map((rule, i) => compileRule(rule, `rules[${i}]`)),
+    ...skillRules(raw.skills || {}),
+  ];
+
+  const answerSet = { rules, flat };
+  compiled.set(raw, answerSet);
+  return answerSet;
+}
+
+/**
+ * The flat answer map inside a parsed defaultAnswers.json, for writing new
+ * answers (created if missing). Files in the bare legacy shape are the map
+ * themselves.
+ *
+ * @param {object} raw - parsed defaultAnswers.json
+ * @returns {object}
+ */
+function flatAnswers(raw) {
+  if (raw.defaultAnswers) return raw.defaultAnswers;
+  if (raw.rules || raw.skills) {
+    raw.defaultAnswers = {};
+    return raw.defaultAnswers;
+  }
+  return raw;
+}
+
+/**
+ * Whether a keyword occurs in the label as a whole word, so "java" does not
+ * match "javascript" nor "r" match "react".
+ */
+function hasKeyword(label, keyword) {
+  let pattern = keywordPatterns.get(keyword);
+  if (!pattern) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pattern = new RegExp(`\\b${escaped}${PLURAL_KEYWORDS.has(keyword) ? 's?' : ''}\\b`);
+    keywordPatterns.set(keyword, pattern);
+  }
+  return pattern.test(label);
+}
+
+/**
+ * Match one rule against a label.
+ * @returns {number} confidence of the match, 0 when the rule does not apply
+ */
+function ruleMatches(rule, label, context) {
+  if (rule.platforms && !rule.platforms.includes(String(context.platform || '').toLowerCase())) return 0;
+  if (rule.companies && !rule.companies.includes(String(context.company || '').toLowerCase())) return 0;
+
+  if (rule.keywords && !rule.keywords.every((k) => hasKeyword(label, k))) return 0;
+  if (rule.exclude && rule.exclude.some((k) => hasKeyword(label, k))) return 0;
+  if (rule.regex && !rule.regex.test(label)) return 0;
+  if (rule.label) {
+    const rating = stringSimilarity.compareTwoStrings(label, rule.label);
+    if (rating >= FUZZY_THRESHOLD) return rating;
+    if (!label.includes(rule.label)) return 0;
+    return SUBSTRING_CONFIDENCE;
+  }
+  // keywords and regex are written for the question, so a hit is certain
+  return 1;
+}
+
+/**
+ * Resolve the answer for a field label.
+ *
+ * @param {string} label - the normalized field label
+ * @param {object} answerSet - from loadAnswers()
+ * @param {{ platform?: string, company?: string }} [context]
+ * `source` names the answer used: "rules[3]", "skills.python" or
+ * 'defaultAnswers["desired salary"]'. `confidence` (0–1) is 1 for keyword/regex rules and the similarity rating
+ * for fuzzy label and flat-map matches; see MIN_CONFIDENCE.
+ *
+ * @returns {{ value: *, type: string, format: string|null, aliases: string[], source: string, confidence: number }|null}
+ */
+function resolveAnswer(label, answerSet, context = {}) {
+  if (!label) return null;
+
+  let best = null;
+  let confidence = 0;
+  for (const rule of answerSet.rules) {
+    if (best && rule.specificity <= best.specificity) continue;
+    const score = ruleMatches(rule, label, context);
+    if (score > 0) {
+      best = rule;
+      confidence = score;
+    }
+  }
+  if (best) {
+    return { value: best.value, type: best.type, format: best.format, aliases: best.aliases, source: best.source, confidence };
+  }
+
+  const flat = matchFlat(label, answerSet.flat);
+  if (flat === null) return null;
+  return { value: flat.value, type: 'string', format: null, aliases: [], source: `defaultAnswers[${JSON.stringify(flat.key)}]`, confidence: flat.confidence };
+}
+
+/**
+ * Render a resolved answer as the text to type into an input.
+ *
+ * @param {object} answer - from resolveAnswer()
+ * @param {string} [inputType] - the input's type attribute
+ * @returns {string}
+ */
+function answerToText(answer, inputType = 'text') {
+  switch (answer.type) {
+    case 'boolean':
+      return answer.value ? 'Yes' : 'No';
+    case 'number':
+      return Array.isArray(answer.value) ? answer.value.join('-') : String(answer.value);
+    case 'date': {
+      const date = toDate(answer.value);
+      if (!date) return String(answer.value);
+      // <input type="date"> always takes ISO regardless of display format
+      return formatDate(date, dateFormat({ type: inputType }) || answer.format || 'MM/DD/YYYY');
+    }
+    default:
+      return String(answer.value);
+  }
+}
+
+/**
+ * Parse the numeric range an option describes, e.g. "3-5 years", "10+",
+ * "Less than 1 year", "More than 7".
+ * @returns {{ min: number, max: number }|null}
+ */
+function optionRange(text) {
+  const t = text.toLowerCase().replace(/,/g, '');
+  const nums = (t.match(/\d+(\.\d+)?(\s*k\b)?/g) || []).map(parseNumber);
+  if (nums.length === 0) return null;
+  if (nums.length >= 2) return { min: nums[0], max: nums[1] };
+  if (/\+|or more|more than|over|at least/.test(t)) return { min: nums[0], max: Infinity };
+  if (/less than|under|fewer than|below/.test(t)) return { min: -Infinity, max: nums[0] - Number.EPSILON };
+  return { min: nums[0], max: nums[0] };
+}
+
+/**
+ * Pick the option a typed answer points to, for selects, radio groups and
+ * custom dropdowns. Numbers choose the option whose range contains them,
+ * booleans choose Yes/No, enums try the value and then its aliases.
+ * Returns the text to fuzzy-match against the options.
+ *
+ * @param {object} answer - from resolveAnswer()
+ * @param {string[]} options - visible option labels
+ * @returns {string}
+ */
+function answerForOptions(answer, options) {
+  const clean = options.map((o) => (o || '').trim()).filter(Boolean);
+
+  if (answer.type === 'number') {
+    // A range answer picks by its low end
+    const value = Array.isArray(answer.value) ? answer.value[0] : answer.value;
+    const exact = clean.find((o) => Number(o) === value);
+    if (exact) return exact;
+    const inRange = clean.find((o) => {
+      const r = optionRange(o);
+      return r && value >= r.min && value <= r.max;
+    });
+    if (inRange) return inRange;
+  }
+
+  if (answer.type === 'boolean') {
+    const want = answer.value ? /^(yes|true|y)\b/i : /^(no|false|n)\b/i;
+    const hit = clean.find((o) => want.test(o));
+    if (hit) return hit;
+  }
+
+  if (answer.type === 'enum') {
+    for (const candidate of [answer.value, ...answer.aliases]) {
+      const c = normalizeLabel(String(candidate));
+      const hit = clean.find((o) => normalizeLabel(o) === c) || clean.find((o) => normalizeLabel(o).includes(c));
+      if (hit) return hit;
+    }
+  }
+
+  return answerToText(answer);
+}
+
+module.exports = {
+  loadAnswers,
+  flatAnswers,
+  resolveAnswer,
+  answerToText,
+  answerForOptions,
+  findAnswer,
+  normalizeLabel,
+  FUZZY_THRESHOLD,
+  MIN_CONFIDENCE,
+};
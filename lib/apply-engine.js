@@ -0,0 +1,701 @@
+'use strict';
+
+/**
+ * Shared apply loop for every platform adapter.
+ *
+ * The engine owns everything that is the same on every board: navigating to
+ * the search, paginating, job-id dedup, the hasApplied, company, relevance,
+ * search-criteria and duplicate checks, retries with behavior.maxRetries,
+ * recording every outcome, counters, pacing between applications and
+ * blocked-page handling. Adapters only supply the board-specific hooks (see
+ * lib/adapters.js for the contract):
+ *
+ *   waitForResults(page, ctx)           → Promise<boolean>  results list rendered?
+ *   listCards(page)                     → Promise<ElementHandle[]>
+ *   extractJobId(card)                  → Promise<string|null>
+ *   readCard(card)                      → Promise<{ jobTitle, company, jobUrl, location }>
+ *   filterCard(job, config)             → string|null  skip reason, checked before hasApplied  (optional)
+ *   openJob(page, card, job, ctx)       → Promise<outcome|null>  open the detail view; an outcome skips the job
+ *   readDetails(page, job, ctx)         → Promise<{ description, location, salary, seniority, posted }>
+ *                                         raw posting text from the open detail view (optional)
+ *   applyToJob(page, job, ctx)          → Promise<outcome>  run the apply flow; throw on failure
+ *   returnToResults(page, ctx)          → Promise<void>  (optional, default: reload the results URL if we left it)
+ *   recover(page, ctx)                  → Promise<void>  clean up after an error, e.g. close a modal (optional)
+ *   nextPage(page, ctx)                 → Promise<boolean>  load more results; false when exhausted
+ *   checkSession(page)                  → Promise<string|null>  reason the session is unusable (optional)
+ *   isBlocked(page)                     → Promise<boolean>
+ *   translateSearch(criteria)           → { url, unsupported }  search URL for config.search, and the
+ *                                         criteria it cannot express (optional, see lib/search-criteria.js)
+ *   parseJobUrl(url)                    → string|null  job id of one of the board's posting URLs (optional)
+ *   openJobUrl(page, job, ctx)          → Promise<outcome|null>  open job.jobUrl directly, fill in
+ *                                         job.jobTitle/company and check it can be applied to (optional,
+ *                                         used by applyToJobs)
+ *
+ * An outcome is { status, skipReason? , steps? } where status is one of
+ * 'submitted' (recorded as dry_run in dry-run mode), 'skipped',
+ * 'already_applied' or 'blocked' (stops the platform).
+ *
+ * applyToJob() finds job.resume set to the variant lib/resumes.js picked; an
+ * adapter that selects a saved resume on the board sets job.resumeUsed.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { sleep } = require('./humanize');
+const { fillForm } = require('./form-filler');
+const { normalizeDetails } = require('./job-details');
+const { relevanceSkip } = require('./relevance');
+const { companySkip } = require('./companies');
+const { platformSearches, criteriaSkip } = require('./search-criteria');
+const { findDuplicate, rememberJob } = require('./fingerprint');
+const { selectResume } = require('./resumes');
+const { createAnswerProvider } = require('./answer-provider');
+const { createAssistant } = require('./assist');
+const { readFieldErrors, retryField } = require('./validation-recovery');
+
+const LOW_CONFIDENCE_POLICIES = ['fill', 'flag', 'abort'];
+
+// Resubmits of one step while its fields show validation errors
+const DEFAULT_VALIDATION_RETRIES = 2;
+
+/**
+ * The configured behavior.lowConfidencePolicy, 'fill' when unset:
+ *   fill   fill and submit
+ *   flag   fill and submit, and store the low-confidence fields against the application
+ *   abort  stop before submitting; fillStep and recoverStep throw NEEDS_REVIEW
+ *          and the job is recorded as needs_review with its fields
+ */
+function lowConfidencePolicy(config) {
+  const policy = config.behavior?.lowConfidencePolicy || 'fill';
+  if (!LOW_CONFIDENCE_POLICIES.includes(policy)) {
+    throw new Error(`behavior.lowConfidencePolicy must be one of ${LOW_CONFIDENCE_POLICIES.join(', ')} (got "${policy}")`);
+  }
+  return policy;
+}
+
+/**
+ * Take an error screenshot and save it to logs/screenshots/
+ */
+async function screenshotError(page, platform, jobId, config) {
+  if (!config.behavior?.screenshotOnError) return;
+  try {
+    const dir = path.join(process.cwd(), 'logs', 'screenshots');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const today = new Date().toISOString().slice(0, 10);
+    const fname = `${today}-${platform}-${(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}.png`;
+    await page.screenshot({ path: path.join(dir, fname), fullPage: false });
+  } catch (_) {
+    // Screenshot failures should never crash the run
+  }
+}
+
+/**
+ * Fill the visible fields of one apply step and record the unmatched ones.
+ * Adapters call this from applyToJob() instead of fillForm() directly.
+ *
+ * Every filled field is collected on job.filledFields (with its step number)
+ * for the application_answers audit trail, and low-confidence fields on
+ * job.lowConfidenceFields. Under the
+ * 'abort' policy this throws an error with code NEEDS_REVIEW before the
+ * adapter can submit the step.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {object} job - the job being applied to
+ * @param {object} ctx - engine context
+ * @param {number} [stepNum=1] - 1-based step index for logging
+ * @returns {Promise<{ filledCount: number, unfilledFields: Array }>}
+ */
+async function fillStep(page, job, ctx, stepNum = 1) {
+  const { platform, defaultAnswers, config, logger, state } = ctx;
+  const result = await fillForm(page, defaultAnswers, config, logger, platform, job.jobId, job, ctx.answerProvider, ctx.assistant);
+
+  for (const field of result.unfilledFields) {
+    state.recordUnfilledField({ platform, jobId: job.jobId, fieldLabel: field.fieldLabel, fieldType: field.fieldType });
+  }
+
+  logger.debug({ platform, jobId: job.jobId, stepNum, filledCount: result.filledCount, unfilledCount: result.unfilledFields.length,
+    unfilledFields: result.unfilledFields.map(f => `${f.fieldLabel} (${f.fieldType})`),
+  }, 'Step form fill summary');
+
+  job.filledFields = (job.filledFields || []).concat(result.filledFields.map(f => ({ ...f, stepNum })));
+  if (job.resume && result.filledFields.some(f => f.fieldType === 'file' && !f.answerKey)) job.resumeUsed = job.resume.name;
+
+  if (result.lowConfidenceFields.length > 0) {
+    job.lowConfidenceFields = (job.lowConfidenceFields || []).concat(result.lowConfidenceFields);
+    if (lowConfidencePolicy(config) === 'abort') {
+      const err = new Error(`Low-confidence answers: ${result.lowConfidenceFields.map(f => f.fieldLabel).join('; ')}`);
+      err.code = 'NEEDS_REVIEW';
+      throw err;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get a submitted step past its field validation errors.
+ *
+ * Reads the rejected fields, gives each its next alternative (see
+ * lib/validation-recovery.js) and calls `resubmit` again, at most
+ * behavior.validationRetries times. Reformatted values replace the field's
+ * entry in job.filledFields; a different option or radio choice is a guess
+ * and lands in job.lowConfidenceFields, so the 'abort' policy throws
+ * NEEDS_REVIEW instead of going on with it, after storing the errors. Fields
+ * still rejected at the end are kept on job.blockingFields.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {object} job - the job being applied to
+ * @param {object} ctx - engine context
+ * @param {number} stepNum - 1-based step index
+ * @param {() => Promise<void>} resubmit - clicks the step's Next/Continue button again
+ * @returns {Promise<boolean>} true when no field errors are left; false when
+ *   errors remain or none could be tied to a field
+ */
+async function recoverStep(page, job, ctx, stepNum, resubmit) {
+  const { platform, config, logger, state } = ctx;
+  const maxRetries = config.behavior?.validationRetries ?? DEFAULT_VALIDATION_RETRIES;
+  const seen = new Map();
+  const guesses = [];
+  job.blockingFields = [];
+
+  let errors = await readFieldErrors(page);
+  if (errors.length === 0) return false;
+
+  const recordErrors = (blocking) => {
+    for (const [fieldLabel, entry] of seen) {
+      state.recordValidationError({
+        platform, jobId: job.jobId, runId: ctx.runId, stepNum, fieldLabel, fieldType: entry.fieldType,
+        message: entry.message, tried: entry.tried, resolved: !blocking.has(fieldLabel),
+      });
+    }
+  };
+
+  for (let attempt = 1; errors.length > 0 && attempt <= maxRetries; attempt++) {
+    let changed = 0;
+    for (const error of errors) {
+      const entry = seen.get(error.label) || { fieldType: error.kind, message: error.message, tried: [] };
+      seen.set(error.label, entry);
+      if (error.message) entry.message = error.message;
+
+      const retry = await retryField(page, error, entry.tried);
+      if (!retry) continue;
+      entry.tried.push(retry.value);
+      changed++;
+      logger.debug({ platform, jobId: job.jobId, stepNum, attempt, field: error.label, message: error.message, value: retry.value }, 'Retrying rejected field');
+
+      // A reformatted value keeps its answer key; a guess replaces the answer
+      const previous = (job.filledFields || []).find((f) => f.fieldLabel === error.label);
+      job.filledFields = (job.filledFields || []).filter((f) => f !== previous).concat(previous && !retry.guess
+        ? { ...previous, value: retry.value }
+        : { fieldLabel: error.label, fieldType: error.kind, value: retry.value, answerKey: null, confidence: retry.guess ? 0 : null, stepNum });
+      if (retry.guess) guesses.push({ fieldLabel: error.label, fieldType: error.kind, answer: retry.value, confidence: 0 });
+    }
+    if (changed === 0) break;
+
+    if (guesses.length > 0 && lowConfidencePolicy(config) === 'abort') {
+      // Nothing was resubmitted, so every field is still rejected
+      recordErrors(new Set(seen.keys()));
+      job.lowConfidenceFields = (job.lowConfidenceFields || []).concat(guesses);
+      const err = new Error(`Validation errors need a guess: ${guesses.map((g) => g.fieldLabel).join('; ')}`);
+      err.code = 'NEEDS_REVIEW';
+      throw err;
+    }
+    await resubmit();
+    await sleep(800, 1500);
+    errors = await readFieldErrors(page);
+  }
+
+  for (const error of errors) {
+    if (!seen.has(error.label)) seen.set(error.label, { fieldType: error.kind, message: error.message, tried: [] });
+  }
+  const blocking = new Set(errors.map((e) => e.label));
+  recordErrors(blocking);
+  if (guesses.length > 0) job.lowConfidenceFields = (job.lowConfidenceFields || []).concat(guesses);
+
+  if (blocking.size > 0) {
+    job.blockingFields = [...blocking];
+    logger.debug({ platform, jobId: job.jobId, stepNum, fields: job.blockingFields }, 'Validation errors remain after retries');
+    return false;
+  }
+  logger.debug({ platform, jobId: job.jobId, stepNum, fields: [...seen.keys()] }, 'Recovered from validation errors');
+  return true;
+}
+
+/**
+ * Record one application row for a job, with the answers filled so far.
+ * @returns {number} the applications row id
+ */
+function record(ctx, job, fields) {
+  const applicationId = ctx.state.recordApplication({
+    platform: ctx.platform,
+    jobId: job.jobId,
+    jobTitle: job.jobTitle,
+    company: job.company,
+    jobUrl: job.jobUrl,
+    resumeVariant: job.resumeUsed,
+    searchName: ctx.searchName,
+    runId: ctx.runId,
+    ...fields,
+  });
+  if (job.filledFields?.length) {
+    ctx.state.recordApplicationAnswers(applicationId, job.filledFields);
+  }
+  if (job.coverLetter?.sentAs) {
+    ctx.state.recordCoverLetter(applicationId, job.coverLetter);
+  }
+  job.recorded = { applicationId, status: fields.status };
+  return applicationId;
+}
+
+/**
+ * Add a job to job_queue for review in queue.js (discover mode). It is
+ * eligible unless a skip reason is given.
+ */
+function queue(ctx, job, skipReason) {
+  ctx.state.queueJob({
+    platform: ctx.platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, jobUrl: job.jobUrl,
+    location: job.location, description: job.details?.description, searchName: ctx.searchName,
+    eligible: !skipReason, skipReason, runId: ctx.runId,
+  });
+}
+
+/**
+ * Record a job that is not applied to. In discover mode it is queued as
+ * ineligible instead, so it can still be approved by hand; jobs already
+ * applied to are left out of the queue.
+ */
+function skipJob(ctx, job, stats, fields) {
+  stats.skipped++;
+  if (!ctx.discover) {
+    record(ctx, job, fields);
+  } else if (fields.status !== 'already_applied') {
+    queue(ctx, job, fields.skipReason);
+  }
+}
+
+/**
+ * Jobs that count against maxApplicationsPerRun: applied to, or queued as
+ * eligible in discover mode.
+ */
+function taken(ctx, stats) {
+  return ctx.discover ? stats.queued : stats.applied;
+}
+
+/**
+ * Read the posting from the open detail view and store it in the jobs table.
+ * The normalized details are kept on job.details for later stages. A page
+ * that cannot be read never stops the application.
+ */
+async function captureDetails(adapter, page, job, ctx) {
+  try {
+    const details = normalizeDetails(await adapter.readDetails(page, job, ctx) || {}, job);
+    job.details = details;
+    if (!job.location && details.location) job.location = details.location;
+    ctx.state.saveJob({
+      platform: ctx.platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, jobUrl: job.jobUrl,
+      ...details,
+    });
+  } catch (err) {
+    ctx.logger.debug({ platform: ctx.platform, jobId: job.jobId, error: err.message }, 'Could not read job details');
+  }
+}
+
+/**
+ * Record a captcha_blocked row and log that the platform is stopping.
+ */
+function recordBlocked(adapter, ctx, where) {
+  ctx.logger.error({ platform: ctx.platform }, `Challenge/bot check detected ${where}. Stopping ${adapter.displayName}.`);
+  ctx.state.recordApplication({
+    platform: ctx.platform, jobId: 'captcha_detected',
+    status: 'captcha_blocked', errorMessage: adapter.blockedMessage || 'Challenge page detected — platform stopped',
+    searchName: ctx.searchName, runId: ctx.runId,
+  });
+}
+
+/**
+ * Go back to the results page after a job, using the adapter's hook if it
+ * has one. The default only navigates when we actually left the results page
+ * (a different host or path), so side-panel boards keep their scroll state.
+ */
+async function returnToResults(adapter, page, ctx) {
+  if (!ctx.resultsUrl) return; // job URLs opened directly (applyToJobs)
+  if (adapter.returnToResults) {
+    await adapter.returnToResults(page, ctx);
+    return;
+  }
+  const here = new URL(page.url());
+  const target = new URL(ctx.resultsUrl);
+  if (here.host === target.host && here.pathname === target.pathname) return;
+  await page.goto(ctx.resultsUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(2000, 3000);
+}
+
+/**
+ * Process one job card end to end. Without a card the job is opened from
+ * job.jobUrl with the adapter's openJobUrl() hook. In discover mode
+ * (ctx.discover) the job is queued where it would have been applied to.
+ * Jobs picked by hand (job.approved: --urls and approved queue entries)
+ * skip the company, relevance and search filters; the already-applied and
+ * duplicate checks still run.
+ *
+ * @returns {Promise<'done'|'retry'|'stop'>}
+ */
+async function processJob(adapter, card, job, ctx, stats, retryAttempts) {
+  const { platform, page, config, state, logger, dryRun } = ctx;
+
+  try {
+    // Each job is queued once; queue.js owns it from then on
+    if (ctx.discover && state.getQueuedJob(platform, job.jobId)) return 'done';
+
+    const filterReason = card && adapter.filterCard ? adapter.filterCard(job, config) : null;
+    if (filterReason) {
+      logger.debug({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, reason: filterReason }, 'Skipping job');
+      skipJob(ctx, job, stats, { status: 'skipped', skipReason: filterReason });
+      return 'done';
+    }
+
+    // Company lists, cooldown, title excludes and the search criteria the
+    // board's URL could not express are checked on the card alone
+    const cardSkip = job.approved ? null : companySkip(job, config, state) || relevanceSkip(job, config)
+      || criteriaSkip(job, ctx.criteria, ctx.postFilter);
+    if (cardSkip) {
+      logger.debug({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, reason: cardSkip.skipReason, why: cardSkip.reason }, 'Skipping job');
+      skipJob(ctx, job, stats, { status: 'skipped', skipReason: cardSkip.skipReason });
+      return 'done';
+    }
+
+    if (state.hasApplied(platform, job.jobId)) {
+      logger.debug({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, reason: 'already_applied_db' }, 'Skipping job');
+      skipJob(ctx, job, stats, { status: 'already_applied', skipReason: 'already_applied_db' });
+      return 'done';
+    }
+
+    // A job held for review is left alone until it is opened by URL;
+    // reopening it would only hold it again with another row
+    if (!job.approved && state.isHeldForReview(platform, job.jobId)) {
+      logger.debug({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, reason: 'needs_review' }, 'Skipping job');
+      stats.skipped++;
+      if (ctx.discover) queue(ctx, job, 'needs_review');
+      return 'done';
+    }
+
+    const skip = card ? await adapter.openJob(page, card, job, ctx) : await adapter.openJobUrl(page, job, ctx);
+
+    if (await adapter.isBlocked(page)) {
+      recordBlocked(adapter, ctx, 'on job detail');
+      return 'stop';
+    }
+
+    if (!skip && adapter.readDetails) {
+      await captureDetails(adapter, page, job, ctx);
+    }
+
+    // Check again before clicking apply: the company may only be known from
+    // the detail view, the description gives the full relevance score and
+    // the posted date and seniority, and all are needed to spot the same
+    // posting submitted on another board
+    const detailSkip = skip ? null : (!job.approved && (companySkip(job, config, state)
+      || relevanceSkip(job, config, !!job.details?.description)
+      || criteriaSkip(job, ctx.criteria, ctx.postFilter)))
+      || findDuplicate(job, platform, state);
+    if (detailSkip) {
+      logger.debug({ platform, jobId: job.jobId, why: detailSkip.reason }, 'Skipping job after opening it');
+    } else if (!skip && !ctx.discover) {
+      job.resume = selectResume(job, config);
+      logger.debug({ platform, jobId: job.jobId, resume: job.resume.name, why: job.resume.reason }, 'Selected resume variant');
+    }
+
+    const outcome = skip
+      || (detailSkip && { status: 'skipped', skipReason: detailSkip.skipReason })
+      || (ctx.discover ? { status: 'queued' } : await adapter.applyToJob(page, job, ctx));
+
+    if (outcome.status === 'blocked') {
+      recordBlocked(adapter, ctx, 'during apply flow');
+      return 'stop';
+    }
+
+    if (outcome.status === 'queued') {
+      logger.info({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company }, 'Queued job for review');
+      queue(ctx, job, null);
+      stats.queued++;
+    } else if (outcome.status === 'submitted') {
+      const status = dryRun ? 'dry_run' : 'submitted';
+      logger.info({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, steps: outcome.steps }, dryRun ? '[DRY RUN] Application complete' : 'Application submitted');
+      const applicationId = record(ctx, job, { status });
+      stats.applied++;
+      if (!dryRun) rememberJob(job, platform, state);
+
+      if (job.lowConfidenceFields && lowConfidencePolicy(config) === 'flag') {
+        logger.warn({ platform, jobId: job.jobId, fields: job.lowConfidenceFields.map(f => f.fieldLabel) }, 'Submitted with low-confidence answers — flagged for review');
+        state.recordReviewFields(applicationId, job.lowConfidenceFields);
+      }
+
+      // Wait between applications (human-like pacing)
+      await sleep(config.behavior.minDelayBetweenApplications, config.behavior.maxDelayBetweenApplications);
+    } else {
+      logger.debug({ platform, jobId: job.jobId, jobTitle: job.jobTitle, company: job.company, reason: outcome.skipReason }, 'Skipping job');
+      skipJob(ctx, job, stats, { status: outcome.status, skipReason: outcome.skipReason });
+    }
+
+    await returnToResults(adapter, page, ctx);
+    return 'done';
+
+  } catch (err) {
+    // Clean up (close modals etc.) and get back to the results list
+    if (adapter.recover) {
+      await adapter.recover(page, ctx).catch(() => {});
+    }
+    await returnToResults(adapter, page, ctx).catch(() => {});
+    await sleep(2000, 4000);
+
+    // Held back by behavior.lowConfidencePolicy = 'abort' — not retried
+    if (err.code === 'NEEDS_REVIEW') {
+      logger.warn({ platform, jobId: job.jobId, jobTitle: job.jobTitle, fields: job.lowConfidenceFields.map(f => f.fieldLabel) }, 'Low-confidence answers — holding application for review');
+      const applicationId = record(ctx, job, { status: 'needs_review', skipReason: 'low_confidence', errorMessage: err.message });
+      state.recordReviewFields(applicationId, job.lowConfidenceFields);
+      stats.skipped++;
+      return 'done';
+    }
+
+    // Check for a challenge page before deciding whether to retry (PRD §8.2)
+    if (await adapter.isBlocked(page)) {
+      recordBlocked(adapter, ctx, 'after error');
+      return 'stop';
+    }
+
+    // Retry transient errors up to maxRetries times
+    const maxRetries = config.behavior?.maxRetries ?? 0;
+    const attemptsMade = (retryAttempts.get(job.jobId) || 0) + 1;
+    if (attemptsMade <= maxRetries) {
+      retryAttempts.set(job.jobId, attemptsMade);
+      logger.warn({ platform, jobId: job.jobId, attempt: attemptsMade, error: err.message }, 'Transient error — will retry');
+      return 'retry';
+    }
+
+    logger.error({ platform, jobId: job.jobId, jobTitle: job.jobTitle, error: err.message }, 'Application error');
+    stats.errors++;
+    await screenshotError(page, platform, job.jobId, config);
+    // Discover mode records no attempts; the job is found again next time
+    if (!ctx.discover) record(ctx, job, { status: 'error', errorMessage: err.message });
+    return 'done';
+  }
+}
+
+/**
+ * The state shared by every job on one platform; runSearch() and
+ * applyToJobs() add the search fields.
+ */
+function createContext(adapter, page, config, defaultAnswers, state, runId, logger, dryRun) {
+  return {
+    platform: adapter.name, page, config, defaultAnswers, state, runId, logger, dryRun,
+    discover: config.behavior?.mode === 'discover',
+    // Generated answers for free-text questions, cached in generated_answers
+    answerProvider: createAnswerProvider(config, {
+      get: (key) => state.getGeneratedAnswer(key),
+      set: (key, question, answer, model) => state.saveGeneratedAnswer({ questionKey: key, question, answer, model }),
+    }, logger),
+    // behavior.assist (index.js --assist): unknown fields are answered at the terminal
+    assistant: config.behavior?.assist ? createAssistant(defaultAnswers, logger) : null,
+  };
+}
+
+/**
+ * Run one saved search: open its results and apply until `quota` jobs have
+ * been applied to (queued, in discover mode) in total on this platform.
+ *
+ * @returns {Promise<'done'|'stop'>} 'stop' when the platform is blocked or the session is gone
+ */
+async function runSearch(adapter, search, ctx, stats, quota, seenJobIds, retryAttempts) {
+  const { platform, page, config, logger } = ctx;
+
+  // Criteria the board's URL cannot express are applied to the cards;
+  // adapters without translateSearch() and raw search URLs apply them themselves
+  const translated = !search.url && adapter.translateSearch ? adapter.translateSearch(search.criteria) : null;
+  const searchUrl = search.url || (translated ? translated.url : adapter.buildSearchUrl({ ...config, search: search.search }));
+  Object.assign(ctx, {
+    searchName: search.name,
+    searchUrl,
+    criteria: search.criteria,
+    postFilter: translated ? translated.unsupported : [],
+    resultsUrl: searchUrl,
+    pageNumber: 1,
+  });
+
+  logger.info({ platform, search: search.name, searchUrl }, `Navigating to ${adapter.displayName} search "${search.name}"`);
+  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await sleep(2000, 4000);
+
+  // Check for CAPTCHA immediately after navigation (PRD §8.2)
+  if (await adapter.isBlocked(page)) {
+    recordBlocked(adapter, ctx, 'at search page');
+    return 'stop';
+  }
+
+  if (adapter.checkSession) {
+    const reason = await adapter.checkSession(page);
+    if (reason) {
+      logger.error({ platform }, `${reason}. Stopping.`);
+      return 'stop';
+    }
+  }
+
+  while (taken(ctx, stats) < quota) {
+    if (!(await adapter.waitForResults(page, ctx))) {
+      logger.warn({ platform, search: search.name }, 'Job list not found — may have reached end of results');
+      break;
+    }
+    ctx.resultsUrl = page.url();
+
+    const initialCards = await adapter.listCards(page);
+    logger.info({ platform, search: search.name, cardCount: initialCards.length, page: ctx.pageNumber }, 'Found job cards');
+
+    // Index-based iteration with a fresh query every time: clicking a card,
+    // opening a modal or navigating away invalidates previously-held handles.
+    let pageAlive = true;
+    for (let cardIdx = 0; cardIdx < initialCards.length && taken(ctx, stats) < quota; cardIdx++) {
+      let cards;
+      try {
+        cards = await adapter.listCards(page);
+      } catch (reQueryErr) {
+        logger.warn({ platform, error: reQueryErr.message }, 'Failed to query cards — page may have closed');
+        pageAlive = false;
+        break;
+      }
+      if (cardIdx >= cards.length) {
+        logger.debug({ platform, cardIdx, freshCount: cards.length }, 'Card list shrank — skipping remaining');
+        break;
+      }
+      const card = cards[cardIdx];
+
+      let jobId = null;
+      try {
+        jobId = await adapter.extractJobId(card);
+      } catch (extractErr) {
+        logger.debug({ platform, cardIdx, reason: 'extract_failed', error: extractErr.message }, 'Skipping card');
+        continue;
+      }
+      if (!jobId) {
+        logger.debug({ platform, cardIdx, reason: 'no_job_id' }, 'Skipping card');
+        continue;
+      }
+      if (seenJobIds.has(jobId)) continue;
+      seenJobIds.add(jobId);
+
+      const job = { jobId, jobTitle: null, company: null, jobUrl: null, location: null };
+      try {
+        Object.assign(job, await adapter.readCard(card));
+      } catch (_) {}
+
+      const result = await processJob(adapter, card, job, ctx, stats, retryAttempts);
+      if (result === 'stop') return 'stop';
+      if (result === 'retry') {
+        seenJobIds.delete(jobId);
+        cardIdx--; // re-visit this index with a fresh handle
+      }
+    }
+
+    // If the page/context was closed mid-run, stop here too
+    if (!pageAlive) return 'stop';
+    if (taken(ctx, stats) >= quota) break;
+
+    if (!(await adapter.nextPage(page, ctx).catch(() => false))) break;
+    ctx.pageNumber++;
+  }
+
+  return 'done';
+}
+
+/**
+ * Run the apply loop for one platform: each of its saved searches in turn
+ * (see lib/search-criteria.js), until maxApplicationsPerRun is reached.
+ * A job found by several searches is processed once, for the first.
+ *
+ * @param {object} adapter - platform adapter (see lib/adapters.js)
+ * @param {import('playwright').Page} page
+ * @param {object} config - full config.json
+ * @param {object} defaultAnswers - defaultAnswers.json
+ * @param {object} state - state manager module
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number, queued: number }>}
+ */
+async function runApplyLoop(adapter, page, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  const platform = adapter.name;
+  const maxApplications = config.platforms[platform].maxApplicationsPerRun;
+  const stats = { applied: 0, skipped: 0, errors: 0, queued: 0 };
+
+  const seenJobIds = new Set(); // Track processed jobs in this run to avoid re-processing
+  const retryAttempts = new Map(); // jobId → number of retries made
+
+  const ctx = createContext(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
+
+  for (const search of platformSearches(config, platform)) {
+    if (taken(ctx, stats) >= maxApplications) break;
+    const before = taken(ctx, stats);
+    const quota = Math.min(maxApplications, before + (search.maxApplications ?? maxApplications));
+    const result = await runSearch(adapter, search, ctx, stats, quota, seenJobIds, retryAttempts);
+    const count = taken(ctx, stats) - before;
+    logger.info({ platform, search: search.name, [ctx.discover ? 'queued' : 'applied']: count }, `Finished search "${search.name}"`);
+    if (result === 'stop') break;
+  }
+
+  return stats;
+}
+
+/**
+ * Apply to an explicit list of postings instead of a search: the URLs given
+ * to index.js --urls, or the queue entries approved for --mode apply. Each
+ * job goes through the same apply flow, retries and recording as a search
+ * result; there are no cards and no results page to return to. Since each
+ * one was picked by hand, the company, relevance and search filters are not
+ * applied; the already-applied and duplicate checks are.
+ *
+ * A queue entry (job.queueId) keeps the search that found it. It is marked
+ * done once an outcome other than an error or a dry run is recorded.
+ *
+ * @param {object} adapter - platform adapter with openJobUrl() (see lib/adapters.js)
+ * @param {import('playwright').Page} page
+ * @param {Array<{ jobId: string, jobUrl: string, queueId?: number, searchName?: string, jobTitle?: string, company?: string }>} jobs
+ *   ids from adapter.parseJobUrl(), or rows from state.getQueuedJobs()
+ * @param {object} config - full config.json
+ * @param {object} defaultAnswers - defaultAnswers.json
+ * @param {object} state - state manager module
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ */
+async function applyToJobs(adapter, page, jobs, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  const stats = { applied: 0, skipped: 0, errors: 0, queued: 0 };
+  const retryAttempts = new Map();
+  const ctx = createContext(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
+  Object.assign(ctx, { discover: false, searchUrl: null, criteria: null, postFilter: [], resultsUrl: null, pageNumber: 1 });
+
+  for (const { jobId, jobUrl, queueId, searchName, jobTitle = null, company = null, location = null } of jobs) {
+    ctx.searchName = searchName || 'urls';
+    let job;
+    let result;
+    do {
+      logger.info({ platform: adapter.name, jobId, jobUrl }, 'Opening job URL');
+      job = { jobId, jobTitle, company, jobUrl, location, approved: true };
+      result = await processJob(adapter, null, job, ctx, stats, retryAttempts);
+    } while (result === 'retry');
+
+    const recorded = job.recorded;
+    if (queueId && recorded && !['error', 'dry_run'].includes(recorded.status)) {
+      state.setQueueStatus([queueId], 'done', recorded.applicationId);
+    }
+    if (result === 'stop') break;
+  }
+  return stats;
+}
+
+module.exports = {
+  runApplyLoop,
+  applyToJobs,
+  fillStep,
+  recoverStep,
+  screenshotError,
+  lowConfidencePolicy,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Assisted mode (index.js --assist): the browser runs headed and a person at
+ * the terminal answers the fields fillForm() cannot.
+ *
+ * An assistant has the shape
+ *
+ *   { ask(element, field) → Promise<answer|null> }
+ *
+ * where field is { label, fieldType, options?, suggestion? } and the answer
+ * is shaped like resolveAnswer()'s, with source "assist". fillForm() asks it
+ * for every field with no answer, or one below behavior.minAnswerConfidence,
+ * before it falls back to a guess or a generated answer.
+ *
+ * The field is outlined in the browser and the question printed with its
+ * options and the answer fillForm would use. Enter keeps that answer (or
+ * leaves the field to fillForm); `#2` picks the second option listed. A
+ * typed answer is used at once, reused for the same label for the rest of
+ * the run and, if confirmed, saved to the flat map in defaultAnswers.json
+ * under the normalized label, where answers.js review also writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { normalizeLabel, loadAnswers, flatAnswers } = require('./answers');
+
+const HIGHLIGHT = '3px solid #e8590c';
+
+// One line reader for the whole run: every platform's assistant reads the
+// same stdin, and piped answers must not be dropped between prompts
+let lines = null;
+
+async function ask(prompt) {
+  if (!lines) lines = readline.createInterface({ input: process.stdin })[Symbol.asyncIterator]();
+  process.stdout.write(prompt);
+  const { value, done } = await lines.next();
+  return done ? '' : value.trim();
+}
+
+/**
+ * Outline a field (a radio's whole group) and scroll it into view, or clear
+ * the outline with an empty style.
+ */
+function outline(element, style) {
+  return element.evaluate((el, value) => {
+    const box = el.type === 'radio' ? (el.closest('fieldset') || el.parentElement || el) : el;
+    box.style.outline = value;
+    if (value) box.scrollIntoView({ block: 'center' });
+  }, style).catch(() => {});
+}
+
+/**
+ * Build the assistant for a run.
+ *
+ * @param {object} defaultAnswers - the parsed defaultAnswers.json the run uses;
+ *   saved answers are added to its flat map so they apply straight away
+ * @param {object} [logger]
+ * @param {string} [answersPath] - defaults to defaultAnswers.json in the working directory
+ * @returns {object}
+ */
+function createAssistant(defaultAnswers, logger = null, answersPath = path.join(process.cwd(), 'defaultAnswers.json')) {
+  const memory = new Map();
+
+  /**
+   * Write one answer to defaultAnswers.json, re-read first so edits made
+   * during the run are kept.
+   */
+  function save(key, value) {
+    const raw = JSON.parse(fs.readFileSync(answersPath, 'utf8'));
+    flatAnswers(raw)[key] = value;
+    fs.writeFileSync(answersPath, JSON.stringify(raw, null, 2) + '\n');
+    loadAnswers(defaultAnswers).flat[key] = value;
+  }
+
+  return {
+    async ask(element, { label, fieldType, options = [], suggestion = null }) {
+      const key = normalizeLabel(label || '');
+      if (!key) return null;
+      if (memory.has(key)) return memory.get(key);
+
+      await outline(element, HIGHLIGHT);
+      console.log(`\n${'─'.repeat(55)}`);
+      console.log(`  ${suggestion ? 'Low-confidence' : 'Unmatched'} ${fieldType} field: "${label}"`);
+      options.forEach((option, n) => console.log(`    #${n + 1}  ${option}`));
+      if (suggestion) {
+        console.log(`  Would answer: "${suggestion.value}" (${suggestion.source}, ${Math.round(suggestion.confidence * 100)}%)`);
+      }
+
+      let input;
+      try {
+        input = await ask(`  Answer${options.length ? ' or #option' : ''} (Enter to ${suggestion ? 'keep it' : 'skip'}): `);
+      } finally {
+        await outline(element, '');
+      }
+      if (!input) return null;
+
+      const pick = /^#\d+$/.test(input) ? options[Number(input.slice(1)) - 1] : undefined;
+      const value = pick !== undefined ? pick : input;
+      const answer = { value, type: 'string', format: null, aliases: [], source: 'assist', confidence: 1 };
+      memory.set(key, answer);
+
+      if (/^y(es)?$/i.test(await ask(`  Save "${key}" → "${value}" to defaultAnswers.json? [y/N] `))) {
+        try {
+          save(key, value);
+          console.log('  Saved.');
+        } catch (err) {
+          logger?.warn({ field: label, error: err.message }, 'Could not save answer to defaultAnswers.json');
+        }
+      }
+      logger?.info({ field: label, fieldType, answer: value }, 'Field answered in assist mode');
+      return answer;
+    },
+  };
+}
+
+module.exports = {
+  createAssistant,
+};
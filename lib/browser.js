@@ -31,7 +31,7 @@ function ensureProfileDir(platform) {
  * are preserved: log in once manually via setup.js, and the cookies are reused
  * every subsequent run.
  *
- * @param {string} platform - 'linkedin' | 'indeed' | 'dice' | 'jobright'
+ * @param {string} platform - adapter name, e.g. 'linkedin'
  * @param {boolean} [headless=true] - false for manual setup/debugging
  * @returns {Promise<{ context: import('playwright').BrowserContext, page: import('playwright').Page }>}
  */
@@ -77,61 +77,24 @@ async function launchForPlatform(platform, headless = true) {
 
 /**
  * Check if the user is still logged in to the given platform.
- * Each platform has a different "authenticated page" to test against.
+ * Each adapter names an "authenticated page" to test against (adapter.login).
  *
  * Strategy: navigate to a page that requires login. If we get redirected
  * to a login page, the session has expired.
  *
  * @param {import('playwright').Page} page
- * @param {string} platform
+ * @param {object} adapter - platform adapter (see lib/adapters.js)
  * @returns {Promise<boolean>}
  */
-async function checkLoginStatus(page, platform) {
-  const checks = {
-    linkedin: {
-      url: 'https://www.linkedin.com/feed/',
-      // Session expired if we end up on the login page
-      expiredIndicator: async (p) => {
-        const url = p.url();
-        return url.includes('/login') || url.includes('/checkpoint') || url.includes('/authwall');
-      },
-    },
-    indeed: {
-      url: 'https://www.indeed.com/account/view',
-      expiredIndicator: async (p) => {
-        const url = p.url();
-        return url.includes('/account/login') || url.includes('/auth');
-      },
-    },
-    dice: {
-      url: 'https://www.dice.com/dashboard',
-      expiredIndicator: async (p) => {
-        const url = p.url();
-        return url.includes('/login') || url.includes('/signin');
-      },
-    },
-    jobright: {
-      url: 'https://jobright.ai/jobs',
-      expiredIndicator: async (p) => {
-        // Jobright redirects to login or shows a login modal
-        const url = p.url();
-        if (url.includes('/login') || url.includes('/signin')) return true;
-        // Check for login modal
-        const loginModal = await p.$('[data-testid="login-modal"], .login-modal, [class*="loginModal"]');
-        return !!loginModal;
-      },
-    },
-  };
-
-  const check = checks[platform];
-  if (!check) throw new Error(`Unknown platform: ${platform}`);
+async function checkLoginStatus(page, adapter) {
+  if (!adapter?.login) throw new Error(`Unknown platform: ${adapter?.name || adapter}`);
 
   try {
     // Navigate to the authenticated page with a 15-second timeout
-    await page.goto(check.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    await page.goto(adapter.login.url, { waitUntil: 'domcontentloaded', timeout: 15000 });
     await page.waitForTimeout(2000); // Let any redirects settle
 
-    const isExpired = await check.expiredIndicator(page);
+    const isExpired = await adapter.login.isExpired(page);
     return !isExpired; // Returns true if logged in
   } catch (err) {
     // If navigation fails, assume session is expired
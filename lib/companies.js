@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Company block/allow lists and the re-apply cooldown, configured in
+ * config.search.companies:
+ *
+ *   "companies": {
+ *     "block": ["Initech", { "fuzzy": "Acme Recruiting" }, { "regex": "staffing|talent partners" }],
+ *     "allow": ["Talent Partners Health"],
+ *     "cooldownDays": 30
+ *   }
+ *
+ * Entries are a plain string (exact match after normalizeCompany(), so
+ * "Initech, Inc." matches "Initech"), { fuzzy } (string-similarity at
+ * FUZZY_THRESHOLD) or { regex } (case-insensitive, tested against the name as
+ * shown). An allow entry exempts a company from the blocklist, e.g. one
+ * employer caught by a broad regex; it does not limit applications to the
+ * listed companies. cooldownDays skips a company that was
+ * submitted to on any platform within that many days.
+ */
+
+const stringSimilarity = require('string-similarity');
+
+const FUZZY_THRESHOLD = 0.8;
+
+// Legal suffixes dropped so "Acme Corp." and "ACME Corporation" compare equal
+const SUFFIXES = /\b(inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|gmbh|lp|llp)\b/g;
+
+// Compiled lists per config object, as answer sets are cached in lib/answers.js
+const compiled = new WeakMap();
+
+/**
+ * Normalize a company name for comparison: lowercase, no punctuation, no
+ * legal suffix.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCompany(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Validate and compile one list entry.
+ * @param {string|object} entry
+ * @param {string} where - position for error messages
+ */
+function compileEntry(entry, where) {
+  if (typeof entry === 'string') {
+    return { kind: 'exact', text: entry, value: normalizeCompany(entry) };
+  }
+  if (entry && typeof entry.fuzzy === 'string') {
+    return { kind: 'fuzzy', text: entry.fuzzy, value: normalizeCompany(entry.fuzzy) };
+  }
+  if (entry && typeof entry.regex === 'string') {
+    try {
+      return { kind: 'regex', text: `/${entry.regex}/`, value: new RegExp(entry.regex, 'i') };
+    } catch (err) {
+      throw new Error(`${where}: invalid regex (${err.message})`);
+    }
+  }
+  throw new Error(`${where}: expected a company name, { "fuzzy": ... } or { "regex": ... }`);
+}
+
+/**
+ * Compile config.search.companies, throwing on malformed entries.
+ * @param {object} config - full config.json
+ * @returns {{ block: Array, allow: Array, cooldownDays: number }}
+ */
+function loadCompanyRules(config) {
+  const raw = config.search?.companies || {};
+  if (compiled.has(raw)) return compiled.get(raw);
+
+  const cooldownDays = raw.cooldownDays ?? 0;
+  if (!Number.isFinite(cooldownDays) || cooldownDays < 0) {
+    throw new Error('search.companies.cooldownDays must be a non-negative number');
+  }
+  const rules = {
+    block: (raw.block || []).map((e, i) => compileEntry(e, `search.companies.block[${i}]`)),
+    allow: (raw.allow || []).map((e, i) => compileEntry(e, `search.companies.allow[${i}]`)),
+    cooldownDays,
+  };
+  compiled.set(raw, rules);
+  return rules;
+}
+
+/**
+ * The first entry matching a company, or null.
+ */
+function findEntry(entries, company) {
+  const normal = normalizeCompany(company);
+  return entries.find((e) => {
+    if (e.kind === 'exact') return normal === e.value;
+    if (e.kind === 'fuzzy') return stringSimilarity.compareTwoStrings(normal, e.value) >= FUZZY_THRESHOLD;
+    return e.value.test(company);
+  }) || null;
+}
+
+/**
+ * Decide whether to skip a job because of its company.
+ *
+ * @param {object} job - needs `company`
+ * @param {object} config - full config.json
+ * @param {object} state - state manager module (for the cooldown)
+ * @returns {{ skipReason: string, reason: string }|null}
+ */
+function companySkip(job, config, state) {
+  if (!job.company) return null;
+  const rules = loadCompanyRules(config);
+
+  if (!findEntry(rules.allow, job.company)) {
+    const blocked = findEntry(rules.block, job.company);
+    if (blocked) return { skipReason: 'company_blocked', reason: `matches ${blocked.kind} "${blocked.text}"` };
+  }
+
+  if (rules.cooldownDays > 0) {
+    const since = new Date(Date.now() - rules.cooldownDays * 86400000).toISOString();
+    const normal = normalizeCompany(job.company);
+    const recent = state.getSubmittedCompaniesSince(since).find((row) => normalizeCompany(row.company) === normal);
+    if (recent) {
+      return { skipReason: 'company_cooldown', reason: `applied on ${recent.platform} ${recent.appliedAt.slice(0, 10)}` };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeCompany,
+  loadCompanyRules,
+  companySkip,
+};
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Cover letters rendered from templates, configured in config.coverLetter:
+ *
+ *   "coverLetter": {
+ *     "templates": [
+ *       { "name": "general", "file": "./templates/cover-letter.txt" },
+ *       { "name": "ml", "text": "Dear {{company}} team, ...", "keywords": ["machine learning", "pytorch"] }
+ *     ],
+ *     "skills": ["python", "sql", "pytorch", "a/b testing"],
+ *     "paragraphs": [
+ *       { "keywords": ["experimentation", "a/b test"], "text": "At my last role I ran ..." }
+ *     ],
+ *     "maxParagraphs": 2
+ *   }
+ *
+ * A template is picked per job like a resume variant (lib/resumes.js): title
+ * keyword hits count TITLE_WEIGHT, description hits 1, the first listed wins
+ * ties. Placeholders:
+ *
+ *   {{company}} {{title}} {{firstName}} {{lastName}} {{fullName}} {{date}}
+ *   {{skills}}      configured skills found in the posting, "a, b and c"
+ *   {{paragraphs}}  up to maxParagraphs paragraphs whose keywords the posting
+ *                   mentions, most hits first (may use the placeholders above)
+ *
+ * The text fills "cover letter" textareas; file inputs labeled as a cover
+ * letter get it rendered to PDF (plain text when the browser cannot print).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { containsTerm } = require('./relevance');
+
+const PLACEHOLDERS = ['company', 'title', 'firstName', 'lastName', 'fullName', 'date', 'skills', 'paragraphs'];
+
+// Labels of fields that ask for a cover letter
+const COVER_LETTER_LABEL = /cover\s*letter|letter of (motivation|interest)|motivation letter/i;
+
+const TITLE_WEIGHT = 3;
+const DEFAULT_MAX_PARAGRAPHS = 2;
+const MAX_SKILLS = 5;
+
+// Validated settings per config object, as answer sets are cached in lib/answers.js
+const compiled = new WeakMap();
+
+/**
+ * Throw on placeholders that renderCoverLetter() does not know.
+ */
+function checkPlaceholders(text, where) {
+  for (const [, name] of text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(`${where}: unknown placeholder {{${name}}} (use ${PLACEHOLDERS.map((p) => `{{${p}}}`).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Validate config.coverLetter and read template files.
+ * @param {object} config - full config.json
+ * @returns {object|null} null when cover letters are not configured
+ */
+function loadCoverLetter(config) {
+  const raw = config.coverLetter;
+  if (!raw) return null;
+  if (compiled.has(raw)) return compiled.get(raw);
+
+  if (!Array.isArray(raw.templates) || raw.templates.length === 0) {
+    throw new Error('coverLetter.templates must be a non-empty array');
+  }
+  const templates = raw.templates.map((t, i) => {
+    const where = `coverLetter.templates[${i}]`;
+    if (!t || typeof t.name !== 'string' || (typeof t.text !== 'string' && typeof t.file !== 'string')) {
+      throw new Error(`${where}: expected { "name", "text" } or { "name", "file" }`);
+    }
+    let text = t.text;
+    if (text === undefined) {
+      const file = path.resolve(process.cwd(), t.file);
+      if (!fs.existsSync(file)) throw new Error(`${where}: template file not found: ${t.file}`);
+      text = fs.readFileSync(file, 'utf8');
+    }
+    checkPlaceholders(text, where);
+    return { name: t.name, text, keywords: t.keywords || [] };
+  });
+  const paragraphs = (raw.paragraphs || []).map((p, i) => {
+    const where = `coverLetter.paragraphs[${i}]`;
+    if (!p || typeof p.text !== 'string' || !Array.isArray(p.keywords)) {
+      throw new Error(`${where}: expected { "keywords": [...], "text" }`);
+    }
+    checkPlaceholders(p.text, where);
+    return p;
+  });
+
+  const settings = {
+    templates,
+    paragraphs,
+    skills: raw.skills || [],
+    maxParagraphs: raw.maxParagraphs ?? DEFAULT_MAX_PARAGRAPHS,
+  };
+  compiled.set(raw, settings);
+  return settings;
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ */
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name] ?? '');
+}
+
+/**
+ * Render the cover letter for a job.
+ *
+ * @param {object} job - { jobTitle, company, details?: { description } }
+ * @param {object} config - full config.json
+ * @returns {{ template: string, text: string }|null} null when not configured
+ */
+function renderCoverLetter(job, config) {
+  const settings = loadCoverLetter(config);
+  if (!settings) return null;
+
+  const title = job.jobTitle || '';
+  const description = job.details?.description || '';
+  const text = `${title}\n${description}`;
+  const hits = (keywords) => keywords.filter((k) => containsTerm(text, k)).length;
+
+  let template = settings.templates[0];
+  let best = -1;
+  for (const t of settings.templates) {
+    const score = t.keywords.filter((k) => containsTerm(title, k)).length * TITLE_WEIGHT
+      + t.keywords.filter((k) => !containsTerm(title, k) && containsTerm(description, k)).length;
+    if (score > best) { template = t; best = score; }
+  }
+
+  const skills = settings.skills.filter((s) => containsTerm(text, s));
+  const user = config.user || {};
+  const values = {
+    company: job.company || 'your company',
+    title: title || 'this role',
+    firstName: user.firstName || '',
+    lastName: user.lastName || '',
+    fullName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    skills: joinList((skills.length > 0 ? skills : settings.skills.slice(0, 3)).slice(0, MAX_SKILLS)),
+  };
+  values.paragraphs = settings.paragraphs
+    .map((p) => ({ p, n: hits(p.keywords) }))
+    .filter(({ n }) => n > 0)
+    .sort((a, b) => b.n - a.n)
+    .slice(0, settings.maxParagraphs)
+    .map(({ p }) => fillPlaceholders(p.text, values).trim())
+    .join('\n\n');
+
+  return {
+    template: template.name,
+    text: fillPlaceholders(template.text, values).replace(/\n{3,}/g, '\n\n').trim(),
+  };
+}
+
+/**
+ * Write a cover letter to logs/cover-letters/ for a file input.
+ *
+ * Prints it to PDF with a scratch page of the current browser; page.pdf()
+ * only works in headless Chromium, so a headed run writes a .txt instead.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {{ text: string }} letter - from renderCoverLetter()
+ * @param {string} platform
+ * @param {string} jobId
+ * @returns {Promise<string>} path of the written file
+ */
+async function writeCoverLetterFile(page, letter, platform, jobId) {
+  const dir = path.join(process.cwd(), 'logs', 'cover-letters');
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `${platform}-${String(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}`);
+
+  const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const html = `<html><body style="font: 11pt Georgia, serif; line-height: 1.45; margin: 0.9in;">${
+    letter.text.split(/\n{2,}/).map((p) => `<p>${escape(p).replace(/\n/g, '<br>')}</p>`).join('')
+  }</body></html>`;
+
+  const context = (page.page ? page.page() : page).context();
+  const scratch = await context.newPage();
+  try {
+    await scratch.setContent(html);
+    await scratch.pdf({ path: `${base}.pdf`, format: 'Letter' });
+    return `${base}.pdf`;
+  } catch (_) {
+    fs.writeFileSync(`${base}.txt`, letter.text);
+    return `${base}.txt`;
+  } finally {
+    await scratch.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  COVER_LETTER_LABEL,
+  loadCoverLetter,
+  renderCoverLetter,
+  writeCoverLetterFile,
+};
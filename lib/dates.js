@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Dates for start-date and availability fields.
+ *
+ * Profile answers say when, not which day: "Immediately", "2 weeks notice",
+ * "+14d", "one month". toDate() turns them into a concrete date counted from
+ * the run date, and dateFormat() reads the shape a field wants from its type,
+ * placeholder or pattern:
+ *
+ *   <input type="date">                     YYYY-MM-DD (always, whatever the locale shows)
+ *   <input type="month">                    YYYY-MM
+ *   placeholder "MM/DD/YYYY", "dd.mm.yyyy"  as written
+ *   pattern "\d{2}/\d{2}/\d{4}"             MM/DD/YYYY
+ *
+ * Free-text answers that are not dates ("Negotiable") give null.
+ */
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+// "2 weeks", "three months"; the words come from WORD_NUMBERS
+const NOTICE = new RegExp(`\\b(\\d+|${Object.keys(WORD_NUMBERS).join('|')})\\s*(day|week|month)s?\\b`);
+const UNIT_DAYS = { day: 1, week: 7 };
+
+// Placeholder tokens, longest first so YYYY wins over YY
+const TOKENS = /YYYY|YY|MM|DD/g;
+
+/**
+ * Resolve a date answer to a Date.
+ *
+ * Accepts ISO dates (2026-01-15), US dates (01/15/2026), "today", "now",
+ * "immediately", "asap", relative offsets ("+14d", "+2w") and notice
+ * periods ("2 weeks notice", "two weeks", "30 days", "1 month").
+ *
+ * @param {string|Date} value
+ * @param {Date} [now] - the run date
+ * @returns {Date|null}
+ */
+function toDate(value, now = new Date()) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  const from = (days, months = 0) => {
+    const d = new Date(now.getFullYear(), now.getMonth() + months, now.getDate());
+    d.setDate(d.getDate() + days);
+    return d;
+  };
+
+  if (/^(today|now|immediately|immediate|asap|as soon as possible|right away)\b/.test(text)) return from(0);
+
+  const rel = /^\+(\d+)([dw])$/.exec(text);
+  if (rel) return from(Number(rel[1]) * (rel[2] === 'w' ? 7 : 1));
+
+  const notice = NOTICE.exec(text);
+  if (notice) {
+    const count = /^\d+$/.test(notice[1]) ? Number(notice[1]) : WORD_NUMBERS[notice[1]];
+    return notice[2] === 'month' ? from(0, count) : from(count * UNIT_DAYS[notice[2]]);
+  }
+
+  // Parse plain ISO dates as local dates, not UTC midnight
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (us) return new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+
+  if (!/\d/.test(text)) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Render a date, e.g. formatDate(d, 'MM/DD/YYYY'). Separators and other
+ * characters in the format are kept.
+ */
+function formatDate(date, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+  };
+  return format.replace(TOKENS, (token) => parts[token]);
+}
+
+/**
+ * Turn a regex pattern attribute into a format, for the common shapes
+ * (digits and a separator): \d{2}/\d{2}/\d{4} → MM/DD/YYYY,
+ * \d{4}-\d{2}-\d{2} → YYYY-MM-DD. Two-digit groups before a four-digit
+ * year are read month first, as US boards use.
+ */
+function patternFormat(pattern) {
+  const groups = [...String(pattern).matchAll(/\\d\{(\d)(?:,\d)?\}|\[0-9\]\{(\d)(?:,\d)?\}/g)].map((m) => Number(m[1] || m[2]));
+  const sep = (String(pattern).match(/\}\\?([/.-])/) || [])[1];
+  if (!sep) return null;
+  if (groups.join() === '4,2,2') return ['YYYY', 'MM', 'DD'].join(sep);
+  if (groups.join() === '2,2,4') return ['MM', 'DD', 'YYYY'].join(sep);
+  if (groups.join() === '2,4') return ['MM', 'YYYY'].join(sep);
+  return null;
+}
+
+/**
+ * The date format a field asks for, or null when nothing says it is a
+ * date field.
+ *
+ * @param {{ type?: string, placeholder?: string, pattern?: string }} attrs
+ * @returns {string|null}
+ */
+function dateFormat(attrs) {
+  if (attrs.type === 'date') return 'YYYY-MM-DD';
+  if (attrs.type === 'month') return 'YYYY-MM';
+
+  const placeholder = String(attrs.placeholder || '').trim().toUpperCase();
+  if (/^(MM|DD|YYYY)([/.-](MM|DD|YYYY|YY)){1,2}$/.test(placeholder)) return placeholder;
+
+  return attrs.pattern ? patternFormat(attrs.pattern) : null;
+}
+
+module.exports = {
+  toDate,
+  formatDate,
+  dateFormat,
+};
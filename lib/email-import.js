@@ -0,0 +1,341 @@
+'use strict';
+
+/**
+ * Recruiter email import.
+ *
+ * Rejections and interview invites arrive by email rather than through the
+ * job boards. readMessages() loads a local mbox file, Maildir or folder of
+ * .eml files; classifyMessage() sorts each message into a rejection,
+ * interview request, assessment or auto-acknowledgement; matchApplication()
+ * links it to a submitted application by company and job title. The
+ * importer then appends the resulting status to status_history with
+ * source 'email', dated when the message was received.
+ *
+ * Only plain text is needed for this, so the MIME handling is deliberately
+ * small: headers, RFC 2047 encoded words, multipart bodies, base64 and
+ * quoted-printable. Attachments are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeCompany } = require('./companies');
+const { cleanTitle } = require('./fingerprint');
+
+// Checked in order; rejections often also thank you for applying, and
+// assessment invites often mention the interview that follows
+const CATEGORY_PATTERNS = [
+  ['rejection', /unfortunately|regret to inform|not (to )?(be )?mov(e|ing) forward|decided to (pursue|proceed|move forward) with other|other candidates|not been selected|were not selected|position has been filled|no longer (being )?considered/i],
+  ['assessment', /assessment|coding (challenge|exercise|test)|take[- ]home|skills test|hackerrank|codility|codesignal|testgorilla/i],
+  ['interview', /interview|phone screen|schedule (a )?(call|time|chat|conversation)|your availability|calendly\.com|like to speak with you/i],
+  ['auto_ack', /thank(s| you) for (applying|your application|your interest|submitting)|application (has been |was )?received|we (have )?received your application|application submitted/i],
+];
+
+// status_history value for each category
+const CATEGORY_STATUS = {
+  rejection: 'rejected',
+  assessment: 'assessment',
+  interview: 'interview',
+  auto_ack: 'acknowledged',
+};
+
+// Characters of body searched when matching and classifying
+const BODY_SAMPLE = 5000;
+
+// A reply can be dated slightly before appliedAt when clocks differ
+const CLOCK_SKEW_MS = 86400000;
+
+// ── MIME parsing ──
+
+/**
+ * Split raw header text into a lowercase-name → value map (folded lines joined).
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(idx + 1).trim();
+  }
+  return headers;
+}
+
+function decodeBytes(buffer, charset) {
+  const cs = String(charset || 'utf-8').toLowerCase();
+  return buffer.toString(/^(iso-8859-1|latin1|us-ascii|windows-1252)$/.test(cs) ? 'latin1' : 'utf8');
+}
+
+function decodeQuotedPrintable(text, charset) {
+  const bytes = [];
+  const soft = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < soft.length; i++) {
+    if (soft[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(soft.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(soft.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(soft[i], 'utf8'));
+    }
+  }
+  return decodeBytes(Buffer.from(bytes), charset);
+}
+
+/**
+ * Decode RFC 2047 encoded words: "=?UTF-8?B?...?=" and "=?UTF-8?Q?...?=".
+ */
+function decodeWords(value) {
+  return String(value || '')
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, data) => (
+      enc.toUpperCase() === 'B'
+        ? decodeBytes(Buffer.from(data, 'base64'), charset)
+        : decodeQuotedPrintable(data.replace(/_/g, ' '), charset)
+    ));
+}
+
+/** Read one parameter ("boundary", "charset") from a Content-Type header. */
+function headerParam(value, name) {
+  const match = String(value || '').match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/&quot;/g, '"');
+}
+
+/**
+ * Plain text of a MIME entity, preferring text/plain over text/html.
+ * @returns {{ plain: string, html: string }}
+ */
+function extractText(headers, body) {
+  const type = (headers['content-type'] || 'text/plain').toLowerCase();
+
+  if (type.startsWith('multipart/')) {
+    const boundary = headerParam(headers['content-type'], 'boundary');
+    const result = { plain: '', html: '' };
+    if (!boundary) return result;
+    const parts = body.split(`--${boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      const split = part.search(/\r?\n\r?\n/);
+      if (split === -1) continue;
+      const partHeaders = parseHeaders(part.slice(0, split).replace(/^\r?\n/, ''));
+      if (/attachment/i.test(partHeaders['content-disposition'] || '')) continue;
+      const text = extractText(partHeaders, part.slice(split).replace(/^\r?\n\r?\n/, ''));
+      result.plain += text.plain;
+      result.html += text.html;
+    }
+    return result;
+  }
+  if (!type.startsWith('text/')) return { plain: '', html: '' };
+
+  const charset = headerParam(headers['content-type'], 'charset');
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  let decoded = body;
+  if (encoding === 'base64') decoded = decodeBytes(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+  else if (encoding === 'quoted-printable') decoded = decodeQuotedPrintable(body, charset);
+
+  return type.startsWith('text/html') ? { plain: '', html: htmlToText(decoded) } : { plain: decoded, html: '' };
+}
+
+/**
+ * Parse one RFC 822 message.
+ * @param {string} raw
+ * @returns {{ messageId: string, from: string, subject: string, receivedAt: string|null, text: string }}
+ */
+function parseMessage(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerText = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerText);
+
+  const { plain, html } = extractText(headers, body);
+  const date = headers.date ? new Date(headers.date) : null;
+  const from = decodeWords(headers.from);
+  const subject = decodeWords(headers.subject);
+
+  return {
+    // Messages without a Message-ID still need a stable key for re-imports
+    messageId: headers['message-id'] ||
+      `<${crypto.createHash('sha1').update(`${from}\n${headers.date}\n${subject}`).digest('hex')}@local>`,
+    from,
+    subject,
+    receivedAt: date && !isNaN(date) ? date.toISOString() : null,
+    text: (plain || html).replace(/[ \t]+/g, ' ').trim(),
+  };
+}
+
+// ── Mailbox sources ──
+
+/**
+ * Split an mbox file into raw messages, undoing ">From " quoting.
+ */
+function splitMbox(text) {
+  return text
+    .split(/^From .*\r?\n/m)
+    .filter((chunk) => chunk.trim())
+    .map((chunk) => chunk.replace(/^>(>*From )/gm, '$1'));
+}
+
+/**
+ * Read every message from a mailbox source.
+ *
+ * @param {string} source - an mbox file, a single .eml file, a Maildir
+ *   (with cur/ and new/) or a folder of .eml files
+ * @returns {Array<object>} parsed messages, see parseMessage()
+ */
+function readMessages(source) {
+  const stat = fs.statSync(source);
+
+  if (stat.isFile()) {
+    const text = fs.readFileSync(source, 'utf8');
+    if (/\.eml$/i.test(source) || !/^From /.test(text)) return [parseMessage(text)];
+    return splitMbox(text).map(parseMessage);
+  }
+
+  const maildirDirs = ['cur', 'new'].map((d) => path.join(source, d)).filter((d) => fs.existsSync(d));
+  const files = maildirDirs.length > 0
+    ? maildirDirs.flatMap((dir) => fs.readdirSync(dir).map((f) => path.join(dir, f)))
+    : fs.readdirSync(source).filter((f) => /\.eml$/i.test(f)).map((f) => path.join(source, f));
+
+  return files
+    .filter((file) => fs.statSync(file).isFile())
+    .sort()
+    .map((file) => parseMessage(fs.readFileSync(file, 'utf8')));
+}
+
+// ── Classification and matching ──
+
+/**
+ * Classify a message by its subject and body.
+ * @param {{ subject: string, text: string }} message
+ * @returns {string|null} rejection | assessment | interview | auto_ack, or null
+ */
+function classifyMessage(message) {
+  const text = `${message.subject}\n${message.text.slice(0, BODY_SAMPLE)}`;
+  const hit = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return hit ? hit[0] : null;
+}
+
+/** Whole-phrase containment on normalized text. */
+function containsPhrase(haystack, phrase) {
+  return !!phrase && ` ${haystack} `.includes(` ${phrase} `);
+}
+
+/**
+ * Find the submitted application a message is about.
+ *
+ * The company must appear in the sender, subject or body (or be the sender's
+ * domain). Among those, an application whose cleaned title also appears wins,
+ * most recent first. Without a title hit, a company with a single application
+ * still matches; several leave the message unmatched rather than guess.
+ *
+ * @param {object} message - parsed message
+ * @param {Array<object>} applications - from state.getSubmittedApplications()
+ * @returns {{ application: object, matchedOn: string }|null}
+ */
+function matchApplication(message, applications) {
+  const raw = `${message.from}\n${message.subject}\n${message.text.slice(0, BODY_SAMPLE)}`;
+  const companyText = normalizeCompany(raw);
+  const titleText = cleanTitle(raw);
+  const domain = (message.from.match(/@([\w.-]+)/) || [])[1] || '';
+  const domainKey = domain.split('.').slice(-2, -1)[0] || '';
+  const received = message.receivedAt ? Date.parse(message.receivedAt) : Infinity;
+
+  const candidates = applications.filter((app) => {
+    if (Date.parse(app.appliedAt) > received + CLOCK_SKEW_MS) return false;
+    const companyKey = normalizeCompany(app.company);
+    if (!companyKey) return false;
+    return containsPhrase(companyText, companyKey) || (domainKey && domainKey === companyKey.replace(/\s+/g, ''));
+  });
+  if (candidates.length === 0) return null;
+
+  const byRecent = (a, b) => b.appliedAt.localeCompare(a.appliedAt);
+  const titled = candidates.filter((app) => containsPhrase(titleText, cleanTitle(app.jobTitle))).sort(byRecent);
+  if (titled.length > 0) return { application: titled[0], matchedOn: 'company+title' };
+
+  const distinct = new Set(candidates.map((app) => `${normalizeCompany(app.company)}\n${cleanTitle(app.jobTitle)}`));
+  if (distinct.size === 1) return { application: candidates.sort(byRecent)[0], matchedOn: 'company' };
+  return null;
+}
+
+/**
+ * Import messages: classify, match and record statuses.
+ *
+ * Messages already imported are skipped, except recruiter responses that
+ * matched no application: they are matched again, since the application
+ * may only have been recorded (or its company read) since.
+ *
+ * @param {Array<object>} messages - from readMessages()
+ * @param {object} state - state manager module
+ * @param {object} logger
+ * @param {boolean} [dryRun=false] - classify and match without writing
+ * @returns {{ read: number, known: number, classified: number, matched: number, recorded: number, unmatched: Array<object> }}
+ */
+function importMessages(messages, state, logger, dryRun = false) {
+  const applications = state.getSubmittedApplications();
+  const result = { read: messages.length, known: 0, classified: 0, matched: 0, recorded: 0, unmatched: [] };
+
+  for (const message of messages) {
+    const known = state.getEmailMessage(message.messageId);
+    if (known && (known.applicationId !== null || !known.category)) {
+      result.known++;
+      continue;
+    }
+
+    const category = classifyMessage(message);
+    const match = category ? matchApplication(message, applications) : null;
+    if (category) result.classified++;
+    if (match) result.matched++;
+    if (category && !match) result.unmatched.push({ ...message, category });
+
+    const application = match?.application;
+    logger.info({
+      subject: message.subject, from: message.from, category,
+      company: application?.company, jobTitle: application?.jobTitle, matchedOn: match?.matchedOn,
+    }, category ? `Email classified as ${category}` : 'Email not recognized as a recruiter response');
+
+    if (dryRun) continue;
+
+    state.recordEmailMessage({
+      messageId: message.messageId,
+      applicationId: application?.id ?? null,
+      category,
+      sender: message.from,
+      subject: message.subject,
+      receivedAt: message.receivedAt,
+    });
+
+    if (!application) continue;
+    const status = CATEGORY_STATUS[category];
+    if (state.getLatestStatus(application.id)?.status === status) continue;
+    state.recordStatus({
+      applicationId: application.id,
+      status,
+      detail: message.subject,
+      source: 'email',
+      observedAt: message.receivedAt,
+    });
+    result.recorded++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  CATEGORY_STATUS,
+  parseMessage,
+  readMessages,
+  classifyMessage,
+  matchApplication,
+  importMessages,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Cross-platform duplicate detection.
+ *
+ * The same posting is often listed on several boards under different job
+ * ids. Every submitted application stores a fingerprint (normalized company,
+ * cleaned title, location and the start of the description) in
+ * job_fingerprints. Before applying on any platform, a job whose company and
+ * title match a stored fingerprint, whose location is compatible and whose
+ * description (when both are known) is similar is skipped as
+ * `duplicate_of:<platform>:<jobId>`.
+ */
+
+const stringSimilarity = require('string-similarity');
+const { normalizeCompany } = require('./companies');
+
+// Minimum description similarity for a duplicate when both descriptions are known
+const DESCRIPTION_THRESHOLD = 0.8;
+
+// Characters of description kept for comparison
+const DESCRIPTION_SAMPLE = 2000;
+
+/**
+ * Clean a job title for comparison: drop parentheticals, requisition
+ * numbers, work-mode and employment-type noise.
+ * "Data Scientist (Remote) - Contract #4411" → "data scientist"
+ * @param {string} title
+ * @returns {string}
+ */
+function cleanTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    // "#4411", "Req ID: R-12345": the id has a digit, so "C#" and "Identity" stay
+    .replace(/(\b(req|job|requisition)\s*)?(#|\bid\b:?)\s*[\w-]*\d[\w-]*/g, ' ')
+    .replace(/\b(remote|hybrid|on[- ]?site|full[- ]?time|part[- ]?time|contract(or)?|temporary|w2|c2c|1099)\b/g, ' ')
+    .replace(/\bsr\b\.?/g, 'senior')
+    .replace(/\bjr\b\.?/g, 'junior')
+    .replace(/[^a-z0-9+#\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a location: "Salt Lake City, UT (Hybrid)" → "salt lake city ut",
+ * anything mentioning remote → "remote".
+ * @param {string} location
+ * @returns {string}
+ */
+function normalizeLocation(location) {
+  const loc = String(location || '').toLowerCase();
+  if (/\bremote\b/.test(loc)) return 'remote';
+  return loc
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/\b(united states|usa|us)\b/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the fingerprint of a job.
+ * @param {object} job - { jobTitle, company, location, details?: { description } }
+ * @returns {{ companyKey: string, titleKey: string, locationKey: string, description: string }}
+ */
+function fingerprintJob(job) {
+  const description = String(job.details?.description || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, DESCRIPTION_SAMPLE);
+  return {
+    companyKey: normalizeCompany(job.company),
+    titleKey: cleanTitle(job.jobTitle),
+    locationKey: normalizeLocation(job.details?.location || job.location),
+    description,
+  };
+}
+
+/**
+ * Whether two locations can be the same posting. An unknown location is
+ * compatible with anything; otherwise one must contain the other
+ * ("salt lake city ut" and "salt lake city").
+ */
+function locationsCompatible(a, b) {
+  if (!a || !b) return true;
+  return a === b || a.includes(b) || b.includes(a);
+}
+
+/**
+ * Find an earlier submitted application for the same posting.
+ *
+ * @param {object} job
+ * @param {string} platform - platform of the job being checked
+ * @param {object} state - state manager module
+ * @returns {{ skipReason: string, reason: string }|null}
+ */
+function findDuplicate(job, platform, state) {
+  const fp = fingerprintJob(job);
+  if (!fp.companyKey || !fp.titleKey) return null;
+
+  for (const row of state.getFingerprints(fp.companyKey, fp.titleKey)) {
+    if (row.platform === platform && row.jobId === job.jobId) continue;
+    if (!locationsCompatible(fp.locationKey, row.locationKey)) continue;
+
+    let similarity = null;
+    if (fp.description && row.description) {
+      similarity = stringSimilarity.compareTwoStrings(fp.description, row.description);
+      if (similarity < DESCRIPTION_THRESHOLD) continue;
+    }
+    const reason = similarity === null
+      ? 'same company, title and location'
+      : `same company, title and location; description ${Math.round(similarity * 100)}% similar`;
+    return { skipReason: `duplicate_of:${row.platform}:${row.jobId}`, reason };
+  }
+  return null;
+}
+
+/**
+ * Store the fingerprint of a job that was just submitted.
+ * @param {object} job
+ * @param {string} platform
+ * @param {object} state - state manager module
+ */
+function rememberJob(job, platform, state) {
+  const fp = fingerprintJob(job);
+  if (!fp.companyKey || !fp.titleKey) return;
+  state.saveFingerprint({ platform, jobId: job.jobId, ...fp });
+}
+
+module.exports = {
+  cleanTitle,
+  normalizeLocation,
+  fingerprintJob,
+  findDuplicate,
+  rememberJob,
+};
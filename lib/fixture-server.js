@@ -0,0 +1,129 @@
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+};
+
+/**
+ * Load the fixture manifest for a platform.
+ *
+ * A manifest maps recorded live URLs (regex strings) to snapshot files in
+ * fixtures/<platform>/, and lists the application rows a module is expected
+ * to write when driven against those snapshots.
+ *
+ * @param {string} platform
+ * @param {string} [fixturesDir]
+ * @returns {{ platform: string, routes: Array<{ match: string, file: string, pattern: RegExp }>, expect: Array<object> }}
+ */
+function loadManifest(platform, fixturesDir = FIXTURES_DIR) {
+  const manifestPath = path.join(fixturesDir, platform, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No fixture manifest for platform: ${platform}`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.platform = manifest.platform || platform;
+  manifest.routes = (manifest.routes || []).map((r) => ({ ...r, pattern: new RegExp(r.match) }));
+  manifest.expect = manifest.expect || [];
+  return manifest;
+}
+
+/**
+ * List every platform that has a fixture manifest.
+ * @param {string} [fixturesDir]
+ * @returns {string[]}
+ */
+function listFixturePlatforms(fixturesDir = FIXTURES_DIR) {
+  if (!fs.existsSync(fixturesDir)) return [];
+  return fs.readdirSync(fixturesDir)
+    .filter((name) => fs.existsSync(path.join(fixturesDir, name, 'manifest.json')));
+}
+
+/**
+ * Start a local static HTTP server over the fixtures directory.
+ * Files are served at /<platform>/<file>; nothing outside the directory is reachable.
+ *
+ * @param {string} [fixturesDir]
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function startFixtureServer(fixturesDir = FIXTURES_DIR) {
+  const root = path.resolve(fixturesDir);
+
+  const server = http.createServer((req, res) => {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://127.0.0.1').pathname);
+    const filePath = path.join(root, path.normalize(urlPath));
+
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Fixture not found');
+      return;
+    }
+
+    const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+/**
+ * Route every request made by a browser context through the fixture server.
+ *
+ * Requests whose URL matches a manifest route are answered with the recorded
+ * snapshot (the page keeps the original live URL, so domain checks in the
+ * platform modules behave as they do in production). Everything else is
+ * aborted so a fixture run can never reach the network.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {{ url: string }} server - from startFixtureServer()
+ * @param {object} manifest - from loadManifest()
+ * @returns {Promise<string[]>} live array of URLs that had no fixture (for diagnostics)
+ */
+async function routeToFixtures(context, server, manifest) {
+  const unmatched = [];
+
+  await context.route('**/*', async (route) => {
+    const url = route.request().url();
+    const entry = manifest.routes.find((r) => r.pattern.test(url));
+    if (!entry) {
+      unmatched.push(url);
+      await route.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+    try {
+      const response = await route.fetch({ url: `${server.url}/${manifest.platform}/${entry.file}` });
+      await route.fulfill({ response });
+    } catch (_) {
+      await route.abort('failed').catch(() => {});
+    }
+  });
+
+  return unmatched;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  loadManifest,
+  listFixturePlatforms,
+  startFixtureServer,
+  routeToFixtures,
+};
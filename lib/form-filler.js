@@ -2,50 +2,10 @@
 
 const stringSimilarity = require('string-similarity');
 const { sleep, typeWithDelay } = require('./humanize');
-
-const FUZZY_THRESHOLD = 0.6;
-
-/**
- * Normalize a label string for fuzzy matching:
- * - lowercase
- * - strip punctuation
- * - trim whitespace
- * - collapse multiple spaces
- */
-function normalizeLabel(label) {
-  return label
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-/**
- * Find the best matching answer from defaultAnswers for a given label.
- * Uses string-similarity for fuzzy matching with a configurable threshold.
- *
- * @param {string} label - the normalized field label
- * @param {object} defaultAnswers - key/value map from defaultAnswers.json
- * @returns {string|null} - the matched answer, or null if no match
- */
-function findAnswer(label, defaultAnswers) {
-  const keys = Object.keys(defaultAnswers);
-  if (keys.length === 0) return null;
-
-  const { bestMatch } = stringSimilarity.findBestMatch(label, keys);
-  if (bestMatch.rating >= FUZZY_THRESHOLD) {
-    return defaultAnswers[bestMatch.target];
-  }
-
-  // Also try direct substring inclusion as a fallback
-  for (const key of keys) {
-    if (label.includes(key) || key.includes(label)) {
-      return defaultAnswers[key];
-    }
-  }
-
-  return null;
-}
+const { loadAnswers, resolveAnswer, answerToText, answerForOptions, findAnswer, normalizeLabel, MIN_CONFIDENCE } = require('./answers');
+const { COVER_LETTER_LABEL, renderCoverLetter, writeCoverLetterFile } = require('./cover-letter');
+const { numericAnswer, parseValidationMessage } = require('./numeric');
+const { toDate, formatDate, dateFormat } = require('./dates');
 
 /**
  * Extract the label text associated with a form element.
@@ -234,27 +194,281 @@ async function clickInput(page, inputEl) {
   await inputEl.click({ force: true });
 }
 
+// Suggestions scoring below this against the answer are not picked
+const TYPEAHEAD_MIN_RATING = 0.4;
+
+/**
+ * A CSS selector for an input, for typeWithDelay(); null when it has
+ * neither id nor name.
+ */
+async function fieldSelector(input) {
+  return input.evaluate((el) => {
+    if (el.id) return `#${CSS.escape(el.id)}`;
+    if (el.name) return `[name="${CSS.escape(el.name)}"]`;
+    return null;
+  });
+}
+
+/**
+ * Whether a text input is a typeahead (location, school and skill fields):
+ * it suggests values in a listbox and only accepts one of them.
+ */
+async function isTypeahead(input) {
+  return input.evaluate((el) => el.tagName === 'INPUT' && (
+    ['list', 'both'].includes(el.getAttribute('aria-autocomplete'))
+    || el.getAttribute('role') === 'combobox'
+    || el.getAttribute('aria-haspopup') === 'listbox'
+  )).catch(() => false);
+}
+
+/**
+ * The visible suggestions of a typeahead: the listbox it points to through
+ * aria-controls/aria-owns, else any open listbox on the page.
+ */
+async function typeaheadOptions(page, input) {
+  const listId = await input.evaluate((el) => el.getAttribute('aria-controls') || el.getAttribute('aria-owns'));
+  const owned = listId ? await page.$$(`[id="${listId}"] [role="option"], [id="${listId}"] li`) : [];
+  const options = owned.length > 0
+    ? owned
+    : await page.$$('[role="listbox"] [role="option"], [role="listbox"] li, .basic-typeahead__selectable');
+  const visible = [];
+  for (const option of options) {
+    if (await option.isVisible().catch(() => false)) visible.push(option);
+  }
+  return visible;
+}
+
+/**
+ * Fill a typeahead: type the start of the answer (up to the first comma,
+ * at most three words), wait for suggestions and click the one closest to
+ * the whole answer; if none is close enough, type the whole answer and try
+ * again. The typed text stays when no suggestion matches.
+ *
+ * @returns {Promise<{ value: string, rating: number }|null>} the chosen suggestion
+ */
+async function fillTypeahead(page, input, text, config) {
+  const typingConfig = config.behavior?.typingSpeed || {};
+  const selector = await fieldSelector(input);
+  const prefix = text.split(',')[0].trim().split(/\s+/).slice(0, 3).join(' ');
+  const wanted = text.toLowerCase();
+
+  for (const query of prefix && prefix !== text ? [prefix, text] : [text]) {
+    await typeWithDelay(page, selector, query, { min: typingConfig.min || 50, max: typingConfig.max || 150 }).catch(async () => {
+      await input.fill(query);
+    });
+
+    // Suggestions usually arrive after a debounce and a request
+    let options = [];
+    for (let waited = 0; options.length === 0 && waited < 3000; waited += 250) {
+      await sleep(250, 250);
+      options = await typeaheadOptions(page, input);
+    }
+    if (options.length === 0) continue;
+
+    const texts = [];
+    for (const option of options) texts.push((await option.innerText().catch(() => '')).trim());
+    let index = texts.findIndex((t) => t && (t.toLowerCase().includes(wanted) || wanted.includes(t.toLowerCase())));
+    let rating = 1;
+    if (index === -1) {
+      const { bestMatch, bestMatchIndex } = stringSimilarity.findBestMatch(wanted, texts.map((t) => t.toLowerCase()));
+      index = bestMatchIndex;
+      rating = bestMatch.rating;
+    }
+    if (rating < TYPEAHEAD_MIN_RATING) continue;
+
+    await options[index].click().catch(() => options[index].click({ force: true }));
+    await sleep(200, 400);
+    return { value: texts[index], rating };
+  }
+
+  await page.keyboard.press('Escape').catch(() => {});
+  return null;
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * What an input says about taking a date: its type, placeholder, pattern,
+ * and whether it opens a calendar pop-up instead of taking typed text
+ * (read-only, aria-haspopup="dialog"/"grid", or a date picker class on it
+ * or its wrapper).
+ */
+async function dateFieldInfo(input) {
+  return input.evaluate((el) => ({
+    type: el.type,
+    placeholder: el.placeholder || '',
+    pattern: el.getAttribute('pattern') || '',
+    picker: el.readOnly
+      || ['dialog', 'grid'].includes(el.getAttribute('aria-haspopup'))
+      || /date-?picker|calendar/i.test(`${el.className} ${el.parentElement ? el.parentElement.className : ''}`),
+  })).catch(() => ({ type: 'text', placeholder: '', pattern: '', picker: false }));
+}
+
+/**
+ * Click a day in an open calendar pop-up, paging forward up to a year.
+ * Days are found by data-date (YYYY-MM-DD) or an aria-label such as
+ * "March 5, 2026" or "5 March 2026".
+ *
+ * @returns {Promise<boolean>} whether the day was clicked
+ */
+async function pickCalendarDate(page, date) {
+  const month = MONTH_NAMES[date.getMonth()];
+  const day = date.getDate();
+  const year = date.getFullYear();
+  const ordinal = [11, 12, 13].includes(day % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+  const selectors = [
+    `[data-date="${formatDate(date, 'YYYY-MM-DD')}"]`,
+    `[aria-label*="${month} ${day}, ${year}"]`,
+    `[aria-label*="${month} ${day}${ordinal}, ${year}"]`,
+    `[aria-label^="${day} ${month} ${year}"]`,
+    `[aria-label*=" ${day} ${month} ${year}"]`,
+  ].join(', ');
+
+  for (let pages = 0; pages <= 12; pages++) {
+    const cell = await page.$(selectors);
+    if (cell && await cell.isVisible().catch(() => false)) {
+      await cell.click();
+      await sleep(200, 400);
+      return true;
+    }
+    const next = await page.$('[aria-label*="next month" i], button:has-text("Next month"), [class*="navigation--next"]');
+    if (!next || !(await next.isVisible().catch(() => false))) break;
+    await next.click();
+    await sleep(200, 400);
+  }
+  return false;
+}
+
+/**
+ * Enter a date into a date field.
+ *
+ *   type="date"/"month"  set directly (Chromium ignores typed text there)
+ *   calendar pop-up      click the day; if the calendar cannot be read,
+ *                        set the value and fire input/change events
+ *   masked text          typed; when the mask inserts its own separators
+ *                        and garbles the value, typed again as digits only
+ *
+ * @returns {Promise<string>} the value the field ends up with
+ */
+async function fillDate(page, input, date, text, info, config) {
+  if (info.type === 'date' || info.type === 'month') {
+    await input.fill(text);
+    return text;
+  }
+
+  if (info.picker) {
+    await input.click().catch(() => {});
+    await sleep(300, 600);
+    if (!(await pickCalendarDate(page, date))) {
+      await page.keyboard.press('Escape').catch(() => {});
+      await input.evaluate((el, value) => {
+        el.value = value;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }, text);
+    }
+    return input.inputValue().catch(() => text);
+  }
+
+  const typingConfig = config.behavior?.typingSpeed || {};
+  const typing = { min: typingConfig.min || 50, max: typingConfig.max || 150 };
+  const selector = await fieldSelector(input);
+  await typeWithDelay(page, selector, text, typing).catch(() => input.fill(text));
+  const digits = text.replace(/\D/g, '');
+  let value = await input.inputValue().catch(() => text);
+  if (value.replace(/\D/g, '') !== digits) {
+    await typeWithDelay(page, selector, digits, typing).catch(() => input.fill(digits));
+    value = await input.inputValue().catch(() => digits);
+  }
+  return value;
+}
+
+/**
+ * Read the validation message shown for a field: the browser's own
+ * constraint message, the element its aria-describedby points at, or an
+ * error/alert element in the nearby container.
+ *
+ * @param {import('playwright').ElementHandle} element
+ * @returns {Promise<string>} '' when the field shows no error
+ */
+async function readValidationMessage(element) {
+  return element.evaluate((el) => {
+    if (el.validationMessage) return el.validationMessage;
+    for (const id of (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)) {
+      const described = document.getElementById(id);
+      const text = described ? described.textContent.trim() : '';
+      if (text) return text;
+    }
+    let parent = el.parentElement;
+    for (let i = 0; i < 3 && parent; i++) {
+      const error = parent.querySelector('[role="alert"], [class*="error"], [class*="Error"], [class*="invalid"]');
+      const text = error && !error.contains(el) ? error.textContent.trim() : '';
+      if (text) return text;
+      parent = parent.parentElement;
+    }
+    return '';
+  }).catch(() => '');
+}
+
 /**
  * Fill all detectable form fields on the current page/modal with answers
  * from defaultAnswers, using fuzzy matching and safe fallbacks.
  *
+ * Every field filled from an answer below behavior.minAnswerConfidence, and
+ * every fallback guess (first dropdown option, "Yes" radio), is returned in
+ * lowConfidenceFields so the caller can apply behavior.lowConfidencePolicy.
+ * filledFields lists everything that was filled, with the answer key and
+ * score, for the per-application audit trail.
+ *
  * @param {import('playwright').Page} page
  * @param {object} defaultAnswers - from defaultAnswers.json
  * @param {object} config - full config (for resumePath, user info, etc.)
  * @param {object} logger - pino logger
- * @param {string} [platform] - platform name for logging
+ * @param {string} [platform] - platform name for logging and per-platform rules
  * @param {string} [jobId] - job ID for logging
- * @returns {Promise<{ filledCount: number, unfilledFields: Array }>}
+ * @param {object} [job] - job being applied to; `company` selects per-company rules,
+ *   `resume` is the variant to upload. A cover letter rendered for the job
+ *   is kept on job.coverLetter, with `sentAs` ('text' or 'file') once used.
+ * @param {object} [answerProvider] - asked for textareas no answer covers (lib/answer-provider.js)
+ * @param {object} [assistant] - asked for text, select, dropdown and radio fields with no
+ *   answer or a low-confidence one, before any guess (lib/assist.js)
+ * @returns {Promise<{ filledCount: number, unfilledFields: Array, lowConfidenceFields: Array, filledFields: Array }>}
  */
-async function fillForm(page, defaultAnswers, config, logger, platform = 'unknown', jobId = null) {
-  const answers = defaultAnswers.defaultAnswers || defaultAnswers;
+async function fillForm(page, defaultAnswers, config, logger, platform = 'unknown', jobId = null, job = {}, answerProvider = null, assistant = null) {
+  const answers = loadAnswers(defaultAnswers);
+  const answerContext = { platform, company: job.company };
+  const minConfidence = config.behavior?.minAnswerConfidence ?? MIN_CONFIDENCE;
   let filledCount = 0;
   const unfilledFields = [];
+  const lowConfidenceFields = [];
+  const filledFields = [];
+
+  // answerKey and confidence are null for fills that are not answers
+  // (consent checkboxes, the resume upload)
+  const noteFilled = (fieldLabel, fieldType, answer, answerKey, confidence) => {
+    filledFields.push({ fieldLabel, fieldType, value: answer, answerKey, confidence });
+    if (confidence === null || confidence >= minConfidence) return;
+    lowConfidenceFields.push({ fieldLabel, fieldType, answer, confidence });
+    logger.debug({ platform, jobId, field: fieldLabel, answer, confidence }, 'Low-confidence answer');
+  };
+
+  // The assistant's answer replaces a missing or low-confidence one
+  const assist = async (element, label, fieldType, resolved, options) => {
+    if (!assistant || (resolved && resolved.confidence >= minConfidence)) return resolved;
+    return await assistant.ask(element, { label, fieldType, options, suggestion: resolved }) || resolved;
+  };
+
+  // Rendered on the first cover letter field of the job (config.coverLetter)
+  const coverLetter = () => {
+    if (job.coverLetter === undefined) job.coverLetter = renderCoverLetter(job, config);
+    return job.coverLetter;
+  };
 
   // ─────────────────────────────────────────────────────────────────────
   // TEXT INPUTS & TEXTAREAS
   // ─────────────────────────────────────────────────────────────────────
-  const textInputs = await page.$$('input[type="text"], input[type="number"], input[type="tel"], input[type="email"], textarea');
+  const textInputs = await page.$$('input[type="text"], input[type="number"], input[type="tel"], input[type="email"], input[type="date"], input[type="month"], textarea');
 
   for (const input of textInputs) {
     // Skip hidden, disabled, or readonly inputs
@@ -269,40 +483,104 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
     const rawLabel = await extractLabel(page, input);
     if (!rawLabel) continue;
 
+    // Cover letters are pasted whole; typing a page of text per character is too slow
+    const letter = COVER_LETTER_LABEL.test(rawLabel) ? coverLetter() : null;
+    if (letter) {
+      await input.fill(letter.text);
+      await sleep(300, 600);
+      filledCount++;
+      letter.sentAs = letter.sentAs || 'text';
+      noteFilled(rawLabel, 'text', letter.text, `coverLetter:${letter.template}`, null);
+      logger.debug({ platform, jobId, field: rawLabel, template: letter.template }, 'Filled cover letter');
+      continue;
+    }
+
     const normalLabel = normalizeLabel(rawLabel);
-    const answer = findAnswer(normalLabel, answers);
+    const answer = await assist(input, rawLabel, 'text', resolveAnswer(normalLabel, answers, answerContext));
 
     if (answer !== null) {
-      // For number inputs, ensure the value is decimal-formatted if the field
-      // requires it.  LinkedIn sometimes validates "Enter a decimal number
-      // larger than 0.0" — whole numbers like "2" fail, but "2.0" passes.
-      let fillValue = answer;
       const inputType = await input.getAttribute('type').catch(() => 'text');
-      if (inputType === 'number' && /^\d+$/.test(fillValue)) {
-        fillValue = fillValue + '.0';
+      let fillValue = answerToText(answer, inputType);
+
+      // Date fields get a concrete date ("Immediately" → the run date) in the
+      // field's own format; date answers on plain text fields keep theirs
+      const dateInfo = await dateFieldInfo(input);
+      const format = dateFormat(dateInfo) || (dateInfo.picker || answer.type === 'date' ? (answer.format || 'MM/DD/YYYY') : null);
+      const date = format ? toDate(answer.type === 'date' ? answer.value : fillValue) : null;
+      if (date) {
+        const value = await fillDate(page, input, date, formatDate(date, format), dateInfo, config);
+        filledCount++;
+        noteFilled(rawLabel, 'date', value, answer.source, answer.confidence);
+        logger.debug({ platform, jobId, field: rawLabel, answer: fillValue, value, format }, 'Filled date field');
+        continue;
+      }
+
+      // Typeaheads only accept one of their suggestions
+      if (fillValue !== '' && await isTypeahead(input)) {
+        const picked = await fillTypeahead(page, input, fillValue, config);
+        if (picked) {
+          filledCount++;
+          noteFilled(rawLabel, 'typeahead', picked.value, answer.source, Math.min(answer.confidence, picked.rating));
+          logger.debug({ platform, jobId, field: rawLabel, answer: fillValue, selected: picked.value }, 'Selected typeahead suggestion');
+        } else {
+          unfilledFields.push({ fieldLabel: rawLabel, fieldType: 'typeahead' });
+          logger.debug({ platform, jobId, field: rawLabel, answer: fillValue }, 'No typeahead suggestion matched the answer');
+        }
+        continue;
       }
 
+      // Numbers are shaped to the field: pay period, thousands, min/max
+      // attributes, range questions (lib/numeric.js)
+      const numeric = answer.type === 'number' || inputType === 'number';
+      const attrs = numeric
+        ? await input.evaluate((el) => ({ type: el.type, min: el.min, max: el.max, step: el.step }))
+        : null;
+      if (numeric) fillValue = numericAnswer(rawLabel, fillValue, attrs) ?? fillValue;
+
       // Use humanized per-character typing for non-empty answers to avoid
       // instant-fill detection. Empty answers are filled silently (nothing to type).
       if (fillValue === '') {
         await input.fill('');
       } else {
         const typingConfig = config.behavior?.typingSpeed || {};
-        await typeWithDelay(page, await input.evaluate((el) => {
-          if (el.id) return `#${CSS.escape(el.id)}`;
-          if (el.name) return `[name="${CSS.escape(el.name)}"]`;
-          return null;
-        }), fillValue, { min: typingConfig.min || 50, max: typingConfig.max || 150 }).catch(async () => {
+        await typeWithDelay(page, await fieldSelector(input), fillValue, { min: typingConfig.min || 50, max: typingConfig.max || 150 }).catch(async () => {
           await input.fill(fillValue);
           await sleep(100, 300);
         });
       }
+
+      // A rejected number ("Enter a whole number between 0 and 99") is
+      // reshaped from the message and filled once more
+      if (numeric && fillValue !== '') {
+        await input.evaluate((el) => el.blur()).catch(() => {});
+        await sleep(200, 400);
+        const message = await readValidationMessage(input);
+        const retry = parseValidationMessage(message) ? numericAnswer(rawLabel, answerToText(answer, inputType), attrs, message) : null;
+        if (retry && retry !== fillValue) {
+          logger.debug({ platform, jobId, field: rawLabel, message, from: fillValue, to: retry }, 'Refilling number field after validation message');
+          await input.fill(retry);
+          await sleep(100, 300);
+          fillValue = retry;
+        }
+      }
       filledCount++;
-      logger.debug({ platform, jobId, field: rawLabel, answer: fillValue }, 'Filled text field');
+      noteFilled(rawLabel, 'text', fillValue, answer.source, answer.confidence);
+      logger.debug({ platform, jobId, field: rawLabel, answer: fillValue, source: answer.source }, 'Filled text field');
     } else if (normalLabel) {
-      // Log unmatched fields for future improvement
-      unfilledFields.push({ fieldLabel: rawLabel, fieldType: 'text' });
-      logger.debug({ platform, jobId, field: rawLabel }, 'No match for text field — leaving empty');
+      // Free-text questions can be answered by the answer provider
+      const isTextarea = await input.evaluate((el) => el.tagName === 'TEXTAREA');
+      const generated = answerProvider && isTextarea ? await answerProvider.answer(rawLabel, job) : null;
+      if (generated) {
+        await input.fill(generated);
+        await sleep(300, 600);
+        filledCount++;
+        noteFilled(rawLabel, 'text', generated, answerProvider.name, answerProvider.confidence);
+        logger.debug({ platform, jobId, field: rawLabel, source: answerProvider.name }, 'Filled text field with generated answer');
+      } else {
+        // Log unmatched fields for future improvement
+        unfilledFields.push({ fieldLabel: rawLabel, fieldType: 'text' });
+        logger.debug({ platform, jobId, field: rawLabel }, 'No match for text field — leaving empty');
+      }
     }
   }
 
@@ -330,7 +608,6 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
 
     const rawLabel = await extractLabel(page, select);
     const normalLabel = normalizeLabel(rawLabel);
-    const answer = findAnswer(normalLabel, answers);
 
     // Get all options
     const options = await select.$$('option');
@@ -339,7 +616,10 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
       optionTexts.push(await opt.innerText());
     }
 
-    if (answer !== null) {
+    const resolved = await assist(select, rawLabel, 'select', resolveAnswer(normalLabel, answers, answerContext),
+      optionTexts.map((t) => t.trim()).filter((t) => t && !placeholderPattern.test(t)));
+
+    if (resolved !== null) {
       // Try to find option matching the answer.
       // Get option values alongside text for robust selection.
       const optionDetails = await select.$$eval('option', opts =>
@@ -351,6 +631,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
       );
 
       if (nonPlaceholderOpts.length > 0) {
+        const answer = answerForOptions(resolved, nonPlaceholderOpts.map((o) => o.text));
         const { bestMatch: bestOpt } = stringSimilarity.findBestMatch(
           answer.toLowerCase(),
           nonPlaceholderOpts.map((o) => o.text.toLowerCase())
@@ -362,6 +643,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
             if (ok) {
               await sleep(100, 300);
               filledCount++;
+              noteFilled(rawLabel, 'select', matched.text, resolved.source, resolved.confidence);
               logger.debug({ platform, jobId, field: rawLabel, selected: matched.text }, 'Selected dropdown option');
             }
           }
@@ -378,6 +660,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
           await sleep(100, 200);
           filledCount++;
           if (rawLabel) unfilledFields.push({ fieldLabel: rawLabel, fieldType: 'select' });
+          noteFilled(rawLabel || '(unlabeled select)', 'select', optionTexts[firstRealIdx].trim(), null, 0);
         }
       }
     }
@@ -397,6 +680,9 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
     const isVisible = await trigger.isVisible();
     if (!isVisible) continue;
 
+    // Typeahead inputs were handled with the text inputs
+    if (await isTypeahead(trigger)) continue;
+
     // Skip if it looks like it already has a selection (non-placeholder text)
     const currentText = await trigger.evaluate(el => (el.textContent || el.value || '').trim());
     if (currentText && !['select an option', 'select', 'choose', 'please select', ''].includes(currentText.toLowerCase())) {
@@ -405,9 +691,9 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
 
     const rawLabel = await extractLabel(page, trigger);
     const normalLabel = normalizeLabel(rawLabel);
-    const answer = findAnswer(normalLabel, answers);
+    const resolved = await assist(trigger, rawLabel, 'custom-dropdown', resolveAnswer(normalLabel, answers, answerContext));
 
-    if (!answer) {
+    if (!resolved || answerToText(resolved) === '') {
       if (normalLabel) unfilledFields.push({ fieldLabel: rawLabel, fieldType: 'custom-dropdown' });
       continue;
     }
@@ -434,6 +720,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
         // Native select found — use selectOption with fuzzy match
         const optionTexts = await hiddenSelect.$$eval('option', opts => opts.map(o => o.textContent.trim()));
         if (optionTexts.length === 0) continue;
+        const answer = answerForOptions(resolved, optionTexts);
         const { bestMatch } = stringSimilarity.findBestMatch(
           answer.toLowerCase(),
           optionTexts.map(t => t.toLowerCase())
@@ -446,6 +733,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
             await hiddenSelect.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
             await sleep(200, 400);
             filledCount++;
+            noteFilled(rawLabel, 'custom-dropdown', matchedText, resolved.source, resolved.confidence);
             logger.debug({ platform, jobId, field: rawLabel, selected: matchedText }, 'Selected custom dropdown (native select)');
             continue;
           }
@@ -468,15 +756,21 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
 
       // Find all options in the dropdown
       const options = await page.$$('[role="option"], [data-test-text-selectable-option__label], [role="listbox"] li');
+      const optTexts = [];
+      for (const opt of options) {
+        optTexts.push((await opt.innerText()).trim());
+      }
+      const answer = answerForOptions(resolved, optTexts).toLowerCase();
       let matched = false;
 
-      for (const opt of options) {
-        const optText = (await opt.innerText()).trim();
-        if (optText.toLowerCase().includes(answer.toLowerCase()) || answer.toLowerCase().includes(optText.toLowerCase())) {
-          await opt.click();
+      for (let i = 0; i < options.length; i++) {
+        const optText = optTexts[i];
+        if (optText.toLowerCase().includes(answer) || answer.includes(optText.toLowerCase())) {
+          await options[i].click();
           await sleep(200, 400);
           filledCount++;
           matched = true;
+          noteFilled(rawLabel, 'custom-dropdown', optText, resolved.source, resolved.confidence);
           logger.debug({ platform, jobId, field: rawLabel, selected: optText }, 'Selected custom dropdown option');
           break;
         }
@@ -484,12 +778,8 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
 
       // If exact/substring match failed, try fuzzy match
       if (!matched && options.length > 0) {
-        const optTexts = [];
-        for (const opt of options) {
-          optTexts.push((await opt.innerText()).trim());
-        }
         const { bestMatch } = stringSimilarity.findBestMatch(
-          answer.toLowerCase(),
+          answer,
           optTexts.map(t => t.toLowerCase())
         );
         if (bestMatch.rating >= 0.4) {
@@ -499,6 +789,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
             await sleep(200, 400);
             filledCount++;
             matched = true;
+            noteFilled(rawLabel, 'custom-dropdown', optTexts[matchIdx], resolved.source, resolved.confidence);
             logger.debug({ platform, jobId, field: rawLabel, selected: optTexts[matchIdx] }, 'Selected custom dropdown option (fuzzy)');
           }
         }
@@ -548,7 +839,6 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
     // Get the group question label
     const questionLabel = await extractRadioGroupLabel(page, groupRadios[0]);
     const normalLabel = normalizeLabel(questionLabel || groupName);
-    const answer = findAnswer(normalLabel, answers);
 
     // Collect option labels for each radio
     const radioOptions = [];
@@ -557,8 +847,12 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
       radioOptions.push({ radio: r, label: optLabel });
     }
 
-    if (answer !== null) {
+    const resolved = await assist(groupRadios[0], questionLabel || groupName, 'radio', resolveAnswer(normalLabel, answers, answerContext),
+      radioOptions.map((o) => o.label));
+
+    if (resolved !== null) {
       // Find the radio whose label best matches the answer
+      const answer = answerForOptions(resolved, radioOptions.map((o) => o.label));
       const { bestMatch } = stringSimilarity.findBestMatch(
         answer.toLowerCase(),
         radioOptions.map((o) => o.label.toLowerCase())
@@ -568,6 +862,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
         await clickInput(page, matched.radio);
         await sleep(100, 300);
         filledCount++;
+        noteFilled(questionLabel || groupName, 'radio', matched.label, resolved.source, resolved.confidence);
         logger.debug({ platform, jobId, group: groupName, selected: matched.label }, 'Selected radio button');
       }
     } else {
@@ -579,6 +874,7 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
         await sleep(100, 300);
         filledCount++;
         if (questionLabel) unfilledFields.push({ fieldLabel: questionLabel, fieldType: 'radio' });
+        noteFilled(questionLabel || groupName, 'radio', toClick.label, null, 0);
       }
     }
   }
@@ -606,12 +902,13 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
       await clickInput(page, checkbox);
       await sleep(100, 300);
       filledCount++;
+      noteFilled(rawLabel, 'checkbox', 'checked', null, null);
       logger.debug({ platform, jobId, field: rawLabel }, 'Checked consent checkbox');
     }
   }
 
   // ─────────────────────────────────────────────────────────────────────
-  // FILE UPLOADS (resume)
+  // FILE UPLOADS (resume, cover letter)
   // ─────────────────────────────────────────────────────────────────────
   const fileInputs = await page.$$('input[type="file"]');
 
@@ -619,7 +916,25 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
     const isVisible = await fileInput.isVisible();
     if (!isVisible) continue;
 
-    const resumePath = config.user?.resumePath || './resumes/resume.pdf';
+    const fileLabel = await extractLabel(page, fileInput);
+    if (COVER_LETTER_LABEL.test(fileLabel)) {
+      const letter = coverLetter();
+      if (!letter) {
+        unfilledFields.push({ fieldLabel: fileLabel, fieldType: 'file' });
+        continue;
+      }
+      letter.filePath = letter.filePath || await writeCoverLetterFile(page, letter, platform, jobId);
+      await fileInput.setInputFiles(letter.filePath);
+      await sleep(500, 1000);
+      filledCount++;
+      letter.sentAs = 'file';
+      noteFilled(fileLabel, 'file', require('path').basename(letter.filePath), `coverLetter:${letter.template}`, null);
+      logger.debug({ platform, jobId, file: letter.filePath, template: letter.template }, 'Uploaded cover letter');
+      continue;
+    }
+
+    // The variant picked by the engine (lib/resumes.js), else the single resumePath
+    const resumePath = job.resume?.path || config.user?.resumePath || './resumes/resume.pdf';
     const fullPath = require('path').resolve(process.cwd(), resumePath);
 
     if (require('fs').existsSync(fullPath)) {
@@ -627,17 +942,22 @@ async function fillForm(page, defaultAnswers, config, logger, platform = 'unknow
       await fileInput.setInputFiles(fullPath);
       await sleep(500, 1000);
       filledCount++;
+      noteFilled(fileLabel || 'resume', 'file', require('path').basename(fullPath), null, null);
       logger.debug({ platform, jobId, file: fullPath }, 'Uploaded resume file');
     } else {
       logger.warn({ platform, jobId, resumePath: fullPath }, 'Resume file not found — skipping file upload');
     }
   }
 
-  return { filledCount, unfilledFields };
+  return { filledCount, unfilledFields, lowConfidenceFields, filledFields };
 }
 
 module.exports = {
   fillForm,
+  extractLabel,
+  extractRadioGroupLabel,
+  readValidationMessage,
+  // Re-exported from ./answers for existing callers
   findAnswer,
   normalizeLabel,
 };
@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Job posting details captured from the detail view each adapter already
+ * opens, so a posting can still be read after the board takes it down.
+ *
+ * Adapters implement readDetails(page, job, ctx) and return the raw text they
+ * find (any field may be missing):
+ *
+ *   { description, location, salary, seniority, posted }
+ *
+ * normalizeDetails() turns that into the shape stored in the jobs table:
+ * salary ranges become numbers, "3 days ago" becomes a date and seniority is
+ * inferred from the title when the board does not state it.
+ */
+
+// Longest description kept; a few postings paste whole handbooks
+const MAX_DESCRIPTION = 20000;
+
+// Checked in order, so "senior staff" is staff and "lead" beats "senior"
+const SENIORITY_KEYWORDS = [
+  ['intern', /\bintern(ship)?\b/],
+  ['director', /\b(director|vp|vice president|head of)\b/],
+  ['principal', /\bprincipal\b/],
+  ['staff', /\bstaff\b/],
+  ['manager', /\bmanager\b/],
+  ['lead', /\b(lead|tech lead)\b/],
+  ['senior', /\b(senior|sr\.?|iii|iv)\b/],
+  // Roman "I" only as a level suffix: "Data Scientist I", not "I&T Analyst"
+  ['entry', /\b(junior|jr\.?|entry[- ]level|new grad|graduate|associate)\b|\bi(?=\s*($|[-,(/|]))/],
+  ['mid', /\b(mid[- ]level|ii)\b/],
+];
+
+/**
+ * Text of the first element matching one of the selectors, or null.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {string[]} selectors - tried in order
+ * @returns {Promise<string|null>}
+ */
+async function readText(page, selectors) {
+  for (const sel of selectors) {
+    const el = await page.$(sel).catch(() => null);
+    if (!el) continue;
+    const text = (await el.innerText().catch(() => '')).trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Parse a salary string such as "$140K-$170K/yr", "$120,000 - $150,000 a year",
+ * "$8,000 a month" or "$60 an hour".
+ *
+ * @param {string|null} text
+ * @returns {{ salaryText: string|null, salaryMin: number|null, salaryMax: number|null, salaryPeriod: string|null }}
+ */
+function parseSalary(text) {
+  const empty = { salaryText: null, salaryMin: null, salaryMax: null, salaryPeriod: null };
+  if (!text) return empty;
+
+  const amounts = [...text.matchAll(/\$\s*([\d,]+(?:\.\d+)?)\s*([kK])?/g)].map((m) => {
+    const n = parseFloat(m[1].replace(/,/g, ''));
+    return m[2] ? n * 1000 : n;
+  });
+  if (amounts.length === 0) return { ...empty, salaryText: text };
+
+  // Without a stated period, amounts in the thousands are taken as yearly
+  let salaryPeriod = null;
+  if (/\b(hour|hr|hourly)\b/i.test(text)) salaryPeriod = 'hour';
+  else if (/\b(week|wk|weekly)\b/i.test(text)) salaryPeriod = 'week';
+  else if (/\b(month|mo|monthly)\b/i.test(text)) salaryPeriod = 'month';
+  else if (/\b(year|yr|annual|annually|a year)\b/i.test(text) || amounts[0] >= 1000) salaryPeriod = 'year';
+
+  return {
+    salaryText: text,
+    salaryMin: Math.min(...amounts),
+    salaryMax: Math.max(...amounts),
+    salaryPeriod,
+  };
+}
+
+/**
+ * Turn "Posted 3 days ago", "30+ days ago", "Just posted", "yesterday" or an
+ * absolute date into YYYY-MM-DD.
+ *
+ * @param {string|null} text
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+function parsePostedAt(text, now = new Date()) {
+  if (!text) return null;
+  const t = text.toLowerCase();
+  const daysAgo = (n) => new Date(now.getTime() - n * 86400000).toISOString().slice(0, 10);
+
+  if (/just posted|today|just now|\b\d+\s*(minute|min|hour|hr)s?\b/.test(t)) return daysAgo(0);
+  if (/yesterday/.test(t)) return daysAgo(1);
+
+  const rel = /(\d+)\+?\s*(day|week|month)s?\s*ago/.exec(t);
+  if (rel) {
+    const unit = { day: 1, week: 7, month: 30 }[rel[2]];
+    return daysAgo(Number(rel[1]) * unit);
+  }
+
+  const parsed = Date.parse(text.replace(/^posted\s*(on)?\s*/i, ''));
+  return isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+}
+
+/**
+ * The seniority the board states, or one inferred from the job title.
+ *
+ * @param {string|null} stated - e.g. LinkedIn's "Mid-Senior level"
+ * @param {string|null} title
+ * @returns {string|null}
+ */
+function inferSeniority(stated, title) {
+  if (stated) return stated;
+  if (!title) return null;
+  const t = title.toLowerCase();
+  for (const [level, pattern] of SENIORITY_KEYWORDS) {
+    if (pattern.test(t)) return level;
+  }
+  return null;
+}
+
+/**
+ * Normalize the raw readDetails() result for the jobs table.
+ *
+ * @param {object} raw - { description, location, salary, seniority, posted }
+ * @param {object} job - the job being applied to (for the title)
+ * @returns {object}
+ */
+function normalizeDetails(raw, job) {
+  const description = raw.description ? raw.description.replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_DESCRIPTION) : null;
+  return {
+    description,
+    location: raw.location || job.location || null,
+    ...parseSalary(raw.salary || null),
+    seniority: inferSeniority(raw.seniority || null, job.jobTitle),
+    postedAt: parsePostedAt(raw.posted || null),
+  };
+}
+
+module.exports = {
+  readText,
+  parseSalary,
+  parsePostedAt,
+  inferSeniority,
+  normalizeDetails,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Minimal OpenAI-compatible chat completions server for trying the answer
+ * provider (lib/answer-provider.js) without a model.
+ *
+ *   node lib/llm-stub.js [port]     # then set answerProvider.baseUrl to the printed URL
+ *
+ * harness.js --llm starts one on a random port. Every request is kept in
+ * `requests` so callers can check what was sent.
+ */
+
+const http = require('http');
+
+/**
+ * Default reply: a fixed sentence that names the question it answers.
+ */
+function cannedReply(body) {
+  const prompt = body.messages?.[body.messages.length - 1]?.content || '';
+  const question = (prompt.match(/Question: (.*)$/m) || [])[1] || 'the question';
+  return `Stub answer to "${question}". I am excited about this role and bring relevant experience.`;
+}
+
+/**
+ * Start the stub on 127.0.0.1.
+ *
+ * @param {(body: object) => string} [reply] - builds the reply text from the request body
+ * @param {number} [port=0] - 0 picks a free port
+ * @returns {Promise<{ url: string, requests: Array<object>, close: () => Promise<void> }>}
+ */
+function startLlmStub(reply = cannedReply, port = 0) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Not found' } }));
+      return;
+    }
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (_) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+        return;
+      }
+      requests.push(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `stub-${requests.length}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: reply(body) }, finish_reason: 'stop' }],
+      }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startLlmStub(cannedReply, parseInt(process.argv[2] || '0', 10)).then(({ url }) => {
+    console.log(`LLM stub listening at ${url} (Ctrl+C to stop)`);
+  });
+}
+
+module.exports = {
+  startLlmStub,
+};
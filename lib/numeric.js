@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Numeric answers shaped to the field asking for them.
+ *
+ * Profile numbers are stored once ("3" years, "120000" a year) but forms ask
+ * in many shapes: hourly or monthly pay, "in thousands", a minimum and a
+ * maximum, "Enter a whole number between 0 and 99". numericAnswer() turns a
+ * profile value into the text one particular field accepts, from
+ *
+ *   - the label: pay period, thousands, salary range wording
+ *   - the input's min/max/step attributes
+ *   - a validation message shown after a first attempt (parseValidationMessage)
+ *
+ * Salaries in answers are annual; currency symbols, commas and "k" are
+ * read and dropped. A range answer ("120000-140000") supplies both ends; a
+ * single value is used for both.
+ */
+
+// Working hours and months per year for pay-period conversion
+const HOURS_PER_YEAR = 2080;
+const MONTHS_PER_YEAR = 12;
+
+// "rate" only with pay context: "hourly rate", "rate per hour", "rate ($)",
+// not "rate your proficiency"
+const SALARY_LABEL = /salary|compensation|\bpay\b|\b(your|hourly|daily|day|bill|billing|contract|desired|expected|target) rate\b|\brate\s*(per\b|\/|\(\$|\(usd\b|expectations?\b|range\b)|\$|wage|\bctc\b|\bearn/i;
+
+// A pay period, not a duration: "per month", "monthly", "/mo", but not
+// "12-month contract"
+const MONTHLY = /\bmonthly\b|\b(per|a|each|every)\s+month\b|\/\s*(month|mo)\b|\bper mo\b/;
+
+/**
+ * Parse a number from profile or form text: "$120,000", "120k", "3+ years",
+ * "4.5". Returns null when there is none.
+ * @param {string|number} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  const match = String(text || '').replace(/,/g, '').match(/-?\d+(\.\d+)?\s*(k\b)?/i);
+  if (!match) return null;
+  const value = parseFloat(match[0]);
+  return match[2] ? value * 1000 : value;
+}
+
+// "120000", "$120,000", "120k", "3+ years", "120000-140000", "$50 to $60 /hr";
+// not phone numbers or free text that happens to contain digits
+const NUMERIC_TEXT = /^[^\d\s]{0,3}\d[\d,.]*\s*k?\+?(\s*(-|–|to)\s*[^\d\s]{0,3}\d[\d,.]*\s*k?)?(\s+[a-z/]+){0,2}\s*$/i;
+
+/**
+ * Parse both ends of a range answer ("120000-140000", "$120k to $140k").
+ * @returns {{ min: number, max: number }|null}
+ */
+function parseRange(text) {
+  if (typeof text === 'number') return { min: text, max: text };
+  const parts = String(text || '').replace(/,/g, '').match(/\d+(\.\d+)?(\s*k\b)?/gi);
+  if (!parts) return null;
+  const nums = parts.map(parseNumber);
+  return { min: Math.min(...nums), max: Math.max(...nums) };
+}
+
+/**
+ * What a label says about the number it wants.
+ * @param {string} label
+ * @returns {{ salary: boolean, period: 'hour'|'month'|'year', thousands: boolean, part: 'min'|'max'|'range'|null }}
+ */
+function describeField(label) {
+  const l = String(label || '').toLowerCase();
+  const salary = SALARY_LABEL.test(l);
+
+  let period = 'year';
+  if (/hour|hourly|\/\s*hr\b|per hr|\bhr\b/.test(l)) period = 'hour';
+  else if (MONTHLY.test(l)) period = 'month';
+
+  const thousands = /thousand|in k\b|\(k\)|\$k\b|\bk\/yr|000s/.test(l);
+
+  let part = null;
+  if (/\b(min|minimum|lowest|floor)\b/.test(l)) part = 'min';
+  else if (/\b(max|maximum|highest|ceiling|up to)\b/.test(l)) part = 'max';
+  else if (salary && /\brange\b/.test(l)) part = 'range';
+
+  return { salary, period, thousands, part };
+}
+
+/**
+ * Read numeric constraints from a validation message, e.g.
+ * "Enter a whole number between 0 and 99", "Enter a decimal number larger
+ * than 0.0", "Value must be less than or equal to 50".
+ * @param {string} message
+ * @returns {{ min?: number, max?: number, integer?: boolean, decimal?: boolean }|null}
+ */
+function parseValidationMessage(message) {
+  const m = String(message || '').toLowerCase().replace(/,/g, '');
+  if (!m) return null;
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const c = {};
+
+  if (/whole number|integer|no decimals|without decimals/.test(m)) c.integer = true;
+  if (/decimal/.test(m) && !c.integer) c.decimal = true;
+
+  let match = m.match(new RegExp(`between ${num} and ${num}`));
+  if (match) { c.min = Number(match[1]); c.max = Number(match[2]); }
+  match = m.match(new RegExp(`(?:larger|greater|more) than or equal to ${num}|at least ${num}|minimum(?: value)? (?:is |of )?${num}`));
+  if (match) c.min = Number(match[1] ?? match[2] ?? match[3]);
+  else if ((match = m.match(new RegExp(`(?:larger|greater|more) than ${num}`)))) c.min = Number(match[1]) + (c.integer ? 1 : 0.1);
+  match = m.match(new RegExp(`(?:less|smaller|lower) than or equal to ${num}|at most ${num}|maximum(?: value)? (?:is |of )?${num}|no more than ${num}`));
+  if (match) c.max = Number(match[1] ?? match[2] ?? match[3] ?? match[4]);
+  else if ((match = m.match(new RegExp(`(?:less|smaller|lower) than ${num}`)))) c.max = Number(match[1]) - (c.integer ? 1 : 0.1);
+
+  return Object.keys(c).length > 0 ? c : null;
+}
+
+/**
+ * Constraints from an input's attributes.
+ * @param {{ type?: string, min?: string, max?: string, step?: string }} attrs
+ */
+function attributeConstraints(attrs) {
+  const c = {};
+  if (attrs.min !== undefined && attrs.min !== null && attrs.min !== '' && !isNaN(attrs.min)) c.min = Number(attrs.min);
+  if (attrs.max !== undefined && attrs.max !== null && attrs.max !== '' && !isNaN(attrs.max)) c.max = Number(attrs.max);
+  if (attrs.step && attrs.step !== 'any' && Number.isInteger(Number(attrs.step))) c.integer = true;
+  return c;
+}
+
+/**
+ * Format a number for a field: clamp into [min, max], then whole or
+ * decimal as required. Number inputs without an integer step get one
+ * decimal place, which LinkedIn's "Enter a decimal number" check needs.
+ */
+function formatNumber(value, constraints, inputType) {
+  let v = value;
+  if (constraints.min !== undefined && v < constraints.min) v = constraints.min;
+  if (constraints.max !== undefined && v > constraints.max) v = constraints.max;
+
+  if (constraints.integer) return String(Math.round(v));
+  if (Number.isInteger(v) && (constraints.decimal || inputType === 'number')) return v.toFixed(1);
+  return String(Math.round(v * 100) / 100);
+}
+
+/**
+ * Convert an annual amount to the field's pay period and scale.
+ */
+function convertSalary(annual, field) {
+  let v = annual;
+  if (field.period === 'hour') v = Math.round(annual / HOURS_PER_YEAR);
+  else if (field.period === 'month') v = Math.round(annual / MONTHS_PER_YEAR);
+  if (field.thousands) v = Math.round(v / 1000);
+  return v;
+}
+
+/**
+ * Shape a numeric answer for one field.
+ *
+ * @param {string} label - the field's label as shown
+ * @param {string|number} answerText - the resolved profile answer
+ * @param {{ type?: string, min?: string, max?: string, step?: string }} attrs - input attributes
+ * @param {string} [validationMessage] - message shown after a rejected value
+ * @returns {string|null} text to fill, or null when the answer is not numeric
+ */
+function numericAnswer(label, answerText, attrs = {}, validationMessage = '') {
+  if (typeof answerText !== 'number' && !NUMERIC_TEXT.test(String(answerText).trim())) return null;
+  const range = parseRange(answerText);
+  if (!range) return null;
+
+  const field = describeField(label);
+  const constraints = { ...attributeConstraints(attrs), ...parseValidationMessage(validationMessage) };
+  const convert = (v) => (field.salary ? convertSalary(v, field) : v);
+
+  if (field.part === 'range' && attrs.type !== 'number') {
+    const lo = formatNumber(convert(range.min), constraints, attrs.type);
+    const hi = formatNumber(convert(range.max), constraints, attrs.type);
+    return lo === hi ? lo : `${lo} - ${hi}`;
+  }
+  const value = field.part === 'max' ? range.max : range.min;
+  return formatNumber(convert(value), constraints, attrs.type);
+}
+
+module.exports = {
+  parseNumber,
+  parseRange,
+  describeField,
+  parseValidationMessage,
+  numericAnswer,
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Job relevance scoring, configured in config.search.relevance:
+ *
+ *   "relevance": {
+ *     "minScore": 0.4,
+ *     "positiveKeywords": ["python", "machine learning", "sql"],
+ *     "negativeKeywords": ["clearance", "php"],
+ *     "requiredSkills": ["python"],
+ *     "titleExcludes": ["senior staff", "principal", "intern"]
+ *   }
+ *
+ * Companies are filtered separately by config.search.companies (lib/companies.js).
+ *
+ * A job scores 0 when its title contains an excluded term or (once the
+ * description is known) a required skill is missing. Otherwise it starts from how many positive keywords appear in the
+ * title and description (three hits, or all of them when fewer are listed,
+ * give full credit) and is halved for every negative keyword.
+ */
+
+const DEFAULT_MIN_SCORE = 0.3;
+
+// Positive hits needed for full credit
+const FULL_CREDIT_HITS = 3;
+
+/**
+ * Case-insensitive whole-word test that also works for terms such as "c++".
+ */
+function containsTerm(text, term) {
+  const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'i').test(text);
+}
+
+/**
+ * Score a job against config.search.relevance.
+ *
+ * @param {object} job - { jobTitle, details?: { description } }
+ * @param {object} relevance - config.search.relevance
+ * @returns {{ score: number, reason: string, excluded: boolean }} score in 0–1,
+ *   what drove it, and whether a hard exclusion (title, skill) hit
+ */
+function scoreJob(job, relevance) {
+  const title = job.jobTitle || '';
+  const description = job.details?.description || '';
+  const text = `${title}\n${description}`;
+
+  const excluded = (relevance.titleExcludes || []).find((t) => containsTerm(title, t));
+  if (excluded) return { score: 0, reason: `title excludes "${excluded}"`, excluded: true };
+
+  if (description) {
+    const missing = (relevance.requiredSkills || []).find((s) => !containsTerm(text, s));
+    if (missing) return { score: 0, reason: `missing required skill "${missing}"`, excluded: true };
+  }
+
+  const positives = relevance.positiveKeywords || [];
+  const posHits = positives.filter((k) => containsTerm(text, k));
+  const negHits = (relevance.negativeKeywords || []).filter((k) => containsTerm(text, k));
+
+  let score = 1;
+  if (positives.length > 0) {
+    score = Math.min(1, posHits.length / Math.min(FULL_CREDIT_HITS, positives.length));
+  }
+  score *= 0.5 ** negHits.length;
+
+  const parts = [`${posHits.length}/${positives.length} positive`];
+  if (negHits.length > 0) parts.push(`negative: ${negHits.join(', ')}`);
+  return { score, reason: parts.join('; '), excluded: false };
+}
+
+/**
+ * Decide whether to skip a job for relevance.
+ *
+ * Called twice by the apply engine: on the card, where only hard exclusions
+ * skip, and again after the detail view is open. Keyword scores are only
+ * compared with minScore when the description is known, since a title alone
+ * rarely mentions the skills.
+ *
+ * @param {object} job
+ * @param {object} config - full config.json
+ * @param {boolean} [hasDescription=false] - whether job.details has been read
+ * @returns {{ skipReason: string, reason: string }|null}
+ */
+function relevanceSkip(job, config, hasDescription = false) {
+  const relevance = config.search?.relevance;
+  if (!relevance) return null;
+
+  const { score, reason, excluded } = scoreJob(job, relevance);
+  const minScore = relevance.minScore ?? DEFAULT_MIN_SCORE;
+  if (!excluded && !(hasDescription && score < minScore)) return null;
+  return { skipReason: `low_relevance:${score.toFixed(2)}`, reason };
+}
+
+module.exports = {
+  containsTerm,
+  scoreJob,
+  relevanceSkip,
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Resume variants, configured in config.user.resumes:
+ *
+ *   "resumes": [
+ *     { "name": "data-science", "path": "./resumes/ds.pdf", "keywords": ["data scientist", "statistics"] },
+ *     { "name": "ml-engineering", "path": "./resumes/mle.pdf", "keywords": ["machine learning engineer", "pytorch", "mlops"] },
+ *     { "name": "analyst", "path": "./resumes/analyst.pdf", "label": "Analyst Resume", "keywords": ["analyst", "tableau"] }
+ *   ]
+ *
+ * selectResume() picks one per job: every keyword found in the title counts
+ * TITLE_WEIGHT, every keyword found in the description counts 1, and the
+ * first variant wins ties (so list the general-purpose one first). Without
+ * `resumes`, config.user.resumePath is the only variant.
+ *
+ * The chosen variant is uploaded wherever the form has a file input. Boards
+ * that keep resumes on the profile (LinkedIn, Indeed) show them as cards;
+ * pickResumeOption() selects the card whose text contains the variant's
+ * `label` (default: its file name), so upload each variant there once under
+ * that name. The variant actually used is stored as applications.resumeVariant.
+ */
+
+const path = require('path');
+const { containsTerm } = require('./relevance');
+
+const DEFAULT_RESUME_PATH = './resumes/resume.pdf';
+
+// A keyword in the title says more about the role than one in the description
+const TITLE_WEIGHT = 3;
+
+// Validated variant lists per config object, as answer sets are cached in lib/answers.js
+const compiled = new WeakMap();
+
+/**
+ * Validate config.user.resumes (or fall back to resumePath).
+ * @param {object} config - full config.json
+ * @returns {Array<{ name: string, path: string, label: string, keywords: string[] }>}
+ */
+function loadResumes(config) {
+  const user = config.user || {};
+  if (compiled.has(user)) return compiled.get(user);
+
+  const raw = user.resumes || [{ name: 'default', path: user.resumePath || DEFAULT_RESUME_PATH }];
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('user.resumes must be a non-empty array');
+  }
+  const names = new Set();
+  const resumes = raw.map((entry, i) => {
+    if (!entry || typeof entry.name !== 'string' || typeof entry.path !== 'string') {
+      throw new Error(`user.resumes[${i}]: expected { "name", "path", "keywords" }`);
+    }
+    if (names.has(entry.name)) throw new Error(`user.resumes[${i}]: duplicate name "${entry.name}"`);
+    names.add(entry.name);
+    return {
+      name: entry.name,
+      path: path.resolve(process.cwd(), entry.path),
+      label: entry.label || path.basename(entry.path),
+      keywords: entry.keywords || [],
+    };
+  });
+  compiled.set(user, resumes);
+  return resumes;
+}
+
+/**
+ * Pick the resume variant for a job from its title and description.
+ * @param {object} job - { jobTitle, details?: { description } }
+ * @param {object} config - full config.json
+ * @returns {{ name: string, path: string, label: string, score: number, reason: string }}
+ */
+function selectResume(job, config) {
+  const title = job.jobTitle || '';
+  const description = job.details?.description || '';
+
+  let best = null;
+  for (const resume of loadResumes(config)) {
+    const inTitle = resume.keywords.filter((k) => containsTerm(title, k));
+    const inDescription = resume.keywords.filter((k) => !inTitle.includes(k) && containsTerm(description, k));
+    const score = inTitle.length * TITLE_WEIGHT + inDescription.length;
+    if (!best || score > best.score) {
+      const hits = [...inTitle, ...inDescription];
+      best = { ...resume, score, reason: hits.length > 0 ? `matched ${hits.join(', ')}` : 'no keyword matched' };
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the resume card for a variant among a board's saved resumes.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {Array<ElementHandle>} options - radio inputs (or cards) of the saved resumes
+ * @param {object} resume - from selectResume()
+ * @returns {Promise<ElementHandle|null>} the clickable element (the radio's label when it has one)
+ */
+async function pickResumeOption(page, options, resume) {
+  const wanted = resume.label.toLowerCase();
+  for (const option of options) {
+    const id = await option.getAttribute('id');
+    const label = id ? await page.$(`label[for="${id}"]`) : null;
+    const text = await (label || option).innerText().catch(() => '');
+    if (text.toLowerCase().includes(wanted)) return label || option;
+  }
+  return null;
+}
+
+/**
+ * Upload a resume into the page's resume file input, including the hidden
+ * inputs boards keep behind a "Replace" or "Upload" button.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {object} resume - from selectResume()
+ * @returns {Promise<boolean>} whether a file was set
+ */
+async function uploadResume(page, resume) {
+  if (!require('fs').existsSync(resume.path)) return false;
+  const inputs = await page.$$('input[type="file"]');
+  for (const input of inputs) {
+    const hint = await input.evaluate((el) => `${el.id} ${el.name} ${el.accept} ${el.getAttribute('aria-label') || ''}`);
+    if (inputs.length > 1 && !/resume|cv|pdf/i.test(hint)) continue;
+    await input.setInputFiles(resume.path);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  loadResumes,
+  selectResume,
+  pickResumeOption,
+  uploadResume,
+};
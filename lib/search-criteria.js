@@ -0,0 +1,302 @@
+'use strict';
+
+/**
+ * Search criteria from config.search, translated into each board's query.
+ *
+ *   "search": {
+ *     "keywords": ["data scientist"],
+ *     "location": "Salt Lake City, UT",
+ *     "remoteOnly": false,            only remote jobs
+ *     "includeRemote": true,          false leaves remote jobs out
+ *     "radius": "50 miles",           or "25", "40 km"
+ *     "datePosted": "Past week",      "Past 24 hours" (default), "Past month", "3 days", "Any time"
+ *     "experienceLevel": ["Entry level", "Associate", "Mid-Senior level"],
+ *     "jobType": ["Full-time", "Contract"]
+ *   }
+ *
+ * Each platform can instead run a list of named searches in turn. An entry
+ * overrides any of the fields above, or gives the board's own search URL,
+ * and may cap its own applications (the platform's maxApplicationsPerRun
+ * still caps them together):
+ *
+ *   "linkedin": {
+ *     "maxApplicationsPerRun": 30,
+ *     "searches": [
+ *       { "name": "ds-local", "keywords": ["data scientist"], "maxApplications": 20 },
+ *       { "name": "mle-remote", "keywords": ["machine learning engineer"], "remoteOnly": true },
+ *       { "name": "saved", "url": "https://www.linkedin.com/jobs/search/?savedSearchId=123" }
+ *     ]
+ *   }
+ *
+ * A platform without `searches` runs one search named "default" from
+ * config.search, or from its `searchUrl` when it has one. The name is
+ * stored with every application row.
+ *
+ * searchCriteria() validates and normalizes these once per config. Every
+ * built-in adapter has translateSearch(criteria) → { url, unsupported },
+ * which turns them into the board's real query parameters and names the
+ * fields its URL cannot express (FIELDS). The engine applies those with
+ * criteriaSkip() to each card, and again once the posting's details are
+ * read, since the posted date, seniority and description only come from
+ * the detail view. Anything unknown about a job lets it through.
+ */
+
+const { inferSeniority } = require('./job-details');
+
+// Criteria a board's URL may or may not express
+const FIELDS = ['location', 'radius', 'remote', 'datePosted', 'experienceLevel', 'jobType'];
+
+// config.search fields a saved search may override
+const SEARCH_KEYS = ['keywords', 'location', 'remoteOnly', 'includeRemote', 'radius', 'datePosted', 'experienceLevel', 'jobType'];
+const ENTRY_KEYS = ['name', 'url', 'maxApplications', ...SEARCH_KEYS];
+
+const EXPERIENCE_LEVELS = {
+  internship: /\bintern(ship)?\b/,
+  entry: /\bentry\b/,
+  associate: /\bassociate\b/,
+  mid_senior: /\bmid[- ]?senior\b|\bsenior\b|\bmid\b/,
+  director: /\bdirector\b/,
+  executive: /\bexecutive\b/,
+};
+
+// Seniority from lib/job-details.js → the experience levels it fits
+const SENIORITY_LEVELS = {
+  intern: ['internship'],
+  entry: ['entry', 'associate'],
+  mid: ['associate', 'mid_senior'],
+  senior: ['mid_senior'],
+  lead: ['mid_senior'],
+  staff: ['mid_senior'],
+  principal: ['mid_senior', 'director'],
+  manager: ['mid_senior', 'director'],
+  director: ['director', 'executive'],
+};
+
+const JOB_TYPES = {
+  full_time: /\bfull[- ]?time\b/,
+  part_time: /\bpart[- ]?time\b/,
+  contract: /\bcontract(or)?\b|\bc2c\b|\bcorp[- ]to[- ]corp\b/,
+  temporary: /\btemp(orary)?\b/,
+  internship: /\bintern(ship)?\b/,
+  volunteer: /\bvolunteer\b/,
+};
+
+const KM_PER_MILE = 1.609;
+
+// Normalized criteria per search object, and saved searches per platform
+// config, as answer sets are cached in lib/answers.js
+const compiled = new WeakMap();
+const compiledSearches = new WeakMap();
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Map each configured value to a key of `table`, throwing on unknown ones.
+ */
+function parseChoices(values, table, field) {
+  return [...new Set(toList(values).map((value) => {
+    const v = String(value).toLowerCase();
+    const key = Object.keys(table).find((k) => table[k].test(v));
+    if (!key) throw new Error(`search.${field}: unknown value "${value}"`);
+    return key;
+  }))];
+}
+
+/**
+ * "Past 24 hours" → 1, "Past week" → 7, "3 days" → 3, "Any time" → null.
+ * Unset means the past 24 hours, which every board searched before
+ * datePosted was read.
+ */
+function parseDays(value, field) {
+  if (value === undefined || value === null || value === '') return 1;
+  if (typeof value === 'number') return value;
+  const v = String(value).toLowerCase();
+  if (/any\s*time|all/.test(v)) return null;
+  if (/24\s*h|day\b|today/.test(v) && !/\d+\s*days/.test(v)) return 1;
+  const n = Number((v.match(/\d+/) || [1])[0]);
+  if (/hour/.test(v)) return Math.max(1, Math.ceil(n / 24));
+  if (/day/.test(v)) return n;
+  if (/week/.test(v)) return n * 7;
+  if (/month/.test(v)) return n * 30;
+  throw new Error(`search.${field}: unknown value "${value}"`);
+}
+
+/**
+ * "50 miles" → 50, "40 km" → 25, 25 → 25.
+ */
+function parseRadius(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const n = Number((String(value).match(/\d+(\.\d+)?/) || [])[0]);
+  if (!Number.isFinite(n)) throw new Error(`search.radius: unknown value "${value}"`);
+  return /km|kilomet/i.test(value) ? Math.round(n / KM_PER_MILE) : n;
+}
+
+/**
+ * Validate and normalize config.search.
+ * @param {object} config - full config.json, or one with `search` replaced by a saved search's fields
+ * @returns {{ keywords: string[], location: string|null, remote: 'only'|'include'|'exclude',
+ *   radius: number|null, datePosted: number|null, experienceLevel: string[], jobType: string[] }}
+ */
+function searchCriteria(config) {
+  const search = config.search || {};
+  if (compiled.has(search)) return compiled.get(search);
+
+  const criteria = {
+    keywords: toList(search.keywords).length > 0 ? toList(search.keywords) : ['data scientist'],
+    location: search.location || null,
+    remote: search.remoteOnly ? 'only' : (search.includeRemote === false ? 'exclude' : 'include'),
+    radius: parseRadius(search.radius),
+    datePosted: parseDays(search.datePosted, 'datePosted'),
+    experienceLevel: parseChoices(search.experienceLevel, EXPERIENCE_LEVELS, 'experienceLevel'),
+    jobType: parseChoices(search.jobType, JOB_TYPES, 'jobType'),
+  };
+  compiled.set(search, criteria);
+  return criteria;
+}
+
+/**
+ * Validate and resolve a platform's saved searches.
+ *
+ * @param {object} config - full config.json
+ * @param {string} platform
+ * @returns {Array<{ name: string, url: string|null, maxApplications: number|null,
+ *   search: object, criteria: object }>} `search` is config.search with the entry's
+ *   fields applied; maxApplications is null when the entry sets none
+ */
+function platformSearches(config, platform) {
+  const platformConfig = config.platforms?.[platform] || {};
+  if (compiledSearches.has(platformConfig)) return compiledSearches.get(platformConfig);
+
+  const where = `platforms.${platform}.searches`;
+  let entries = platformConfig.searches;
+  if (entries === undefined) {
+    entries = [platformConfig.searchUrl ? { name: 'default', url: platformConfig.searchUrl } : { name: 'default' }];
+  } else if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${where} must be a non-empty array`);
+  }
+
+  const names = new Set();
+  const searches = entries.map((entry, i) => {
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}[${i}] must be an object`);
+    if (typeof entry.name !== 'string' || !entry.name.trim()) throw new Error(`${where}[${i}] needs a "name"`);
+    if (names.has(entry.name)) throw new Error(`${where}: duplicate name "${entry.name}"`);
+    names.add(entry.name);
+
+    const unknown = Object.keys(entry).find((k) => !ENTRY_KEYS.includes(k));
+    if (unknown) throw new Error(`${where}[${i}] ("${entry.name}"): unknown field "${unknown}"`);
+    if (entry.url !== undefined && !/^https?:\/\//.test(entry.url)) {
+      throw new Error(`${where}[${i}] ("${entry.name}"): url must start with http:// or https://`);
+    }
+    if (entry.maxApplications !== undefined && !(Number.isInteger(entry.maxApplications) && entry.maxApplications > 0)) {
+      throw new Error(`${where}[${i}] ("${entry.name}"): maxApplications must be a positive integer`);
+    }
+
+    const search = { ...config.search };
+    for (const key of SEARCH_KEYS) {
+      if (entry[key] !== undefined) search[key] = entry[key];
+    }
+    return {
+      name: entry.name,
+      url: entry.url || null,
+      maxApplications: entry.maxApplications ?? null,
+      search,
+      criteria: searchCriteria({ search }),
+    };
+  });
+
+  compiledSearches.set(platformConfig, searches);
+  return searches;
+}
+
+/**
+ * The smallest allowed value at least `wanted` (the largest when none is),
+ * for boards that only offer fixed radius or date choices.
+ */
+function nearestAtLeast(allowed, wanted) {
+  return allowed.find((v) => v >= wanted) ?? allowed[allowed.length - 1];
+}
+
+/**
+ * Build a URL from a base and query parameters, dropping empty ones.
+ */
+function buildUrl(base, params) {
+  const query = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join('&');
+  return query ? `${base}?${query}` : base;
+}
+
+/**
+ * Skip a job on the criteria its board's search could not apply.
+ *
+ * @param {object} job - card fields, plus job.details once read
+ * @param {object} criteria - from searchCriteria()
+ * @param {string[]} fields - the adapter's `unsupported` list
+ * @returns {{ skipReason: string, reason: string }|null}
+ */
+function criteriaSkip(job, criteria, fields) {
+  if (!fields || fields.length === 0) return null;
+  const location = (job.details?.location || job.location || '').toLowerCase();
+  const isRemote = /\bremote\b/.test(location);
+
+  if (fields.includes('remote') && location) {
+    if (criteria.remote === 'only' && !isRemote) return { skipReason: 'search_filter:remote', reason: `not remote: ${location}` };
+    if (criteria.remote === 'exclude' && isRemote) return { skipReason: 'search_filter:remote', reason: 'remote job' };
+  }
+
+  // Without coordinates the radius can only be approximated by the
+  // city or state named in search.location
+  if ((fields.includes('location') || fields.includes('radius')) && criteria.location && location && !isRemote
+    && criteria.remote !== 'only') {
+    const places = criteria.location.toLowerCase().split(',').map((p) => p.trim()).filter(Boolean);
+    if (!places.some((p) => new RegExp(`\\b${escapeRegex(p)}\\b`).test(location))) {
+      return { skipReason: 'search_filter:location', reason: `${location} is not in ${criteria.location}` };
+    }
+  }
+
+  if (fields.includes('datePosted') && criteria.datePosted && job.details?.postedAt) {
+    const ageDays = (Date.now() - Date.parse(job.details.postedAt)) / 86400000;
+    if (ageDays > criteria.datePosted + 1) {
+      return { skipReason: 'search_filter:date_posted', reason: `posted ${job.details.postedAt}` };
+    }
+  }
+
+  if (fields.includes('experienceLevel') && criteria.experienceLevel.length > 0) {
+    const seniority = job.details?.seniority || inferSeniority(null, job.jobTitle);
+    const stated = seniority ? String(seniority).toLowerCase() : '';
+    const levels = SENIORITY_LEVELS[stated]
+      || Object.keys(EXPERIENCE_LEVELS).filter((k) => EXPERIENCE_LEVELS[k].test(stated));
+    if (levels.length > 0 && !levels.some((l) => criteria.experienceLevel.includes(l))) {
+      return { skipReason: 'search_filter:experience_level', reason: `${seniority} is not ${criteria.experienceLevel.join('/')}` };
+    }
+  }
+
+  if (fields.includes('jobType') && criteria.jobType.length > 0) {
+    const text = `${job.jobTitle || ''}\n${job.details?.description || ''}`.toLowerCase();
+    const types = Object.keys(JOB_TYPES).filter((k) => JOB_TYPES[k].test(text));
+    if (types.length > 0 && !types.some((t) => criteria.jobType.includes(t))) {
+      return { skipReason: 'search_filter:job_type', reason: `${types.join('/')} is not ${criteria.jobType.join('/')}` };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  FIELDS,
+  searchCriteria,
+  platformSearches,
+  parseDays,
+  nearestAtLeast,
+  buildUrl,
+  criteriaSkip,
+};
@@ -45,6 +45,8 @@ function initSchema() {
       status        TEXT NOT NULL,
       errorMessage  TEXT,
       skipReason    TEXT,
+      resumeVariant TEXT,
+      searchName    TEXT,
       appliedAt     TEXT NOT NULL,
       runId         TEXT NOT NULL
     );
@@ -74,8 +76,171 @@ function initSchema() {
       jobId         TEXT,
       fieldLabel    TEXT NOT NULL,
       fieldType     TEXT,
+      timestamp     TEXT NOT NULL,
+      resolvedAt    TEXT
+    );
+
+    -- Fields filled with a low-confidence answer or a fallback guess, stored
+    -- against the application row so the job can be checked or finished by hand.
+    CREATE TABLE IF NOT EXISTS review_fields (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      applicationId INTEGER NOT NULL REFERENCES applications(id),
+      fieldLabel    TEXT NOT NULL,
+      fieldType     TEXT,
+      answer        TEXT,
+      confidence    REAL,
       timestamp     TEXT NOT NULL
     );
+
+    CREATE INDEX IF NOT EXISTS idx_review_fields_applicationId
+      ON review_fields (applicationId);
+
+    -- What was typed or chosen in every filled field of an attempt.
+    -- answerKey is the rule or defaultAnswers key used; score its match confidence.
+    CREATE TABLE IF NOT EXISTS application_answers (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      applicationId INTEGER NOT NULL REFERENCES applications(id),
+      stepNum       INTEGER,
+      fieldLabel    TEXT NOT NULL,
+      fieldType     TEXT,
+      value         TEXT,
+      answerKey     TEXT,
+      score         REAL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_application_answers_applicationId
+      ON application_answers (applicationId);
+
+    -- The cover letter sent with an attempt (see lib/cover-letter.js).
+    -- sentAs is 'text' (pasted into a field) or 'file' (uploaded from filePath).
+    CREATE TABLE IF NOT EXISTS cover_letters (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      applicationId INTEGER NOT NULL REFERENCES applications(id),
+      template      TEXT NOT NULL,
+      text          TEXT NOT NULL,
+      sentAs        TEXT NOT NULL,
+      filePath      TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cover_letters_applicationId
+      ON cover_letters (applicationId);
+
+    -- One row per posting, captured from the detail view before applying.
+    -- Attempts link to it through (platform, jobId).
+    CREATE TABLE IF NOT EXISTS jobs (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform      TEXT NOT NULL,
+      jobId         TEXT NOT NULL,
+      jobTitle      TEXT,
+      company       TEXT,
+      jobUrl        TEXT,
+      location      TEXT,
+      description   TEXT,
+      salaryText    TEXT,
+      salaryMin     REAL,
+      salaryMax     REAL,
+      salaryPeriod  TEXT,
+      seniority     TEXT,
+      postedAt      TEXT,
+      firstSeenAt   TEXT NOT NULL,
+      updatedAt     TEXT NOT NULL,
+      UNIQUE (platform, jobId)
+    );
+
+    -- Answers from the answer provider (lib/answer-provider.js), one per
+    -- normalized question (per company for questions about the employer)
+    CREATE TABLE IF NOT EXISTS generated_answers (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      questionKey   TEXT NOT NULL UNIQUE,
+      question      TEXT NOT NULL,
+      answer        TEXT NOT NULL,
+      model         TEXT,
+      createdAt     TEXT NOT NULL
+    );
+
+    -- Fingerprints of submitted postings, for cross-platform duplicate checks
+    CREATE TABLE IF NOT EXISTS job_fingerprints (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform      TEXT NOT NULL,
+      jobId         TEXT NOT NULL,
+      companyKey    TEXT NOT NULL,
+      titleKey      TEXT NOT NULL,
+      locationKey   TEXT,
+      description   TEXT,
+      createdAt     TEXT NOT NULL,
+      UNIQUE (platform, jobId)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_fingerprints_company_title
+      ON job_fingerprints (companyKey, titleKey);
+
+    -- Timeline of what happened after submission (see lib/status-tracker.js).
+    -- A row is only added when the status changes.
+    CREATE TABLE IF NOT EXISTS status_history (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      applicationId INTEGER NOT NULL REFERENCES applications(id),
+      status        TEXT NOT NULL,
+      detail        TEXT,
+      source        TEXT NOT NULL,
+      observedAt    TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_status_history_applicationId
+      ON status_history (applicationId);
+
+    -- Every imported email (see lib/email-import.js), so re-imports skip it.
+    -- applicationId is NULL when no application matched; those recruiter
+    -- responses are matched again on every import.
+    CREATE TABLE IF NOT EXISTS email_messages (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      messageId     TEXT NOT NULL UNIQUE,
+      applicationId INTEGER REFERENCES applications(id),
+      category      TEXT,
+      sender        TEXT,
+      subject       TEXT,
+      receivedAt    TEXT,
+      importedAt    TEXT NOT NULL
+    );
+
+    -- Field errors shown after submitting a form step, and whether the
+    -- recovery loop (lib/validation-recovery.js) got past them.
+    CREATE TABLE IF NOT EXISTS validation_errors (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform      TEXT NOT NULL,
+      jobId         TEXT,
+      runId         TEXT,
+      stepNum       INTEGER,
+      fieldLabel    TEXT NOT NULL,
+      fieldType     TEXT,
+      message       TEXT,
+      tried         TEXT,
+      resolved      INTEGER NOT NULL DEFAULT 0,
+      timestamp     TEXT NOT NULL
+    );
+
+    -- Jobs found by a discover run, waiting for a decision in queue.js.
+    -- status: pending → approved | rejected; approved → done once an
+    -- apply run has recorded a final outcome (applicationId).
+    -- eligible = 0 when a filter would have skipped it (skipReason).
+    CREATE TABLE IF NOT EXISTS job_queue (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      platform      TEXT NOT NULL,
+      jobId         TEXT NOT NULL,
+      jobTitle      TEXT,
+      company       TEXT,
+      jobUrl        TEXT,
+      location      TEXT,
+      description   TEXT,
+      searchName    TEXT,
+      eligible      INTEGER NOT NULL,
+      skipReason    TEXT,
+      status        TEXT NOT NULL DEFAULT 'pending',
+      applicationId INTEGER REFERENCES applications(id),
+      runId         TEXT NOT NULL,
+      discoveredAt  TEXT NOT NULL,
+      decidedAt     TEXT,
+      UNIQUE (platform, jobId)
+    );
   `);
 
   // Migration: add skipReason column to existing databases
@@ -83,6 +248,22 @@ function initSchema() {
   if (!columns.includes('skipReason')) {
     d.exec('ALTER TABLE applications ADD COLUMN skipReason TEXT');
   }
+
+  // Migration: add resumeVariant column (lib/resumes.js) to existing databases
+  if (!columns.includes('resumeVariant')) {
+    d.exec('ALTER TABLE applications ADD COLUMN resumeVariant TEXT');
+  }
+
+  // Migration: add searchName column (saved searches, lib/search-criteria.js) to existing databases
+  if (!columns.includes('searchName')) {
+    d.exec('ALTER TABLE applications ADD COLUMN searchName TEXT');
+  }
+
+  // Migration: add resolvedAt column to existing unfilled_fields tables
+  const fieldColumns = d.pragma('table_info(unfilled_fields)').map(c => c.name);
+  if (!fieldColumns.includes('resolvedAt')) {
+    d.exec('ALTER TABLE unfilled_fields ADD COLUMN resolvedAt TEXT');
+  }
 }
 
 /**
@@ -99,21 +280,317 @@ function hasApplied(platform, jobId) {
   return !!row;
 }
 
+/**
+ * Check if a job is held for review: its latest attempt, ignoring skips and
+ * dry runs, was recorded as needs_review.
+ * @param {string} platform
+ * @param {string} jobId
+ * @returns {boolean}
+ */
+function isHeldForReview(platform, jobId) {
+  const d = getDb();
+  const row = d.prepare(
+    "SELECT status FROM applications WHERE platform = ? AND jobId = ? AND status NOT IN ('skipped', 'dry_run') ORDER BY id DESC LIMIT 1"
+  ).get(platform, jobId);
+  return row?.status === 'needs_review';
+}
+
+/**
+ * Get the most recent submitted row for a job, if any.
+ * @param {string} platform
+ * @param {string} jobId
+ * @returns {object|undefined}
+ */
+function getSubmittedApplication(platform, jobId) {
+  const d = getDb();
+  return d.prepare(
+    "SELECT * FROM applications WHERE platform = ? AND jobId = ? AND status = 'submitted' ORDER BY id DESC LIMIT 1"
+  ).get(platform, jobId);
+}
+
+/**
+ * Get the latest submitted row of every job submitted to, oldest first. Rows
+ * recorded after the submission (the job seen again as already_applied or
+ * skipped) do not hide it.
+ * @returns {Array<object>}
+ */
+function getSubmittedApplications() {
+  const d = getDb();
+  return d.prepare(`
+    SELECT * FROM applications
+    WHERE id IN (SELECT MAX(id) FROM applications WHERE status = 'submitted' GROUP BY platform, jobId)
+    ORDER BY appliedAt
+  `).all();
+}
+
+/**
+ * Append a status change for a submitted application.
+ * @param {{ applicationId: number, status: string, detail?: string, source: string, observedAt?: string }} entry
+ *   observedAt defaults to now; emails pass their received date
+ */
+function recordStatus({ applicationId, status, detail, source, observedAt }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT INTO status_history (applicationId, status, detail, source, observedAt)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(applicationId, status, detail || null, source, observedAt || new Date().toISOString());
+}
+
+/**
+ * Get the latest recorded status of an application.
+ * @param {number} applicationId
+ * @returns {object|undefined}
+ */
+function getLatestStatus(applicationId) {
+  const d = getDb();
+  return d.prepare(
+    'SELECT * FROM status_history WHERE applicationId = ? ORDER BY observedAt DESC, id DESC LIMIT 1'
+  ).get(applicationId);
+}
+
+/**
+ * An imported email, or undefined when it has not been imported yet.
+ * @param {string} messageId
+ * @returns {object|undefined}
+ */
+function getEmailMessage(messageId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM email_messages WHERE messageId = ?').get(messageId);
+}
+
+/**
+ * Record an imported email and the application it was matched to. A
+ * message imported before is updated, e.g. once it matches an application.
+ * @param {{ messageId: string, applicationId: number|null, category: string|null, sender: string, subject: string, receivedAt: string|null }} entry
+ */
+function recordEmailMessage({ messageId, applicationId, category, sender, subject, receivedAt }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT INTO email_messages (messageId, applicationId, category, sender, subject, receivedAt, importedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (messageId) DO UPDATE SET
+      applicationId = excluded.applicationId,
+      category      = excluded.category,
+      importedAt    = excluded.importedAt
+  `).run(messageId, applicationId, category, sender || null, subject || null, receivedAt, new Date().toISOString());
+}
+
 /**
  * Record an application attempt in the database.
+ * @returns {number} the new applications row id
  */
-function recordApplication({ platform, jobId, jobTitle, company, jobUrl, status, errorMessage, skipReason, runId }) {
+function recordApplication({ platform, jobId, jobTitle, company, jobUrl, status, errorMessage, skipReason, resumeVariant, searchName, runId }) {
   const d = getDb();
   const now = new Date().toISOString();
 
   // Append-only INSERT: every attempt is preserved as its own row.
   // This keeps the full audit trail across retries and re-runs.
   // Use the `latest_applications` view to query the most recent status per job.
-  d.prepare(`
+  const info = d.prepare(`
     INSERT INTO applications
-      (platform, jobId, jobTitle, company, jobUrl, status, errorMessage, skipReason, appliedAt, runId)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(platform, jobId, jobTitle || null, company || null, jobUrl || null, status, errorMessage || null, skipReason || null, now, runId);
+      (platform, jobId, jobTitle, company, jobUrl, status, errorMessage, skipReason, resumeVariant, searchName, appliedAt, runId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(platform, jobId, jobTitle || null, company || null, jobUrl || null, status, errorMessage || null, skipReason || null,
+    resumeVariant || null, searchName || null, now, runId);
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * Store the low-confidence fields of an application attempt.
+ * @param {number} applicationId - id returned by recordApplication()
+ * @param {Array<{ fieldLabel: string, fieldType?: string, answer?: string, confidence?: number }>} fields
+ */
+function recordReviewFields(applicationId, fields) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  const stmt = d.prepare(`
+    INSERT INTO review_fields (applicationId, fieldLabel, fieldType, answer, confidence, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    for (const f of fields) {
+      stmt.run(applicationId, f.fieldLabel, f.fieldType || null, f.answer ?? null, f.confidence ?? null, now);
+    }
+  })();
+}
+
+/**
+ * Store the fields filled during an application attempt.
+ * @param {number} applicationId - id returned by recordApplication()
+ * @param {Array<{ fieldLabel: string, fieldType?: string, value?: string, answerKey?: string, confidence?: number, stepNum?: number }>} fields
+ */
+function recordApplicationAnswers(applicationId, fields) {
+  const d = getDb();
+  const stmt = d.prepare(`
+    INSERT INTO application_answers (applicationId, stepNum, fieldLabel, fieldType, value, answerKey, score)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    for (const f of fields) {
+      stmt.run(applicationId, f.stepNum ?? null, f.fieldLabel, f.fieldType || null,
+        f.value === undefined || f.value === null ? null : String(f.value), f.answerKey || null, f.confidence ?? null);
+    }
+  })();
+}
+
+/**
+ * Store the cover letter sent with an application attempt.
+ * @param {number} applicationId - id returned by recordApplication()
+ * @param {{ template: string, text: string, sentAs: string, filePath?: string }} letter
+ */
+function recordCoverLetter(applicationId, { template, text, sentAs, filePath }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT INTO cover_letters (applicationId, template, text, sentAs, filePath)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(applicationId, template, text, sentAs, filePath || null);
+}
+
+/**
+ * Get the cover letter sent with an application attempt, if any.
+ * @param {number} applicationId
+ * @returns {object|undefined}
+ */
+function getCoverLetter(applicationId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM cover_letters WHERE applicationId = ?').get(applicationId);
+}
+
+/**
+ * Get the cached generated answer for a question key.
+ * @param {string} questionKey
+ * @returns {string|undefined}
+ */
+function getGeneratedAnswer(questionKey) {
+  const d = getDb();
+  return d.prepare('SELECT answer FROM generated_answers WHERE questionKey = ?').get(questionKey)?.answer;
+}
+
+/**
+ * Cache a generated answer; an existing answer for the key is replaced.
+ * @param {{ questionKey: string, question: string, answer: string, model?: string }} entry
+ */
+function saveGeneratedAnswer({ questionKey, question, answer, model }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT INTO generated_answers (questionKey, question, answer, model, createdAt)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (questionKey) DO UPDATE SET
+      question = excluded.question, answer = excluded.answer, model = excluded.model, createdAt = excluded.createdAt
+  `).run(questionKey, question, answer, model || null, new Date().toISOString());
+}
+
+/**
+ * Get the answers stored for one application attempt, in fill order.
+ * @param {number} applicationId
+ * @returns {Array<object>}
+ */
+function getApplicationAnswers(applicationId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM application_answers WHERE applicationId = ? ORDER BY id').all(applicationId);
+}
+
+/**
+ * Get jobs with stored review fields — held back as needs_review or
+ * submitted under the 'flag' policy — newest first. Each job's latest such
+ * row is listed until the job is submitted again or the board reports it as
+ * applied to; skips and errors recorded since do not hide it.
+ * @param {string} [platform] - limit to one platform
+ * @returns {Array<object>} applications rows with a `fields` array
+ */
+function getReviewQueue(platform) {
+  const d = getDb();
+  const sql = `
+    SELECT * FROM applications r
+    WHERE r.id IN (
+      SELECT MAX(f.applicationId) FROM review_fields f JOIN applications a ON a.id = f.applicationId GROUP BY a.platform, a.jobId
+    ) AND NOT EXISTS (
+      SELECT 1 FROM applications l
+      WHERE l.platform = r.platform AND l.jobId = r.jobId AND l.id > r.id
+        AND (l.status = 'submitted' OR (l.status = 'already_applied' AND l.skipReason IS NOT 'already_applied_db'))
+    )`;
+  const rows = platform
+    ? d.prepare(`${sql} AND r.platform = ? ORDER BY r.id DESC`).all(platform)
+    : d.prepare(`${sql} ORDER BY r.id DESC`).all();
+  const fieldsStmt = d.prepare('SELECT fieldLabel, fieldType, answer, confidence FROM review_fields WHERE applicationId = ? ORDER BY id');
+  for (const row of rows) row.fields = fieldsStmt.all(row.id);
+  return rows;
+}
+
+/**
+ * Insert or refresh the captured details of a posting. Fields missing from
+ * a later capture keep their earlier value.
+ */
+function saveJob({ platform, jobId, jobTitle, company, jobUrl, location, description, salaryText, salaryMin, salaryMax, salaryPeriod, seniority, postedAt }) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  d.prepare(`
+    INSERT INTO jobs
+      (platform, jobId, jobTitle, company, jobUrl, location, description, salaryText, salaryMin, salaryMax, salaryPeriod, seniority, postedAt, firstSeenAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (platform, jobId) DO UPDATE SET
+      jobTitle     = COALESCE(excluded.jobTitle, jobTitle),
+      company      = COALESCE(excluded.company, company),
+      jobUrl       = COALESCE(excluded.jobUrl, jobUrl),
+      location     = COALESCE(excluded.location, location),
+      description  = COALESCE(excluded.description, description),
+      salaryText   = COALESCE(excluded.salaryText, salaryText),
+      salaryMin    = COALESCE(excluded.salaryMin, salaryMin),
+      salaryMax    = COALESCE(excluded.salaryMax, salaryMax),
+      salaryPeriod = COALESCE(excluded.salaryPeriod, salaryPeriod),
+      seniority    = COALESCE(excluded.seniority, seniority),
+      postedAt     = COALESCE(excluded.postedAt, postedAt),
+      updatedAt    = excluded.updatedAt
+  `).run(platform, jobId, jobTitle || null, company || null, jobUrl || null, location || null, description || null,
+    salaryText || null, salaryMin ?? null, salaryMax ?? null, salaryPeriod || null, seniority || null, postedAt || null, now, now);
+}
+
+/**
+ * Get the captured details of a posting.
+ * @param {string} platform
+ * @param {string} jobId
+ * @returns {object|undefined}
+ */
+function getJob(platform, jobId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM jobs WHERE platform = ? AND jobId = ?').get(platform, jobId);
+}
+
+/**
+ * Get the company of every submitted application since a point in time,
+ * newest first. Used for the company re-apply cooldown.
+ * @param {string} since - ISO timestamp
+ * @returns {Array<{ company: string, platform: string, appliedAt: string }>}
+ */
+function getSubmittedCompaniesSince(since) {
+  const d = getDb();
+  return d.prepare(`
+    SELECT company, platform, appliedAt FROM applications
+    WHERE status = 'submitted' AND company IS NOT NULL AND appliedAt >= ?
+    ORDER BY id DESC
+  `).all(since);
+}
+
+/**
+ * Store the fingerprint of a submitted posting (see lib/fingerprint.js).
+ */
+function saveFingerprint({ platform, jobId, companyKey, titleKey, locationKey, description }) {
+  const d = getDb();
+  d.prepare(`
+    INSERT OR REPLACE INTO job_fingerprints (platform, jobId, companyKey, titleKey, locationKey, description, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(platform, jobId, companyKey, titleKey, locationKey || null, description || null, new Date().toISOString());
+}
+
+/**
+ * Get the stored fingerprints with the same company and title keys.
+ * @param {string} companyKey
+ * @param {string} titleKey
+ * @returns {Array<object>}
+ */
+function getFingerprints(companyKey, titleKey) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM job_fingerprints WHERE companyKey = ? AND titleKey = ? ORDER BY id').all(companyKey, titleKey);
 }
 
 /**
@@ -128,6 +605,130 @@ function recordUnfilledField({ platform, jobId, fieldLabel, fieldType }) {
   `).run(platform, jobId || null, fieldLabel, fieldType || null, now);
 }
 
+/**
+ * Log a field that failed validation after a step was submitted.
+ * @param {object} error - { platform, jobId, runId, stepNum, fieldLabel, fieldType, message, tried: string[], resolved }
+ */
+function recordValidationError({ platform, jobId, runId, stepNum, fieldLabel, fieldType, message, tried, resolved }) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  d.prepare(`
+    INSERT INTO validation_errors (platform, jobId, runId, stepNum, fieldLabel, fieldType, message, tried, resolved, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(platform, jobId || null, runId || null, stepNum ?? null, fieldLabel, fieldType || null, message || null,
+    tried?.length ? JSON.stringify(tried) : null, resolved ? 1 : 0, now);
+}
+
+/**
+ * Add a discovered job to the queue. A job already queued keeps its
+ * status and is only refreshed.
+ * @param {object} entry - { platform, jobId, jobTitle, company, jobUrl, location, description, searchName, eligible, skipReason, runId }
+ */
+function queueJob({ platform, jobId, jobTitle, company, jobUrl, location, description, searchName, eligible, skipReason, runId }) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  d.prepare(`
+    INSERT INTO job_queue
+      (platform, jobId, jobTitle, company, jobUrl, location, description, searchName, eligible, skipReason, runId, discoveredAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (platform, jobId) DO UPDATE SET
+      jobTitle    = COALESCE(excluded.jobTitle, jobTitle),
+      company     = COALESCE(excluded.company, company),
+      jobUrl      = COALESCE(excluded.jobUrl, jobUrl),
+      location    = COALESCE(excluded.location, location),
+      description = COALESCE(excluded.description, description)
+  `).run(platform, jobId, jobTitle || null, company || null, jobUrl || null, location || null, description || null,
+    searchName || null, eligible ? 1 : 0, skipReason || null, runId, now);
+}
+
+/**
+ * One queued job, or undefined.
+ * @param {string} platform
+ * @param {string} jobId
+ */
+function getQueuedJob(platform, jobId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM job_queue WHERE platform = ? AND jobId = ?').get(platform, jobId);
+}
+
+/**
+ * Queued jobs matching every given filter, oldest first.
+ * @param {object} [filters] - { ids, platform, searchName, status ('all' for any), eligible (boolean),
+ *   company, title, reason (case-insensitive substrings), limit }
+ * @returns {Array<object>}
+ */
+function getQueuedJobs(filters = {}) {
+  const d = getDb();
+  const where = [];
+  const params = [];
+  if (filters.ids) { where.push(`id IN (${filters.ids.map(() => '?').join(', ')})`); params.push(...filters.ids); }
+  if (filters.platform) { where.push('platform = ?'); params.push(filters.platform); }
+  if (filters.searchName) { where.push('searchName = ?'); params.push(filters.searchName); }
+  if (filters.status && filters.status !== 'all') { where.push('status = ?'); params.push(filters.status); }
+  if (filters.eligible !== undefined) { where.push('eligible = ?'); params.push(filters.eligible ? 1 : 0); }
+  for (const [key, column] of [['company', 'company'], ['title', 'jobTitle'], ['reason', 'skipReason']]) {
+    if (filters[key]) { where.push(`LOWER(${column}) LIKE ?`); params.push(`%${filters[key].toLowerCase()}%`); }
+  }
+  const sql = `SELECT * FROM job_queue${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY id`
+    + (filters.limit ? ` LIMIT ${Number(filters.limit)}` : '');
+  return d.prepare(sql).all(...params);
+}
+
+/**
+ * Set the status of queued jobs (approve, reject, reset to pending or done).
+ * @param {number[]} ids - job_queue row ids
+ * @param {'pending'|'approved'|'rejected'|'done'} status
+ * @param {number} [applicationId] - the applications row that finished the job (status 'done')
+ */
+function setQueueStatus(ids, status, applicationId) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  const stmt = d.prepare('UPDATE job_queue SET status = ?, decidedAt = ?, applicationId = COALESCE(?, applicationId) WHERE id = ?');
+  d.transaction(() => {
+    for (const id of ids) stmt.run(status, status === 'pending' ? null : now, applicationId ?? null, id);
+  })();
+}
+
+/**
+ * Eligible and ineligible jobs queued during a run, per platform.
+ * @param {string} runId
+ * @returns {object} e.g. { linkedin: { eligible: 12, ineligible: 30 } }
+ */
+function getQueueRunCounts(runId) {
+  const d = getDb();
+  const rows = d.prepare(`
+    SELECT platform, SUM(eligible) as eligible, SUM(1 - eligible) as ineligible
+    FROM job_queue WHERE runId = ? GROUP BY platform
+  `).all(runId);
+  return Object.fromEntries(rows.map((r) => [r.platform, { eligible: r.eligible, ineligible: r.ineligible }]));
+}
+
+/**
+ * Get every unfilled field that has not been resolved yet, oldest first.
+ * @param {string} [platform] - limit to one platform
+ * @returns {Array<object>}
+ */
+function getUnresolvedFields(platform) {
+  const d = getDb();
+  if (platform) {
+    return d.prepare('SELECT * FROM unfilled_fields WHERE resolvedAt IS NULL AND platform = ? ORDER BY id').all(platform);
+  }
+  return d.prepare('SELECT * FROM unfilled_fields WHERE resolvedAt IS NULL ORDER BY id').all();
+}
+
+/**
+ * Mark unfilled field rows as resolved (answered or dismissed in review).
+ * @param {number[]} ids - unfilled_fields row ids
+ */
+function resolveUnfilledFields(ids) {
+  const d = getDb();
+  const now = new Date().toISOString();
+  const stmt = d.prepare('UPDATE unfilled_fields SET resolvedAt = ? WHERE id = ?');
+  d.transaction(() => {
+    for (const id of ids) stmt.run(now, id);
+  })();
+}
+
 /**
  * Create a new run record and return its ID.
  * @returns {string} runId (UUID)
@@ -156,7 +757,7 @@ function completeRun(runId, stats) {
 }
 
 /**
- * Count unfilled form fields recorded during a run.
+ * Count unfilled form fields recorded during a run that are still unresolved.
  * Uses the run's startedAt timestamp as a range boundary since
  * unfilled_fields has no runId column.
  * @param {string} runId
@@ -165,7 +766,7 @@ function completeRun(runId, stats) {
 function getUnfilledFieldsCount(runId) {
   const d = getDb();
   const row = d.prepare(
-    'SELECT COUNT(*) as count FROM unfilled_fields WHERE timestamp >= (SELECT startedAt FROM runs WHERE id = ?)'
+    'SELECT COUNT(*) as count FROM unfilled_fields WHERE resolvedAt IS NULL AND timestamp >= (SELECT startedAt FROM runs WHERE id = ?)'
   ).get(runId);
   return row ? row.count : 0;
 }
@@ -187,23 +788,63 @@ function getRunStats(runId) {
   const stats = {};
   for (const row of rows) {
     if (!stats[row.platform]) {
-      stats[row.platform] = { applied: 0, skipped: 0, errors: 0, dry_run: 0, already_applied: 0 };
+      stats[row.platform] = { applied: 0, skipped: 0, errors: 0, dry_run: 0, already_applied: 0, needs_review: 0 };
     }
     if (row.status === 'submitted') stats[row.platform].applied += row.count;
     else if (row.status === 'skipped') stats[row.platform].skipped += row.count;
     else if (row.status === 'error') stats[row.platform].errors += row.count;
     else if (row.status === 'dry_run') stats[row.platform].dry_run += row.count;
     else if (row.status === 'already_applied') stats[row.platform].already_applied += row.count;
+    else if (row.status === 'needs_review') stats[row.platform].needs_review += row.count;
   }
   return stats;
 }
 
+/**
+ * Get every application row written during a run, oldest first.
+ * @param {string} runId
+ * @returns {Array<object>}
+ */
+function getRunApplications(runId) {
+  const d = getDb();
+  return d.prepare('SELECT * FROM applications WHERE runId = ? ORDER BY id').all(runId);
+}
+
 module.exports = {
   hasApplied,
+  isHeldForReview,
+  getSubmittedApplication,
+  getSubmittedApplications,
+  recordStatus,
+  getLatestStatus,
+  getEmailMessage,
+  recordEmailMessage,
   recordApplication,
+  recordReviewFields,
+  recordApplicationAnswers,
+  getApplicationAnswers,
+  recordCoverLetter,
+  getCoverLetter,
+  getGeneratedAnswer,
+  saveGeneratedAnswer,
+  getReviewQueue,
+  getSubmittedCompaniesSince,
+  saveJob,
+  saveFingerprint,
+  getFingerprints,
+  getJob,
   recordUnfilledField,
+  recordValidationError,
+  queueJob,
+  getQueuedJob,
+  getQueuedJobs,
+  setQueueStatus,
+  getQueueRunCounts,
+  getUnresolvedFields,
+  resolveUnfilledFields,
   createRun,
   completeRun,
   getRunStats,
+  getRunApplications,
   getUnfilledFieldsCount,
 };
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Follow-up pass over each platform's "applied jobs" dashboard.
+ *
+ * Adapters that support it describe their dashboard declaratively:
+ *
+ *   tracker: {
+ *     url,     applied-jobs page to open
+ *     cards,   selector for one listed job; the adapter's extractJobId() reads its id
+ *     status,  selector for the status line inside a card (default: the card text)
+ *     next,    selector for a "next page" button (optional)
+ *   }
+ *
+ * or supply tracker.readStatuses(page) → Promise<Array<{ jobId, statusText }>>
+ * for dashboards that do not fit. Only the raw status text is scraped
+ * ("Application viewed", "No longer accepting applications", ...);
+ * normalizeStatus() maps it onto the shared vocabulary below. A status is
+ * written to status_history only when it differs from the latest recorded
+ * one for that application, so the table holds the timeline of changes.
+ */
+
+const { sleep } = require('./humanize');
+
+/**
+ * Shared status vocabulary, roughly from least to most advanced.
+ */
+const STATUSES = ['applied', 'acknowledged', 'viewed', 'in_review', 'assessment', 'interview', 'offer', 'rejected', 'closed'];
+
+// Statuses that mean the employer responded
+const RESPONSE_STATUSES = ['viewed', 'in_review', 'assessment', 'interview', 'offer', 'rejected'];
+
+// Checked in order; the first pattern that matches the status text wins
+const STATUS_PATTERNS = [
+  ['rejected', /not selected|not moving forward|rejected|no longer under consideration|not a fit|declined|unsuccessful/i],
+  ['closed', /no longer accepting|closed|expired|position filled|job (was )?removed|not available/i],
+  ['offer', /\boffer\b/i],
+  ['interview', /interview/i],
+  ['assessment', /assessment|skills test|questionnaire sent|coding challenge/i],
+  ['in_review', /in review|under review|reviewing|in progress|shortlisted|being considered/i],
+  ['viewed', /viewed|seen by|opened your|resume downloaded/i],
+  ['applied', /applied|submitted|application sent/i],
+];
+
+/**
+ * Map a board's status text onto STATUSES.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function normalizeStatus(text) {
+  if (!text) return null;
+  const hit = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return hit ? hit[0] : null;
+}
+
+// Safeguard against "next" buttons that never disable
+const MAX_PAGES = 10;
+
+/**
+ * Scrape { jobId, statusText } from every card of a declarative tracker,
+ * following the next-page button.
+ */
+async function readListedStatuses(adapter, page) {
+  const { cards, status, next } = adapter.tracker;
+  const rows = [];
+
+  for (let pageNum = 1; pageNum <= MAX_PAGES; pageNum++) {
+    for (const card of await page.$$(cards)) {
+      const jobId = await adapter.extractJobId(card).catch(() => null);
+      if (!jobId) continue;
+      const statusEl = status ? await card.$(status) : card;
+      const statusText = statusEl ? (await statusEl.innerText()).trim().replace(/\s+/g, ' ') : '';
+      rows.push({ jobId, statusText });
+    }
+
+    const nextBtn = next ? await page.$(next) : null;
+    if (!nextBtn || !(await nextBtn.isVisible()) || await nextBtn.isDisabled()) break;
+    await nextBtn.click();
+    await sleep(2000, 3000);
+  }
+  return rows;
+}
+
+/**
+ * Read the applied-jobs dashboard of one platform and record status changes.
+ *
+ * @param {object} adapter - platform adapter with a `tracker`
+ * @param {import('playwright').Page} page
+ * @param {object} state - state manager module
+ * @param {object} logger
+ * @returns {Promise<{ listed: number, matched: number, changed: number }>}
+ */
+async function trackStatuses(adapter, page, state, logger) {
+  const platform = adapter.name;
+  const result = { listed: 0, matched: 0, changed: 0 };
+
+  logger.info({ platform, url: adapter.tracker.url }, `Opening ${adapter.displayName} applied jobs`);
+  await page.goto(adapter.tracker.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await sleep(2000, 4000);
+
+  if (await adapter.isBlocked(page)) {
+    logger.error({ platform }, `Challenge/bot check detected on applied jobs page. Skipping ${adapter.displayName}.`);
+    return result;
+  }
+
+  const rows = adapter.tracker.readStatuses
+    ? await adapter.tracker.readStatuses(page)
+    : await readListedStatuses(adapter, page);
+  result.listed = rows.length;
+
+  for (const { jobId, statusText } of rows) {
+    const application = state.getSubmittedApplication(platform, jobId);
+    if (!application) continue;
+    result.matched++;
+
+    const status = normalizeStatus(statusText);
+    if (!status) {
+      logger.debug({ platform, jobId, statusText }, 'Unrecognized status text');
+      continue;
+    }
+    if (state.getLatestStatus(application.id)?.status === status) continue;
+
+    state.recordStatus({ applicationId: application.id, status, detail: statusText, source: 'dashboard' });
+    result.changed++;
+    logger.info({ platform, jobId, jobTitle: application.jobTitle, company: application.company, status }, 'Application status changed');
+  }
+
+  return result;
+}
+
+module.exports = {
+  STATUSES,
+  RESPONSE_STATUSES,
+  normalizeStatus,
+  trackStatuses,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Field-level recovery from validation errors shown after a form step is
+ * submitted ("Enter a whole number between 0 and 99", "Please enter a valid
+ * phone number", "Please make a selection").
+ *
+ * readFieldErrors() maps each visible error back to its field: a field
+ * counts when it is marked aria-invalid, or when an error element sits in
+ * its own container (an ancestor holding no other field). retryField() then
+ * tries the next alternative for that field:
+ *
+ *   text/number  the number reshaped from the message (lib/numeric.js),
+ *                "3.0" ↔ "3", phone numbers in other formats
+ *   select       the next option not yet tried
+ *   radio        the next choice not yet tried
+ *   checkbox     checked (required consent boxes)
+ *
+ * Option and radio choices are guesses; the engine (recoverStep in
+ * lib/apply-engine.js) treats them like fillForm's fallback guesses.
+ */
+
+const { sleep } = require('./humanize');
+const { extractLabel, extractRadioGroupLabel } = require('./form-filler');
+const { numericAnswer, parseValidationMessage } = require('./numeric');
+
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="file"]):not([type="submit"]):not([type="button"]), select, textarea';
+const PLACEHOLDER_OPTION = /^(|0|placeholder|select|select an option|choose|please select|-- select|--select--)$/i;
+
+/**
+ * Find the fields a submitted step rejected.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @returns {Promise<Array<{ element: ElementHandle, kind: 'text'|'select'|'radio'|'checkbox', label: string, message: string, value: string }>>}
+ *   one entry per field (radio groups once)
+ */
+async function readFieldErrors(page) {
+  const errors = [];
+  const groups = new Set();
+
+  for (const element of await page.$$(FIELD_SELECTOR)) {
+    const info = await element.evaluate((el) => {
+      const kind = el.tagName === 'SELECT' ? 'select'
+        : ['radio', 'checkbox'].includes(el.type) ? el.type : 'text';
+      // Radios and checkboxes are often hidden behind their labels
+      const box = kind === 'text' || kind === 'select' ? el : (el.closest('fieldset') || el.parentElement || el);
+      const rect = box.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return null;
+
+      const flagged = el.getAttribute('aria-invalid') === 'true';
+      const looksLikeError = (node) => node.getAttribute('role') === 'alert' || /error|invalid/i.test(node.className || '');
+      let message = '';
+
+      for (const id of (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)) {
+        const described = document.getElementById(id);
+        const text = described ? described.textContent.trim() : '';
+        if (text && (flagged || looksLikeError(described) || described.querySelector('[role="alert"], [class*="error"]'))) {
+          message = text;
+          break;
+        }
+      }
+
+      // An error element in the field's own container; stop at the first
+      // ancestor that also holds another field
+      let parent = el.parentElement;
+      for (let i = 0; !message && i < 4 && parent; i++) {
+        const others = Array.from(parent.querySelectorAll('input:not([type="hidden"]), select, textarea'))
+          .filter((c) => c !== el && !(el.name && c.name === el.name));
+        if (others.length > 0) break;
+        for (const candidate of parent.querySelectorAll('[role="alert"], [class*="error"], [class*="Error"], [class*="invalid"]')) {
+          const text = candidate.contains(el) ? '' : candidate.textContent.trim();
+          if (text) { message = text; break; }
+        }
+        parent = parent.parentElement;
+      }
+
+      if (!message && !flagged) return null;
+      return {
+        kind,
+        name: el.name || '',
+        message: (message || el.validationMessage || '').substring(0, 200),
+        value: kind === 'select' ? (el.options[el.selectedIndex]?.textContent || '').trim() : (el.value || ''),
+      };
+    }).catch(() => null);
+    if (!info) continue;
+
+    if (info.kind === 'radio' || info.kind === 'checkbox') {
+      const group = info.name || null;
+      if (group && groups.has(group)) continue;
+      if (group) groups.add(group);
+    }
+
+    const label = info.kind === 'radio'
+      ? await extractRadioGroupLabel(page, element)
+      : await extractLabel(page, element);
+    errors.push({ element, kind: info.kind, label: label || info.name || '(unlabeled field)', message: info.message, value: info.value });
+  }
+  return errors;
+}
+
+/**
+ * A 10-digit phone number in the shapes forms commonly demand.
+ */
+function phoneFormats(value) {
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return digits ? [digits] : [];
+  const [a, b, c] = [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)];
+  return [digits, `${a}-${b}-${c}`, `(${a}) ${b}-${c}`, `+1${digits}`];
+}
+
+/**
+ * Other ways to write a rejected text value, most likely first.
+ */
+function textAlternatives(label, value, message, attrs) {
+  const candidates = [];
+  if (value === '') return candidates;
+
+  if (attrs.type === 'number' || parseValidationMessage(message)) {
+    const shaped = numericAnswer(label, value, attrs, message);
+    if (shaped) candidates.push(shaped);
+  }
+  if (/^-?\d+\.0+$/.test(value)) candidates.push(value.replace(/\.0+$/, ''));
+  else if (/^-?\d+$/.test(value)) candidates.push(`${value}.0`);
+
+  if (attrs.type === 'tel' || /phone|mobile|cell/i.test(`${label} ${message}`)) {
+    candidates.push(...phoneFormats(value));
+  }
+  return [...new Set(candidates)];
+}
+
+/**
+ * Try the next alternative for one rejected field.
+ *
+ * @param {import('playwright').Page|import('playwright').Frame} page
+ * @param {object} error - from readFieldErrors()
+ * @param {string[]} tried - values already tried for this field; the new one is not added
+ * @returns {Promise<{ value: string, guess: boolean }|null>} null when nothing is left to try
+ */
+async function retryField(page, error, tried) {
+  const { element, kind, label, message, value } = error;
+
+  if (kind === 'text') {
+    const attrs = await element.evaluate((el) => ({ type: el.type, min: el.min, max: el.max, step: el.step }));
+    const next = textAlternatives(label, value, message, attrs).find((v) => v !== value && !tried.includes(v));
+    if (next === undefined) return null;
+    await element.fill(next);
+    await element.evaluate((el) => el.blur()).catch(() => {});
+    await sleep(200, 400);
+    return { value: next, guess: false };
+  }
+
+  if (kind === 'select') {
+    const options = await element.evaluate((el) => Array.from(el.options).map((o) => o.textContent.trim()));
+    const index = options.findIndex((o) => !PLACEHOLDER_OPTION.test(o) && o !== value && !tried.includes(o));
+    if (index === -1) return null;
+    await element.selectOption({ index });
+    await sleep(200, 400);
+    return { value: options[index], guess: true };
+  }
+
+  if (kind === 'checkbox') {
+    if (await element.isChecked().catch(() => true)) return null;
+    await element.check({ force: true });
+    await sleep(200, 400);
+    return { value: 'checked', guess: true };
+  }
+
+  // Radio group: the next choice that is neither checked nor tried
+  const name = await element.getAttribute('name');
+  const radios = name ? await page.$$(`input[type="radio"][name="${name}"]`) : [element];
+  for (const radio of radios) {
+    if (await radio.isChecked().catch(() => false)) continue;
+    const id = await radio.getAttribute('id');
+    const radioLabel = id ? await page.$(`label[for="${id}"]`) : null;
+    const text = ((radioLabel ? await radioLabel.innerText().catch(() => '') : '') || await radio.getAttribute('value') || '').trim();
+    if (tried.includes(text)) continue;
+    if (radioLabel && await radioLabel.isVisible()) await radioLabel.click();
+    else await radio.click({ force: true });
+    await sleep(200, 400);
+    return { value: text, guess: true };
+  }
+  return null;
+}
+
+module.exports = {
+  readFieldErrors,
+  retryField,
+};
@@ -11,24 +11,15 @@
  * After applying (or skipping), we navigate BACK to the search results.
  */
 
-const path = require('path');
-const fs = require('fs');
 const { sleep } = require('../lib/humanize');
-const { fillForm } = require('../lib/form-filler');
-const { recordUnfilledField } = require('../lib/state');
+const { runApplyLoop, fillStep, screenshotError } = require('../lib/apply-engine');
+const { readText } = require('../lib/job-details');
+const { searchCriteria, nearestAtLeast, buildUrl } = require('../lib/search-criteria');
+const { uploadResume } = require('../lib/resumes');
 
 const SELECTOR_TIMEOUT = 10000;
 
-async function screenshotError(page, platform, jobId, config) {
-  if (!config.behavior?.screenshotOnError) return;
-  try {
-    const dir = path.join(process.cwd(), 'logs', 'screenshots');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    const today = new Date().toISOString().slice(0, 10);
-    const fname = `${today}-${platform}-${(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}.png`;
-    await page.screenshot({ path: path.join(dir, fname), fullPage: false });
-  } catch (_) {}
-}
+const CARD_SELECTOR = '.search-result-job-card, [data-cy="search-card"], dhi-search-card';
 
 /**
  * Detect Cloudflare challenge or other blocking pages on Dice.
@@ -45,6 +36,14 @@ async function isBlockedPage(page) {
   }
 }
 
+/**
+ * Query the job cards on the current results page.
+ * @returns {Promise<import('playwright').ElementHandle[]>}
+ */
+async function listCards(page) {
+  return page.$$(CARD_SELECTOR);
+}
+
 /**
  * Extract job ID from a Dice job card or URL.
  * Dice URLs look like: /job-detail/abc-123-def
@@ -76,320 +75,294 @@ async function getJobDetailUrl(card, baseUrl = 'https://www.dice.com') {
   return null;
 }
 
+const POSTED_DATES = { 1: 'ONE', 3: 'THREE', 7: 'SEVEN' };
+const EMPLOYMENT_TYPES = { full_time: 'FULLTIME', part_time: 'PARTTIME', contract: 'CONTRACTS' };
+
 /**
- * Main Dice Easy Apply function.
- *
- * @param {import('playwright').Page} page
- * @param {object} config
- * @param {object} defaultAnswers
- * @param {object} state
- * @param {string} runId
- * @param {object} logger
- * @param {boolean} [dryRun=false]
- * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ * Translate search criteria (lib/search-criteria.js) into a Dice search URL.
+ * - radius + radiusUnit=mi = miles from location
+ * - filters.postedDate = ONE, THREE or SEVEN days
+ * - filters.employmentType = FULLTIME|PARTTIME|CONTRACTS
+ * - filters.workplaceTypes = Remote, or On-Site|Hybrid without remote jobs
+ * Dice has no experience-level filter, no date choice past a week and no
+ * temporary, internship or volunteer type; those are returned as unsupported.
  */
+function translateSearch(criteria) {
+  const unsupported = ['experienceLevel'];
+  const days = Object.keys(POSTED_DATES).map(Number);
+  const employmentTypes = criteria.jobType.map((t) => EMPLOYMENT_TYPES[t]);
+
+  if (criteria.datePosted > days[days.length - 1]) unsupported.push('datePosted');
+  if (employmentTypes.includes(undefined)) unsupported.push('jobType');
+
+  const remoteOnly = criteria.remote === 'only';
+  const url = buildUrl('https://www.dice.com/jobs', {
+    q: criteria.keywords.join(' OR '),
+    location: remoteOnly ? null : (criteria.location || 'United States'),
+    radius: !remoteOnly && criteria.location && criteria.radius !== null ? criteria.radius : null,
+    radiusUnit: !remoteOnly && criteria.location && criteria.radius !== null ? 'mi' : null,
+    'filters.postedDate': criteria.datePosted && !unsupported.includes('datePosted')
+      ? POSTED_DATES[nearestAtLeast(days, criteria.datePosted)] : null,
+    'filters.employmentType': unsupported.includes('jobType') ? null : employmentTypes.join('|'),
+    'filters.workplaceTypes': { only: 'Remote', exclude: 'On-Site|Hybrid' }[criteria.remote],
+  });
+  return { url, unsupported };
+}
+
+function buildSearchUrl(config) {
+  return translateSearch(searchCriteria(config)).url;
+}
+
 /**
- * Build a Dice search URL dynamically from config.search.keywords.
+ * Wait for job cards to load.
+ * Dice is React SPA — waitForSelector auto-waits for React to render.
+ * @returns {Promise<boolean>}
  */
-function buildSearchUrl(config) {
-  const keywords = (config.search?.keywords || ['data scientist']).join(' OR ');
-  const encoded = encodeURIComponent(keywords);
-  const location = encodeURIComponent(config.search?.location || 'United States');
-  return `https://www.dice.com/jobs?q=${encoded}&location=${location}&postedDate=ONE`;
+async function waitForResults(page) {
+  try {
+    await page.waitForSelector(
+      'dhi-search-cards-widget, .search-result-job-card, [data-cy="search-card"]',
+      { timeout: 15000 }
+    );
+  } catch (_) {
+    return false;
+  }
+  await sleep(1000, 2000); // Let React finish rendering
+  return true;
 }
 
-async function applyDice(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
-  const platformConfig = config.platforms.dice;
-  const maxApplications = platformConfig.maxApplicationsPerRun;
-  const { minDelayBetweenApplications, maxDelayBetweenApplications } = config.behavior;
+/**
+ * Extract basic info from the card before navigating.
+ */
+async function readCard(card) {
+  const info = { jobUrl: await getJobDetailUrl(card) };
+  const titleEl = await card.$('[data-cy="card-title-link"], .job-title, h5');
+  if (titleEl) info.jobTitle = (await titleEl.innerText()).trim();
+  const companyEl = await card.$('[data-cy="employer-name"], .company-name');
+  if (companyEl) info.company = (await companyEl.innerText()).trim();
+  return info;
+}
 
-  const maxRetries = config.behavior?.maxRetries ?? 0;
-  const retryAttempts = new Map(); // jobId → number of retries made
+/**
+ * Find the "Easy Apply" button on the detail page.
+ * Dice uses React, so button text/classes may vary.
+ */
+async function findEasyApplyButton(page) {
+  return page.$(
+    'button:has-text("Easy Apply"), [data-cy="apply-button-top"], [data-testid="easy-apply-button"]'
+  );
+}
 
-  let applied = 0;
-  let skipped = 0;
-  let errors = 0;
+/**
+ * Navigate to the full job detail page (Dice opens a new page, not a side
+ * panel) and check that it can be applied to from Dice.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJob(page, card, job, ctx) {
+  if (!job.jobUrl) {
+    return { status: 'skipped', skipReason: 'no_detail_url' };
+  }
 
-  const searchUrl = buildSearchUrl(config);
-  logger.info({ platform: 'dice', searchUrl }, 'Navigating to Dice search');
+  ctx.logger.info({ jobId: job.jobId, jobTitle: job.jobTitle, company: job.company }, 'Navigating to Dice job detail');
+  await page.goto(job.jobUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(1500, 3000);
 
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  await sleep(2000, 4000);
+  // Check for "Complete your profile" interstitial — if shown, user must fix manually
+  const profileIncomplete = await page.$('text="Complete your profile", text="complete your profile"');
+  if (profileIncomplete) {
+    ctx.logger.warn({ jobId: job.jobId }, 'Dice showing "Complete your profile" — skipping job (fix profile manually)');
+    return { status: 'skipped', skipReason: 'incomplete_profile' };
+  }
 
-  if (await isBlockedPage(page)) {
-    logger.error({ platform: 'dice' }, 'Cloudflare block detected. Stopping Dice.');
-    state.recordApplication({
-      platform: 'dice', jobId: 'captcha_detected',
-      status: 'captcha_blocked', errorMessage: 'Cloudflare/bot block detected — platform stopped', runId,
-    });
-    return { applied, skipped, errors };
+  const easyApplyBtn = await findEasyApplyButton(page);
+  if (!easyApplyBtn || !(await easyApplyBtn.isVisible())) {
+    // Only "Apply" button present — external redirect
+    return { status: 'skipped', skipReason: 'external_apply' };
   }
-  let currentPage = 1;
-  let pageHasMoreJobs = true;
-
-  while (applied < maxApplications && pageHasMoreJobs) {
-    // Wait for job cards to load
-    // Dice is React SPA — waitForSelector auto-waits for React to render
-    try {
-      await page.waitForSelector(
-        'dhi-search-cards-widget, .search-result-job-card, [data-cy="search-card"]',
-        { timeout: 15000 }
-      );
-    } catch (_) {
-      logger.warn({ platform: 'dice' }, 'Job cards not found — may have reached end of results');
-      break;
-    }
 
-    await sleep(1000, 2000); // Let React finish rendering
+  // Check button text — Dice sometimes shows "Applied" if already done
+  const btnText = (await easyApplyBtn.innerText()).toLowerCase();
+  if (btnText.includes('applied')) {
+    return { status: 'already_applied', skipReason: 'already_applied_dice' };
+  }
+  return null;
+}
+
+/**
+ * Job id from a posting URL: /job-detail/<id>.
+ * @returns {string|null}
+ */
+function parseJobUrl(url) {
+  const match = /^https?:\/\/([a-z]+\.)?dice\.com\/job-detail\/([^?#/]+)/i.exec(url);
+  return match ? match[2] : null;
+}
 
-    const jobCards = await page.$$(
-      '.search-result-job-card, [data-cy="search-card"], dhi-search-card'
-    );
-    logger.info({ platform: 'dice', cardCount: jobCards.length, page: currentPage }, 'Found job cards');
-
-    const cardsToProcess = [...jobCards];
-
-    while (cardsToProcess.length > 0 && applied < maxApplications) {
-      const card = cardsToProcess.shift();
-
-      let jobId = null;
-      let jobTitle = null;
-      let company = null;
-      let jobUrl = null;
-
-      try {
-        jobId = await extractDiceJobId(card);
-        if (!jobId) {
-          skipped++;
-          continue;
-        }
-
-        if (state.hasApplied('dice', jobId)) {
-          logger.debug({ jobId }, 'Already applied — skipping');
-          state.recordApplication({ platform: 'dice', jobId, status: 'already_applied', runId });
-          skipped++;
-          continue;
-        }
-
-        jobUrl = await getJobDetailUrl(card);
-        if (!jobUrl) {
-          skipped++;
-          continue;
-        }
-
-        // Extract basic info from card before navigating
-        const titleEl = await card.$('[data-cy="card-title-link"], .job-title, h5');
-        if (titleEl) jobTitle = (await titleEl.innerText()).trim();
-        const companyEl = await card.$('[data-cy="employer-name"], .company-name');
-        if (companyEl) company = (await companyEl.innerText()).trim();
-
-        // Navigate to the full job detail page (Dice opens new page, not side panel)
-        logger.info({ jobId, jobTitle, company }, 'Navigating to Dice job detail');
-        await page.goto(jobUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-        await sleep(1500, 3000);
-
-        if (await isBlockedPage(page)) {
-          logger.error({ platform: 'dice' }, 'Blocked page detected mid-run. Stopping.');
-          state.recordApplication({
-            platform: 'dice', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'Cloudflare/bot block detected — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
-
-        // Check for "Complete your profile" interstitial — if shown, user must fix manually
-        const profileIncomplete = await page.$('text="Complete your profile", text="complete your profile"');
-        if (profileIncomplete) {
-          logger.warn({ jobId }, 'Dice showing "Complete your profile" — skipping job (fix profile manually)');
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'incomplete_profile', runId,
-          });
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        // Look for the "Easy Apply" button on the detail page
-        // Dice uses React, so button text/classes may vary
-        const easyApplyBtn = await page.$(
-          'button:has-text("Easy Apply"), [data-cy="apply-button-top"], [data-testid="easy-apply-button"]'
-        );
-
-        if (!easyApplyBtn || !(await easyApplyBtn.isVisible())) {
-          // Only "Apply" button present — external redirect
-          logger.debug({ jobId, jobTitle }, 'No Easy Apply button on Dice job — skipping (external)');
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'external_apply', runId,
-          });
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        // Check button text — Dice sometimes shows "Applied" if already done
-        const btnText = (await easyApplyBtn.innerText()).toLowerCase();
-        if (btnText.includes('applied')) {
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'already_applied', runId,
-          });
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        // Click Easy Apply to open the modal overlay
-        logger.info({ jobId, jobTitle, company }, 'Opening Dice Easy Apply modal');
-        await easyApplyBtn.click();
-        await sleep(1500, 2500);
-
-        // Wait for the modal to appear
-        // Dice uses an overlay modal with varying selectors (React component names change)
-        const modal = await page.waitForSelector(
-          '.apply-modal, [data-testid="apply-modal"], .easy-apply-modal, dialog[open], [role="dialog"]',
-          { timeout: SELECTOR_TIMEOUT }
-        ).catch(() => null);
-
-        if (!modal) {
-          // Modal didn't open — Dice job probably redirected externally
-          const currentUrl = page.url();
-          if (!currentUrl.includes('dice.com')) {
-            logger.debug({ jobId }, 'Dice redirected to external site — skipping');
-            state.recordApplication({
-              platform: 'dice', jobId, jobTitle, company, jobUrl,
-              status: 'skipped', errorMessage: 'external_redirect', runId,
-            });
-            skipped++;
-            await page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
-            await sleep(2000, 3000);
-            continue;
-          }
-          throw new Error('Easy Apply modal did not open within timeout');
-        }
-
-        // Fill all fields in the single-screen Dice modal
-        const { filledCount, unfilledFields } = await fillForm(
-          page,
-          defaultAnswers,
-          config,
-          logger,
-          'dice',
-          jobId
-        );
-
-        for (const field of unfilledFields) {
-          recordUnfilledField({ platform: 'dice', jobId, fieldLabel: field.fieldLabel, fieldType: field.fieldType });
-        }
-
-        logger.debug({ jobId, filledCount, unmatched: unfilledFields.length }, 'Filled Dice modal');
-
-        await sleep(500, 1000);
-
-        // Find and click the submit button in the modal
-        const submitBtn = await page.$(
-          'button:has-text("Submit"), button:has-text("Apply"), [data-testid="submit-apply"]'
-        );
-
-        if (!submitBtn || !(await submitBtn.isVisible())) {
-          throw new Error('Submit button not found in Dice modal');
-        }
-
-        if (dryRun) {
-          await screenshotError(page, 'dice', `dryrun-${jobId}`, config);
-          logger.info({ jobId }, '[DRY RUN] Would submit Dice application — screenshot taken');
-          // Close modal without submitting
-          const closeBtn = await page.$('button[aria-label="Close"], button:has-text("Cancel"), [data-testid="close-modal"]');
-          if (closeBtn) await closeBtn.click();
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'dry_run', runId,
-          });
-        } else {
-          await submitBtn.click();
-          await sleep(1500, 2500);
-
-          // Wait for confirmation
-          await page.waitForSelector(
-            'text="Application Submitted", text="Successfully applied", text="application submitted"',
-            { timeout: 10000 }
-          ).catch(() => null);
-
-          logger.info({ jobId, jobTitle, company }, 'Dice application submitted');
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'submitted', runId,
-          });
-        }
-
-        applied++;
-        await sleep(minDelayBetweenApplications, maxDelayBetweenApplications);
-
-        // Navigate back to search results
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-        await sleep(2000, 3000);
-
-      } catch (err) {
-        // Try to navigate back to search results
-        try {
-          const currentUrl = page.url();
-          if (!currentUrl.includes('/jobs')) {
-            await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
-          }
-        } catch (_) {}
-
-        await sleep(2000, 4000);
-
-        // Check for block page before deciding whether to retry (PRD §8.2)
-        if (await isBlockedPage(page)) {
-          logger.error({ platform: 'dice' }, 'Block page detected after error — stopping Dice');
-          state.recordApplication({
-            platform: 'dice', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'Cloudflare/bot block detected — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
-
-        // Retry transient errors up to maxRetries times
-        const attemptsMade = (retryAttempts.get(jobId ?? '') || 0) + 1;
-        if (jobId && attemptsMade <= maxRetries) {
-          retryAttempts.set(jobId, attemptsMade);
-          logger.warn({ platform: 'dice', jobId, attempt: attemptsMade, error: err.message }, 'Transient error — queuing retry');
-          cardsToProcess.push(card);
-        } else {
-          logger.error({ platform: 'dice', jobId, jobTitle, error: err.message }, 'Application error');
-          errors++;
-          await screenshotError(page, 'dice', jobId, config);
-          state.recordApplication({
-            platform: 'dice', jobId, jobTitle, company, jobUrl,
-            status: 'error', errorMessage: err.message, runId,
-          });
-        }
-      }
-    }
+/**
+ * Open a posting's own page (index.js --urls). Search results open the
+ * same page, so this is openJob() without the card.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJobUrl(page, job, ctx) {
+  job.jobUrl = `https://www.dice.com/job-detail/${job.jobId}`;
+  const skip = await openJob(page, null, job, ctx);
+  job.jobTitle = await readText(page, ['[data-cy="jobTitle"]', 'h1']);
+  job.company = await readText(page, ['[data-cy="companyNameLink"]', '[data-cy="companyName"]', '[data-testid="companyName"]']);
+  return skip;
+}
+
+/**
+ * Read the posting from the job detail page.
+ */
+async function readDetails(page) {
+  return {
+    description: await readText(page, ['[data-testid="jobDescriptionHtml"]', '#jobDescription', '[data-cy="jobDescription"]']),
+    location: await readText(page, ['[data-cy="location"]', '[data-testid="job-location"]', '[data-testid="locationDetails"]']),
+    salary: await readText(page, ['[data-cy="compensationText"]', '[data-testid="payDetails"]']),
+    posted: await readText(page, ['[data-cy="postedDate"]', '[data-testid="postedDate"]']),
+  };
+}
 
-    // Pagination: Dice uses numbered pages at the bottom
-    if (applied < maxApplications) {
-      try {
-        const nextBtn = await page.$('a[aria-label="Go to next page"], button[aria-label="Next page"], .pagination-next');
-        if (nextBtn && await nextBtn.isVisible()) {
-          currentPage++;
-          await nextBtn.click();
-          await sleep(2000, 4000);
-        } else {
-          pageHasMoreJobs = false;
-        }
-      } catch (_) {
-        pageHasMoreJobs = false;
-      }
+/**
+ * Open the single-screen Easy Apply modal, fill it and submit.
+ * @returns {Promise<object>} outcome
+ */
+async function applyToJob(page, job, ctx) {
+  const { config, logger, dryRun } = ctx;
+  const { jobId, jobTitle, company } = job;
+
+  // Click Easy Apply to open the modal overlay
+  logger.info({ jobId, jobTitle, company }, 'Opening Dice Easy Apply modal');
+  const easyApplyBtn = await findEasyApplyButton(page);
+  if (!easyApplyBtn) throw new Error('Easy Apply button disappeared');
+  await easyApplyBtn.click();
+  await sleep(1500, 2500);
+
+  // Wait for the modal to appear
+  // Dice uses an overlay modal with varying selectors (React component names change)
+  const modal = await page.waitForSelector(
+    '.apply-modal, [data-testid="apply-modal"], .easy-apply-modal, dialog[open], [role="dialog"]',
+    { timeout: SELECTOR_TIMEOUT }
+  ).catch(() => null);
+
+  if (!modal) {
+    // Modal didn't open — Dice job probably redirected externally
+    if (!page.url().includes('dice.com')) {
+      logger.debug({ jobId }, 'Dice redirected to external site');
+      return { status: 'skipped', skipReason: 'external_redirect' };
     }
+    throw new Error('Easy Apply modal did not open within timeout');
+  }
+
+  // The modal attaches the profile resume; with resume variants configured,
+  // replace it through the modal's (hidden) file input for this application
+  if (config.user?.resumes && job.resume && await uploadResume(page, job.resume)) {
+    job.resumeUsed = job.resume.name;
+    logger.debug({ jobId, resume: job.resume.name }, 'Uploaded resume variant');
+    await sleep(1000, 2000);
+  }
+
+  // Fill all fields in the single-screen Dice modal
+  await fillStep(page, job, ctx);
+
+  await sleep(500, 1000);
+
+  // Find and click the submit button in the modal
+  const submitBtn = await page.$(
+    'button:has-text("Submit"), button:has-text("Apply"), [data-testid="submit-apply"]'
+  );
+
+  if (!submitBtn || !(await submitBtn.isVisible())) {
+    throw new Error('Submit button not found in Dice modal');
   }
 
-  return { applied, skipped, errors };
+  if (dryRun) {
+    await screenshotError(page, 'dice', `dryrun-${jobId}`, config);
+    logger.info({ jobId }, '[DRY RUN] Would submit Dice application — screenshot taken');
+    // Close modal without submitting
+    const closeBtn = await page.$('button[aria-label="Close"], button:has-text("Cancel"), [data-testid="close-modal"]');
+    if (closeBtn) await closeBtn.click();
+  } else {
+    await submitBtn.click();
+    await sleep(1500, 2500);
+
+    // Wait for confirmation
+    await page.waitForSelector(
+      'text="Application Submitted", text="Successfully applied", text="application submitted"',
+      { timeout: 10000 }
+    ).catch(() => null);
+  }
+
+  return { status: 'submitted', steps: 1 };
+}
+
+/**
+ * Pagination: Dice uses numbered pages at the bottom.
+ * @returns {Promise<boolean>} false on the last page
+ */
+async function nextPage(page) {
+  const nextBtn = await page.$('a[aria-label="Go to next page"], button[aria-label="Next page"], .pagination-next');
+  if (!nextBtn || !(await nextBtn.isVisible())) return false;
+  await nextBtn.click();
+  await sleep(2000, 4000);
+  return true;
+}
+
+/**
+ * Main Dice Easy Apply function.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} config
+ * @param {object} defaultAnswers
+ * @param {object} state
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ */
+function applyDice(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  return runApplyLoop(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
 }
 
-module.exports = { applyDice };
+const adapter = {
+  name: 'dice',
+  displayName: 'Dice',
+  setup: {
+    url: 'https://www.dice.com/dashboard',
+    instructions: [
+      '1. Log in with your Dice credentials.',
+      '2. Complete your Dice profile (contact info, resume, work auth).',
+      '3. Test an "Easy Apply" job to verify the modal works.',
+      '4. When done, CLOSE this browser window.',
+    ],
+  },
+  login: {
+    url: 'https://www.dice.com/dashboard',
+    isExpired: async (page) => {
+      const url = page.url();
+      return url.includes('/login') || url.includes('/signin');
+    },
+  },
+  tracker: {
+    url: 'https://www.dice.com/dashboard/applications',
+    cards: '[data-cy="application-card"], li:has(a[href*="/job-detail/"])',
+    status: '[data-cy="application-status"], [class*="status"]',
+    next: 'button[aria-label="Next"]',
+  },
+  buildSearchUrl,
+  translateSearch,
+  parseJobUrl,
+  openJobUrl,
+  listCards,
+  extractJobId: extractDiceJobId,
+  isBlocked: isBlockedPage,
+  blockedMessage: 'Cloudflare/bot block detected — platform stopped',
+  waitForResults,
+  readCard,
+  openJob,
+  readDetails,
+  applyToJob,
+  nextPage,
+  apply: applyDice,
+};
+
+module.exports = { applyDice, adapter };
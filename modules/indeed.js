@@ -15,24 +15,16 @@
  * - Indeed may show a "We noticed you already applied" interstitial
  */
 
-const path = require('path');
-const fs = require('fs');
 const { sleep } = require('../lib/humanize');
-const { fillForm } = require('../lib/form-filler');
-const { recordUnfilledField } = require('../lib/state');
+const { runApplyLoop, fillStep, recoverStep, screenshotError } = require('../lib/apply-engine');
+const { readText } = require('../lib/job-details');
+const { searchCriteria, nearestAtLeast, buildUrl } = require('../lib/search-criteria');
+const { pickResumeOption, uploadResume } = require('../lib/resumes');
 
 const SELECTOR_TIMEOUT = 10000;
 
-async function screenshotError(page, platform, jobId, config) {
-  if (!config.behavior?.screenshotOnError) return;
-  try {
-    const dir = path.join(process.cwd(), 'logs', 'screenshots');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    const today = new Date().toISOString().slice(0, 10);
-    const fname = `${today}-${platform}-${(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}.png`;
-    await page.screenshot({ path: path.join(dir, fname), fullPage: false });
-  } catch (_) {}
-}
+// Indeed job cards are <li data-jk="..."> items in the left-hand results list
+const CARD_SELECTOR = 'li[data-jk], .job_seen_beacon, .slider_item';
 
 /**
  * Check if Indeed is showing a bot-detection or unusual-activity page.
@@ -51,6 +43,14 @@ async function isBotDetected(page) {
   }
 }
 
+/**
+ * Query the job cards on the current results page.
+ * @returns {Promise<import('playwright').ElementHandle[]>}
+ */
+async function listCards(page) {
+  return page.$$(CARD_SELECTOR);
+}
+
 /**
  * Extract the Indeed job key from a job card.
  * Indeed uses data-jk="<jobKey>" on each job card.
@@ -81,25 +81,28 @@ function isIndeedDomain(url) {
 
 /**
  * Handle a single step of the Indeed apply form.
- * Returns 'next', 'submitted', or 'error'.
+ * Returns 'next', 'submitted', 'error' or 'validation_error'.
  */
-async function handleIndeedStep(page, defaultAnswers, config, logger, jobId, dryRun) {
-  await sleep(800, 1500);
+async function handleIndeedStep(page, job, ctx, stepNum) {
+  const { config, logger, dryRun } = ctx;
+  const { jobId } = job;
 
-  const { filledCount, unfilledFields } = await fillForm(
-    page,
-    defaultAnswers,
-    config,
-    logger,
-    'indeed',
-    jobId
-  );
+  await sleep(800, 1500);
 
-  for (const field of unfilledFields) {
-    recordUnfilledField({ platform: 'indeed', jobId, fieldLabel: field.fieldLabel, fieldType: field.fieldType });
+  // Resume step: pick the saved resume named after the job's variant, or
+  // upload the variant through the step's hidden file input
+  const resumeCards = await page.$$('[data-testid*="resume-selection"] input[type="radio"]');
+  if (resumeCards.length > 0 && job.resume) {
+    const option = await pickResumeOption(page, resumeCards, job.resume);
+    if (option) await option.click({ force: true });
+    if (option || (config.user?.resumes && await uploadResume(page, job.resume))) {
+      job.resumeUsed = job.resume.name;
+      logger.debug({ jobId, resume: job.resume.name }, 'Selected resume variant');
+      await sleep(500, 1000);
+    }
   }
 
-  logger.debug({ jobId, filledCount, unmatched: unfilledFields.length }, 'Filled Indeed step');
+  await fillStep(page, job, ctx, stepNum);
 
   await sleep(500, 1000);
 
@@ -125,6 +128,11 @@ async function handleIndeedStep(page, defaultAnswers, config, logger, jobId, dry
         return 'submitted';
       } else {
         await btn.click();
+        await sleep(800, 1200);
+
+        // Indeed keeps the step open and marks the rejected fields
+        const recovered = await recoverStep(page, job, ctx, stepNum, () => btn.click());
+        if (!recovered && job.blockingFields.length > 0) return 'validation_error';
         return 'next';
       }
     }
@@ -133,310 +141,325 @@ async function handleIndeedStep(page, defaultAnswers, config, logger, jobId, dry
   return 'error';
 }
 
+const RADII = [0, 5, 10, 15, 25, 35, 50, 100];
+const FROMAGE_DAYS = [1, 3, 7, 14];
+const JOB_TYPE_CODES = { full_time: 'fulltime', part_time: 'parttime', contract: 'contract', temporary: 'temporary', internship: 'internship' };
+const EXPERIENCE_CODES = { internship: 'ENTRY_LEVEL', entry: 'ENTRY_LEVEL', associate: 'MID_LEVEL', mid_senior: 'SENIOR_LEVEL' };
+const REMOTE_ATTR = '032b3046-06a3-4876-8dfd-474eb5e7ed11';
+
 /**
- * Main Indeed Apply function.
- *
- * @param {import('playwright').Page} page
- * @param {object} config
- * @param {object} defaultAnswers
- * @param {object} state
- * @param {string} runId
- * @param {object} logger
- * @param {boolean} [dryRun=false]
- * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
- */
-/**
- * Build an Indeed search URL dynamically from config.search.keywords.
- * Includes Indeed Apply filter: sc=0kf%3Aattr(DSQF7)%3B + fromage=1 (past 24 hours)
+ * Translate search criteria (lib/search-criteria.js) into an Indeed search URL.
+ * - sc=0kf:attr(DSQF7); = Indeed Apply filter
+ * - fromage = posted within 1, 3, 7 or 14 days
+ * - radius = miles from l (Indeed's fixed choices)
+ * - jt = one job type, explvl = one experience band
+ * - remotejob = remote only
+ * Indeed takes a single jt and explvl, cannot leave remote jobs out and
+ * stops at 14 days; those criteria are returned as unsupported.
  */
-function buildSearchUrl(config) {
-  const keywords = (config.search?.keywords || ['data scientist']).join(' OR ');
-  const encoded = encodeURIComponent(keywords);
-  const location = encodeURIComponent(config.search?.location || 'United States');
-  return `https://www.indeed.com/jobs?q=${encoded}&l=${location}&fromage=1&sc=0kf%3Aattr(DSQF7)%3B`;
+function translateSearch(criteria) {
+  const unsupported = [];
+  const jobTypes = criteria.jobType.map((t) => JOB_TYPE_CODES[t]);
+  const levels = [...new Set(criteria.experienceLevel.map((l) => EXPERIENCE_CODES[l]))];
+
+  if (jobTypes.length > 1 || jobTypes.includes(undefined)) unsupported.push('jobType');
+  if (levels.length > 1 || levels.includes(undefined)) unsupported.push('experienceLevel');
+  if (criteria.datePosted > FROMAGE_DAYS[FROMAGE_DAYS.length - 1]) unsupported.push('datePosted');
+  if (criteria.remote === 'exclude') unsupported.push('remote');
+
+  const remoteOnly = criteria.remote === 'only';
+  const url = buildUrl('https://www.indeed.com/jobs', {
+    q: criteria.keywords.join(' OR '),
+    l: remoteOnly ? 'Remote' : (criteria.location || 'United States'),
+    radius: !remoteOnly && criteria.location && criteria.radius !== null ? nearestAtLeast(RADII, criteria.radius) : null,
+    fromage: criteria.datePosted && !unsupported.includes('datePosted') ? nearestAtLeast(FROMAGE_DAYS, criteria.datePosted) : null,
+    jt: unsupported.includes('jobType') ? null : jobTypes[0],
+    explvl: unsupported.includes('experienceLevel') ? null : levels[0],
+    remotejob: remoteOnly ? REMOTE_ATTR : null,
+    sc: '0kf:attr(DSQF7);',
+  });
+  return { url, unsupported };
 }
 
-async function applyIndeed(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
-  const platformConfig = config.platforms.indeed;
-  const maxApplications = platformConfig.maxApplicationsPerRun;
-  const { minDelayBetweenApplications, maxDelayBetweenApplications } = config.behavior;
-
-  const maxRetries = config.behavior?.maxRetries ?? 0;
-  const retryAttempts = new Map(); // jobId → number of retries made
-
-  let applied = 0;
-  let skipped = 0;
-  let errors = 0;
-
-  const searchUrl = buildSearchUrl(config);
-  logger.info({ platform: 'indeed', searchUrl }, 'Navigating to Indeed search');
-
-  // Navigate to dynamically constructed URL (includes Indeed Apply filter)
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  await sleep(2000, 4000);
+function buildSearchUrl(config) {
+  return translateSearch(searchCriteria(config)).url;
+}
 
-  if (await isBotDetected(page)) {
-    logger.error({ platform: 'indeed' }, 'Bot detection triggered. Stopping Indeed.');
-    state.recordApplication({
-      platform: 'indeed', jobId: 'captcha_detected',
-      status: 'captcha_blocked', errorMessage: 'Bot/CAPTCHA detection triggered — platform stopped', runId,
+/**
+ * Wait for the job cards container.
+ * @returns {Promise<boolean>}
+ */
+async function waitForResults(page) {
+  try {
+    await page.waitForSelector('#mosaic-provider-jobcards, .jobsearch-ResultsList', {
+      timeout: SELECTOR_TIMEOUT,
     });
-    return { applied, skipped, errors };
+  } catch (_) {
+    return false;
   }
-  let currentPage = 1;
-  let pageHasMoreJobs = true;
-
-  while (applied < maxApplications && pageHasMoreJobs) {
-    // Wait for job cards container
-    try {
-      await page.waitForSelector('#mosaic-provider-jobcards, .jobsearch-ResultsList', {
-        timeout: SELECTOR_TIMEOUT,
-      });
-    } catch (_) {
-      logger.warn({ platform: 'indeed' }, 'Job cards container not found');
-      break;
-    }
-
-    await sleep(1000, 2000);
-
-    // Get job cards — Indeed uses li elements with data-jk
-    const jobCards = await page.$$('li[data-jk], .job_seen_beacon, .slider_item');
-    logger.info({ platform: 'indeed', cardCount: jobCards.length, page: currentPage }, 'Found job cards');
-
-    const cardsToProcess = [...jobCards];
-
-    while (cardsToProcess.length > 0 && applied < maxApplications) {
-      const card = cardsToProcess.shift();
-
-      let jobId = null;
-      let jobTitle = null;
-      let company = null;
-      let jobUrl = null;
-
-      try {
-        jobId = await extractIndeedJobId(card);
-        if (!jobId) {
-          skipped++;
-          continue;
-        }
-
-        if (state.hasApplied('indeed', jobId)) {
-          logger.debug({ jobId }, 'Already applied — skipping');
-          state.recordApplication({ platform: 'indeed', jobId, status: 'already_applied', runId });
-          skipped++;
-          continue;
-        }
-
-        // Extract job info from the card
-        const titleEl = await card.$('.jobTitle a, h2 a, [data-testid="job-title"]');
-        if (titleEl) {
-          jobTitle = (await titleEl.innerText()).trim();
-          const href = await titleEl.getAttribute('href');
-          if (href) jobUrl = href.startsWith('http') ? href : `https://www.indeed.com${href}`;
-        }
-        const companyEl = await card.$('[data-testid="company-name"], .companyName');
-        if (companyEl) company = (await companyEl.innerText()).trim();
-
-        // Check if card has "Easily apply" badge — this is our quality filter
-        const easyApplyBadge = await card.$(
-          '.easily-apply-badge, span:has-text("Easily apply"), [data-testid="attr-DSQF7"]'
-        );
-
-        if (!easyApplyBadge) {
-          // No "Easily apply" badge — this is likely an external redirect
-          logger.debug({ jobId, jobTitle }, 'No "Easily apply" badge — skipping');
-          state.recordApplication({
-            platform: 'indeed', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'no_easy_apply_badge', runId,
-          });
-          skipped++;
-          continue;
-        }
-
-        // Click the job card to load the detail panel (right side)
-        await card.click();
-        await sleep(1500, 2500);
+  await sleep(1000, 2000);
+  return true;
+}
 
-        // Wait for detail panel to load
-        await page.waitForSelector(
-          '#jobDetailPage, .jobsearch-JobComponent, [data-testid="job-detail"]',
-          { timeout: SELECTOR_TIMEOUT }
-        );
+/**
+ * Extract job info from the card, including whether it carries the
+ * "Easily apply" badge.
+ */
+async function readCard(card) {
+  const info = {};
+  const titleEl = await card.$('.jobTitle a, h2 a, [data-testid="job-title"]');
+  if (titleEl) {
+    info.jobTitle = (await titleEl.innerText()).trim();
+    const href = await titleEl.getAttribute('href');
+    if (href) info.jobUrl = href.startsWith('http') ? href : `https://www.indeed.com${href}`;
+  }
+  const companyEl = await card.$('[data-testid="company-name"], .companyName');
+  if (companyEl) info.company = (await companyEl.innerText()).trim();
 
-        jobUrl = page.url();
+  info.easyApply = (await card.$(
+    '.easily-apply-badge, span:has-text("Easily apply"), [data-testid="attr-DSQF7"]'
+  )) !== null;
+  return info;
+}
 
-        // Find the Apply/Easily Apply button in the detail panel
-        const applyBtn = await page.$(
-          '[data-testid="indeedApplyButton"], button:has-text("Apply now"), a:has-text("Apply now"), button:has-text("Easily apply")'
-        );
+/**
+ * The "Easily apply" badge is our quality filter — cards without it are
+ * most likely external redirects.
+ * @returns {string|null} skip reason
+ */
+function filterCard(job) {
+  return job.easyApply ? null : 'no_easy_apply_badge';
+}
 
-        if (!applyBtn || !(await applyBtn.isVisible())) {
-          logger.debug({ jobId, jobTitle }, 'Apply button not visible in detail panel');
-          skipped++;
-          continue;
-        }
+/**
+ * Find the Apply/Easily Apply button in the detail panel.
+ */
+async function findApplyButton(page) {
+  return page.$(
+    '[data-testid="indeedApplyButton"], button:has-text("Apply now"), a:has-text("Apply now"), button:has-text("Easily apply")'
+  );
+}
 
-        // Record the URL before clicking — we'll check after to detect external redirect
-        const urlBeforeClick = page.url();
-
-        logger.info({ jobId, jobTitle, company }, 'Clicking Indeed apply button');
-        await applyBtn.click();
-        await sleep(2000, 3000);
-
-        // Check if we stayed on Indeed's domain
-        const urlAfterClick = page.url();
-        if (!isIndeedDomain(urlAfterClick)) {
-          logger.debug({ jobId, jobTitle, url: urlAfterClick }, 'Redirected to external site — skipping');
-          state.recordApplication({
-            platform: 'indeed', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'external_redirect', runId,
-          });
-          skipped++;
-          // Navigate back to search results
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
-          await sleep(2000, 3000);
-          continue;
-        }
+/**
+ * Click the card to load the detail panel and make sure it has an apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJob(page, card, job) {
+  // Click the job card to load the detail panel (right side)
+  await card.click();
+  await sleep(1500, 2500);
+
+  await page.waitForSelector(
+    '#jobDetailPage, .jobsearch-JobComponent, [data-testid="job-detail"]',
+    { timeout: SELECTOR_TIMEOUT }
+  );
 
-        // Check for "already applied" interstitial
-        const alreadyApplied = await page.$('text="We noticed you already applied"');
-        if (alreadyApplied) {
-          const closeBtn = await page.$('button:has-text("Close"), button:has-text("OK"), [data-testid="modal-close"]');
-          if (closeBtn) await closeBtn.click();
-          state.recordApplication({
-            platform: 'indeed', jobId, jobTitle, company, jobUrl,
-            status: 'already_applied', runId,
-          });
-          skipped++;
-          continue;
-        }
+  if (!job.jobUrl) job.jobUrl = page.url();
+  return checkApplyButton(page);
+}
 
-        // Wait for the Indeed apply form/iframe to load
-        // Indeed sometimes loads the form in an iframe
-        await page.waitForSelector(
-          '.ia-BasePage, [data-testid="ia-page"], .indeed-apply-widget, iframe[id*="indeed-apply"]',
-          { timeout: SELECTOR_TIMEOUT }
-        ).catch(() => null);
-
-        await sleep(1000, 2000);
-
-        if (await isBotDetected(page)) {
-          logger.error({ platform: 'indeed' }, 'Bot detection triggered during apply flow. Stopping.');
-          state.recordApplication({
-            platform: 'indeed', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'Bot/CAPTCHA detection triggered — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
+/**
+ * Job key from a posting URL: /viewjob?jk=<key>, or a search or redirect
+ * link carrying jk= or vjk=.
+ * @returns {string|null}
+ */
+function parseJobUrl(url) {
+  const match = /^https?:\/\/([a-z]+\.)?indeed\.com\/.*[?&]v?jk=([a-z0-9]+)/i.exec(url);
+  return match ? match[2] : null;
+}
 
-        // Check if apply form loaded in an iframe
-        const applyIframe = await page.$('iframe[id*="indeed-apply"], iframe[src*="smartapply"]');
-        let applyPage = page;
-        if (applyIframe) {
-          // Switch to the iframe's content frame
-          const frame = await applyIframe.contentFrame();
-          if (frame) {
-            applyPage = frame;
-            await sleep(1000, 2000);
-          }
-        }
+/**
+ * Open a posting's own page (index.js --urls) and check the apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJobUrl(page, job) {
+  job.jobUrl = `https://www.indeed.com/viewjob?jk=${job.jobId}`;
+  await page.goto(job.jobUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(1500, 2500);
+
+  await page.waitForSelector(
+    '#jobDetailPage, .jobsearch-JobComponent, [data-testid="job-detail"]',
+    { timeout: SELECTOR_TIMEOUT }
+  );
+  job.jobTitle = await readText(page, ['[data-testid="jobsearch-JobInfoHeader-title"]', '.jobsearch-JobInfoHeader-title', 'h1']);
+  job.company = await readText(page, ['[data-testid="inlineHeader-companyName"]', '[data-company-name="true"]']);
+  return checkApplyButton(page);
+}
 
-        // Multi-step form navigation
-        let stepCount = 0;
-        let formComplete = false;
-        const MAX_STEPS = 8;
-
-        while (!formComplete && stepCount < MAX_STEPS) {
-          stepCount++;
-          const result = await handleIndeedStep(applyPage, defaultAnswers, config, logger, jobId, dryRun);
-
-          if (result === 'submitted') {
-            formComplete = true;
-
-            // Wait for confirmation
-            await page.waitForSelector(
-              'text="Your application has been submitted", text="application submitted", [data-testid="postApplyPage"]',
-              { timeout: 10000 }
-            ).catch(() => null);
-
-            logger.info({ jobId, jobTitle, company, steps: stepCount }, 'Indeed application submitted');
-            state.recordApplication({
-              platform: 'indeed', jobId, jobTitle, company, jobUrl,
-              status: dryRun ? 'dry_run' : 'submitted', runId,
-            });
-            applied++;
-
-          } else if (result === 'error') {
-            throw new Error(`Could not navigate Indeed form step ${stepCount}`);
-          }
-        }
+/**
+ * Skip outcome when the open posting has no visible apply button.
+ * @returns {Promise<object|null>}
+ */
+async function checkApplyButton(page) {
+  const applyBtn = await findApplyButton(page);
+  if (!applyBtn || !(await applyBtn.isVisible())) {
+    return { status: 'skipped', skipReason: 'no_apply_button' };
+  }
+  return null;
+}
 
-        if (!formComplete) {
-          throw new Error(`Indeed form exceeded ${MAX_STEPS} steps`);
-        }
+/**
+ * Read the posting from the detail panel.
+ */
+async function readDetails(page) {
+  return {
+    description: await readText(page, ['#jobDescriptionText', '[data-testid="jobsearch-JobComponent-description"]']),
+    location: await readText(page, ['[data-testid="inlineHeader-companyLocation"]', '[data-testid="job-location"]', '[data-testid="jobsearch-JobInfoHeader-companyLocation"]']),
+    salary: await readText(page, ['#salaryInfoAndJobType', '[data-testid="jobsearch-OtherJobDetailsContainer"] [data-testid*="salary"]']),
+    posted: await readText(page, ['[data-testid="myJobsStateDate"]', '.jobsearch-JobMetadataFooter']),
+  };
+}
 
-        await sleep(minDelayBetweenApplications, maxDelayBetweenApplications);
+/**
+ * Click Apply and walk the Indeed apply form until it is submitted.
+ * @returns {Promise<object>} outcome
+ */
+async function applyToJob(page, job, ctx) {
+  const { logger } = ctx;
+  const { jobId, jobTitle, company } = job;
+
+  const applyBtn = await findApplyButton(page);
+  if (!applyBtn) throw new Error('Apply button disappeared');
+
+  logger.info({ jobId, jobTitle, company }, 'Clicking Indeed apply button');
+  await applyBtn.click();
+  await sleep(2000, 3000);
+
+  // Check if we stayed on Indeed's domain
+  const urlAfterClick = page.url();
+  if (!isIndeedDomain(urlAfterClick)) {
+    logger.debug({ jobId, jobTitle, url: urlAfterClick }, 'Redirected to external site');
+    return { status: 'skipped', skipReason: 'external_redirect' };
+  }
 
-        // Navigate back to search results page
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-        await sleep(2000, 3000);
+  // Check for "already applied" interstitial
+  const alreadyApplied = await page.$('text="We noticed you already applied"');
+  if (alreadyApplied) {
+    const closeBtn = await page.$('button:has-text("Close"), button:has-text("OK"), [data-testid="modal-close"]');
+    if (closeBtn) await closeBtn.click();
+    return { status: 'already_applied', skipReason: 'already_applied_indeed' };
+  }
 
-      } catch (err) {
-        // Return to search results
-        try {
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
-        } catch (_) {}
+  // Wait for the Indeed apply form/iframe to load
+  // Indeed sometimes loads the form in an iframe
+  await page.waitForSelector(
+    '.ia-BasePage, [data-testid="ia-page"], .indeed-apply-widget, iframe[id*="indeed-apply"]',
+    { timeout: SELECTOR_TIMEOUT }
+  ).catch(() => null);
 
-        await sleep(2000, 4000);
+  await sleep(1000, 2000);
 
-        // Check for bot detection before deciding whether to retry (PRD §8.2)
-        if (await isBotDetected(page)) {
-          logger.error({ platform: 'indeed' }, 'Bot detection after error — stopping Indeed');
-          state.recordApplication({
-            platform: 'indeed', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'Bot/CAPTCHA detection triggered — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
+  if (await isBotDetected(page)) {
+    return { status: 'blocked' };
+  }
 
-        // Retry transient errors up to maxRetries times
-        const attemptsMade = (retryAttempts.get(jobId ?? '') || 0) + 1;
-        if (jobId && attemptsMade <= maxRetries) {
-          retryAttempts.set(jobId, attemptsMade);
-          logger.warn({ platform: 'indeed', jobId, attempt: attemptsMade, error: err.message }, 'Transient error — queuing retry');
-          cardsToProcess.push(card);
-        } else {
-          logger.error({ platform: 'indeed', jobId, jobTitle, error: err.message }, 'Application error');
-          errors++;
-          await screenshotError(page, 'indeed', jobId, config);
-          state.recordApplication({
-            platform: 'indeed', jobId, jobTitle, company, jobUrl,
-            status: 'error', errorMessage: err.message, runId,
-          });
-        }
-      }
+  // Check if apply form loaded in an iframe
+  const applyIframe = await page.$('iframe[id*="indeed-apply"], iframe[src*="smartapply"]');
+  let applyPage = page;
+  if (applyIframe) {
+    // Switch to the iframe's content frame
+    const frame = await applyIframe.contentFrame();
+    if (frame) {
+      applyPage = frame;
+      await sleep(1000, 2000);
     }
+  }
 
-    // Pagination: Indeed uses page links at the bottom
-    if (applied < maxApplications) {
-      try {
-        const nextPageLink = await page.$(
-          `a[aria-label="Page ${currentPage + 1}"], a[data-testid="pagination-page-next"]`
-        );
-        if (nextPageLink && await nextPageLink.isVisible()) {
-          currentPage++;
-          await nextPageLink.click();
-          await sleep(2000, 4000);
-        } else {
-          pageHasMoreJobs = false;
-        }
-      } catch (_) {
-        pageHasMoreJobs = false;
-      }
+  // Multi-step form navigation
+  const MAX_STEPS = 8;
+
+  for (let stepCount = 1; stepCount <= MAX_STEPS; stepCount++) {
+    const result = await handleIndeedStep(applyPage, job, ctx, stepCount);
+
+    if (result === 'submitted') {
+      // Wait for confirmation
+      await page.waitForSelector(
+        'text="Your application has been submitted", text="application submitted", [data-testid="postApplyPage"]',
+        { timeout: 10000 }
+      ).catch(() => null);
+      return { status: 'submitted', steps: stepCount };
+    } else if (result === 'validation_error') {
+      throw new Error(`Validation errors on Indeed form step ${stepCount} — ${job.blockingFields.join('; ')}`);
+    } else if (result === 'error') {
+      throw new Error(`Could not navigate Indeed form step ${stepCount}`);
     }
   }
 
-  return { applied, skipped, errors };
+  throw new Error(`Indeed form exceeded ${MAX_STEPS} steps`);
+}
+
+/**
+ * Pagination: Indeed uses page links at the bottom.
+ * @returns {Promise<boolean>} false on the last page
+ */
+async function nextPage(page, ctx) {
+  const nextPageLink = await page.$(
+    `a[aria-label="Page ${ctx.pageNumber + 1}"], a[data-testid="pagination-page-next"]`
+  );
+  if (!nextPageLink || !(await nextPageLink.isVisible())) return false;
+  await nextPageLink.click();
+  await sleep(2000, 4000);
+  return true;
+}
+
+/**
+ * Main Indeed Apply function.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} config
+ * @param {object} defaultAnswers
+ * @param {object} state
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ */
+function applyIndeed(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  return runApplyLoop(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
 }
 
-module.exports = { applyIndeed };
+const adapter = {
+  name: 'indeed',
+  displayName: 'Indeed',
+  setup: {
+    url: 'https://secure.indeed.com/auth?hl=en_US&co=US',
+    instructions: [
+      '1. Log in with your Indeed credentials.',
+      '2. Complete any verification steps.',
+      '3. Navigate to your profile and verify contact info + resume are uploaded.',
+      '4. Test an "Easily apply" job to verify pre-fill works.',
+      '5. When done, CLOSE this browser window.',
+    ],
+  },
+  login: {
+    url: 'https://www.indeed.com/account/view',
+    isExpired: async (page) => {
+      const url = page.url();
+      return url.includes('/account/login') || url.includes('/auth');
+    },
+  },
+  tracker: {
+    url: 'https://myjobs.indeed.com/applied',
+    cards: '[data-testid="myJobsStateItem"], div:has(> a[href*="jk="])',
+    // "Applied", "Application viewed", "Not selected by employer"
+    status: '[data-testid="jobStatus"], [class*="StatusTag"]',
+  },
+  buildSearchUrl,
+  translateSearch,
+  parseJobUrl,
+  openJobUrl,
+  listCards,
+  extractJobId: extractIndeedJobId,
+  isBlocked: isBotDetected,
+  blockedMessage: 'Bot/CAPTCHA detection triggered — platform stopped',
+  waitForResults,
+  readCard,
+  filterCard,
+  openJob,
+  readDetails,
+  applyToJob,
+  nextPage,
+  apply: applyIndeed,
+};
+
+module.exports = { applyIndeed, adapter };
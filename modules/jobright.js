@@ -18,24 +18,14 @@
  * 4. Record result
  */
 
-const path = require('path');
-const fs = require('fs');
-const { sleep, scrollLikeHuman } = require('../lib/humanize');
-const { fillForm } = require('../lib/form-filler');
-const { recordUnfilledField } = require('../lib/state');
+const { sleep } = require('../lib/humanize');
+const { runApplyLoop, fillStep, screenshotError } = require('../lib/apply-engine');
+const { readText } = require('../lib/job-details');
+const { FIELDS, searchCriteria, buildUrl } = require('../lib/search-criteria');
 
 const SELECTOR_TIMEOUT = 10000;
 
-async function screenshotError(page, platform, jobId, config) {
-  if (!config.behavior?.screenshotOnError) return;
-  try {
-    const dir = path.join(process.cwd(), 'logs', 'screenshots');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    const today = new Date().toISOString().slice(0, 10);
-    const fname = `${today}-${platform}-${(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}.png`;
-    await page.screenshot({ path: path.join(dir, fname), fullPage: false });
-  } catch (_) {}
-}
+const CARD_SELECTOR = '[data-testid="job-card"], .job-card, [class*="JobCard"], .job-list-item';
 
 /**
  * Check if we're still on the jobright.ai domain.
@@ -65,6 +55,14 @@ async function isChallengedPage(page) {
   }
 }
 
+/**
+ * Query the job cards currently loaded in the feed.
+ * @returns {Promise<import('playwright').ElementHandle[]>}
+ */
+async function listCards(page) {
+  return page.$$(CARD_SELECTOR);
+}
+
 /**
  * Extract job ID from a Jobright listing.
  * Jobright uses data attributes or URL slugs.
@@ -88,337 +86,305 @@ async function extractJobrightJobId(card) {
 }
 
 /**
- * Scroll the job feed to load more jobs via infinite scroll.
- * Jobright uses virtualized infinite scroll — we need to scroll past
- * loaded content to trigger new job loads.
- *
- * @returns {Promise<number>} - number of job cards after scrolling
+ * Translate search criteria (lib/search-criteria.js) into a Jobright search URL.
+ * Jobright's URL only takes keywords, joined with spaces; its other filters
+ * live in the account's job preferences, so every other criterion is
+ * returned as unsupported and applied to the cards instead.
  */
-async function scrollToLoadMoreJobs(page, currentCount) {
-  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-  await sleep(2000, 3500);
+function translateSearch(criteria) {
+  return {
+    url: buildUrl('https://jobright.ai/jobs', { q: criteria.keywords.join(' ') }),
+    unsupported: FIELDS.slice(),
+  };
+}
 
-  const newCards = await page.$$('[data-testid="job-card"], .job-card, [class*="JobCard"]');
-  return newCards.length;
+function buildSearchUrl(config) {
+  return translateSearch(searchCriteria(config)).url;
 }
 
 /**
- * Main Jobright Quick Apply function.
- *
- * @param {import('playwright').Page} page
- * @param {object} config
- * @param {object} defaultAnswers
- * @param {object} state
- * @param {string} runId
- * @param {object} logger
- * @param {boolean} [dryRun=false]
- * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ * Check for a login wall (Jobright sessions expire quickly).
+ * @returns {Promise<string|null>} reason the session cannot be used
  */
+async function checkSession(page) {
+  const loginModal = await page.$('.login-modal, [data-testid="login-modal"], [class*="loginModal"]');
+  const currentUrl = page.url();
+  if (loginModal || !isJobrightDomain(currentUrl) || currentUrl.includes('/login')) {
+    return 'Jobright session expired or login required';
+  }
+  return null;
+}
+
 /**
- * Build a Jobright search URL dynamically from config.search.keywords.
- * Jobright uses a simpler URL format — keywords are passed as query params.
+ * Wait for the job feed to load.
+ * @returns {Promise<boolean>}
  */
-function buildSearchUrl(config) {
-  const keywords = (config.search?.keywords || ['data scientist']).join(' ');
-  const encoded = encodeURIComponent(keywords);
-  return `https://jobright.ai/jobs?q=${encoded}`;
+async function waitForResults(page) {
+  try {
+    await page.waitForSelector(CARD_SELECTOR, { timeout: SELECTOR_TIMEOUT });
+  } catch (_) {
+    return false;
+  }
+  await sleep(1000, 2000);
+  return true;
 }
 
-async function applyJobright(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
-  const platformConfig = config.platforms.jobright;
-  const maxApplications = platformConfig.maxApplicationsPerRun;
-  const { minDelayBetweenApplications, maxDelayBetweenApplications } = config.behavior;
+/**
+ * Extract job info from the card.
+ */
+async function readCard(card) {
+  const info = {};
+  const titleEl = await card.$('[class*="jobTitle"], [data-testid="job-title"], h3, h2');
+  if (titleEl) info.jobTitle = (await titleEl.innerText()).trim();
+  const companyEl = await card.$('[class*="companyName"], [data-testid="company-name"]');
+  if (companyEl) info.company = (await companyEl.innerText()).trim();
+  return info;
+}
 
-  let applied = 0;
-  let skipped = 0;
-  let errors = 0;
-  let processedJobIds = new Set(); // Track processed jobs in this run to avoid re-processing
+/**
+ * Find the Apply button on the job detail view.
+ */
+async function findApplyButton(page) {
+  return page.$(
+    'button:has-text("Apply"), button:has-text("Quick Apply"), [data-testid="apply-button"], [class*="applyButton"]'
+  );
+}
 
-  const searchUrl = buildSearchUrl(config);
-  logger.info({ platform: 'jobright', searchUrl }, 'Navigating to Jobright jobs');
+/**
+ * Click the job card to open the detail view and check the Apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJob(page, card, job) {
+  await card.click();
+  await sleep(1500, 2500);
 
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  await sleep(2000, 4000);
+  job.jobUrl = page.url();
 
-  // Check for login wall (Jobright sessions expire quickly)
-  const loginModal = await page.$('.login-modal, [data-testid="login-modal"], [class*="loginModal"]');
-  const currentUrl = page.url();
-  if (loginModal || !isJobrightDomain(currentUrl) || currentUrl.includes('/login')) {
-    logger.error({ platform: 'jobright' }, 'Jobright session expired or login required. Stopping.');
-    return { applied, skipped, errors };
+  // Check if we're still on Jobright (some cards link to external sites)
+  if (!isJobrightDomain(page.url())) {
+    return { status: 'skipped', skipReason: 'external_redirect' };
   }
+  return checkApplyButton(page);
+}
 
-  // Check for Cloudflare/security challenge page (PRD §8.2)
-  if (await isChallengedPage(page)) {
-    logger.error({ platform: 'jobright' }, 'Challenge/security check detected. Stopping Jobright.');
-    state.recordApplication({
-      platform: 'jobright', jobId: 'captcha_detected',
-      status: 'captcha_blocked', errorMessage: 'Challenge page detected — platform stopped', runId,
-    });
-    return { applied, skipped, errors };
+/**
+ * Job id from a posting URL: /jobs/info/<id> (or the older /job/<id>).
+ * @returns {string|null}
+ */
+function parseJobUrl(url) {
+  const match = /^https?:\/\/([a-z]+\.)?jobright\.ai\/(?:jobs\/info|job)\/([^?#/]+)/i.exec(url);
+  return match ? match[2] : null;
+}
+
+/**
+ * Open a posting's own page (index.js --urls) and check the Apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJobUrl(page, job) {
+  job.jobUrl = `https://jobright.ai/jobs/info/${job.jobId}`;
+  await page.goto(job.jobUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(1500, 2500);
+
+  const skip = await checkApplyButton(page);
+  job.jobTitle = await readText(page, ['[class*="jobTitle"]', '[data-testid="job-title"]', 'h1']);
+  job.company = await readText(page, ['[class*="companyName"]', '[data-testid="company-name"]']);
+  return skip;
+}
+
+/**
+ * Wait for the detail view and return a skip outcome when it has no usable
+ * Apply button.
+ * @returns {Promise<object|null>}
+ */
+async function checkApplyButton(page) {
+  // Wait for job detail to load
+  await page.waitForSelector(
+    '[class*="jobDetail"], [data-testid="job-detail"], .job-description',
+    { timeout: SELECTOR_TIMEOUT }
+  ).catch(() => null);
+
+  const applyBtn = await findApplyButton(page);
+  if (!applyBtn || !(await applyBtn.isVisible())) {
+    return { status: 'skipped', skipReason: 'no_apply_button' };
   }
 
-  // Wait for the job feed to load
-  try {
-    await page.waitForSelector(
-      '[data-testid="job-card"], .job-card, [class*="JobCard"], .job-list-item',
-      { timeout: SELECTOR_TIMEOUT }
-    );
-  } catch (_) {
-    logger.warn({ platform: 'jobright' }, 'Job feed not found — possible page structure change');
-    return { applied, skipped, errors };
+  // Check button text — skip if it says "Applied" or "Already Applied"
+  const btnText = (await applyBtn.innerText()).toLowerCase();
+  if (btnText.includes('applied') && !btnText.includes('quick')) {
+    return { status: 'already_applied', skipReason: 'already_applied_jobright' };
   }
+  return null;
+}
 
-  await sleep(1000, 2000);
+/**
+ * Read the posting from the detail view. Company, location and salary share
+ * one "·"-separated line under the title when there are no dedicated nodes.
+ */
+async function readDetails(page) {
+  const meta = (await readText(page, ['[class*="companyInfo"]', '[data-testid="job-detail"] h1 + div']) || '')
+    .split('·').map((part) => part.trim());
+
+  return {
+    description: await readText(page, ['.job-description', '[class*="jobDescription"]']),
+    location: await readText(page, ['[class*="jobLocation"]', '[data-testid="job-location"]'])
+      || meta.find((part) => /,\s*[A-Z]{2}\b|remote/i.test(part)) || null,
+    salary: await readText(page, ['[class*="salary"]', '[data-testid="job-salary"]'])
+      || meta.find((part) => part.includes('$')) || null,
+    seniority: await readText(page, ['[class*="seniority"]', '[class*="experienceLevel"]']),
+    posted: await readText(page, ['[class*="publishTime"]', '[class*="postedTime"]']),
+  };
+}
 
-  let noNewJobsCount = 0;
-  const MAX_NO_NEW_JOBS = 3; // Stop if we can't load new jobs after 3 tries
+/**
+ * Click Apply, fill the internal apply form and submit it.
+ * @returns {Promise<object>} outcome
+ */
+async function applyToJob(page, job, ctx) {
+  const { config, logger, dryRun } = ctx;
+  const { jobId, jobTitle, company } = job;
+
+  logger.info({ jobId, jobTitle, company }, 'Clicking Jobright apply button');
+  const applyBtn = await findApplyButton(page);
+  if (!applyBtn) throw new Error('Apply button disappeared');
+  await applyBtn.click();
+  await sleep(1500, 2500);
+
+  // Check if we got redirected to an external site after clicking
+  const urlAfterClick = page.url();
+  if (!isJobrightDomain(urlAfterClick)) {
+    logger.debug({ jobId, jobTitle, url: urlAfterClick }, 'Apply redirected to external site');
+    return { status: 'skipped', skipReason: 'external_redirect' };
+  }
 
-  while (applied < maxApplications) {
-    // Get all currently loaded job cards
-    const allCards = await page.$$(
-      '[data-testid="job-card"], .job-card, [class*="JobCard"], .job-list-item'
-    );
+  // Jobright internal apply — wait for the apply form/modal
+  await page.waitForSelector(
+    '[data-testid="apply-form"], .apply-form, [class*="applyForm"], [role="dialog"]',
+    { timeout: SELECTOR_TIMEOUT }
+  ).catch(() => null);
 
-    // Find unprocessed cards
-    const unprocessedCards = [];
-    for (const card of allCards) {
-      const jobId = await extractJobrightJobId(card);
-      if (jobId && !processedJobIds.has(jobId)) {
-        unprocessedCards.push({ card, jobId });
-      }
-    }
+  // Fill any fields in the apply form
+  await fillStep(page, job, ctx);
 
-    if (unprocessedCards.length === 0) {
-      // No unprocessed cards — try to load more via infinite scroll
-      const prevCount = allCards.length;
-      const newCount = await scrollToLoadMoreJobs(page, prevCount);
-
-      if (newCount <= prevCount) {
-        noNewJobsCount++;
-        if (noNewJobsCount >= MAX_NO_NEW_JOBS) {
-          logger.info({ platform: 'jobright' }, 'No more jobs to load — reached end of feed');
-          break;
-        }
-      } else {
-        noNewJobsCount = 0;
-      }
-      continue;
-    }
+  await sleep(500, 1000);
 
-    noNewJobsCount = 0;
-
-    for (const { card, jobId } of unprocessedCards) {
-      if (applied >= maxApplications) break;
-
-      processedJobIds.add(jobId);
-
-      let jobTitle = null;
-      let company = null;
-      let jobUrl = null;
-
-      try {
-        // Mark as processed first to avoid re-processing on errors
-        if (state.hasApplied('jobright', jobId)) {
-          logger.debug({ jobId }, 'Already applied — skipping');
-          state.recordApplication({ platform: 'jobright', jobId, status: 'already_applied', runId });
-          skipped++;
-          continue;
-        }
-
-        // Extract job info from the card
-        const titleEl = await card.$('[class*="jobTitle"], [data-testid="job-title"], h3, h2');
-        if (titleEl) jobTitle = (await titleEl.innerText()).trim();
-        const companyEl = await card.$('[class*="companyName"], [data-testid="company-name"]');
-        if (companyEl) company = (await companyEl.innerText()).trim();
-
-        // Click the job card to open the detail view
-        await card.click();
-        await sleep(1500, 2500);
-
-        jobUrl = page.url();
-
-        // Check if we're still on Jobright (some cards link to external sites)
-        if (!isJobrightDomain(page.url())) {
-          logger.debug({ jobId, jobTitle, url: page.url() }, 'Card opened external site — skipping');
-          state.recordApplication({
-            platform: 'jobright', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'external_redirect', runId,
-          });
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        // Wait for job detail to load
-        await page.waitForSelector(
-          '[class*="jobDetail"], [data-testid="job-detail"], .job-description',
-          { timeout: SELECTOR_TIMEOUT }
-        ).catch(() => null);
-
-        // Find the Apply button
-        const applyBtn = await page.$(
-          'button:has-text("Apply"), button:has-text("Quick Apply"), [data-testid="apply-button"], [class*="applyButton"]'
-        );
-
-        if (!applyBtn || !(await applyBtn.isVisible())) {
-          logger.debug({ jobId, jobTitle }, 'No Apply button visible — skipping');
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        // Check button text — skip if it says "Applied" or "Already Applied"
-        const btnText = (await applyBtn.innerText()).toLowerCase();
-        if (btnText.includes('applied') && !btnText.includes('quick')) {
-          state.recordApplication({
-            platform: 'jobright', jobId, jobTitle, company, jobUrl,
-            status: 'already_applied', runId,
-          });
-          skipped++;
-          await page.goBack({ waitUntil: 'domcontentloaded' });
-          await sleep(1000, 2000);
-          continue;
-        }
-
-        logger.info({ jobId, jobTitle, company }, 'Clicking Jobright apply button');
-        await applyBtn.click();
-        await sleep(1500, 2500);
-
-        // Check if we got redirected to an external site after clicking
-        const urlAfterClick = page.url();
-        if (!isJobrightDomain(urlAfterClick)) {
-          logger.debug({ jobId, jobTitle, url: urlAfterClick }, 'Apply redirected to external — skipping');
-          state.recordApplication({
-            platform: 'jobright', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', errorMessage: 'external_redirect', runId,
-          });
-          skipped++;
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
-          await sleep(2000, 3000);
-          continue;
-        }
-
-        // Jobright internal apply — wait for the apply form/modal
-        const applyForm = await page.waitForSelector(
-          '[data-testid="apply-form"], .apply-form, [class*="applyForm"], [role="dialog"]',
-          { timeout: SELECTOR_TIMEOUT }
-        ).catch(() => null);
-
-        // Fill any fields in the apply form
-        const { filledCount, unfilledFields } = await fillForm(
-          page,
-          defaultAnswers,
-          config,
-          logger,
-          'jobright',
-          jobId
-        );
-
-        for (const field of unfilledFields) {
-          recordUnfilledField({
-            platform: 'jobright', jobId,
-            fieldLabel: field.fieldLabel, fieldType: field.fieldType,
-          });
-        }
-
-        logger.debug({ jobId, filledCount, unmatched: unfilledFields.length }, 'Filled Jobright form');
-
-        await sleep(500, 1000);
-
-        // Find and click submit
-        const submitBtn = await page.$(
-          'button:has-text("Submit"), button:has-text("Submit Application"), button:has-text("Apply Now"), [data-testid="submit-button"]'
-        );
-
-        if (!submitBtn || !(await submitBtn.isVisible())) {
-          // Jobright Quick Apply might auto-submit with just the Apply button click
-          // Check if confirmation is already showing
-          const confirmed = await page.$(
-            'text="Application submitted", text="Successfully applied", [class*="success"], [data-testid="success"]'
-          );
-          if (confirmed) {
-            logger.info({ jobId, jobTitle, company }, 'Jobright application auto-submitted');
-            state.recordApplication({
-              platform: 'jobright', jobId, jobTitle, company, jobUrl,
-              status: dryRun ? 'dry_run' : 'submitted', runId,
-            });
-            applied++;
-          } else {
-            throw new Error('Submit button not found and no auto-submission detected');
-          }
-        } else {
-          if (dryRun) {
-            await screenshotError(page, 'jobright', `dryrun-${jobId}`, config);
-            logger.info({ jobId }, '[DRY RUN] Would submit Jobright application');
-            const closeBtn = await page.$('button[aria-label="Close"], button:has-text("Cancel")');
-            if (closeBtn) await closeBtn.click();
-            state.recordApplication({
-              platform: 'jobright', jobId, jobTitle, company, jobUrl,
-              status: 'dry_run', runId,
-            });
-          } else {
-            await submitBtn.click();
-            await sleep(1500, 2500);
-
-            // Wait for success indicator
-            await page.waitForSelector(
-              'text="Application submitted", text="Successfully applied", [class*="success"]',
-              { timeout: 10000 }
-            ).catch(() => null);
-
-            logger.info({ jobId, jobTitle, company }, 'Jobright application submitted');
-            state.recordApplication({
-              platform: 'jobright', jobId, jobTitle, company, jobUrl,
-              status: 'submitted', runId,
-            });
-          }
-          applied++;
-        }
-
-        await sleep(minDelayBetweenApplications, maxDelayBetweenApplications);
-
-        // Navigate back to the job feed
-        await page.goBack({ waitUntil: 'domcontentloaded' }).catch(async () => {
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
-        });
-        await sleep(1500, 2500);
-
-      } catch (err) {
-        logger.error({ platform: 'jobright', jobId, jobTitle, error: err.message }, 'Application error');
-        errors++;
-        await screenshotError(page, 'jobright', jobId, config);
-
-        state.recordApplication({
-          platform: 'jobright', jobId, jobTitle, company, jobUrl,
-          status: 'error', errorMessage: err.message, runId,
-        });
-
-        // Return to job feed
-        try {
-          if (!isJobrightDomain(page.url())) {
-            await page.goto(searchUrl, { waitUntil: 'domcontentloaded' });
-          }
-        } catch (_) {}
-
-        await sleep(2000, 4000);
-
-        // Check for challenge page after error (PRD §8.2)
-        if (await isChallengedPage(page)) {
-          logger.error({ platform: 'jobright' }, 'Challenge detected — stopping Jobright');
-          state.recordApplication({
-            platform: 'jobright', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'Challenge page detected — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
-      }
+  // Find and click submit
+  const submitBtn = await page.$(
+    'button:has-text("Submit"), button:has-text("Submit Application"), button:has-text("Apply Now"), [data-testid="submit-button"]'
+  );
+
+  if (!submitBtn || !(await submitBtn.isVisible())) {
+    // Jobright Quick Apply might auto-submit with just the Apply button click
+    // Check if confirmation is already showing
+    const confirmed = await page.$(
+      'text="Application submitted", text="Successfully applied", [class*="success"], [data-testid="success"]'
+    );
+    if (!confirmed) {
+      throw new Error('Submit button not found and no auto-submission detected');
     }
+    logger.debug({ jobId }, 'Jobright application auto-submitted');
+    return { status: 'submitted', steps: 1 };
+  }
+
+  if (dryRun) {
+    await screenshotError(page, 'jobright', `dryrun-${jobId}`, config);
+    logger.info({ jobId }, '[DRY RUN] Would submit Jobright application');
+    const closeBtn = await page.$('button[aria-label="Close"], button:has-text("Cancel")');
+    if (closeBtn) await closeBtn.click();
+  } else {
+    await submitBtn.click();
+    await sleep(1500, 2500);
+
+    // Wait for success indicator
+    await page.waitForSelector(
+      'text="Application submitted", text="Successfully applied", [class*="success"]',
+      { timeout: 10000 }
+    ).catch(() => null);
   }
 
-  return { applied, skipped, errors };
+  return { status: 'submitted', steps: 1 };
+}
+
+/**
+ * Scroll the job feed to load more jobs via infinite scroll.
+ * Jobright uses virtualized infinite scroll — we need to scroll past
+ * loaded content to trigger new job loads.
+ *
+ * @returns {Promise<boolean>} false once the feed stops growing
+ */
+async function nextPage(page, ctx) {
+  const MAX_NO_NEW_JOBS = 3; // Stop if we can't load new jobs after 3 tries
+  const prevCount = (await listCards(page)).length;
+
+  for (let attempt = 0; attempt < MAX_NO_NEW_JOBS; attempt++) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await sleep(2000, 3500);
+    if ((await listCards(page)).length > prevCount) return true;
+  }
+
+  ctx.logger.info({ platform: 'jobright' }, 'No more jobs to load — reached end of feed');
+  return false;
+}
+
+/**
+ * Main Jobright Quick Apply function.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} config
+ * @param {object} defaultAnswers
+ * @param {object} state
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ */
+function applyJobright(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  return runApplyLoop(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
 }
 
-module.exports = { applyJobright };
+const adapter = {
+  name: 'jobright',
+  displayName: 'Jobright',
+  setup: {
+    url: 'https://jobright.ai/login',
+    instructions: [
+      '1. Log in with your Jobright credentials.',
+      '2. Upload your resume if not already uploaded.',
+      '3. Complete your profile preferences.',
+      '4. Test a "Quick Apply" job to verify the flow.',
+      '5. When done, CLOSE this browser window.',
+    ],
+  },
+  login: {
+    url: 'https://jobright.ai/jobs',
+    isExpired: async (page) => {
+      // Jobright redirects to login or shows a login modal
+      const url = page.url();
+      if (url.includes('/login') || url.includes('/signin')) return true;
+      const loginModal = await page.$('[data-testid="login-modal"], .login-modal, [class*="loginModal"]');
+      return !!loginModal;
+    },
+  },
+  tracker: {
+    url: 'https://jobright.ai/jobs/applied',
+    cards: '[data-job-id], [class*="job-card"]',
+    status: '[class*="status"], [class*="stage"]',
+  },
+  buildSearchUrl,
+  translateSearch,
+  parseJobUrl,
+  openJobUrl,
+  listCards,
+  extractJobId: extractJobrightJobId,
+  isBlocked: isChallengedPage,
+  blockedMessage: 'Challenge page detected — platform stopped',
+  checkSession,
+  waitForResults,
+  readCard,
+  openJob,
+  readDetails,
+  applyToJob,
+  nextPage,
+  apply: applyJobright,
+};
+
+module.exports = { applyJobright, adapter };
@@ -15,30 +15,23 @@
  * - We loop through steps until we see "Submit application"
  */
 
-const path = require('path');
-const fs = require('fs');
-const { sleep, scrollLikeHuman } = require('../lib/humanize');
-const { fillForm } = require('../lib/form-filler');
-const { recordUnfilledField } = require('../lib/state');
+const { sleep } = require('../lib/humanize');
+const { runApplyLoop, fillStep, recoverStep, screenshotError } = require('../lib/apply-engine');
+const { readText } = require('../lib/job-details');
+const { searchCriteria, nearestAtLeast, buildUrl } = require('../lib/search-criteria');
+const { pickResumeOption } = require('../lib/resumes');
 
 // Maximum time to wait for selectors (ms)
 const SELECTOR_TIMEOUT = 10000;
 
-/**
- * Take an error screenshot and save it to logs/screenshots/
- */
-async function screenshotError(page, platform, jobId, config) {
-  if (!config.behavior?.screenshotOnError) return;
-  try {
-    const dir = path.join(process.cwd(), 'logs', 'screenshots');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    const today = new Date().toISOString().slice(0, 10);
-    const fname = `${today}-${platform}-${(jobId || 'unknown').replace(/[^a-z0-9]/gi, '_')}.png`;
-    await page.screenshot({ path: path.join(dir, fname), fullPage: false });
-  } catch (_) {
-    // Screenshot failures should never crash the run
-  }
-}
+// Job cards live inside the scrollable left-hand list. We scope all card
+// queries to this container so we never accidentally match filter chips,
+// nav elements, or other page-level nodes.
+const LIST_SELECTOR = '.jobs-search-results-list, [class*="jobs-search-results"], .scaffold-layout__list';
+
+// Only real job cards: data-occludable-job-id is the most reliable marker,
+// with a /jobs/view/ link as the fallback.
+const CARD_SELECTOR = `${LIST_SELECTOR} li[data-occludable-job-id], ${LIST_SELECTOR} li:has(a[href*="/jobs/view/"])`;
 
 /**
  * Detect if LinkedIn is showing a CAPTCHA / security check page.
@@ -91,6 +84,14 @@ async function isCaptchaPage(page) {
   }
 }
 
+/**
+ * Query the live job cards in the results list.
+ * @returns {Promise<import('playwright').ElementHandle[]>}
+ */
+async function listCards(page) {
+  return page.$$(CARD_SELECTOR);
+}
+
 /**
  * Extract the LinkedIn job ID from a job card element.
  * LinkedIn encodes the job ID in data attributes or the href.
@@ -113,20 +114,37 @@ async function extractJobId(card) {
   return urn || null;
 }
 
+/**
+ * Error texts currently shown in the Easy Apply modal.
+ * @returns {Promise<string[]>}
+ */
+async function readModalErrors(page) {
+  return page.evaluate(() => {
+    const modal = document.querySelector('.jobs-easy-apply-modal, .artdeco-modal');
+    if (!modal) return [];
+    const errs = [];
+    for (const el of modal.querySelectorAll('[class*="error"], [role="alert"], [class*="invalid"]')) {
+      const t = (el.textContent || '').trim();
+      if (t) errs.push(t.substring(0, 100));
+    }
+    return errs;
+  }).catch(() => []);
+}
+
 /**
  * Handle a single step of the LinkedIn Easy Apply modal.
  * Fills visible fields, then clicks Next/Review/Submit.
  *
  * @param {import('playwright').Page} page
- * @param {object} defaultAnswers
- * @param {object} config
- * @param {object} logger
- * @param {string} jobId
- * @param {boolean} dryRun
+ * @param {object} job - job being applied to (jobId, jobTitle, company, ...)
+ * @param {object} ctx - apply-engine context
  * @param {number} stepNum - 1-based modal step index for logging/diagnostics
  * @returns {Promise<'next'|'submitted'|'error'|'validation_error'>}
  */
-async function handleModalStep(page, defaultAnswers, config, logger, jobId, dryRun, stepNum) {
+async function handleModalStep(page, job, ctx, stepNum) {
+  const { config, logger, dryRun } = ctx;
+  const { jobId } = job;
+
   // Give the step content time to render
   await sleep(800, 1500);
 
@@ -179,8 +197,17 @@ async function handleModalStep(page, defaultAnswers, config, logger, jobId, dryR
   // ── Resume step: select existing resume if present ──
   // LinkedIn shows uploaded resumes as selectable cards with radio buttons.
   // If none is selected, the "Next" button silently refuses to advance.
+  // The card named after the job's resume variant wins over the current pick.
   const resumeRadios = await page.$$('input[type="radio"][id*="jobsDocumentCardToggle"]');
-  if (resumeRadios.length > 0) {
+  const variantOption = job.resume && resumeRadios.length > 0
+    ? await pickResumeOption(page, resumeRadios, job.resume)
+    : null;
+  if (variantOption) {
+    await variantOption.click({ force: true });
+    await sleep(300, 600);
+    job.resumeUsed = job.resume.name;
+    logger.debug({ platform: 'linkedin', jobId, resume: job.resume.name }, 'Selected resume variant');
+  } else if (resumeRadios.length > 0) {
     let anyChecked = false;
     for (const r of resumeRadios) {
       if (await r.isChecked()) { anyChecked = true; break; }
@@ -204,23 +231,7 @@ async function handleModalStep(page, defaultAnswers, config, logger, jobId, dryR
   }
 
   // Fill any visible form fields on this step
-  const { filledCount, unfilledFields } = await fillForm(
-    page,
-    defaultAnswers,
-    config,
-    logger,
-    'linkedin',
-    jobId
-  );
-
-  // Record unmatched fields for future improvement
-  for (const field of unfilledFields) {
-    recordUnfilledField({ platform: 'linkedin', jobId, fieldLabel: field.fieldLabel, fieldType: field.fieldType });
-  }
-
-  logger.debug({ platform: 'linkedin', jobId, filledCount, unfilledCount: unfilledFields.length,
-    unfilledFields: unfilledFields.map(f => `${f.fieldLabel} (${f.fieldType})`),
-  }, 'Step form fill summary');
+  await fillStep(page, job, ctx, stepNum);
 
   // Uncheck "Follow company" if present on review step.
   // The checkbox input is hidden behind a <label> on LinkedIn, so click
@@ -292,21 +303,13 @@ async function handleModalStep(page, defaultAnswers, config, logger, jobId, dryR
         await btn.click();
         await sleep(500, 800);
 
-        // Check for validation errors that appeared after clicking
-        const postClickErrors = await page.evaluate(() => {
-          const modal = document.querySelector('.jobs-easy-apply-modal, .artdeco-modal');
-          if (!modal) return [];
-          const errs = [];
-          for (const el of modal.querySelectorAll('[class*="error"], [role="alert"], [class*="invalid"]')) {
-            const t = (el.textContent || '').trim();
-            if (t) errs.push(t.substring(0, 100));
-          }
-          return errs;
-        }).catch(() => []);
-
+        // Check for validation errors that appeared after clicking, and try
+        // other values for the rejected fields before giving up on the job
+        const postClickErrors = await readModalErrors(page);
         if (postClickErrors.length > 0) {
           logger.debug({ platform: 'linkedin', jobId, errors: postClickErrors }, 'Post-click validation errors');
-          return 'validation_error';
+          await recoverStep(page, job, ctx, stepNum, () => btn.click());
+          if ((await readModalErrors(page)).length > 0) return 'validation_error';
         }
 
         return 'next';
@@ -319,495 +322,468 @@ async function handleModalStep(page, defaultAnswers, config, logger, jobId, dryR
   return 'error';
 }
 
+const EXPERIENCE_CODES = { internship: 1, entry: 2, associate: 3, mid_senior: 4, director: 5, executive: 6 };
+const JOB_TYPE_CODES = { full_time: 'F', part_time: 'P', contract: 'C', temporary: 'T', internship: 'I', volunteer: 'V' };
+const DISTANCES = [0, 5, 10, 25, 50, 100];
+
 /**
- * Main LinkedIn Easy Apply function.
- *
- * @param {import('playwright').Page} page
- * @param {object} config - full config.json
- * @param {object} defaultAnswers - defaultAnswers.json
- * @param {object} state - state manager module
- * @param {string} runId
- * @param {object} logger
- * @param {boolean} [dryRun=false]
- * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
- */
-/**
- * Build a LinkedIn search URL dynamically from config.search.keywords.
- * - Keywords are joined with " OR " and URL-encoded
- * - geoId=103644278 = "United States"
+ * Translate search criteria (lib/search-criteria.js) into a LinkedIn search URL.
+ * - Keywords are joined with " OR "
+ * - location is searched by name; geoId=103644278 ("United States") when
+ *   there is none or the search is remote only
+ * - distance = miles from the location (LinkedIn's 5/10/25/50/100 choices)
  * - f_AL=true = Easy Apply filter
- * - f_TPR=r86400 = Past 24 hours
+ * - f_TPR=r<seconds> = posted within, e.g. r86400 = past 24 hours
+ * - f_E = experience levels 1-6, f_JT = job types, f_WT = 1 on-site, 2 remote, 3 hybrid
+ * LinkedIn can express every criterion, so nothing is left to post-filter.
  */
-function buildSearchUrl(config) {
-  const keywords = (config.search?.keywords || ['data scientist']).join(' OR ');
-  const encoded = encodeURIComponent(keywords);
-  return `https://www.linkedin.com/jobs/search/?keywords=${encoded}&geoId=103644278&f_AL=true&f_TPR=r86400`;
+function translateSearch(criteria) {
+  const local = criteria.location && criteria.remote !== 'only';
+  const url = buildUrl('https://www.linkedin.com/jobs/search/', {
+    keywords: criteria.keywords.join(' OR '),
+    location: local ? criteria.location : null,
+    geoId: local ? null : '103644278',
+    distance: local && criteria.radius !== null ? nearestAtLeast(DISTANCES, criteria.radius) : null,
+    f_AL: 'true',
+    f_TPR: criteria.datePosted ? `r${criteria.datePosted * 86400}` : null,
+    f_E: criteria.experienceLevel.map((l) => EXPERIENCE_CODES[l]).join(','),
+    f_JT: criteria.jobType.map((t) => JOB_TYPE_CODES[t]).join(','),
+    f_WT: { only: '2', exclude: '1,3' }[criteria.remote],
+  });
+  return { url, unsupported: [] };
 }
 
-async function applyLinkedIn(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
-  const platformConfig = config.platforms.linkedin;
-  const maxApplications = platformConfig.maxApplicationsPerRun;
-  const { minDelayBetweenApplications, maxDelayBetweenApplications } = config.behavior;
-
-  const maxRetries = config.behavior?.maxRetries ?? 0;
-  const retryAttempts = new Map(); // jobId → number of retries made
-
-  let applied = 0;
-  let skipped = 0;
-  let errors = 0;
-
-  // Construct search URL dynamically from config.search.keywords
-  const searchUrl = buildSearchUrl(config);
-  logger.info({ platform: 'linkedin', searchUrl }, 'Navigating to LinkedIn search');
-
-  // Navigate to dynamically constructed search URL
-  // geoId=103644278 (United States) + URL-encoded keywords + f_AL=true + f_TPR=r604800
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  await sleep(2000, 4000);
-
-  // Check for CAPTCHA immediately after navigation (PRD §8.2)
-  if (await isCaptchaPage(page)) {
-    logger.error({ platform: 'linkedin' }, 'CAPTCHA detected at search page. Stopping LinkedIn.');
-    state.recordApplication({
-      platform: 'linkedin', jobId: 'captcha_detected',
-      status: 'captcha_blocked', errorMessage: 'CAPTCHA detected — platform stopped', runId,
-    });
-    return { applied, skipped, errors };
-  }
-
-  let pageHasMoreJobs = true;
-
-  while (applied < maxApplications && pageHasMoreJobs) {
-    // Wait for the job list container to be present
-    // waitForSelector auto-waits up to the timeout — no need for manual sleep here
-    try {
-      await page.waitForSelector('.jobs-search-results-list, .scaffold-layout__list', {
-        timeout: SELECTOR_TIMEOUT,
-      });
-    } catch (_) {
-      logger.warn({ platform: 'linkedin' }, 'Job list not found — may have reached end of results');
-      break;
-    }
-
-    // Query job cards fresh from the live DOM.
-    // We use index-based iteration and re-query each time because clicking a
-    // card, opening a modal, or dismissing it can mutate the DOM and
-    // invalidate previously-held element handles.
-    // Job cards live inside the scrollable left-hand list. We scope all card
-    // queries to this container so we never accidentally match filter chips,
-    // nav elements, or other page-level nodes.
-    const LIST_SELECTOR = '.jobs-search-results-list, [class*="jobs-search-results"], .scaffold-layout__list';
-    let pageAlive = true;
-
-    // Only match <li> elements that contain an actual job link — this filters
-    // out spacer elements, ad slots, promoted cards, and skeleton placeholders
-    // that don't have job data and cause extractJobId to return null.
-    const initialCards = await page.$$(`${LIST_SELECTOR} li`);
-    const jobCards = [];
-    for (const li of initialCards) {
-      const hasJobLink = await li.$('a[href*="/jobs/view/"]');
-      const hasJobId = await li.getAttribute('data-occludable-job-id');
-      if (hasJobLink || hasJobId) jobCards.push(li);
-    }
-    const totalCardCount = jobCards.length;
-    logger.info({ platform: 'linkedin', cardCount: totalCardCount, totalLi: initialCards.length }, 'Found job cards');
-
-    // Build a CARD_SELECTOR that re-queries only real job cards on each iteration.
-    // We use data-occludable-job-id which is the most reliable marker.
-    const CARD_SELECTOR = `${LIST_SELECTOR} li[data-occludable-job-id], ${LIST_SELECTOR} li:has(a[href*="/jobs/view/"])`;
-
-    for (let cardIdx = 0; cardIdx < totalCardCount && applied < maxApplications; cardIdx++) {
-      // ── Re-query the card list so we always have a live handle ──
-      let freshCards;
-      try {
-        freshCards = await page.$$(CARD_SELECTOR);
-      } catch (reQueryErr) {
-        logger.warn({ platform: 'linkedin', error: reQueryErr.message }, 'Failed to query cards — page may have closed');
-        pageAlive = false;
-        break;
-      }
-      if (cardIdx >= freshCards.length) {
-        logger.debug({ platform: 'linkedin', cardIdx, freshCount: freshCards.length }, 'Card list shrank — skipping remaining');
-        break;
-      }
-      const card = freshCards[cardIdx];
-
-      let jobId = null;
-      let jobTitle = null;
-      let company = null;
-      let jobUrl = null;
-
-      // Extract jobId FIRST, before any clicks.  If this fails the element
-      // handle is unusable — skip the card entirely without recording.
-      try {
-        jobId = await extractJobId(card);
-      } catch (extractErr) {
-        logger.debug({ platform: 'linkedin', cardIdx, reason: 'extract_failed', error: extractErr.message }, 'Skipping card');
-        skipped++;
-        continue;
-      }
-      if (!jobId) {
-        logger.debug({ platform: 'linkedin', cardIdx, reason: 'no_job_id' }, 'Skipping card');
-        skipped++;
-        continue;
-      }
-
-      // Quick-extract title/company from the card before any clicks for logging
-      try {
-        const titleEl = await card.$('a[class*="job-card-list__title"], a[class*="job-card-container__link"], [class*="job-title"], strong');
-        if (titleEl) jobTitle = (await titleEl.innerText()).trim().replace(/\n.*/s, '');
-        const companyEl = await card.$('[class*="company-name"], [class*="primary-description"], [class*="subtitle"]');
-        if (companyEl) company = (await companyEl.innerText()).trim().replace(/\n.*/s, '');
-      } catch (_) {}
-
-      // Extract location from the card before clicking into detail
-      let jobLocation = null;
-      try {
-        const locEl = await card.$('[class*="job-card-container__metadata-item"], [class*="artdeco-entity-lockup__caption"], [class*="job-card-container__metadata-wrapper"]');
-        if (locEl) jobLocation = (await locEl.innerText()).trim().replace(/\n.*/s, '');
-      } catch (_) {}
-
-      // ── Location filter: skip jobs outside target states ──
-      const locationFilter = config.search?.locationFilter;
-      if (locationFilter && locationFilter.length > 0 && jobLocation) {
-        const locUpper = jobLocation.toUpperCase();
-        // Allow remote jobs through (user has includeRemote: true)
-        const isRemote = locUpper.includes('REMOTE');
-        const matchesState = locationFilter.some(st => {
-          const stUpper = st.toUpperCase();
-          // Match ", CA", "(CA)", " CA " or ending with " CA"
-          return locUpper.includes(`, ${stUpper}`) ||
-                 locUpper.includes(`(${stUpper})`) ||
-                 locUpper.endsWith(` ${stUpper}`);
-        });
-        if (!isRemote && !matchesState) {
-          logger.debug({ platform: 'linkedin', jobId, jobTitle, company, jobLocation, reason: 'location_filtered' }, 'Skipping job — location not in filter');
-          state.recordApplication({
-            platform: 'linkedin', jobId, jobTitle, company,
-            status: 'skipped', skipReason: `location_filtered:${jobLocation}`, runId,
-          });
-          skipped++;
-          continue;
-        }
-      }
-
-      try {
-        // Check if already applied (SQLite lookup)
-        if (state.hasApplied('linkedin', jobId)) {
-          logger.debug({ platform: 'linkedin', jobId, jobTitle, company, reason: 'already_applied_db' }, 'Skipping job');
-          state.recordApplication({ platform: 'linkedin', jobId, jobTitle, company, status: 'already_applied', skipReason: 'already_applied_db', runId });
-          skipped++;
-          continue;
-        }
+function buildSearchUrl(config) {
+  return translateSearch(searchCriteria(config)).url;
+}
 
-        // Click the job card's title link to load the detail panel on the right.
-        const cardLink = await card.$('a[class*="job-card-list__title"], a[class*="job-card-container__link"], a[href*="/jobs/view/"]');
-        const clickTarget = cardLink || card;
+// The job DETAIL PANEL on the right-hand side of the search page
+const DETAIL_SELECTOR = '.jobs-search__job-details, .job-details, .jobs-details, .jobs-details__main-content, .job-view-layout';
 
-        await clickTarget.click();
-        await sleep(1500, 3000);
+/**
+ * Wait for the job list container to be present.
+ * @returns {Promise<boolean>}
+ */
+async function waitForResults(page) {
+  // waitForSelector auto-waits up to the timeout — no need for manual sleep here
+  return page.waitForSelector('.jobs-search-results-list, .scaffold-layout__list', { timeout: SELECTOR_TIMEOUT })
+    .then(() => true, () => false);
+}
 
-        // Wait for the job DETAIL PANEL (right side) to load
-        const DETAIL_SELECTOR = '.jobs-search__job-details, .job-details, .jobs-details, .jobs-details__main-content, .job-view-layout';
-        await page.waitForSelector(DETAIL_SELECTOR, {
-          timeout: SELECTOR_TIMEOUT,
-        });
+/**
+ * Quick-extract title, company and location from the card before any clicks.
+ */
+async function readCard(card) {
+  const info = {};
+  const titleEl = await card.$('a[class*="job-card-list__title"], a[class*="job-card-container__link"], [class*="job-title"], strong');
+  if (titleEl) info.jobTitle = (await titleEl.innerText()).trim().replace(/\n.*/s, '');
+  const companyEl = await card.$('[class*="company-name"], [class*="primary-description"], [class*="subtitle"]');
+  if (companyEl) info.company = (await companyEl.innerText()).trim().replace(/\n.*/s, '');
+  const locEl = await card.$('[class*="job-card-container__metadata-item"], [class*="artdeco-entity-lockup__caption"], [class*="job-card-container__metadata-wrapper"]');
+  if (locEl) info.location = (await locEl.innerText()).trim().replace(/\n.*/s, '');
+  return info;
+}
 
-        // Get the current URL for this job
-        jobUrl = page.url();
+/**
+ * Location filter: skip jobs outside the target states in
+ * config.search.locationFilter. Remote jobs always pass.
+ * @returns {string|null} skip reason
+ */
+function filterCard(job, config) {
+  const locationFilter = config.search?.locationFilter;
+  if (!locationFilter || locationFilter.length === 0 || !job.location) return null;
+
+  const locUpper = job.location.toUpperCase();
+  // Allow remote jobs through (user has includeRemote: true)
+  const isRemote = locUpper.includes('REMOTE');
+  const matchesState = locationFilter.some(st => {
+    const stUpper = st.toUpperCase();
+    // Match ", CA", "(CA)", " CA " or ending with " CA"
+    return locUpper.includes(`, ${stUpper}`) ||
+           locUpper.includes(`(${stUpper})`) ||
+           locUpper.endsWith(` ${stUpper}`);
+  });
+  return !isRemote && !matchesState ? `location_filtered:${job.location}` : null;
+}
 
-        // The "Easy Apply" button lives inside the detail panel (right side),
-        // NOT in the job card list. Scope the search to the detail container.
-        const detailPanel = await page.$(DETAIL_SELECTOR);
-        let easyApplyBtn = null;
-        if (detailPanel) {
-          easyApplyBtn = await detailPanel.$('button.jobs-apply-button, button[aria-label*="Easy Apply"]');
-        }
-        // Fallback: use Playwright's role-based locator scoped to detail panel
-        if (!easyApplyBtn) {
-          const loc = page.getByRole('button', { name: /easy apply/i });
-          if (await loc.count() > 0) {
-            easyApplyBtn = await loc.first().elementHandle();
-          }
-        }
+/**
+ * Find the "Easy Apply" button in the detail panel.
+ * @returns {Promise<import('playwright').ElementHandle|null>}
+ */
+async function findEasyApplyButton(page) {
+  // The button lives inside the detail panel (right side), NOT in the job
+  // card list. Scope the search to the detail container.
+  const detailPanel = await page.$(DETAIL_SELECTOR);
+  let easyApplyBtn = null;
+  if (detailPanel) {
+    easyApplyBtn = await detailPanel.$('button.jobs-apply-button, button[aria-label*="Easy Apply"]');
+  }
+  // Fallback: use Playwright's role-based locator
+  if (!easyApplyBtn) {
+    const loc = page.getByRole('button', { name: /easy apply/i });
+    if (await loc.count() > 0) {
+      easyApplyBtn = await loc.first().elementHandle();
+    }
+  }
+  return easyApplyBtn;
+}
 
-        if (!easyApplyBtn) {
-          logger.debug({ platform: 'linkedin', jobId, jobTitle, company, reason: 'no_easy_apply_button' }, 'Skipping job');
-          state.recordApplication({
-            platform: 'linkedin', jobId, jobTitle, company, jobUrl,
-            status: 'skipped', skipReason: 'no_easy_apply_button', runId,
-          });
-          skipped++;
-          continue;
-        }
+/**
+ * Click the card to load the detail panel and check the Easy Apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJob(page, card, job) {
+  // Click the job card's title link to load the detail panel on the right.
+  const cardLink = await card.$('a[class*="job-card-list__title"], a[class*="job-card-container__link"], a[href*="/jobs/view/"]');
+  await (cardLink || card).click();
+  await sleep(1500, 3000);
+
+  await page.waitForSelector(DETAIL_SELECTOR, { timeout: SELECTOR_TIMEOUT });
+  job.jobUrl = page.url();
+  return checkEasyApply(page);
+}
 
-        const isVisible = await easyApplyBtn.isVisible();
-        if (!isVisible) {
-          logger.debug({ platform: 'linkedin', jobId, jobTitle, company, reason: 'easy_apply_not_visible' }, 'Skipping job');
-          skipped++;
-          continue;
-        }
+/**
+ * Job id from a posting URL: /jobs/view/<id>, or a search or collection
+ * page with ?currentJobId=<id> selected.
+ * @returns {string|null}
+ */
+function parseJobUrl(url) {
+  const match = /^https?:\/\/([a-z]+\.)?linkedin\.com\/jobs\/(?:view\/(?:[^/?#]*-)?(\d+)|.*[?&]currentJobId=(\d+))/i.exec(url);
+  return match ? (match[2] || match[3]) : null;
+}
 
-        // Check if we've already applied (LinkedIn sometimes shows this in the button)
-        const btnText = await easyApplyBtn.innerText();
-
-        if (btnText.toLowerCase().includes('applied')) {
-          logger.debug({ platform: 'linkedin', jobId, jobTitle, company, reason: 'already_applied_linkedin' }, 'Skipping job');
-          state.recordApplication({
-            platform: 'linkedin', jobId, jobTitle, company, jobUrl,
-            status: 'already_applied', skipReason: 'already_applied_linkedin', runId,
-          });
-          skipped++;
-          continue;
-        }
+/**
+ * Open a posting's own page (index.js --urls) and check the Easy Apply button.
+ * @returns {Promise<object|null>} skip outcome, or null to go ahead and apply
+ */
+async function openJobUrl(page, job) {
+  job.jobUrl = `https://www.linkedin.com/jobs/view/${job.jobId}/`;
+  await page.goto(job.jobUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await sleep(1500, 3000);
+
+  await page.waitForSelector(DETAIL_SELECTOR, { timeout: SELECTOR_TIMEOUT });
+  job.jobTitle = await readText(page, ['.job-details-jobs-unified-top-card__job-title', '.jobs-unified-top-card__job-title', 'h1']);
+  job.company = await readText(page, ['.job-details-jobs-unified-top-card__company-name', '.jobs-unified-top-card__company-name']);
+  return checkEasyApply(page);
+}
 
-        // Click Easy Apply to open the modal
-        logger.info({ jobId, jobTitle, company }, 'Opening Easy Apply modal');
-        await easyApplyBtn.click();
-        await sleep(1500, 2500);
+/**
+ * Skip outcome when the open posting has no usable Easy Apply button.
+ * @returns {Promise<object|null>}
+ */
+async function checkEasyApply(page) {
+  const easyApplyBtn = await findEasyApplyButton(page);
+  if (!easyApplyBtn) {
+    return { status: 'skipped', skipReason: 'no_easy_apply_button' };
+  }
+  if (!(await easyApplyBtn.isVisible())) {
+    return { status: 'skipped', skipReason: 'easy_apply_not_visible' };
+  }
 
-        // Wait for the modal to appear
-        const modal = await page.waitForSelector(
-          '.jobs-easy-apply-modal, [data-test-modal], .artdeco-modal',
-          { timeout: SELECTOR_TIMEOUT }
-        ).catch(() => null);
+  // LinkedIn sometimes shows "Applied" in the button itself
+  const btnText = await easyApplyBtn.innerText();
+  if (btnText.toLowerCase().includes('applied')) {
+    return { status: 'already_applied', skipReason: 'already_applied_linkedin' };
+  }
+  return null;
+}
 
-        if (!modal) {
-          throw new Error('Easy Apply modal did not open');
-        }
+/**
+ * Read the posting from the detail panel. Location comes from the card;
+ * salary and seniority are among the top-card "insight" chips when shown.
+ */
+async function readDetails(page) {
+  const insights = await page.$$eval(
+    '[class*="job-insight"], [class*="job-details-preferences-and-skills"], .job-details-fit-level-preferences button',
+    (els) => els.map((el) => el.textContent.trim().replace(/\s+/g, ' '))
+  ).catch(() => []);
+  const level = insights
+    .map((t) => /\b(internship|entry level|associate|mid-senior level|director|executive)\b/i.exec(t))
+    .find(Boolean);
+
+  return {
+    description: await readText(page, ['.jobs-description__content', '.jobs-description-content__text', '#job-details']),
+    salary: insights.find((t) => t.includes('$')) || null,
+    seniority: level ? level[1] : null,
+    posted: await readText(page, ['.job-details-jobs-unified-top-card__primary-description-container', '.jobs-unified-top-card__posted-date']),
+  };
+}
 
-        // Check for "already applied" message inside the modal
-        const alreadyAppliedMsg = await page.$('text="Your application was sent"');
-        if (alreadyAppliedMsg) {
-          const dismissBtn = await page.$('button[aria-label="Dismiss"], button:has-text("Done")');
-          if (dismissBtn) await dismissBtn.click();
-          state.recordApplication({
-            platform: 'linkedin', jobId, jobTitle, company, jobUrl,
-            status: 'already_applied', skipReason: 'already_applied_linkedin', runId,
-          });
-          skipped++;
-          continue;
-        }
+/**
+ * Dismiss the post-submit success dialog / modal.
+ * LinkedIn may show "Done", "Not now", or an X button — try multiple
+ * approaches since labels can intercept pointer events.
+ */
+async function dismissSuccessDialog(page) {
+  await sleep(1000, 2000);
+  let dismissed = false;
+
+  const dismissSelectors = [
+    'button[aria-label="Dismiss"]',
+    'button:has-text("Done")',
+    'button:has-text("Not now")',
+  ];
+  for (const sel of dismissSelectors) {
+    if (dismissed) break;
+    try {
+      const btn = await page.$(sel);
+      if (btn && await btn.isVisible()) {
+        await btn.click({ force: true }); // force bypasses label intercepts
+        dismissed = true;
+        await sleep(500, 1000);
+      }
+    } catch (_) {}
+  }
 
-        // Process multi-step modal — keep clicking Next until we Submit.
-        // Track step identity by fingerprinting field labels so we detect
-        // cycles (modal wrapping back to an earlier step) reliably.
-        let stepCount = 0;
-        let modalComplete = false;
-        const seenFingerprints = new Set();
-        const MAX_STEPS = 12; // Safeguard against infinite loops
-
-        while (!modalComplete && stepCount < MAX_STEPS) {
-          stepCount++;
-
-          // Fingerprint this step by its field labels
-          const fingerprint = await page.evaluate(() => {
-            const modal = document.querySelector('.jobs-easy-apply-modal, .artdeco-modal');
-            if (!modal) return '';
-            const labels = [];
-            for (const lbl of modal.querySelectorAll('label, legend, [data-test-form-element-label]')) {
-              const t = (lbl.textContent || '').trim().substring(0, 60);
-              if (t) labels.push(t);
-            }
-            return labels.sort().join('||');
-          }).catch(() => '');
+  // If the modal is still blocking, press Escape as a last resort
+  if (!dismissed) {
+    try {
+      await page.keyboard.press('Escape');
+      await sleep(500, 1000);
+    } catch (_) {}
+  }
 
-          if (fingerprint && seenFingerprints.has(fingerprint)) {
-            logger.warn({ platform: 'linkedin', jobId, step: stepCount }, 'Modal cycled back to a previously seen step — skipping job');
-            throw new Error('Modal cycled — unfilled required fields on an earlier step');
-          }
-          if (fingerprint) seenFingerprints.add(fingerprint);
+  // Wait for the modal overlay to fully close
+  await page.waitForSelector('.jobs-easy-apply-modal, .artdeco-modal', {
+    state: 'hidden',
+    timeout: 5000,
+  }).catch(() => null);
+}
 
-          const result = await handleModalStep(page, defaultAnswers, config, logger, jobId, dryRun, stepCount);
+/**
+ * Open the Easy Apply modal and step through it until submitted.
+ * @returns {Promise<object>} outcome
+ */
+async function applyToJob(page, job, ctx) {
+  const { logger, dryRun } = ctx;
+  const { jobId, jobTitle, company } = job;
+
+  // Click Easy Apply to open the modal
+  logger.info({ jobId, jobTitle, company }, 'Opening Easy Apply modal');
+  const easyApplyBtn = await findEasyApplyButton(page);
+  if (!easyApplyBtn) throw new Error('Easy Apply button disappeared');
+  await easyApplyBtn.click();
+  await sleep(1500, 2500);
+
+  const modal = await page.waitForSelector(
+    '.jobs-easy-apply-modal, [data-test-modal], .artdeco-modal',
+    { timeout: SELECTOR_TIMEOUT }
+  ).catch(() => null);
+
+  if (!modal) {
+    throw new Error('Easy Apply modal did not open');
+  }
 
-          if (result === 'submitted') {
-            modalComplete = true;
+  // Check for "already applied" message inside the modal
+  const alreadyAppliedMsg = await page.$('text="Your application was sent"');
+  if (alreadyAppliedMsg) {
+    const dismissBtn = await page.$('button[aria-label="Dismiss"], button:has-text("Done")');
+    if (dismissBtn) await dismissBtn.click();
+    return { status: 'already_applied', skipReason: 'already_applied_linkedin' };
+  }
 
-            if (!dryRun) {
-              // Wait for LinkedIn's success confirmation overlay
-              await page.waitForSelector(
-                'text="Application submitted", text="Your application was sent", .artdeco-toast-item--success',
-                { timeout: 10000 }
-              ).catch(() => null);
-            }
+  // Process multi-step modal — keep clicking Next until we Submit.
+  // Track step identity by fingerprinting field labels so we detect
+  // cycles (modal wrapping back to an earlier step) reliably.
+  const seenFingerprints = new Set();
+  const MAX_STEPS = 12; // Safeguard against infinite loops
+
+  for (let stepCount = 1; stepCount <= MAX_STEPS; stepCount++) {
+    // Fingerprint this step by its field labels
+    const fingerprint = await page.evaluate(() => {
+      const modal = document.querySelector('.jobs-easy-apply-modal, .artdeco-modal');
+      if (!modal) return '';
+      const labels = [];
+      for (const lbl of modal.querySelectorAll('label, legend, [data-test-form-element-label]')) {
+        const t = (lbl.textContent || '').trim().substring(0, 60);
+        if (t) labels.push(t);
+      }
+      return labels.sort().join('||');
+    }).catch(() => '');
 
-            logger.info({ jobId, jobTitle, company, steps: stepCount }, 'Application submitted');
-            state.recordApplication({
-              platform: 'linkedin', jobId, jobTitle, company, jobUrl,
-              status: dryRun ? 'dry_run' : 'submitted', runId,
-            });
-            applied++;
-
-            // Dismiss the post-submit success dialog / modal.
-            // LinkedIn may show "Done", "Not now", or an X button — try
-            // multiple approaches since labels can intercept pointer events.
-            await sleep(1000, 2000);
-            let dismissed = false;
-
-            // Try each dismiss strategy
-            const dismissSelectors = [
-              'button[aria-label="Dismiss"]',
-              'button:has-text("Done")',
-              'button:has-text("Not now")',
-            ];
-            for (const sel of dismissSelectors) {
-              if (dismissed) break;
-              try {
-                const btn = await page.$(sel);
-                if (btn && await btn.isVisible()) {
-                  await btn.click({ force: true }); // force bypasses label intercepts
-                  dismissed = true;
-                  await sleep(500, 1000);
-                }
-              } catch (_) {}
-            }
+    if (fingerprint && seenFingerprints.has(fingerprint)) {
+      logger.warn({ platform: 'linkedin', jobId, step: stepCount }, 'Modal cycled back to a previously seen step — skipping job');
+      throw new Error('Modal cycled — unfilled required fields on an earlier step');
+    }
+    if (fingerprint) seenFingerprints.add(fingerprint);
 
-            // If the modal is still blocking, press Escape as a last resort
-            if (!dismissed) {
-              try {
-                await page.keyboard.press('Escape');
-                await sleep(500, 1000);
-              } catch (_) {}
-            }
+    const result = await handleModalStep(page, job, ctx, stepCount);
 
-            // Wait for the modal overlay to fully close
-            await page.waitForSelector('.jobs-easy-apply-modal, .artdeco-modal', {
-              state: 'hidden',
-              timeout: 5000,
-            }).catch(() => null);
-
-            // Verify the job list is accessible again before continuing
-            try {
-              await page.waitForSelector(LIST_SELECTOR, { timeout: 5000 });
-            } catch (_) {
-              logger.warn({ platform: 'linkedin' }, 'Job list not visible after submit — attempting recovery');
-              // Try scrolling up to reveal the list
-              await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
-              await sleep(1000, 2000);
-            }
+    if (result === 'submitted') {
+      if (!dryRun) {
+        // Wait for LinkedIn's success confirmation overlay
+        await page.waitForSelector(
+          'text="Application submitted", text="Your application was sent", .artdeco-toast-item--success',
+          { timeout: 10000 }
+        ).catch(() => null);
+        await dismissSuccessDialog(page);
+      }
+      return { status: 'submitted', steps: stepCount };
+    } else if (result === 'validation_error') {
+      // Clicking Next triggered validation errors that retrying other values
+      // did not clear — the modal won't advance.  Skip this job.
+      const blocking = job.blockingFields?.length ? job.blockingFields.join('; ') : 'required fields unfilled';
+      throw new Error(`Validation errors on step ${stepCount} — ${blocking}`);
+    } else if (result === 'error') {
+      throw new Error(`Could not navigate modal step ${stepCount}`);
+    }
+    // 'next' → continue loop to next step
+  }
 
-          } else if (result === 'validation_error') {
-            // Clicking Next triggered validation errors — required fields are
-            // unfilled and the modal won't advance.  Skip this job immediately.
-            throw new Error(`Validation errors on step ${stepCount} — required fields unfilled`);
-          } else if (result === 'error') {
-            throw new Error(`Could not navigate modal step ${stepCount}`);
-          }
-          // 'next' → continue loop to next step
-        }
+  throw new Error(`Modal exceeded ${MAX_STEPS} steps without submitting`);
+}
 
-        if (!modalComplete) {
-          throw new Error(`Modal exceeded ${MAX_STEPS} steps without submitting`);
+/**
+ * Robustly close any open modal to prevent state leaking into the next job.
+ * Sequence: dismiss → discard confirm → verify closed → force-navigate if
+ * still stuck.
+ */
+async function recover(page, ctx) {
+  try {
+    const dismissBtn = await page.$('button[aria-label="Dismiss"]');
+    if (dismissBtn) {
+      await dismissBtn.click({ force: true });
+      await sleep(800, 1500);
+
+      const discardBtn = await page.waitForSelector(
+        'button[data-control-name="discard_application_confirm"]',
+        { timeout: 5000 }
+      ).catch(() => null);
+
+      if (discardBtn) {
+        await discardBtn.click({ force: true });
+        await sleep(500, 1000);
+      } else {
+        const fallbackDiscard = await page.$('button:has-text("Discard")');
+        if (fallbackDiscard) {
+          await fallbackDiscard.click({ force: true });
+          await sleep(500, 1000);
         }
+      }
+    }
 
-        // Wait between applications (human-like pacing)
-        await sleep(minDelayBetweenApplications, maxDelayBetweenApplications);
-
-      } catch (err) {
-        // Robustly close any open modal to prevent state leaking into the
-        // next job.  Sequence: dismiss → discard confirm → verify closed →
-        // force-navigate if still stuck.
-        try {
-          const dismissBtn = await page.$('button[aria-label="Dismiss"]');
-          if (dismissBtn) {
-            await dismissBtn.click({ force: true });
-            await sleep(800, 1500);
-
-            const discardBtn = await page.waitForSelector(
-              'button[data-control-name="discard_application_confirm"]',
-              { timeout: 5000 }
-            ).catch(() => null);
-
-            if (discardBtn) {
-              await discardBtn.click({ force: true });
-              await sleep(500, 1000);
-            } else {
-              const fallbackDiscard = await page.$('button:has-text("Discard")');
-              if (fallbackDiscard) {
-                await fallbackDiscard.click({ force: true });
-                await sleep(500, 1000);
-              }
-            }
-          }
-
-          // Wait for the modal to fully close
-          await page.waitForSelector('.jobs-easy-apply-modal, .artdeco-modal', {
-            state: 'hidden',
-            timeout: 5000,
-          }).catch(() => null);
-        } catch (_) {
-          try { await page.keyboard.press('Escape'); } catch (__) {}
-          await sleep(1000, 2000);
-        }
+    // Wait for the modal to fully close
+    await page.waitForSelector('.jobs-easy-apply-modal, .artdeco-modal', {
+      state: 'hidden',
+      timeout: 5000,
+    }).catch(() => null);
+  } catch (_) {
+    try { await page.keyboard.press('Escape'); } catch (__) {}
+    await sleep(1000, 2000);
+  }
 
-        // Verify the modal is actually gone.  If not, force-navigate back
-        // to the search URL to reset page state completely.
-        const modalStillOpen = await page.$('.jobs-easy-apply-modal, .artdeco-modal').catch(() => null);
-        if (modalStillOpen) {
-          logger.warn({ platform: 'linkedin', jobId }, 'Modal still open after dismiss — force-navigating to search URL');
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => {});
-          await sleep(2000, 3000);
-        }
+  // Verify the modal is actually gone.  If not, force-navigate back
+  // to the search URL to reset page state completely.
+  const modalStillOpen = await page.$('.jobs-easy-apply-modal, .artdeco-modal').catch(() => null);
+  if (modalStillOpen) {
+    ctx.logger.warn({ platform: 'linkedin' }, 'Modal still open after dismiss — force-navigating to search URL');
+    await page.goto(ctx.searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => {});
+    await sleep(2000, 3000);
+  }
+}
 
-        await sleep(2000, 4000);
+/**
+ * The detail panel lives on the search page, so there is nothing to navigate
+ * back to — just verify the job list is accessible again before continuing.
+ */
+async function returnToResults(page, ctx) {
+  try {
+    await page.waitForSelector(LIST_SELECTOR, { timeout: 5000 });
+  } catch (_) {
+    ctx.logger.warn({ platform: 'linkedin' }, 'Job list not visible — attempting recovery');
+    // Try scrolling up to reveal the list
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+    await sleep(1000, 2000);
+  }
+}
 
-        // Check for CAPTCHA before deciding whether to retry (PRD §8.2)
-        if (await isCaptchaPage(page)) {
-          logger.error({ platform: 'linkedin' }, 'CAPTCHA detected — stopping LinkedIn');
-          state.recordApplication({
-            platform: 'linkedin', jobId: 'captcha_detected',
-            status: 'captcha_blocked', errorMessage: 'CAPTCHA detected — platform stopped', runId,
-          });
-          return { applied, skipped, errors };
-        }
+/**
+ * Pagination: click "See more jobs" or scroll the job list to trigger
+ * infinite scroll.
+ * @returns {Promise<boolean>} false when no more jobs loaded
+ */
+async function nextPage(page) {
+  const seeMoreBtn = await page.$('button:has-text("See more jobs"), button[aria-label*="See more jobs"]');
+  if (seeMoreBtn && await seeMoreBtn.isVisible()) {
+    await seeMoreBtn.click();
+    await sleep(2000, 4000);
+    return true;
+  }
 
-        // Retry transient errors up to maxRetries times (re-visit same index)
-        const attemptsMade = (retryAttempts.get(jobId) || 0) + 1;
-        if (attemptsMade <= maxRetries) {
-          retryAttempts.set(jobId, attemptsMade);
-          logger.warn({ platform: 'linkedin', jobId, attempt: attemptsMade, error: err.message }, 'Transient error — will retry');
-          cardIdx--; // decrement so the for-loop re-visits this index with a fresh handle
-        } else {
-          logger.error({ platform: 'linkedin', jobId, jobTitle, error: err.message }, 'Application error');
-          errors++;
-          await screenshotError(page, 'linkedin', jobId, config);
-          state.recordApplication({
-            platform: 'linkedin', jobId, jobTitle, company, jobUrl,
-            status: 'error', errorMessage: err.message, runId,
-          });
-        }
-      }
-    }
+  const jobList = await page.$('.jobs-search-results-list');
+  if (!jobList) return false;
 
-    // If the page/context was closed mid-run, exit the outer loop too
-    if (!pageAlive) break;
+  const before = (await listCards(page)).length;
+  await page.evaluate((el) => el.scrollTo(0, el.scrollHeight), jobList);
+  await sleep(2000, 3000);
 
-    // Pagination: scroll down to load more jobs or find "See more jobs" button
-    if (applied < maxApplications) {
-      const seeMoreBtn = await page.$('button:has-text("See more jobs"), button[aria-label*="See more jobs"]');
-      if (seeMoreBtn && await seeMoreBtn.isVisible()) {
-        await seeMoreBtn.click();
-        await sleep(2000, 4000);
-      } else {
-        // Try scrolling the job list to trigger infinite scroll
-        const jobList = await page.$('.jobs-search-results-list');
-        if (jobList) {
-          await page.evaluate((el) => el.scrollTo(0, el.scrollHeight), jobList);
-          await sleep(2000, 3000);
-
-          // Check if new cards loaded
-          const newCards = await page.$$(CARD_SELECTOR);
-          if (newCards.length <= totalCardCount) {
-            pageHasMoreJobs = false;
-          }
-        } else {
-          pageHasMoreJobs = false;
-        }
-      }
-    }
-  }
+  // Check if new cards loaded
+  return (await listCards(page)).length > before;
+}
 
-  return { applied, skipped, errors };
+/**
+ * Main LinkedIn Easy Apply function.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} config - full config.json
+ * @param {object} defaultAnswers - defaultAnswers.json
+ * @param {object} state - state manager module
+ * @param {string} runId
+ * @param {object} logger
+ * @param {boolean} [dryRun=false]
+ * @returns {Promise<{ applied: number, skipped: number, errors: number }>}
+ */
+function applyLinkedIn(page, config, defaultAnswers, state, runId, logger, dryRun = false) {
+  return runApplyLoop(adapter, page, config, defaultAnswers, state, runId, logger, dryRun);
 }
 
-module.exports = { applyLinkedIn };
+const adapter = {
+  name: 'linkedin',
+  displayName: 'LinkedIn',
+  setup: {
+    url: 'https://www.linkedin.com/login',
+    instructions: [
+      '1. Log in with your LinkedIn credentials.',
+      '2. Complete any 2FA/CAPTCHA verification.',
+      '3. Make sure your profile is 100% complete.',
+      '4. Verify "Easy Apply" works by applying to one test job manually.',
+      '5. When done, CLOSE this browser window.',
+    ],
+  },
+  login: {
+    url: 'https://www.linkedin.com/feed/',
+    // Session expired if we end up on the login page
+    isExpired: async (page) => {
+      const url = page.url();
+      return url.includes('/login') || url.includes('/checkpoint') || url.includes('/authwall');
+    },
+  },
+  tracker: {
+    url: 'https://www.linkedin.com/my-items/saved-jobs/?cardType=APPLIED',
+    cards: '.reusable-search__result-container, li:has(a[href*="/jobs/view/"])',
+    // "Applied 3d ago", "Application viewed", "No longer accepting applications"
+    status: '.reusable-search-simple-insight__text, .entity-result__insights',
+    next: 'button.artdeco-pagination__button--next',
+  },
+  buildSearchUrl,
+  translateSearch,
+  parseJobUrl,
+  openJobUrl,
+  listCards,
+  extractJobId,
+  isBlocked: isCaptchaPage,
+  blockedMessage: 'CAPTCHA detected — platform stopped',
+  waitForResults,
+  readCard,
+  filterCard,
+  openJob,
+  readDetails,
+  applyToJob,
+  recover,
+  returnToResults,
+  nextPage,
+  apply: applyLinkedIn,
+};
+
+module.exports = { applyLinkedIn, adapter };
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * queue.js — Review the jobs found by `node index.js --mode discover`.
+ *
+ * Usage:
+ *   node queue.js list                             # Pending jobs
+ *   node queue.js list --ineligible --long         # Jobs a filter would skip, with descriptions
+ *   node queue.js approve --search remote-backend  # Approve every eligible job from one search
+ *   node queue.js approve --id 12,15               # Approve by id (eligible or not)
+ *   node queue.js reject --company acme            # Reject every pending job at a company
+ *   node queue.js reset --status rejected          # Put rejected jobs back to pending
+ *   node queue.js --help                           # Show usage
+ *
+ * A discover run checks every job like a normal run but stores it in the
+ * job_queue table instead of applying. Jobs a filter would have skipped are
+ * kept as ineligible, with the reason, so they can still be approved by hand.
+ * `node index.js --mode apply` then applies to the approved jobs only and
+ * marks each one done once its outcome is recorded.
+ */
+
+const COMMANDS = ['list', 'approve', 'reject', 'reset'];
+const STATUSES = ['pending', 'approved', 'rejected', 'done', 'all'];
+
+const HELP = `
+Usage: node queue.js <list|approve|reject|reset> [filters]
+
+Commands:
+  list      Show the matching jobs
+  approve   Mark the matching jobs approved for node index.js --mode apply
+  reject    Mark the matching jobs rejected
+  reset     Put the matching jobs back to pending
+
+Filters (combined with AND):
+  --status <status>  pending (default), approved, rejected, done or all
+  --platform <name>  One platform
+  --search <name>    Jobs found by one saved search
+  --eligible         Only jobs that passed every filter
+  --ineligible       Only jobs a filter would have skipped
+  --company <text>   Company name contains text
+  --title <text>     Job title contains text
+  --reason <text>    Skip reason contains text, e.g. search_filter
+  --id <ids>         Comma-separated queue ids
+  --limit <n>        At most n jobs
+
+Options:
+  --long             list: include the start of each description
+  --help             Show this help message
+
+approve without --id, --eligible or --ineligible only approves eligible jobs.
+`.trim();
+
+// ── CLI parsing ──
+const args = process.argv.slice(2);
+const command = args[0];
+if (args.includes('--help') || !COMMANDS.includes(command)) {
+  console.log(HELP);
+  process.exit(args.includes('--help') ? 0 : 2);
+}
+
+function option(name) {
+  const idx = args.indexOf(name);
+  if (idx === -1) return undefined;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`Error: ${name} requires a value`);
+    process.exit(2);
+  }
+  return value;
+}
+
+const filters = {
+  // reset defaults to every decided job
+  status: option('--status') || (command === 'reset' ? 'all' : 'pending'),
+  platform: option('--platform')?.toLowerCase(),
+  searchName: option('--search'),
+  company: option('--company'),
+  title: option('--title'),
+  reason: option('--reason'),
+};
+if (filters.status && !STATUSES.includes(filters.status)) {
+  console.error(`Error: --status must be one of ${STATUSES.join(', ')}`);
+  process.exit(2);
+}
+
+if (args.includes('--eligible') && args.includes('--ineligible')) {
+  console.error('Error: use either --eligible or --ineligible');
+  process.exit(2);
+}
+if (args.includes('--eligible')) filters.eligible = true;
+if (args.includes('--ineligible')) filters.eligible = false;
+
+const ids = option('--id');
+if (ids !== undefined) {
+  filters.ids = ids.split(',').map((s) => parseInt(s.trim(), 10));
+  if (filters.ids.some((n) => isNaN(n))) {
+    console.error('Error: --id requires comma-separated numbers');
+    process.exit(2);
+  }
+}
+
+const limit = option('--limit');
+if (limit !== undefined) {
+  filters.limit = parseInt(limit, 10);
+  if (isNaN(filters.limit) || filters.limit < 1) {
+    console.error('Error: --limit requires a positive integer');
+    process.exit(2);
+  }
+}
+
+// Bulk approval takes what passed the filters unless asked otherwise
+if (command === 'approve' && filters.ids === undefined && filters.eligible === undefined) {
+  filters.eligible = true;
+}
+
+const state = require('./lib/state');
+
+/**
+ * Print the matching jobs, one block per job.
+ */
+function list(rows) {
+  for (const row of rows) {
+    const where = [row.company, row.location].filter(Boolean).join(' — ');
+    const flag = row.eligible ? 'eligible' : `ineligible: ${row.skipReason || 'unknown'}`;
+    console.log(`#${row.id}  [${row.status}] ${row.platform}/${row.searchName || '-'}  ${row.jobTitle || '(no title)'}${where ? ` @ ${where}` : ''}`);
+    console.log(`     ${flag} | ${row.jobUrl || '(no URL)'}`);
+    if (args.includes('--long') && row.description) {
+      console.log(`     ${row.description.replace(/\s+/g, ' ').substring(0, 300)}…`);
+    }
+  }
+  const eligible = rows.filter((r) => r.eligible).length;
+  console.log(`\n${rows.length} job(s): ${eligible} eligible, ${rows.length - eligible} ineligible`);
+}
+
+const rows = state.getQueuedJobs(filters);
+
+if (command === 'list') {
+  list(rows);
+} else {
+  const target = { approve: 'approved', reject: 'rejected', reset: 'pending' }[command];
+  // Jobs already applied to stay done
+  const changed = rows.filter((r) => r.status !== 'done' && r.status !== target);
+  state.setQueueStatus(changed.map((r) => r.id), target);
+  console.log(`✓ ${changed.length} job(s) marked ${target} (${rows.length - changed.length} unchanged)`);
+  if (command === 'approve' && changed.length > 0) {
+    console.log('  Apply with: node index.js --mode apply');
+  }
+}
@@ -4,7 +4,7 @@
 /**
  * setup.js — One-time session capture for each platform.
  *
- * Usage: node setup.js --platform <linkedin|indeed|dice|jobright>
+ * Usage: node setup.js --platform <name>   (linkedin, indeed, dice, jobright, or any installed adapter)
  *
  * This script launches a VISIBLE (headed) browser with the persistent profile
  * directory for the selected platform. You log in manually, then close the
@@ -15,68 +15,38 @@
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const { loadAdapters } = require('./lib/adapters');
 
 const CHROME_USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
 
-const PLATFORM_URLS = {
-  linkedin: 'https://www.linkedin.com/login',
-  indeed: 'https://secure.indeed.com/auth?hl=en_US&co=US',
-  dice: 'https://www.dice.com/dashboard',
-  jobright: 'https://jobright.ai/login',
-};
-
-const PLATFORM_INSTRUCTIONS = {
-  linkedin: [
-    '1. Log in with your LinkedIn credentials.',
-    '2. Complete any 2FA/CAPTCHA verification.',
-    '3. Make sure your profile is 100% complete.',
-    '4. Verify "Easy Apply" works by applying to one test job manually.',
-    '5. When done, CLOSE this browser window.',
-  ],
-  indeed: [
-    '1. Log in with your Indeed credentials.',
-    '2. Complete any verification steps.',
-    '3. Navigate to your profile and verify contact info + resume are uploaded.',
-    '4. Test an "Easily apply" job to verify pre-fill works.',
-    '5. When done, CLOSE this browser window.',
-  ],
-  dice: [
-    '1. Log in with your Dice credentials.',
-    '2. Complete your Dice profile (contact info, resume, work auth).',
-    '3. Test an "Easy Apply" job to verify the modal works.',
-    '4. When done, CLOSE this browser window.',
-  ],
-  jobright: [
-    '1. Log in with your Jobright credentials.',
-    '2. Upload your resume if not already uploaded.',
-    '3. Complete your profile preferences.',
-    '4. Test a "Quick Apply" job to verify the flow.',
-    '5. When done, CLOSE this browser window.',
-  ],
-};
+// config.json is optional here — it is only read for extra adapter packages
+const configPath = path.join(__dirname, 'config.json');
+const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+const ADAPTERS = loadAdapters(config);
 
 async function main() {
   const args = process.argv.slice(2);
   const platformIdx = args.indexOf('--platform');
 
   if (platformIdx === -1 || !args[platformIdx + 1]) {
-    console.error('Usage: node setup.js --platform <linkedin|indeed|dice|jobright>');
+    console.error(`Usage: node setup.js --platform <${[...ADAPTERS.keys()].join('|')}>`);
     console.error('       node setup.js --platform all  (run setup for all platforms sequentially)');
     process.exit(1);
   }
 
   const platformArg = args[platformIdx + 1].toLowerCase();
-  const platforms = platformArg === 'all' ? Object.keys(PLATFORM_URLS) : [platformArg];
+  const platforms = platformArg === 'all' ? [...ADAPTERS.keys()] : [platformArg];
 
   for (const platform of platforms) {
-    if (!PLATFORM_URLS[platform]) {
+    const adapter = ADAPTERS.get(platform);
+    if (!adapter) {
       console.error(`Unknown platform: ${platform}`);
-      console.error(`Valid platforms: ${Object.keys(PLATFORM_URLS).join(', ')}`);
+      console.error(`Valid platforms: ${[...ADAPTERS.keys()].join(', ')}`);
       process.exit(1);
     }
 
-    await setupPlatform(platform);
+    await setupPlatform(adapter);
 
     if (platforms.length > 1 && platform !== platforms[platforms.length - 1]) {
       console.log('\nPress Enter to continue to the next platform...');
@@ -90,17 +60,19 @@ async function main() {
   process.exit(0);
 }
 
-async function setupPlatform(platform) {
+async function setupPlatform(adapter) {
+  const platform = adapter.name;
   const profileDir = path.join(process.cwd(), 'browser-data', platform);
   if (!fs.existsSync(profileDir)) {
     fs.mkdirSync(profileDir, { recursive: true });
   }
 
   console.log(`\n${'═'.repeat(60)}`);
-  console.log(`  Setting up: ${platform.toUpperCase()}`);
+  console.log(`  Setting up: ${adapter.displayName.toUpperCase()}`);
   console.log(`${'═'.repeat(60)}`);
   console.log('\nInstructions:');
-  PLATFORM_INSTRUCTIONS[platform].forEach((line) => console.log(`  ${line}`));
+  (adapter.setup.instructions || ['1. Log in manually.', '2. When done, CLOSE this browser window.'])
+    .forEach((line) => console.log(`  ${line}`));
   console.log('\nLaunching browser...\n');
 
   // Launch headed (visible) browser so user can interact
@@ -122,7 +94,7 @@ async function setupPlatform(platform) {
   const page = pages.length > 0 ? pages[0] : await context.newPage();
 
   // Navigate to the platform's login page
-  await page.goto(PLATFORM_URLS[platform], { waitUntil: 'domcontentloaded' });
+  await page.goto(adapter.setup.url, { waitUntil: 'domcontentloaded' });
 
   console.log('Browser is open. Complete the login process, then CLOSE the browser window.');
   console.log('Waiting for browser to close...');
@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapters, matchJobUrl } = require('../lib/adapters');
+
+test('matchJobUrl finds the adapter and job id of a posting', () => {
+  const adapters = loadAdapters();
+  const match = matchJobUrl(adapters, 'https://www.linkedin.com/jobs/view/4012345678/');
+  assert.equal(match.adapter.name, 'linkedin');
+  assert.equal(match.jobId, '4012345678');
+  assert.equal(matchJobUrl(adapters, 'https://www.linkedin.com/feed/').reason, 'not a LinkedIn job posting URL');
+  assert.equal(matchJobUrl(adapters, 'https://careers.example.com/jobs/1').reason, 'external or unsupported site');
+  assert.equal(matchJobUrl(adapters, 'not a url').reason, 'not a URL');
+});
+
+test('matchJobUrl keeps sites under country domains apart', () => {
+  const reed = {
+    name: 'reed',
+    displayName: 'Reed',
+    login: { url: 'https://www.reed.co.uk/account' },
+    parseJobUrl: (url) => (/reed\.co\.uk\/jobs\/[^/]+\/(\d+)/.exec(url) || [])[1] || null,
+    openJobUrl: async () => {},
+  };
+  const adapters = new Map([['reed', reed]]);
+  assert.equal(matchJobUrl(adapters, 'https://www.reed.co.uk/jobs/data-analyst/55512345').jobId, '55512345');
+  assert.equal(matchJobUrl(adapters, 'https://www.reed.co.uk/courses').reason, 'not a Reed job posting URL');
+  assert.equal(matchJobUrl(adapters, 'https://careers.acme.co.uk/jobs/1').reason, 'external or unsupported site');
+  assert.equal(matchJobUrl(adapters, 'https://jobs.acme.com.au/1').reason, 'external or unsupported site');
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { cacheKey, clampAnswer, createAnswerProvider } = require('../lib/answer-provider');
+const { startLlmStub } = require('../lib/llm-stub');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-provider-test-'));
+const profilePath = path.join(tmp, 'profile.md');
+fs.writeFileSync(profilePath, 'Six years of data science at Initech. Built Spark pipelines for fraud detection.\n');
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const JOB = { jobTitle: 'Data Engineer', company: 'Acme Analytics', details: { description: 'We build data platforms.' } };
+const silent = { warn() {} };
+
+function config(baseUrl, extra = {}) {
+  return { answerProvider: { enabled: true, baseUrl, model: 'stub-model', profilePath, ...extra } };
+}
+
+/**
+ * A server that answers every request with `handler`, on a free port.
+ */
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((done) => server.close(() => done()));
+    },
+  };
+}
+
+test('createAnswerProvider is off unless enabled and needs a base URL and model', () => {
+  assert.equal(createAnswerProvider({}), null);
+  assert.equal(createAnswerProvider({ answerProvider: { enabled: false } }), null);
+  assert.throws(() => createAnswerProvider({ answerProvider: { enabled: true, model: 'x' } }), /needs "baseUrl" and "model"/);
+  assert.throws(() => createAnswerProvider(config('http://127.0.0.1:1/v1', { profilePath: path.join(tmp, 'missing.md') })),
+    /profilePath not found/);
+});
+
+test('the provider sends the model, profile and question and caches the answer', async () => {
+  const stub = await startLlmStub();
+  try {
+    const stored = new Map();
+    const cache = { get: (key) => stored.get(key)?.answer, set: (key, question, answer, model) => stored.set(key, { answer, model }) };
+    const provider = createAnswerProvider(config(stub.url), cache, silent);
+    assert.equal(provider.name, 'llm:stub-model');
+    assert.equal(provider.confidence, 0.5);
+
+    const question = 'Describe a project using Spark';
+    const answer = await provider.answer(question, JOB);
+    assert.match(answer, /^Stub answer to "Describe a project using Spark"/);
+
+    assert.equal(stub.requests.length, 1);
+    const [body] = stub.requests;
+    assert.equal(body.model, 'stub-model');
+    const [system, user] = body.messages;
+    assert.match(system.content, /Built Spark pipelines for fraud detection/);
+    assert.match(system.content, /at most 600 characters/);
+    assert.match(user.content, /Job: Data Engineer at Acme Analytics/);
+    assert.match(user.content, /We build data platforms\./);
+    assert.match(user.content, /Question: Describe a project using Spark/);
+    assert.deepEqual(stored.get(cacheKey(question, JOB)), { answer, model: 'stub-model' });
+
+    assert.equal(await provider.answer('Describe a project using Spark?', { ...JOB, company: 'Hooli' }), answer);
+    assert.equal(stub.requests.length, 1, 'answered from memory');
+
+    const fresh = createAnswerProvider(config(stub.url), cache, silent);
+    assert.equal(await fresh.answer(question, JOB), answer);
+    assert.equal(stub.requests.length, 1, 'answered from the persistent cache');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('cacheKey keeps employer questions apart per company', () => {
+  assert.equal(cacheKey('Why do you want to work here?', JOB), 'why do you want to work here @acme analytics');
+  assert.equal(cacheKey('What interests you about our mission?', { company: 'Hooli' }), 'what interests you about our mission @hooli');
+  assert.equal(cacheKey('Describe a project using Spark', JOB), 'describe a project using spark');
+  assert.equal(cacheKey('Why do you want to work here?', {}), 'why do you want to work here');
+});
+
+test('clampAnswer tidies the reply and cuts it at a sentence or word', () => {
+  assert.equal(clampAnswer('Answer: "I led the migration."', 100), 'I led the migration.');
+  assert.equal(clampAnswer('I led the migration to Spark. It cut costs by a third and more.', 40), 'I led the migration to Spark.');
+  assert.equal(clampAnswer('Short. Then a very long sentence that goes well past the limit', 40), 'Short. Then a very long sentence that');
+  assert.equal(clampAnswer('', 40), '');
+});
+
+test('the provider truncates long replies to maxChars', async () => {
+  const stub = await startLlmStub(() => 'I built pipelines. '.repeat(20));
+  try {
+    const provider = createAnswerProvider(config(stub.url, { maxChars: 50 }), null, silent);
+    const answer = await provider.answer('Tell us about your work', JOB);
+    assert.ok(answer.length <= 50);
+    assert.match(answer, /pipelines\.$/);
+    assert.match(stub.requests[0].messages[0].content, /at most 50 characters/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('an HTTP error or a timeout leaves the field empty', async () => {
+  const failing = await startServer((req, res) => {
+    res.writeHead(500);
+    res.end();
+  });
+  const hanging = await startServer(() => {});
+  try {
+    const warnings = [];
+    const logger = { warn: (fields) => warnings.push(fields.error) };
+    assert.equal(await createAnswerProvider(config(failing.url), null, logger).answer('Why here?', JOB), null);
+    assert.equal(await createAnswerProvider(config(hanging.url, { timeoutMs: 200 }), null, logger).answer('Why here?', JOB), null);
+    assert.equal(warnings[0], 'answer provider returned HTTP 500');
+    assert.match(warnings[1], /timeout|aborted/i);
+  } finally {
+    await failing.close();
+    await hanging.close();
+  }
+});
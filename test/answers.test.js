@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAnswers, resolveAnswer, answerToText, answerForOptions, normalizeLabel } = require('../lib/answers');
+
+const SKILLS = loadAnswers({ skills: { java: 4, go: 2, r: 3, python: 6, kubernetes: 0 } });
+
+/** The answer for a label as the form shows it, or null. */
+function resolve(label, answerSet, context) {
+  return resolveAnswer(normalizeLabel(label), answerSet, context);
+}
+
+test('skill rules answer their own skill only', () => {
+  const years = resolve('How many years of experience do you have with Java?', SKILLS);
+  assert.deepEqual([years.value, years.type, years.source, years.confidence], [4, 'number', 'skills.java', 1]);
+  assert.equal(resolve('Years of experience with Python', SKILLS).value, 6);
+  assert.equal(resolve('1 year of experience with Go', SKILLS).value, 2);
+  assert.equal(resolve('Do you have experience with R?', SKILLS).value, true);
+  assert.equal(resolve('Do you have experience with Kubernetes?', SKILLS).value, false);
+
+  assert.equal(resolve('Years of experience with JavaScript', SKILLS), null);
+  assert.equal(resolve('Years of experience with Google Cloud', SKILLS), null);
+  assert.equal(resolve('Years of experience with React', SKILLS), null);
+  assert.equal(resolve('Do you have experience with Ruby?', SKILLS), null);
+  assert.equal(resolve('Yearly experience with Java', SKILLS).type, 'boolean', '"year" matches "years" only');
+});
+
+test('rules need every keyword and none of the excluded ones', () => {
+  const answers = loadAnswers({
+    rules: [
+      { match: { keywords: ['sponsorship'], exclude: ['not'] }, value: false, type: 'boolean' },
+      { match: { regex: 'salary|compensation' }, value: 150000, type: 'number' },
+    ],
+  });
+  assert.equal(resolve('Will you require visa sponsorship?', answers).value, false);
+  assert.equal(resolve('Will you not require sponsorship?', answers), null);
+  assert.equal(resolve('Sponsorships offered', answers), null);
+  assert.equal(resolve('Desired compensation', answers).value, 150000);
+});
+
+test('conditions prefer the company rule, then the platform rule', () => {
+  const answers = loadAnswers({
+    rules: [
+      { match: { keywords: ['salary'] }, value: 120000, type: 'number' },
+      { match: { keywords: ['salary'] }, value: 130000, type: 'number', when: { platform: 'Dice' } },
+      { match: { keywords: ['salary'] }, value: 150000, type: 'number', when: { platform: 'dice', company: ['Acme', 'Hooli'] } },
+    ],
+  });
+  assert.equal(resolve('Desired salary', answers).value, 120000);
+  assert.equal(resolve('Desired salary', answers, { platform: 'linkedin', company: 'Acme' }).value, 120000);
+  assert.equal(resolve('Desired salary', answers, { platform: 'dice', company: 'Initech' }).value, 130000);
+  assert.equal(resolve('Desired salary', answers, { platform: 'dice', company: 'hooli' }).value, 150000);
+});
+
+test('rules come before the flat map, which matches fuzzily', () => {
+  const answers = loadAnswers({
+    defaultAnswers: { 'desired salary': '120000', 'linkedin profile': 'https://linkedin.com/in/me' },
+    rules: [{ match: { label: 'desired salary' }, value: 140000, type: 'number' }],
+  });
+  assert.equal(resolve('Desired salary', answers).source, 'rules[0]');
+  const flat = resolve('LinkedIn Profile URL', answers);
+  assert.equal(flat.value, 'https://linkedin.com/in/me');
+  assert.ok(flat.confidence > 0 && flat.confidence < 1);
+  assert.equal(resolve('Favourite colour', answers), null);
+});
+
+test('malformed rules fail when loaded', () => {
+  assert.throws(() => loadAnswers({ rules: [{ match: { regex: '(' }, value: 'x' }] }), /rules\[0\]: invalid regex/);
+  assert.throws(() => loadAnswers({ rules: [{ match: { keywords: ['x'] }, value: 'abc', type: 'number' }] }), /is not a number/);
+  assert.throws(() => loadAnswers({ skills: { python: 'lots' } }), /skills\.python: years must be a number/);
+});
+
+test('typed values render as text and pick options', () => {
+  const answer = (type, value, extra = {}) => ({ type, value, format: null, aliases: [], ...extra });
+  assert.equal(answerToText(answer('boolean', true)), 'Yes');
+  assert.equal(answerToText(answer('number', [120000, 140000])), '120000-140000');
+  assert.equal(answerToText(answer('date', '2026-01-15')), '01/15/2026');
+  assert.equal(answerToText(answer('date', '2026-01-15'), 'date'), '2026-01-15');
+  assert.equal(answerToText(answer('date', '2026-01-15', { format: 'DD.MM.YYYY' })), '15.01.2026');
+
+  assert.equal(answerForOptions(answer('number', 4), ['0-2 years', '3-5 years', '6+ years']), '3-5 years');
+  assert.equal(answerForOptions(answer('number', 8), ['Less than 1 year', '1-5', 'More than 7']), 'More than 7');
+  assert.equal(answerForOptions(answer('boolean', false), ['Yes', 'No']), 'No');
+  assert.equal(answerForOptions(answer('enum', "Master's Degree", { aliases: ['Masters'] }), ['Bachelors', 'Masters', 'PhD']), 'Masters');
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Replace a module's exports before lib/apply-engine.js loads it.
+ */
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+// The page is scripted: each read returns the next list of field errors, and
+// each field's alternatives are handed out in order
+stubModule('../lib/validation-recovery', {
+  readFieldErrors: async (page) => page.rounds.shift() || [],
+  retryField: async (page, error, tried) => {
+    const next = (page.alternatives[error.label] || []).find((a) => !tried.includes(a.value));
+    return next || null;
+  },
+});
+stubModule('../lib/humanize', { ...require('../lib/humanize'), sleep: async () => {} });
+
+const { recoverStep } = require('../lib/apply-engine');
+
+const logger = { debug() {}, info() {}, warn() {} };
+
+function setup(policy, rounds, alternatives, validationRetries) {
+  const recorded = [];
+  const ctx = {
+    platform: 'linkedin',
+    runId: 'run-1',
+    logger,
+    config: { behavior: { lowConfidencePolicy: policy, validationRetries } },
+    state: { recordValidationError: (entry) => recorded.push(entry) },
+  };
+  const page = { rounds, alternatives };
+  const job = { jobId: '42', filledFields: [{ fieldLabel: 'Phone', fieldType: 'text', value: '5551234567', answerKey: 'phone', stepNum: 1 }] };
+  let resubmits = 0;
+  const resubmit = async () => { resubmits++; };
+  return { ctx, page, job, recorded, resubmit, resubmits: () => resubmits };
+}
+
+const PHONE = { label: 'Phone', kind: 'text', message: 'Enter a valid phone number', value: '5551234567' };
+const STATE = { label: 'State', kind: 'select', message: 'Please make a selection', value: '' };
+
+test('recoverStep reformats a rejected value and records it as resolved', async () => {
+  const t = setup('fill', [[PHONE], []], { Phone: [{ value: '555-123-4567', guess: false }] });
+  assert.equal(await recoverStep(t.page, t.job, t.ctx, 1, t.resubmit), true);
+  assert.equal(t.resubmits(), 1);
+  assert.deepEqual(t.job.filledFields, [{ fieldLabel: 'Phone', fieldType: 'text', value: '555-123-4567', answerKey: 'phone', stepNum: 1 }]);
+  assert.equal(t.job.lowConfidenceFields, undefined);
+  assert.deepEqual(t.recorded.map((e) => [e.fieldLabel, e.message, e.tried, e.resolved]),
+    [['Phone', 'Enter a valid phone number', ['555-123-4567'], true]]);
+});
+
+test('recoverStep stops after validationRetries and keeps the blocking fields', async () => {
+  const alternatives = { Phone: ['555-123-4567', '(555) 123-4567', '+15551234567'].map((value) => ({ value, guess: false })) };
+  const t = setup('fill', [[PHONE], [PHONE], [PHONE], [PHONE]], alternatives, 2);
+  assert.equal(await recoverStep(t.page, t.job, t.ctx, 1, t.resubmit), false);
+  assert.equal(t.resubmits(), 2);
+  assert.deepEqual(t.job.blockingFields, ['Phone']);
+  assert.deepEqual(t.recorded.map((e) => [e.tried, e.resolved]), [[['555-123-4567', '(555) 123-4567'], false]]);
+});
+
+test('recoverStep gives up when nothing is left to try', async () => {
+  const t = setup('fill', [[PHONE]], {});
+  assert.equal(await recoverStep(t.page, t.job, t.ctx, 1, t.resubmit), false);
+  assert.equal(t.resubmits(), 0);
+  assert.deepEqual(t.recorded.map((e) => [e.fieldLabel, e.tried, e.resolved]), [['Phone', [], false]]);
+});
+
+test('recoverStep keeps guesses as low-confidence fields', async () => {
+  const t = setup('flag', [[STATE], []], { State: [{ value: 'Utah', guess: true }] });
+  assert.equal(await recoverStep(t.page, t.job, t.ctx, 2, t.resubmit), true);
+  assert.deepEqual(t.job.lowConfidenceFields, [{ fieldLabel: 'State', fieldType: 'select', answer: 'Utah', confidence: 0 }]);
+  assert.equal(t.job.filledFields.at(-1).answerKey, null);
+});
+
+test('recoverStep records the errors before a guess is held for review', async () => {
+  const t = setup('abort', [[PHONE, STATE], []], {
+    Phone: [{ value: '555-123-4567', guess: false }],
+    State: [{ value: 'Utah', guess: true }],
+  });
+  await assert.rejects(recoverStep(t.page, t.job, t.ctx, 3, t.resubmit), (err) => err.code === 'NEEDS_REVIEW');
+  assert.equal(t.resubmits(), 0);
+  assert.deepEqual(t.recorded.map((e) => [e.fieldLabel, e.stepNum, e.message, e.tried, e.resolved]), [
+    ['Phone', 3, 'Enter a valid phone number', ['555-123-4567'], false],
+    ['State', 3, 'Please make a selection', ['Utah'], false],
+  ]);
+  assert.deepEqual(t.job.lowConfidenceFields.map((f) => f.fieldLabel), ['State']);
+});
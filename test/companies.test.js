@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompany, loadCompanyRules, companySkip } = require('../lib/companies');
+
+const DAY = 86400000;
+const noHistory = { getSubmittedCompaniesSince: () => [] };
+
+function config(companies) {
+  return { search: { companies } };
+}
+
+test('normalizeCompany drops case, punctuation and legal suffixes', () => {
+  assert.equal(normalizeCompany('Initech, Inc.'), 'initech');
+  assert.equal(normalizeCompany('ACME Corporation'), 'acme');
+  assert.equal(normalizeCompany('Acme Corp.'), 'acme');
+  assert.equal(normalizeCompany('Globex L.L.C.'), 'globex');
+  assert.equal(normalizeCompany('Smith & Sons Ltd'), 'smith and sons');
+  assert.equal(normalizeCompany('Siemens GmbH'), 'siemens');
+  assert.equal(normalizeCompany('Incorporate Health'), 'incorporate health', 'suffixes are whole words');
+  assert.equal(normalizeCompany(null), '');
+});
+
+test('block entries match exactly, fuzzily or by regex', () => {
+  const rules = config({ block: ['Initech', { fuzzy: 'Acme Recruiting' }, { regex: 'staffing|talent partners' }] });
+  const skip = (company) => companySkip({ company }, rules, noHistory);
+
+  assert.deepEqual(skip('Initech, Inc.'), { skipReason: 'company_blocked', reason: 'matches exact "Initech"' });
+  assert.equal(skip('Initech Labs'), null, 'exact means the whole name');
+  assert.equal(skip('ACME Recruitng LLC').reason, 'matches fuzzy "Acme Recruiting"');
+  assert.equal(skip('Acme Analytics'), null);
+  assert.equal(skip('Robert Half Staffing').reason, 'matches regex "/staffing|talent partners/"');
+  assert.equal(skip('Talent Partners Health').skipReason, 'company_blocked');
+  assert.equal(companySkip({}, rules, noHistory), null, 'unknown company');
+});
+
+test('allow entries exempt a company from the blocklist only', () => {
+  const rules = config({ block: [{ regex: 'staffing|talent partners' }], allow: ['Talent Partners Health'] });
+  assert.equal(companySkip({ company: 'Talent Partners Health, Inc.' }, rules, noHistory), null);
+  assert.equal(companySkip({ company: 'Talent Partners Group' }, rules, noHistory).skipReason, 'company_blocked');
+  assert.equal(companySkip({ company: 'Initech' }, rules, noHistory), null, 'companies not listed are not skipped');
+});
+
+test('the cooldown skips companies submitted to within cooldownDays', () => {
+  let since;
+  const state = {
+    getSubmittedCompaniesSince: (iso) => {
+      since = iso;
+      return [{ company: 'Globex Corporation', platform: 'dice', appliedAt: '2026-10-10T09:00:00.000Z' }];
+    },
+  };
+  const rules = config({ cooldownDays: 30 });
+  const before = Date.now();
+  assert.deepEqual(companySkip({ company: 'Globex Corp.' }, rules, state),
+    { skipReason: 'company_cooldown', reason: 'applied on dice 2026-10-10' });
+  const window = before - Date.parse(since);
+  assert.ok(window >= 30 * DAY - 1000 && window <= 30 * DAY + 1000, 'looks back 30 days');
+
+  assert.equal(companySkip({ company: 'Initech' }, rules, state), null);
+  assert.equal(companySkip({ company: 'Globex' }, config({}), { getSubmittedCompaniesSince: () => assert.fail('no cooldown') }), null);
+});
+
+test('malformed entries fail when loaded', () => {
+  assert.throws(() => loadCompanyRules(config({ block: [{ regex: '(' }] })), /search\.companies\.block\[0\]: invalid regex/);
+  assert.throws(() => loadCompanyRules(config({ allow: [42] })), /search\.companies\.allow\[0\]: expected a company name/);
+  assert.throws(() => loadCompanyRules(config({ cooldownDays: -1 })), /cooldownDays must be a non-negative number/);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { COVER_LETTER_LABEL, loadCoverLetter, renderCoverLetter } = require('../lib/cover-letter');
+
+const USER = { firstName: 'Ada', lastName: 'Lovelace' };
+
+function config(coverLetter, user = USER) {
+  return { user, coverLetter };
+}
+
+const LETTERS = config({
+  templates: [
+    { name: 'general', text: 'Dear {{company}} team,\n\nI am applying for {{title}}. I work with {{skills}}.\n\n\n\n{{paragraphs}}\n\n{{fullName}}' },
+    { name: 'ml', text: 'Hello {{ company }}: ML letter for {{title}}.', keywords: ['machine learning', 'pytorch'] },
+  ],
+  skills: ['python', 'sql', 'pytorch', 'a/b testing', 'spark', 'airflow', 'dbt'],
+  paragraphs: [
+    { keywords: ['experimentation', 'a/b test'], text: 'I ran experiments at {{company}}-scale.' },
+    { keywords: ['spark', 'airflow', 'pipelines'], text: 'I built Spark and Airflow pipelines.' },
+    { keywords: ['kubernetes'], text: 'I ran Kubernetes clusters.' },
+  ],
+  maxParagraphs: 1,
+});
+
+function job(jobTitle, company, description) {
+  return { jobTitle, company, details: { description } };
+}
+
+test('renderCoverLetter fills placeholders from the job, posting and profile', () => {
+  const letter = renderCoverLetter(job('Data Engineer', 'Acme', 'Python, SQL and Spark pipelines with Airflow; some experimentation.'), LETTERS);
+  assert.equal(letter.template, 'general');
+  assert.equal(letter.text, [
+    'Dear Acme team,',
+    'I am applying for Data Engineer. I work with python, sql, spark and airflow.',
+    'I built Spark and Airflow pipelines.',
+    'Ada Lovelace',
+  ].join('\n\n'));
+});
+
+test('renderCoverLetter picks the template with the most keyword hits', () => {
+  const letter = renderCoverLetter(job('Machine Learning Engineer', 'Hooli', 'PyTorch'), LETTERS);
+  assert.deepEqual(letter, { template: 'ml', text: 'Hello Hooli: ML letter for Machine Learning Engineer.' });
+});
+
+test('renderCoverLetter fills missing fields with defaults', () => {
+  const letter = renderCoverLetter({ details: { description: 'Nothing relevant' } }, config(LETTERS.coverLetter, {}));
+  assert.equal(letter.text, 'Dear your company team,\n\nI am applying for this role. I work with python, sql and pytorch.');
+  const dated = renderCoverLetter(job('x', 'y', ''), config({ templates: [{ name: 'd', text: '{{date}}' }] }));
+  assert.match(dated.text, /^[A-Z][a-z]+ \d{1,2}, \d{4}$/);
+  assert.equal(renderCoverLetter(job('x', 'y', ''), { user: USER }), null, 'not configured');
+});
+
+test('loadCoverLetter reads template files and rejects unknown placeholders', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cover-letter-test-'));
+  try {
+    const file = path.join(dir, 'letter.txt');
+    fs.writeFileSync(file, 'To {{company}}');
+    assert.equal(loadCoverLetter(config({ templates: [{ name: 'file', file }] })).templates[0].text, 'To {{company}}');
+    assert.throws(() => loadCoverLetter(config({ templates: [{ name: 'gone', file: path.join(dir, 'missing.txt') }] })),
+      /coverLetter\.templates\[0\]: template file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.throws(() => loadCoverLetter(config({ templates: [{ name: 'x', text: 'Hi {{manager}}' }] })),
+    /coverLetter\.templates\[0\]: unknown placeholder \{\{manager\}\}/);
+  assert.throws(() => loadCoverLetter(config({ templates: [{ name: 'x', text: 'ok' }], paragraphs: [{ keywords: ['a'], text: '{{salary}}' }] })),
+    /coverLetter\.paragraphs\[0\]: unknown placeholder/);
+  assert.throws(() => loadCoverLetter(config({ templates: [] })), /coverLetter\.templates must be a non-empty array/);
+  assert.throws(() => loadCoverLetter(config({ templates: [{ name: 'x' }] })), /expected \{ "name", "text" \}/);
+});
+
+test('COVER_LETTER_LABEL spots cover letter fields', () => {
+  assert.ok(COVER_LETTER_LABEL.test('Cover Letter (optional)'));
+  assert.ok(COVER_LETTER_LABEL.test('Letter of interest'));
+  assert.ok(!COVER_LETTER_LABEL.test('Additional information'));
+});
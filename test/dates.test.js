@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toDate, formatDate, dateFormat } = require('../lib/dates');
+
+const NOW = new Date(2026, 9, 19);
+const day = (value) => formatDate(toDate(value, NOW), 'YYYY-MM-DD');
+
+test('toDate counts notice periods from the run date', () => {
+  assert.equal(day('Immediately'), '2026-10-19');
+  assert.equal(day('+14d'), '2026-11-02');
+  assert.equal(day('2 weeks notice'), '2026-11-02');
+  assert.equal(day('30 days'), '2026-11-18');
+  assert.equal(day('one month'), '2026-11-19');
+  assert.equal(day('a week'), '2026-10-26');
+  assert.equal(toDate('Negotiable', NOW), null);
+});
+
+test('toDate reads every number word up to twelve', () => {
+  assert.equal(day('seven days'), '2026-10-26');
+  assert.equal(day('nine weeks'), '2026-12-21');
+  assert.equal(day('twelve months'), '2027-10-19');
+});
+
+test('dateFormat follows the field type, placeholder or pattern', () => {
+  assert.equal(dateFormat({ type: 'date' }), 'YYYY-MM-DD');
+  assert.equal(dateFormat({ type: 'text', placeholder: 'dd.mm.yyyy' }), 'DD.MM.YYYY');
+  assert.equal(dateFormat({ type: 'text', pattern: '\\d{2}/\\d{2}/\\d{4}' }), 'MM/DD/YYYY');
+  assert.equal(dateFormat({ type: 'text', placeholder: 'Your name' }), null);
+});
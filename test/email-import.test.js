@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readMessages, classifyMessage, matchApplication, importMessages } = require('../lib/email-import');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'email');
+
+/** One fixture message, parsed. */
+function fixture(name) {
+  return readMessages(path.join(FIXTURES, `${name}.eml`))[0];
+}
+
+let nextId = 1;
+function application(company, jobTitle, appliedAt = '2026-10-01T12:00:00.000Z') {
+  return { id: nextId++, platform: 'linkedin', jobId: String(nextId), company, jobTitle, appliedAt, status: 'submitted' };
+}
+
+const APPLICATIONS = [
+  application('Hooli', 'Senior Data Scientist (Remote)'),
+  application('Initech', 'Data Analyst'),
+  application('Globex Corporation', 'Machine Learning Engineer'),
+  application('Acme Analytics', 'Data Scientist'),
+  application('Acme Analytics', 'Analytics Engineer'),
+];
+
+/**
+ * The parts of lib/state.js importMessages() uses, kept in memory.
+ */
+function memoryState(applications) {
+  const emails = new Map();
+  const statuses = [];
+  return {
+    emails,
+    statuses,
+    getSubmittedApplications: () => applications,
+    getEmailMessage: (messageId) => emails.get(messageId),
+    recordEmailMessage: (entry) => emails.set(entry.messageId, entry),
+    getLatestStatus: (applicationId) => statuses.filter((s) => s.applicationId === applicationId).pop(),
+    recordStatus: (entry) => statuses.push(entry),
+  };
+}
+
+const logger = { info() {}, debug() {}, warn() {} };
+
+test('readMessages parses every fixture, decoding encoded subjects', () => {
+  const messages = readMessages(FIXTURES);
+  assert.equal(messages.length, 4);
+  const interview = fixture('interview');
+  assert.equal(interview.subject, 'Globex – next steps for Machine Learning Engineer');
+  assert.equal(interview.messageId, '<CAF3k2-interview-77@mail.globex.io>');
+  assert.equal(interview.receivedAt, '2026-10-08T15:15:40.000Z');
+});
+
+test('classifyMessage sorts each fixture into its category', () => {
+  assert.equal(classifyMessage(fixture('acknowledgement')), 'auto_ack');
+  assert.equal(classifyMessage(fixture('assessment')), 'assessment');
+  assert.equal(classifyMessage(fixture('interview')), 'interview');
+  assert.equal(classifyMessage(fixture('rejection')), 'rejection');
+  assert.equal(classifyMessage({ subject: 'Your weekly digest', text: 'Top stories this week' }), null);
+});
+
+test('matchApplication links each fixture to its application', () => {
+  const matched = (name) => {
+    const match = matchApplication(fixture(name), APPLICATIONS);
+    return match && `${match.application.company} / ${match.application.jobTitle} (${match.matchedOn})`;
+  };
+  assert.equal(matched('acknowledgement'), 'Hooli / Senior Data Scientist (Remote) (company+title)');
+  assert.equal(matched('assessment'), 'Initech / Data Analyst (company+title)');
+  assert.equal(matched('interview'), 'Globex Corporation / Machine Learning Engineer (company+title)');
+  assert.equal(matched('rejection'), 'Acme Analytics / Data Scientist (company+title)');
+});
+
+test('matchApplication does not guess', () => {
+  const rejection = fixture('rejection');
+  assert.equal(matchApplication(rejection, [application('Globex Corporation', 'Data Scientist')]), null, 'other company');
+  assert.equal(matchApplication(rejection, [application('Acme Analytics', 'Data Scientist', '2026-12-01T00:00:00.000Z')]), null,
+    'applied after the email arrived');
+
+  const untitled = { ...rejection, subject: 'Your application at Acme Analytics', text: 'We have decided to move forward with other candidates.' };
+  assert.equal(matchApplication(untitled, APPLICATIONS), null, 'two Acme applications and no title');
+  assert.equal(matchApplication(untitled, [application('Acme Analytics', 'Data Scientist')]).matchedOn, 'company');
+});
+
+test('importMessages records a status per matched message and skips them on re-import', () => {
+  const state = memoryState(APPLICATIONS);
+  const messages = readMessages(FIXTURES);
+
+  const first = importMessages(messages, state, logger);
+  assert.deepEqual({ ...first, unmatched: first.unmatched.length }, { read: 4, known: 0, classified: 4, matched: 4, recorded: 4, unmatched: 0 });
+  assert.deepEqual(state.statuses.map((s) => s.status).sort(), ['acknowledged', 'assessment', 'interview', 'rejected']);
+  assert.ok(state.statuses.every((s) => s.source === 'email'));
+
+  const again = importMessages(messages, state, logger);
+  assert.equal(again.known, 4);
+  assert.equal(again.recorded, 0);
+});
+
+test('importMessages matches a response again once its application exists', () => {
+  const applications = [];
+  const state = memoryState(applications);
+  const messages = [fixture('interview')];
+
+  const first = importMessages(messages, state, logger);
+  assert.equal(first.unmatched.length, 1);
+  assert.equal(state.emails.get(messages[0].messageId).applicationId, null);
+
+  const globex = application('Globex Corporation', 'Machine Learning Engineer');
+  applications.push(globex);
+  const second = importMessages(messages, state, logger);
+  assert.equal(second.known, 0);
+  assert.equal(second.matched, 1);
+  assert.equal(state.emails.get(messages[0].messageId).applicationId, globex.id);
+  assert.deepEqual(state.statuses.map((s) => [s.applicationId, s.status]), [[globex.id, 'interview']]);
+
+  assert.equal(importMessages(messages, state, logger).known, 1);
+});
+
+test('importMessages does not retry messages that are not recruiter responses', () => {
+  const state = memoryState(APPLICATIONS);
+  const digest = { messageId: '<digest@x>', from: 'news@example.com', subject: 'Weekly digest', receivedAt: null, text: 'Top stories' };
+  importMessages([digest], state, logger);
+  assert.equal(importMessages([digest], state, logger).known, 1);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanTitle, normalizeLocation, fingerprintJob, findDuplicate, rememberJob } = require('../lib/fingerprint');
+
+const DESCRIPTION = 'Join our analytics team to build forecasting models in Python and SQL. '
+  + 'You will partner with product managers, run experiments and present results to leadership.';
+
+test('cleanTitle drops requisition ids and work-mode noise', () => {
+  assert.equal(cleanTitle('Data Scientist (Remote) - Contract #4411'), 'data scientist');
+  assert.equal(cleanTitle('Data Scientist, Req ID: R-12345'), 'data scientist');
+  assert.equal(cleanTitle('Job #123 Data Analyst'), 'data analyst');
+  assert.equal(cleanTitle('Senior Data Scientist [REQ-123]'), 'senior data scientist');
+  assert.equal(cleanTitle('Full-Time Data Engineer - W2'), 'data engineer');
+  assert.equal(cleanTitle('On-site Data Analyst | Hybrid'), 'data analyst');
+});
+
+test('cleanTitle spells out Sr. and Jr. and keeps words that only look like noise', () => {
+  assert.equal(cleanTitle('Sr. Data Scientist'), cleanTitle('Senior Data Scientist'));
+  assert.equal(cleanTitle('Jr Data Analyst'), 'junior data analyst');
+  assert.equal(cleanTitle('Identity Engineer'), 'identity engineer');
+  assert.equal(cleanTitle('C# Developer'), 'c# developer');
+  assert.equal(cleanTitle('Software Engineer, C++'), 'software engineer c++');
+  assert.equal(cleanTitle('Contracts Manager'), 'contracts manager');
+  assert.equal(cleanTitle(undefined), '');
+});
+
+test('normalizeLocation collapses remote and drops the country', () => {
+  assert.equal(normalizeLocation('Salt Lake City, UT (Hybrid)'), 'salt lake city ut');
+  assert.equal(normalizeLocation('Salt Lake City, UT, United States'), 'salt lake city ut');
+  assert.equal(normalizeLocation('Remote - US'), 'remote');
+  assert.equal(normalizeLocation('United States (Remote)'), 'remote');
+  assert.equal(normalizeLocation('USA'), '');
+  assert.equal(normalizeLocation(null), '');
+});
+
+test('fingerprintJob prefers the location read from the detail view', () => {
+  const fp = fingerprintJob({ jobTitle: 'Sr. Data Scientist', company: 'Acme, Inc.', location: 'Utah', details: { location: 'Remote', description: '  Build  MODELS ' } });
+  assert.deepEqual(fp, { companyKey: 'acme', titleKey: 'senior data scientist', locationKey: 'remote', description: 'build models' });
+});
+
+/**
+ * A state with the fingerprints stored by rememberJob().
+ */
+function memoryState() {
+  const rows = [];
+  return {
+    saveFingerprint: (row) => rows.push(row),
+    getFingerprints: (companyKey, titleKey) => rows.filter((r) => r.companyKey === companyKey && r.titleKey === titleKey),
+  };
+}
+
+function posting(jobId, location, description) {
+  return { jobId, jobTitle: 'Data Scientist (Remote)', company: 'Acme Analytics LLC', location, details: description ? { description } : undefined };
+}
+
+test('findDuplicate skips the same posting seen on another board', () => {
+  const state = memoryState();
+  rememberJob(posting('li-1', 'Salt Lake City, UT', DESCRIPTION), 'linkedin', state);
+
+  const sameJob = { ...posting('dice-9', 'Salt Lake City, UT, United States', DESCRIPTION), jobTitle: 'Data Scientist - Job ID 777' };
+  assert.deepEqual(findDuplicate(sameJob, 'dice', state), {
+    skipReason: 'duplicate_of:linkedin:li-1',
+    reason: 'same company, title and location; description 100% similar',
+  });
+  assert.equal(findDuplicate(posting('dice-9', 'Salt Lake City'), 'dice', state).reason, 'same company, title and location',
+    'one location contains the other; no description to compare');
+  assert.equal(findDuplicate(posting('dice-9', null, DESCRIPTION), 'dice', state).skipReason, 'duplicate_of:linkedin:li-1',
+    'unknown location');
+});
+
+test('findDuplicate needs a compatible location and a similar description', () => {
+  const state = memoryState();
+  rememberJob(posting('li-1', 'Salt Lake City, UT', DESCRIPTION), 'linkedin', state);
+
+  assert.equal(findDuplicate(posting('dice-9', 'Denver, CO', DESCRIPTION), 'dice', state), null);
+  assert.equal(findDuplicate(posting('dice-9', 'Salt Lake City, UT', 'Own the data platform: Kafka, Flink and Kubernetes on call.'), 'dice', state),
+    null, 'different description');
+  assert.equal(findDuplicate({ ...posting('dice-9', 'Salt Lake City, UT'), jobTitle: 'Data Engineer' }, 'dice', state), null);
+  assert.equal(findDuplicate({ ...posting('dice-9', 'Salt Lake City, UT'), company: 'Globex' }, 'dice', state), null);
+  assert.equal(findDuplicate({ ...posting('dice-9', 'Salt Lake City, UT'), company: '' }, 'dice', state), null);
+});
+
+test('findDuplicate never matches the job against its own row', () => {
+  const state = memoryState();
+  const job = posting('li-1', 'Salt Lake City, UT', DESCRIPTION);
+  rememberJob(job, 'linkedin', state);
+  assert.equal(findDuplicate(job, 'linkedin', state), null);
+  assert.equal(findDuplicate(job, 'indeed', state).skipReason, 'duplicate_of:linkedin:li-1', 'same id on another board');
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalary, parsePostedAt, inferSeniority, normalizeDetails } = require('../lib/job-details');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+test('parseSalary reads ranges, K amounts and the pay period', () => {
+  assert.deepEqual(parseSalary('$140K-$170K/yr'), { salaryText: '$140K-$170K/yr', salaryMin: 140000, salaryMax: 170000, salaryPeriod: 'year' });
+  assert.deepEqual(parseSalary('$120,000 - $150,000 a year'),
+    { salaryText: '$120,000 - $150,000 a year', salaryMin: 120000, salaryMax: 150000, salaryPeriod: 'year' });
+  assert.equal(parseSalary('$60 an hour').salaryPeriod, 'hour');
+  assert.deepEqual([parseSalary('$52.50/hr').salaryMin, parseSalary('$52.50/hr').salaryPeriod], [52.5, 'hour']);
+  assert.equal(parseSalary('$8,000 a month').salaryPeriod, 'month');
+  assert.equal(parseSalary('$1,500 per week').salaryPeriod, 'week');
+});
+
+test('parseSalary takes amounts in the thousands as yearly when no period is stated', () => {
+  assert.equal(parseSalary('$95k').salaryPeriod, 'year');
+  assert.equal(parseSalary('$1,000 - $2,000').salaryPeriod, 'year');
+  assert.equal(parseSalary('$45 - $60').salaryPeriod, null);
+  assert.deepEqual(parseSalary('Competitive'), { salaryText: 'Competitive', salaryMin: null, salaryMax: null, salaryPeriod: null });
+  assert.deepEqual(parseSalary(null), { salaryText: null, salaryMin: null, salaryMax: null, salaryPeriod: null });
+});
+
+test('parsePostedAt turns relative and absolute dates into a day', () => {
+  assert.equal(parsePostedAt('Just posted', NOW), '2026-10-19');
+  assert.equal(parsePostedAt('5 hours ago', NOW), '2026-10-19');
+  assert.equal(parsePostedAt('yesterday', NOW), '2026-10-18');
+  assert.equal(parsePostedAt('Posted 3 days ago', NOW), '2026-10-16');
+  assert.equal(parsePostedAt('30+ days ago', NOW), '2026-09-19');
+  assert.equal(parsePostedAt('2 weeks ago', NOW), '2026-10-05');
+  assert.equal(parsePostedAt('1 month ago', NOW), '2026-09-19');
+  assert.equal(parsePostedAt('Posted on 2026-10-01', NOW), '2026-10-01');
+  assert.equal(parsePostedAt('sometime', NOW), null);
+  assert.equal(parsePostedAt(null, NOW), null);
+});
+
+test('inferSeniority keeps the stated level and otherwise reads the title', () => {
+  assert.equal(inferSeniority('Mid-Senior level', 'Data Scientist I'), 'Mid-Senior level');
+  assert.equal(inferSeniority(null, 'Senior Staff Engineer'), 'staff');
+  assert.equal(inferSeniority(null, 'Lead Senior Data Scientist'), 'lead');
+  assert.equal(inferSeniority(null, 'Sr. Data Scientist'), 'senior');
+  assert.equal(inferSeniority(null, 'Data Engineer III'), 'senior');
+  assert.equal(inferSeniority(null, 'Data Scientist II'), 'mid');
+  assert.equal(inferSeniority(null, 'Data Science Intern'), 'intern');
+  assert.equal(inferSeniority(null, 'VP of Data'), 'director');
+  assert.equal(inferSeniority(null, 'Associate Data Analyst'), 'entry');
+  assert.equal(inferSeniority(null, 'Data Scientist'), null);
+  assert.equal(inferSeniority(null, null), null);
+});
+
+test('inferSeniority reads a trailing "I" as entry level only as a level suffix', () => {
+  assert.equal(inferSeniority(null, 'Data Scientist I'), 'entry');
+  assert.equal(inferSeniority(null, 'Data Scientist I (Remote)'), 'entry');
+  assert.equal(inferSeniority(null, 'Data Scientist I - Salt Lake City'), 'entry');
+  assert.equal(inferSeniority(null, 'Data Analyst, I&T Operations'), null);
+});
+
+test('normalizeDetails fills the jobs table shape', () => {
+  const details = normalizeDetails({ description: 'Line one\n\n\n\nLine two  ', salary: '$60 an hour', posted: 'today' }, { jobTitle: 'Sr. Analyst', location: 'Remote' });
+  assert.equal(details.description, 'Line one\n\nLine two');
+  assert.equal(details.location, 'Remote');
+  assert.equal(details.salaryPeriod, 'hour');
+  assert.equal(details.seniority, 'senior');
+  assert.match(details.postedAt, /^\d{4}-\d{2}-\d{2}$/);
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeField, parseValidationMessage, numericAnswer } = require('../lib/numeric');
+
+test('describeField reads "rate" as pay only with pay context', () => {
+  assert.equal(describeField('What is your hourly rate?').salary, true);
+  assert.equal(describeField('Desired rate ($)').salary, true);
+  assert.equal(describeField('Rate per hour').salary, true);
+  assert.equal(describeField('What is your rate?').salary, true);
+  assert.equal(describeField('Please rate your proficiency in Python (1-10)').salary, false);
+  assert.equal(describeField('Rate yourself on SQL').salary, false);
+});
+
+test('describeField reads "month" as a pay period, not a duration', () => {
+  assert.equal(describeField('Expected salary per month').period, 'month');
+  assert.equal(describeField('Monthly salary expectation').period, 'month');
+  assert.equal(describeField('Desired pay ($/mo)').period, 'month');
+  assert.equal(describeField('Expected salary for this 12-month contract').period, 'year');
+  assert.equal(describeField('Are you available for a 6 month contract?').period, 'year');
+  assert.equal(describeField('Desired hourly rate').period, 'hour');
+});
+
+test('parseValidationMessage reads bounds and number kind', () => {
+  assert.deepEqual(parseValidationMessage('Enter a whole number between 0 and 99'), { integer: true, min: 0, max: 99 });
+  assert.deepEqual(parseValidationMessage('Enter a decimal number larger than 0.0'), { decimal: true, min: 0.1 });
+  assert.equal(parseValidationMessage(''), null);
+});
+
+test('numericAnswer converts annual salaries to the field', () => {
+  assert.equal(numericAnswer('Expected salary per month', '120000'), '10000');
+  assert.equal(numericAnswer('Expected salary for this 12-month contract', '120000'), '120000');
+  assert.equal(numericAnswer('Desired hourly rate', '$104,000'), '50');
+  assert.equal(numericAnswer('Salary range (in thousands)', '120000-140000'), '120 - 140');
+  assert.equal(numericAnswer('Rate your proficiency (1-10)', '8', { type: 'number', step: '1' }), '8');
+  assert.equal(numericAnswer('Years of experience', '3', { type: 'number' }), '3.0');
+  assert.equal(numericAnswer('Years of experience', 'Negotiable'), null);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { containsTerm, scoreJob, relevanceSkip } = require('../lib/relevance');
+
+const RELEVANCE = {
+  minScore: 0.5,
+  positiveKeywords: ['python', 'machine learning', 'sql', 'spark'],
+  negativeKeywords: ['clearance', 'php'],
+  requiredSkills: ['python'],
+  titleExcludes: ['principal', 'intern'],
+};
+
+function job(jobTitle, description) {
+  return description === undefined ? { jobTitle } : { jobTitle, details: { description } };
+}
+
+test('containsTerm matches whole words, including terms like c++', () => {
+  assert.equal(containsTerm('Senior Java Developer', 'java'), true);
+  assert.equal(containsTerm('JavaScript Developer', 'java'), false);
+  assert.equal(containsTerm('C++ and Python', 'c++'), true);
+  assert.equal(containsTerm('Internal tools', 'intern'), false);
+});
+
+test('title excludes score 0 on the card alone', () => {
+  assert.deepEqual(scoreJob(job('Principal Data Scientist'), RELEVANCE),
+    { score: 0, reason: 'title excludes "principal"', excluded: true });
+  assert.equal(scoreJob(job('Data Science Intern'), RELEVANCE).excluded, true);
+  assert.equal(scoreJob(job('Data Scientist, Internal Tools'), RELEVANCE).excluded, false);
+});
+
+test('required skills are only checked once the description is known', () => {
+  assert.equal(scoreJob(job('Data Scientist'), RELEVANCE).excluded, false);
+  assert.deepEqual(scoreJob(job('Data Scientist', 'R and SQL on Spark'), RELEVANCE),
+    { score: 0, reason: 'missing required skill "python"', excluded: true });
+  assert.equal(scoreJob(job('Python Developer', 'Build APIs'), RELEVANCE).excluded, false, 'the title counts');
+});
+
+test('positive keywords give full credit at three hits and negatives halve the score', () => {
+  const score = (description, relevance = RELEVANCE) => scoreJob(job('Data Scientist', description), relevance).score;
+  assert.equal(score('Python'), 1 / 3);
+  assert.equal(score('Python and SQL'), 2 / 3);
+  assert.equal(score('Python, SQL and machine learning'), 1);
+  assert.equal(score('Python, SQL, Spark and machine learning'), 1);
+  assert.equal(score('Python, SQL and Spark; clearance required'), 0.5);
+  assert.equal(score('Python, SQL and Spark; clearance required; some PHP'), 0.25);
+  assert.equal(score('Python', { positiveKeywords: ['python', 'sql'] }), 0.5, 'fewer than three listed');
+  assert.equal(score('anything', {}), 1, 'no keywords configured');
+  assert.equal(scoreJob(job('Data Scientist', 'Python and SQL; PHP'), RELEVANCE).reason, '2/4 positive; negative: php');
+});
+
+test('relevanceSkip compares the score with minScore only after the description is read', () => {
+  const config = { search: { relevance: RELEVANCE } };
+  assert.equal(relevanceSkip(job('Data Scientist'), config), null);
+  assert.deepEqual(relevanceSkip(job('Principal Data Scientist'), config),
+    { skipReason: 'low_relevance:0.00', reason: 'title excludes "principal"' });
+
+  const weak = job('Data Scientist', 'Python');
+  assert.equal(relevanceSkip(weak, config, false), null);
+  assert.equal(relevanceSkip(weak, config, true).skipReason, 'low_relevance:0.33');
+
+  // At the threshold the job is kept; just below it is skipped
+  const atThreshold = { search: { relevance: { ...RELEVANCE, minScore: 2 / 3 } } };
+  assert.equal(relevanceSkip(job('Data Scientist', 'Python and SQL'), atThreshold, true), null);
+  assert.equal(relevanceSkip(job('Data Scientist', 'Python and SQL; PHP'), atThreshold, true).skipReason, 'low_relevance:0.33');
+  assert.equal(relevanceSkip(job('Data Scientist', 'Python'), { search: { relevance: { positiveKeywords: ['sql', 'spark'] } } }, true)
+    .skipReason, 'low_relevance:0.00', 'default minScore 0.3');
+  assert.equal(relevanceSkip(weak, {}, true), null, 'no relevance block');
+});
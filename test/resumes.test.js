@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadResumes, selectResume } = require('../lib/resumes');
+
+const CONFIG = {
+  user: {
+    resumes: [
+      { name: 'data-science', path: './resumes/ds.pdf', keywords: ['data scientist', 'statistics', 'experimentation'] },
+      { name: 'ml-engineering', path: './resumes/mle.pdf', keywords: ['machine learning engineer', 'pytorch', 'mlops'] },
+      { name: 'analyst', path: './resumes/analyst.pdf', label: 'Analyst Resume', keywords: ['analyst', 'tableau'] },
+    ],
+  },
+};
+
+function job(jobTitle, description) {
+  return { jobTitle, details: description ? { description } : undefined };
+}
+
+test('loadResumes resolves paths and defaults labels to the file name', () => {
+  const [ds, , analyst] = loadResumes(CONFIG);
+  assert.equal(ds.path, path.resolve(process.cwd(), 'resumes/ds.pdf'));
+  assert.equal(ds.label, 'ds.pdf');
+  assert.equal(analyst.label, 'Analyst Resume');
+  assert.equal(loadResumes(CONFIG)[0], ds, 'cached per config');
+});
+
+test('loadResumes falls back to resumePath and rejects malformed lists', () => {
+  assert.deepEqual(loadResumes({ user: { resumePath: './cv.pdf' } }).map((r) => [r.name, r.label]), [['default', 'cv.pdf']]);
+  assert.equal(loadResumes({}).at(0).label, 'resume.pdf');
+  assert.throws(() => loadResumes({ user: { resumes: [] } }), /user\.resumes must be a non-empty array/);
+  assert.throws(() => loadResumes({ user: { resumes: [{ name: 'x' }] } }), /user\.resumes\[0\]: expected/);
+  assert.throws(() => loadResumes({ user: { resumes: [{ name: 'x', path: 'a.pdf' }, { name: 'x', path: 'b.pdf' }] } }),
+    /user\.resumes\[1\]: duplicate name "x"/);
+});
+
+test('selectResume weighs title keywords above description keywords', () => {
+  const mle = selectResume(job('Machine Learning Engineer', 'Statistics and experimentation a plus; PyTorch required.'), CONFIG);
+  assert.deepEqual([mle.name, mle.score, mle.reason], ['ml-engineering', 4, 'matched machine learning engineer, pytorch']);
+
+  const ds = selectResume(job('Data Analyst', 'Statistics, experimentation and a data scientist mindset'), CONFIG);
+  assert.deepEqual([ds.name, ds.score], ['data-science', 3], 'three description hits tie one title hit; the first listed wins');
+
+  assert.equal(selectResume(job('Business Analyst', 'Tableau dashboards'), CONFIG).name, 'analyst');
+});
+
+test('selectResume falls back to the first variant when nothing matches', () => {
+  const picked = selectResume(job('Account Executive'), CONFIG);
+  assert.deepEqual([picked.name, picked.score, picked.reason], ['data-science', 0, 'no keyword matched']);
+});
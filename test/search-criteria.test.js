@@ -0,0 +1,152 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchCriteria, parseDays, criteriaSkip, FIELDS } = require('../lib/search-criteria');
+
+const adapters = Object.fromEntries(['linkedin', 'indeed', 'dice', 'jobright']
+  .map((name) => [name, require(`../modules/${name}`).adapter]));
+
+const LOCAL = {
+  keywords: ['data scientist'],
+  location: 'Salt Lake City, UT',
+  radius: '50 miles',
+  datePosted: 'Past week',
+  experienceLevel: ['Entry level', 'Mid-Senior level'],
+  jobType: ['Full-time', 'Contract'],
+};
+const REMOTE = { keywords: 'ml engineer', remoteOnly: true };
+
+/**
+ * The board's search URL for a config.search, split into its parts.
+ */
+function translate(platform, search) {
+  const { url, unsupported } = adapters[platform].translateSearch(searchCriteria({ search }));
+  const parsed = new URL(url);
+  return { origin: parsed.origin, pathname: parsed.pathname, params: Object.fromEntries(parsed.searchParams), unsupported };
+}
+
+test('parseDays reads datePosted and defaults to the past 24 hours', () => {
+  assert.equal(parseDays(undefined, 'datePosted'), 1);
+  assert.equal(parseDays('', 'datePosted'), 1);
+  assert.equal(parseDays('Past 24 hours', 'datePosted'), 1);
+  assert.equal(parseDays('3 days', 'datePosted'), 3);
+  assert.equal(parseDays('Past week', 'datePosted'), 7);
+  assert.equal(parseDays('Past month', 'datePosted'), 30);
+  assert.equal(parseDays('72 hours', 'datePosted'), 3);
+  assert.equal(parseDays(14, 'datePosted'), 14);
+  assert.equal(parseDays('Any time', 'datePosted'), null);
+  assert.throws(() => parseDays('soon', 'datePosted'), /search\.datePosted: unknown value "soon"/);
+  assert.equal(searchCriteria({ search: {} }).datePosted, 1);
+});
+
+test('searchCriteria normalizes config.search', () => {
+  assert.deepEqual(searchCriteria({ search: LOCAL }), {
+    keywords: ['data scientist'],
+    location: 'Salt Lake City, UT',
+    remote: 'include',
+    radius: 50,
+    datePosted: 7,
+    experienceLevel: ['entry', 'mid_senior'],
+    jobType: ['full_time', 'contract'],
+  });
+  assert.equal(searchCriteria({ search: { radius: '40 km' } }).radius, 25);
+  assert.equal(searchCriteria({ search: { includeRemote: false } }).remote, 'exclude');
+  assert.throws(() => searchCriteria({ search: { jobType: 'gig' } }), /search\.jobType: unknown value "gig"/);
+});
+
+test('LinkedIn expresses every criterion in its URL', () => {
+  const local = translate('linkedin', LOCAL);
+  assert.equal(local.origin + local.pathname, 'https://www.linkedin.com/jobs/search/');
+  assert.deepEqual(local.params, {
+    keywords: 'data scientist',
+    location: 'Salt Lake City, UT',
+    distance: '50',
+    f_AL: 'true',
+    f_TPR: 'r604800',
+    f_E: '2,4',
+    f_JT: 'F,C',
+  });
+  assert.deepEqual(local.unsupported, []);
+
+  const remote = translate('linkedin', REMOTE);
+  assert.deepEqual(remote.params, { keywords: 'ml engineer', geoId: '103644278', f_AL: 'true', f_TPR: 'r86400', f_WT: '2' });
+  assert.deepEqual(remote.unsupported, []);
+});
+
+test('Indeed takes one job type and level, and leaves several to the post-filter', () => {
+  const local = translate('indeed', LOCAL);
+  assert.equal(local.origin + local.pathname, 'https://www.indeed.com/jobs');
+  assert.deepEqual(local.params, {
+    q: 'data scientist',
+    l: 'Salt Lake City, UT',
+    radius: '50',
+    fromage: '7',
+    sc: '0kf:attr(DSQF7);',
+  });
+  assert.deepEqual(local.unsupported.sort(), ['experienceLevel', 'jobType']);
+
+  const remote = translate('indeed', REMOTE);
+  assert.equal(remote.params.l, 'Remote');
+  assert.equal(remote.params.fromage, '1');
+  assert.ok(remote.params.remotejob);
+  assert.deepEqual(remote.unsupported, []);
+
+  const single = translate('indeed', { keywords: 'x', jobType: 'Contract', experienceLevel: 'Entry level', datePosted: '30 days' });
+  assert.equal(single.params.l, 'United States');
+  assert.equal(single.params.jt, 'contract');
+  assert.equal(single.params.explvl, 'ENTRY_LEVEL');
+  assert.equal(single.params.fromage, undefined, 'Indeed offers 14 days at most');
+  assert.deepEqual(single.unsupported, ['datePosted']);
+});
+
+test('Dice maps dates and job types to its filters and post-filters experience level', () => {
+  const local = translate('dice', LOCAL);
+  assert.equal(local.origin + local.pathname, 'https://www.dice.com/jobs');
+  assert.deepEqual(local.params, {
+    q: 'data scientist',
+    location: 'Salt Lake City, UT',
+    radius: '50',
+    radiusUnit: 'mi',
+    'filters.postedDate': 'SEVEN',
+    'filters.employmentType': 'FULLTIME|CONTRACTS',
+  });
+  assert.deepEqual(local.unsupported, ['experienceLevel']);
+
+  const remote = translate('dice', REMOTE);
+  assert.deepEqual(remote.params, { q: 'ml engineer', 'filters.postedDate': 'ONE', 'filters.workplaceTypes': 'Remote' });
+});
+
+test('Jobright searches keywords only and post-filters everything else', () => {
+  const local = translate('jobright', LOCAL);
+  assert.equal(local.origin + local.pathname, 'https://jobright.ai/jobs');
+  assert.deepEqual(local.params, { q: 'data scientist' });
+  assert.deepEqual(local.unsupported.sort(), [...FIELDS].sort());
+});
+
+test('criteriaSkip applies the criteria a board could not express', () => {
+  const criteria = searchCriteria({ search: LOCAL });
+  const remoteOnly = searchCriteria({ search: REMOTE });
+
+  assert.equal(criteriaSkip({ location: 'Denver, CO' }, criteria, []), null, 'nothing unsupported, nothing skipped');
+  assert.equal(criteriaSkip({ location: 'Denver, CO' }, criteria, ['location']).skipReason, 'search_filter:location');
+  assert.equal(criteriaSkip({ location: 'Salt Lake City, UT' }, criteria, ['location']), null);
+  assert.equal(criteriaSkip({ location: 'Provo, UT' }, criteria, ['location']), null, 'the state matches');
+  assert.equal(criteriaSkip({ location: 'Austin, TX' }, { ...criteria, location: 'UT' }, ['location']).skipReason,
+    'search_filter:location', '"ut" is not a substring match');
+  assert.equal(criteriaSkip({ location: 'Remote' }, criteria, ['location']), null);
+
+  assert.equal(criteriaSkip({ location: 'Denver, CO' }, remoteOnly, ['remote']).skipReason, 'search_filter:remote');
+  assert.equal(criteriaSkip({ location: 'Remote (US)' }, remoteOnly, ['remote']), null);
+
+  const old = { details: { postedAt: new Date(Date.now() - 30 * 86400000).toISOString() } };
+  assert.equal(criteriaSkip(old, criteria, ['datePosted']).skipReason, 'search_filter:date_posted');
+  assert.equal(criteriaSkip({ details: { postedAt: new Date().toISOString() } }, criteria, ['datePosted']), null);
+
+  assert.equal(criteriaSkip({ jobTitle: 'Director of Data Science' }, criteria, ['experienceLevel']).skipReason,
+    'search_filter:experience_level');
+  assert.equal(criteriaSkip({ jobTitle: 'Senior Data Scientist' }, criteria, ['experienceLevel']), null);
+
+  assert.equal(criteriaSkip({ jobTitle: 'Data Scientist (Part-time)' }, criteria, ['jobType']).skipReason, 'search_filter:job_type');
+  assert.equal(criteriaSkip({ jobTitle: 'Data Scientist' }, criteria, ['jobType']), null, 'unknown type passes');
+});
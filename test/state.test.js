@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// lib/state.js opens db/applications.db in the working directory
+const cwd = process.cwd();
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+process.chdir(tmp);
+const state = require('../lib/state');
+process.chdir(cwd);
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let nextJob = 1;
+
+/**
+ * Record one attempt per status ("status" or "status:skipReason") for a new
+ * job; returns the job id and row ids.
+ */
+function attempts(...statuses) {
+  const jobId = `job-${nextJob++}`;
+  const ids = statuses.map((entry) => {
+    const [status, ...reason] = entry.split(':');
+    return state.recordApplication({
+      platform: 'linkedin', jobId, jobTitle: 'Data Scientist', company: 'Acme', status, skipReason: reason.join(':'), runId: 'test',
+    });
+  });
+  return { jobId, ids };
+}
+
+test('getSubmittedApplications keeps jobs seen again after they were submitted', () => {
+  const seenAgain = attempts('error', 'submitted', 'already_applied:already_applied_db', 'skipped:company_cooldown');
+  const resubmitted = attempts('submitted', 'submitted');
+  const never = attempts('skipped', 'dry_run');
+
+  const rows = state.getSubmittedApplications();
+  const byJob = new Map(rows.map((r) => [r.jobId, r]));
+  assert.equal(byJob.get(seenAgain.jobId).id, seenAgain.ids[1]);
+  assert.equal(byJob.get(seenAgain.jobId).status, 'submitted');
+  assert.equal(byJob.get(resubmitted.jobId).id, resubmitted.ids[1]);
+  assert.equal(byJob.has(never.jobId), false);
+});
+
+test('getReviewQueue keeps a held job until it is submitted or applied to on the board', () => {
+  const field = [{ fieldLabel: 'Desired salary', fieldType: 'text', answer: '120000', confidence: 0.4 }];
+  const hold = (...statuses) => {
+    const job = attempts(...statuses);
+    job.ids.forEach((id, i) => {
+      if (statuses[i] === 'needs_review') state.recordReviewFields(id, field);
+    });
+    return job;
+  };
+  const skippedSince = hold('needs_review', 'skipped:company_cooldown', 'already_applied:already_applied_db', 'error');
+  const heldTwice = hold('needs_review', 'needs_review');
+  const submitted = hold('needs_review', 'submitted');
+  const appliedOnBoard = hold('needs_review', 'skipped:search_filter:location', 'already_applied:already_applied_linkedin');
+
+  const queued = new Map(state.getReviewQueue('linkedin').map((r) => [r.jobId, r]));
+  assert.equal(queued.get(skippedSince.jobId).id, skippedSince.ids[0]);
+  assert.deepEqual(queued.get(skippedSince.jobId).fields.map((f) => f.fieldLabel), ['Desired salary']);
+  assert.equal(queued.get(heldTwice.jobId).id, heldTwice.ids[1]);
+  assert.equal(queued.has(submitted.jobId), false);
+  assert.equal(queued.has(appliedOnBoard.jobId), false);
+  assert.deepEqual(state.getReviewQueue('dice'), []);
+});
+
+function discover(jobId, eligible, fields = {}) {
+  state.queueJob({
+    platform: 'dice', jobId, jobTitle: `Job ${jobId}`, company: 'Acme', jobUrl: `https://www.dice.com/job-detail/${jobId}`,
+    searchName: 'queue-test', eligible, skipReason: eligible ? null : 'company_cooldown', runId: 'discover-1', ...fields,
+  });
+  return state.getQueuedJob('dice', jobId);
+}
+
+test('queued jobs move from pending to approved to done', () => {
+  const job = discover('q-1', true);
+  assert.deepEqual([job.status, job.eligible, job.decidedAt], ['pending', 1, null]);
+
+  state.setQueueStatus([job.id], 'approved');
+  const approved = state.getQueuedJob('dice', 'q-1');
+  assert.equal(approved.status, 'approved');
+  assert.ok(approved.decidedAt);
+  assert.deepEqual(state.getQueuedJobs({ status: 'approved', searchName: 'queue-test' }).map((r) => r.jobId), ['q-1']);
+
+  const { ids: [applicationId] } = attempts('submitted');
+  state.setQueueStatus([job.id], 'done', applicationId);
+  const done = state.getQueuedJob('dice', 'q-1');
+  assert.deepEqual([done.status, done.applicationId], ['done', applicationId]);
+
+  state.setQueueStatus([job.id], 'pending');
+  const reset = state.getQueuedJob('dice', 'q-1');
+  assert.deepEqual([reset.status, reset.decidedAt, reset.applicationId], ['pending', null, applicationId]);
+});
+
+test('queueJob refreshes a queued job without changing its decision', () => {
+  const job = discover('q-2', false);
+  state.setQueueStatus([job.id], 'rejected');
+  const again = discover('q-2', true, { jobTitle: 'Renamed', description: 'Now with a description' });
+  assert.deepEqual([again.id, again.status, again.eligible, again.skipReason], [job.id, 'rejected', 0, 'company_cooldown']);
+  assert.deepEqual([again.jobTitle, again.description], ['Renamed', 'Now with a description']);
+  assert.deepEqual(state.getQueueRunCounts('discover-1').dice, { eligible: 1, ineligible: 1 });
+});
+
+test('queue.js approve takes eligible jobs unless ids or --ineligible are given', () => {
+  const queue = (...args) => execFileSync(process.execPath, [path.join(__dirname, '..', 'queue.js'), ...args], { cwd: tmp, encoding: 'utf8' });
+  const status = (jobId) => state.getQueuedJob('dice', jobId).status;
+  const eligible = discover('q-3', true, { searchName: 'cli' });
+  const ineligible = discover('q-4', false, { searchName: 'cli' });
+  const finished = discover('q-5', true, { searchName: 'cli' });
+  state.setQueueStatus([finished.id], 'done');
+
+  assert.match(queue('approve', '--search', 'cli'), /1 job\(s\) marked approved/);
+  assert.deepEqual(['q-3', 'q-4', 'q-5'].map(status), ['approved', 'pending', 'done']);
+
+  queue('approve', '--id', String(ineligible.id));
+  assert.equal(status('q-4'), 'approved');
+
+  assert.match(queue('reset', '--search', 'cli'), /2 job\(s\) marked pending \(1 unchanged\)/);
+  assert.deepEqual(['q-3', 'q-4', 'q-5'].map(status), ['pending', 'pending', 'done']);
+
+  queue('approve', '--search', 'cli', '--ineligible');
+  assert.deepEqual(['q-3', 'q-4'].map(status), ['pending', 'approved']);
+  queue('reject', '--company', 'acme', '--search', 'cli');
+  assert.deepEqual([eligible.id, ineligible.id].map((id) => state.getQueuedJobs({ ids: [id] })[0].status), ['rejected', 'approved']);
+});
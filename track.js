@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * track.js — Follow up on submitted applications.
+ *
+ * Usage:
+ *   node track.js                            # Check every enabled platform
+ *   node track.js --platform linkedin        # Check one platform
+ *   node track.js --headless                 # Run in headless mode
+ *   node track.js --help                     # Show usage
+ *
+ * Opens each platform's applied-jobs dashboard with the saved session, reads
+ * the status shown for every application (viewed, in review, rejected,
+ * closed, ...) and appends changes to the status_history table. Response and
+ * rejection rates are reported by benchmark.js.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs');
+
+const configPath = path.join(__dirname, 'config.json');
+if (!fs.existsSync(configPath)) {
+  console.error('Error: missing config.json. Copy from config.json.example:\n  cp config.json.example config.json');
+  process.exit(2);
+}
+const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+const logger = require('./lib/logger');
+const state = require('./lib/state');
+const { launchForPlatform, checkLoginStatus } = require('./lib/browser');
+const { loadAdapters } = require('./lib/adapters');
+const { trackStatuses } = require('./lib/status-tracker');
+
+const ADAPTERS = loadAdapters(config);
+
+const HELP_TEXT = `
+Usage: node track.js [options]
+
+Options:
+  --platform <name> Check specific platform only
+  --headless        Run in headless mode (overrides .env HEADLESS)
+  --help            Show this help message
+`.trim();
+
+/**
+ * Parse CLI arguments into a flat object.
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(HELP_TEXT);
+    process.exit(0);
+  }
+
+  const parsed = {
+    headless: args.includes('--headless') ? true : undefined,
+    platform: undefined,
+  };
+
+  const platformIdx = args.indexOf('--platform');
+  if (platformIdx !== -1) {
+    parsed.platform = args[platformIdx + 1]?.toLowerCase();
+    if (!parsed.platform || !ADAPTERS.has(parsed.platform)) {
+      console.error(`Error: unknown platform "${parsed.platform || ''}". Valid options: ${[...ADAPTERS.keys()].join(', ')}`);
+      process.exit(2);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Main execution flow.
+ */
+async function main() {
+  const cli = parseArgs(process.argv);
+  const headless = cli.headless !== undefined
+    ? cli.headless
+    : (process.env.HEADLESS !== undefined ? process.env.HEADLESS === 'true' : (config.behavior?.headless ?? true));
+
+  const platforms = Object.entries(config.platforms || {})
+    .filter(([name, cfg]) => (cli.platform ? name === cli.platform : cfg.enabled))
+    .map(([name]) => name)
+    .filter((name) => {
+      const adapter = ADAPTERS.get(name);
+      if (!adapter) {
+        logger.warn({ platform: name }, `No adapter found for "${name}" — add it to modules/ or config.adapters`);
+        return false;
+      }
+      if (!adapter.tracker) {
+        logger.info({ platform: name }, `${adapter.displayName} has no applied-jobs tracker. Skipping.`);
+        return false;
+      }
+      return true;
+    });
+
+  if (platforms.length === 0) {
+    console.error('Error: no enabled platform with an applied-jobs tracker.');
+    process.exit(2);
+  }
+
+  const results = {};
+  for (const platform of platforms) {
+    const adapter = ADAPTERS.get(platform);
+    const platformLogger = logger.child({ platform });
+    let context = null;
+
+    try {
+      const launched = await launchForPlatform(platform, headless);
+      context = launched.context;
+
+      if (!(await checkLoginStatus(launched.page, adapter))) {
+        platformLogger.warn(`Session expired for ${platform}. Skipping. Run: node setup.js --platform ${platform}`);
+        results[platform] = null;
+        continue;
+      }
+
+      results[platform] = await trackStatuses(adapter, launched.page, state, platformLogger);
+      platformLogger.info(results[platform], 'Status check complete');
+    } catch (err) {
+      platformLogger.error({ error: err.message, stack: err.stack }, 'Status check failed');
+      results[platform] = null;
+    } finally {
+      if (context) {
+        try {
+          await context.close();
+        } catch (_) {}
+      }
+    }
+  }
+
+  console.log('\n  APPLICATION STATUS CHECK');
+  for (const [platform, result] of Object.entries(results)) {
+    const name = ADAPTERS.get(platform).displayName;
+    console.log(result
+      ? `  ${name.padEnd(10)} ${result.listed} listed | ${result.matched} matched | ${result.changed} changed`
+      : `  ${name.padEnd(10)} skipped (session expired or error)`);
+  }
+  console.log('\n  Response rates: node benchmark.js\n');
+
+  process.exit(0);
+}
+
+main().catch((err) => {
+  logger.error({ error: err.message, stack: err.stack }, 'Fatal error in status tracker');
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});